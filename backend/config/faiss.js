@@ -16,6 +16,11 @@ const faissConfig = {
     hnsw: 'IndexHNSWFlat'      // Hierarchical Navigable Small World
   },
 
+  // Index type used for visit search: flatIP, ivfFlat or hnsw.
+  // ivfFlat needs training, so it is built by scripts/rebuildFaissIndex.js; until then a flat index is used.
+  // FAISS_NPROBE is stored in the index when it is built: rebuild to change it
+  indexType: process.env.FAISS_INDEX_TYPE || 'flatIP',
+
   // Storage paths
   paths: {
     indexDir: process.env.FAISS_INDEX_DIR || path.join(__dirname, '../data/faiss'),
@@ -29,18 +34,92 @@ const faissConfig = {
     nlist: parseInt(process.env.FAISS_NLIST) || 100,        // Number of clusters for IVF
     nprobe: parseInt(process.env.FAISS_NPROBE) || 10,       // Number of clusters to search
     maxTraining: parseInt(process.env.FAISS_MAX_TRAINING) || 10000, // Max vectors for training
-    batchSize: parseInt(process.env.FAISS_BATCH_SIZE) || 1000       // Batch size for operations
+    minTrainingPerList: 39,                                  // FAISS needs ~39 training vectors per IVF list
+    hnswM: parseInt(process.env.FAISS_HNSW_M) || 32,        // Neighbours per HNSW node
+    batchSize: parseInt(process.env.FAISS_BATCH_SIZE) || 1000,      // Batch size for operations
+    compactionRatio: parseFloat(process.env.FAISS_COMPACTION_RATIO) || 0.2,     // Removed share that triggers compaction
+    reloadCheckInterval: parseInt(process.env.FAISS_RELOAD_CHECK_MS) || 5000    // How often a server looks for a swapped index
+  }
+};
+
+// Whether an index type has to be trained on existing vectors before vectors can be added
+const requiresTraining = (indexType) => indexType === 'ivfFlat';
+
+/**
+ * Create an empty inner-product index of a supported type
+ * @param {string} indexType - flatIP, ivfFlat or hnsw
+ * @param {number} dimension - Vector dimension
+ * @param {object} options - nlist: number of IVF lists
+ * @returns {object} - faiss-node Index
+ */
+const createIndex = (indexType, dimension = faissConfig.dimension, { nlist = faissConfig.performance.nlist } = {}) => {
+  const descriptors = {
+    flatIP: 'Flat',
+    ivfFlat: `IVF${nlist},Flat`,
+    hnsw: `HNSW${faissConfig.performance.hnswM},Flat`
+  };
+
+  if (!descriptors[indexType]) {
+    throw new Error(`Unsupported FAISS index type: ${indexType}`);
   }
+
+  return faiss.Index.fromFactory(dimension, descriptors[indexType], faiss.MetricType.METRIC_INNER_PRODUCT);
+};
+
+// A serialised IndexIVFFlat starts with its fourcc and the index header (d, ntotal, two
+// reserved fields, is_trained, metric_type), then nlist and nprobe: faiss/impl/index_write.cpp
+const IVF_FLAT_FOURCC = 'IwFl';
+const IVF_METRIC_OFFSET = 33;
+const IVF_NLIST_OFFSET = 37;
+const IVF_NPROBE_OFFSET = 45;
+
+/**
+ * Read the list settings of a serialised inner-product IVF index
+ * @param {Buffer} buffer - Output of index.toBuffer()
+ * @returns {object} - {nlist, nprobe}
+ */
+const readIvfSettings = (buffer) => {
+  if (buffer.toString('latin1', 0, 4) !== IVF_FLAT_FOURCC ||
+      buffer.readInt32LE(IVF_METRIC_OFFSET) !== faiss.MetricType.METRIC_INNER_PRODUCT) {
+    throw new Error('Not an inner-product IVFFlat index');
+  }
+
+  return {
+    nlist: Number(buffer.readBigUInt64LE(IVF_NLIST_OFFSET)),
+    nprobe: Number(buffer.readBigUInt64LE(IVF_NPROBE_OFFSET))
+  };
+};
+
+/**
+ * Set how many lists an IVF index searches. faiss-node has no setter for nprobe, but the
+ * serialised index carries it, so the index is written out, patched and read back.
+ * @param {object} index - faiss-node Index of type ivfFlat
+ * @param {number} nprobe - Lists to search, capped at the number of lists
+ * @returns {object} - New faiss-node Index with nprobe set
+ */
+const setNprobe = (index, nprobe = faissConfig.performance.nprobe) => {
+  const buffer = index.toBuffer();
+  const { nlist } = readIvfSettings(buffer);
+
+  buffer.writeBigUInt64LE(BigInt(Math.min(Math.max(nprobe, 1), nlist)), IVF_NPROBE_OFFSET);
+
+  return faiss.Index.fromBuffer(buffer);
 };
 
 // Index metadata management
 class IndexMetadata {
-  constructor() {
+  constructor(metadataPath = path.join(faissConfig.paths.indexDir, faissConfig.paths.metadataIndex)) {
+    this.metadataPath = metadataPath;
     this.metadata = {
       totalVectors: 0,
       lastUpdated: null,
       vectorMappings: new Map(), // Maps vector index to visit ID
       visitMappings: new Map(),  // Maps visit ID to vector index
+      embeddingModel: null,      // Model that produced the indexed vectors
+      indexType: null,           // Index type of the index file
+      indexFile: null,           // Index file of this generation (null before the first offline rebuild)
+      generation: 0,             // Incremented by every offline rebuild
+      removedVectors: 0,         // Vectors left in the index for removed visits
       version: '1.0'
     };
   }
@@ -53,6 +132,20 @@ class IndexMetadata {
     this.metadata.lastUpdated = new Date().toISOString();
   }
 
+  // Remove a visit; its vector stays in the index, unreachable, until the next compaction
+  removeMapping(visitId) {
+    const vectorIndex = this.metadata.visitMappings.get(visitId);
+    if (vectorIndex === undefined) {
+      return false;
+    }
+
+    this.metadata.vectorMappings.delete(vectorIndex);
+    this.metadata.visitMappings.delete(visitId);
+    this.metadata.removedVectors = (this.metadata.removedVectors || 0) + 1;
+    this.metadata.lastUpdated = new Date().toISOString();
+    return true;
+  }
+
   // Get visit ID from vector index
   getVisitId(vectorIndex) {
     return this.metadata.vectorMappings.get(vectorIndex);
@@ -66,7 +159,7 @@ class IndexMetadata {
   // Save metadata to file
   async save() {
     try {
-      const metadataPath = path.join(faissConfig.paths.indexDir, faissConfig.paths.metadataIndex);
+      const metadataPath = this.metadataPath;
       
       // Convert Maps to objects for JSON serialization
       const dataToSave = {
@@ -75,7 +168,10 @@ class IndexMetadata {
         visitMappings: Object.fromEntries(this.metadata.visitMappings)
       };
 
-      await fs.writeFile(metadataPath, JSON.stringify(dataToSave, null, 2));
+      // Written to a temporary file and renamed, so readers never see a partial file
+      const tempPath = `${metadataPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2));
+      await fs.rename(tempPath, metadataPath);
       logger.info('FAISS metadata saved successfully');
     } catch (error) {
       logger.error('Failed to save FAISS metadata:', error);
@@ -86,16 +182,14 @@ class IndexMetadata {
   // Load metadata from file
   async load() {
     try {
-      const metadataPath = path.join(faissConfig.paths.indexDir, faissConfig.paths.metadataIndex);
-      
-      const data = await fs.readFile(metadataPath, 'utf8');
+      const data = await fs.readFile(this.metadataPath, 'utf8');
       const parsed = JSON.parse(data);
       
-      // Convert objects back to Maps
+      // Convert objects back to Maps; JSON keys are strings, but vector indexes and visit IDs are numbers
       this.metadata = {
         ...parsed,
-        vectorMappings: new Map(Object.entries(parsed.vectorMappings || {})),
-        visitMappings: new Map(Object.entries(parsed.visitMappings || {}))
+        vectorMappings: new Map(Object.entries(parsed.vectorMappings || {}).map(([key, value]) => [Number(key), value])),
+        visitMappings: new Map(Object.entries(parsed.visitMappings || {}).map(([key, value]) => [Number(key), value]))
       };
 
       logger.info(`FAISS metadata loaded: ${this.metadata.totalVectors} vectors`);
@@ -349,6 +443,10 @@ const initializeFAISS = async () => {
 
 module.exports = {
   faissConfig,
+  requiresTraining,
+  createIndex,
+  readIvfSettings,
+  setNprobe,
   IndexMetadata,
   FAISSIndexManager,
   indexManager,
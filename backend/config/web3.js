@@ -8,6 +8,7 @@ const networks = {
     chainId: 100,
     rpcUrl: process.env.GNOSIS_RPC_URL || 'https://rpc.gnosischain.com',
     explorerUrl: 'https://gnosisscan.io',
+    confirmations: 12,
     nativeCurrency: {
       name: 'xDAI',
       symbol: 'XDAI',
@@ -19,6 +20,7 @@ const networks = {
     chainId: 10200,
     rpcUrl: process.env.GNOSIS_TESTNET_RPC || 'https://rpc.chiadochain.net',
     explorerUrl: 'https://gnosis-chiado.blockscout.com',
+    confirmations: 12,
     nativeCurrency: {
       name: 'Chiado xDAI',
       symbol: 'XDAI',
@@ -30,6 +32,7 @@ const networks = {
     chainId: 31337,
     rpcUrl: 'http://localhost:8545',
     explorerUrl: null,
+    confirmations: 0, // Hardhat only mines when there is a transaction
     nativeCurrency: {
       name: 'Ether',
       symbol: 'ETH',
@@ -76,22 +79,36 @@ const createSigner = (privateKey = null, networkName = null) => {
   return signer;
 };
 
+// ERC-1967 storage slot holding a proxy's implementation address
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
 // Contract configuration
 const contracts = {
   POLPBadge: {
+    // Proxy: the address badges live at and every call goes to, unchanged by upgrades
     address: process.env.POLP_CONTRACT_ADDRESS,
+    // Implementation the proxy is expected to run; changes with every upgrade
+    implementationAddress: process.env.POLP_IMPLEMENTATION_ADDRESS || null,
+    deployBlock: parseInt(process.env.POLP_DEPLOY_BLOCK || '0'),
     abi: [
       "function claimBadge(address to, uint256 badgeId, string memory tokenURI) external",
+      "function claimWithVoucher((address recipient, uint256 badgeId, string tokenURI, uint256 expiry, uint256 nonce) voucher, bytes signature) external returns (uint256)",
+      "function usedVoucherNonces(uint256 nonce) external view returns (bool)",
       "function claimed(address user, uint256 badgeId) external view returns (bool)",
       "function ownerOf(uint256 tokenId) external view returns (address)",
       "function transferFrom(address from, address to, uint256 tokenId) external",
       "function nextTokenId() external view returns (uint256)",
       "function tokenURI(uint256 tokenId) external view returns (string)",
+      "function locked(uint256 tokenId) external view returns (bool)",
       "function balanceOf(address owner) external view returns (uint256)",
       "function totalSupply() external view returns (uint256)",
       "function name() external view returns (string)",
       "function symbol() external view returns (string)",
-      "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+      "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+      "event Locked(uint256 tokenId)",
+      "event Unlocked(uint256 tokenId)",
+      "event VoucherRedeemed(uint256 indexed nonce, address indexed recipient, uint256 indexed tokenId)",
+      "event Upgraded(address indexed implementation)"
     ]
   }
 };
@@ -117,6 +134,21 @@ const getContract = (contractName, signerOrProvider = null) => {
   );
 };
 
+// Get the implementation a proxied contract currently runs (null if the address is not a proxy)
+const getImplementationAddress = async (contractName, provider = null) => {
+  const contractConfig = contracts[contractName];
+
+  if (!contractConfig || !contractConfig.address) {
+    throw new Error(`Contract address for ${contractName} not configured`);
+  }
+
+  const prov = provider || createProvider();
+  const slot = await prov.getStorage(contractConfig.address, IMPLEMENTATION_SLOT);
+  const implementation = ethers.dataSlice(slot, 12);
+
+  return implementation === ethers.ZeroAddress ? null : ethers.getAddress(implementation);
+};
+
 // Web3 utilities
 const web3Utils = {
   // Format addresses
@@ -169,6 +201,22 @@ const web3Utils = {
   }
 };
 
+// Compare the implementation behind a proxy with the configured one
+const checkImplementation = async (contractName, provider = null) => {
+  const expected = contracts[contractName].implementationAddress;
+  const implementation = await getImplementationAddress(contractName, provider);
+
+  if (!implementation) {
+    logger.warn(`${contractName} at ${contracts[contractName].address} is not an upgradeable proxy`);
+  } else if (expected && expected.toLowerCase() !== implementation.toLowerCase()) {
+    logger.warn(`${contractName} proxy runs implementation ${implementation}, expected ${expected}: update POLP_IMPLEMENTATION_ADDRESS after an upgrade`);
+  } else {
+    logger.info(`${contractName} proxy implementation: ${implementation}`);
+  }
+
+  return implementation;
+};
+
 // Initialize Web3 configuration
 const initializeWeb3 = async () => {
   try {
@@ -193,6 +241,8 @@ const initializeWeb3 = async () => {
       const contract = getContract('POLPBadge', provider);
       const nextTokenId = await contract.nextTokenId();
       logger.info(`POLPBadge contract connected, next token ID: ${nextTokenId}`);
+
+      await checkImplementation('POLPBadge', provider);
     }
 
     logger.info('Web3 configuration initialized successfully');
@@ -232,6 +282,8 @@ module.exports = {
   createProvider,
   createSigner,
   getContract,
+  getImplementationAddress,
+  checkImplementation,
   contracts,
   web3Utils,
   initializeWeb3,
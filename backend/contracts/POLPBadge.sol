@@ -1,31 +1,356 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.26;
 
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IERC5192.sol";
+
+/**
+ * @dev Deployed behind an ERC-1967 proxy (UUPS): the proxy address, and every badge
+ * minted through it, stays the same across upgrades.
+ * Storage layout: new state variables go after the existing ones, never in between,
+ * and existing ones are never removed, retyped or reordered.
+ */
+contract POLPBadge is
+    Initializable,
+    ERC721URIStorageUpgradeable,
+    EIP712Upgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable,
+    IERC5192
+{
+    // Backend hot key: mints, defines the series it mints from and anchors visit batches
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    // Emergency stop of mints and transfers
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Corrects the metadata of minted tokens
+    bytes32 public constant URI_SETTER_ROLE = keccak256("URI_SETTER_ROLE");
+    // Burns badges found to be fraudulent by moderation
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+
+    struct ClaimVoucher {
+        address recipient;
+        uint256 badgeId;
+        string tokenURI;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    bytes32 public constant CLAIM_VOUCHER_TYPEHASH = keccak256(
+        "ClaimVoucher(address recipient,uint256 badgeId,string tokenURI,uint256 expiry,uint256 nonce)"
+    );
 
-contract POLPBadge is ERC721URIStorage, Ownable {
     uint256 public nextTokenId;
 
     // badgeId => wallet => claimed
     mapping(uint256 => mapping(address => bool)) public hasClaimed;
 
-    constructor() ERC721("POLP Badge", "POLP") Ownable(msg.sender) {}
+    // Badge series (event) definition; a badge can only be claimed from a defined series
+    struct BadgeSeries {
+        uint256 maxSupply;   // 0 = unlimited
+        uint256 minted;
+        uint64 startTime;    // Claims open at (0 = from definition)
+        uint64 endTime;      // Claims close after (0 = never)
+        bool soulbound;      // Tokens of the series are minted locked
+        bool exists;
+        string baseURI;      // Series metadata, used by tokens minted without their own URI
+    }
+
+    // Why a recipient of claimBadgeBatch got no token
+    enum ClaimSkipReason { AlreadyClaimed, SoldOut }
+
+    // badgeId => series
+    mapping(uint256 => BadgeSeries) private _series;
+
+    // tokenId => badgeId it was minted from
+    mapping(uint256 => uint256) public tokenSeries;
+
+    // tokenId => wallet it was minted to (the one whose claim a revocation clears)
+    mapping(uint256 => address) public tokenClaimant;
+
+    // tokenId => locked (ERC-5192)
+    mapping(uint256 => bool) private _locked;
+
+    // Keys allowed to sign claim vouchers
+    mapping(address => bool) public voucherSigners;
+
+    // Voucher nonce => redeemed
+    mapping(uint256 => bool) public usedVoucherNonces;
+
+    // Merkle root of a batch of visit hashes => timestamp of the block that anchored it
+    mapping(bytes32 => uint256) public visitRootAnchoredAt;
+
+    // Anchored Merkle root => number of visit hashes in its batch, which bounds the proofs it accepts
+    mapping(bytes32 => uint256) public visitRootLeafCount;
+
+    event SeriesDefined(
+        uint256 indexed badgeId,
+        uint256 maxSupply,
+        uint64 startTime,
+        uint64 endTime,
+        string baseURI,
+        bool soulbound
+    );
+    event VoucherSignerSet(address indexed signer, bool authorized);
+    event VoucherRedeemed(uint256 indexed nonce, address indexed recipient, uint256 indexed tokenId);
+    event VisitRootAnchored(bytes32 indexed root, uint256 leafCount, uint256 timestamp);
+    event BatchClaimSkipped(uint256 indexed badgeId, address indexed recipient, uint256 index, ClaimSkipReason reason);
+    event BadgeRevoked(uint256 indexed tokenId, uint256 indexed badgeId, address indexed claimant, string reason);
+
+    error TokenLocked(uint256 tokenId);
+    error SeriesNotFound(uint256 badgeId);
+    error SeriesNotOpen(uint256 badgeId);
+    error SeriesSoldOut(uint256 badgeId);
+    error InvalidClaimWindow(uint64 startTime, uint64 endTime);
+    error MaxSupplyBelowMinted(uint256 maxSupply, uint256 minted);
+    error BatchLengthMismatch(uint256 recipients, uint256 uris);
+    error VoucherExpired(uint256 expiry);
+    error VoucherAlreadyUsed(uint256 nonce);
+    error VoucherRecipientMismatch(address recipient, address sender);
+    error InvalidVoucherSigner(address signer);
+    error VisitRootAlreadyAnchored(bytes32 root);
+    error EmptyVisitBatch();
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Called once, by the proxy, in place of a constructor.
+     * @param admin Holder of DEFAULT_ADMIN_ROLE, PAUSER_ROLE, URI_SETTER_ROLE and REVOKER_ROLE (ideally a multisig);
+     * the admin also authorises upgrades and grants REVOKER_ROLE to any other revoker
+     * @param minter Backend key, granted MINTER_ROLE only
+     */
+    function initialize(address admin, address minter) external initializer {
+        __ERC721_init("POLP Badge", "POLP");
+        __ERC721URIStorage_init();
+        __EIP712_init("POLP Badge", "1");
+        __AccessControl_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(URI_SETTER_ROLE, admin);
+        _grantRole(REVOKER_ROLE, admin);
+        _grantRole(MINTER_ROLE, minter);
+    }
 
     /**
-     * @dev Mint a badge NFT to a user, only if not previously claimed.
+     * @dev Mint a badge NFT to a user, only if not previously claimed and only while
+     * the series is open and has supply left.
+     * Tokens of a soulbound series are locked from the moment they are minted.
      * @param to Address to mint to
-     * @param badgeId ID of the badge (semantic category)
-     * @param tokenURI URI pointing to metadata (can be IPNS)
+     * @param badgeId ID of the badge series
+     * @param uri URI pointing to metadata (can be IPNS); empty to use the series URI
+     */
+    function claimBadge(address to, uint256 badgeId, string memory uri) public onlyRole(MINTER_ROLE) {
+        _claim(to, badgeId, uri);
+    }
+
+    /**
+     * @dev Mint a badge of one series to many recipients in a single transaction.
+     * Recipients who already hold the badge, and those left once the supply runs out,
+     * are skipped (see BatchClaimSkipped) instead of reverting the whole batch.
+     * @param to Addresses to mint to
+     * @param badgeId ID of the badge series
+     * @param uris Metadata URI of each recipient's token, or an empty array to use the series URI
+     * @return minted Number of tokens minted
      */
-    function claimBadge(address to, uint256 badgeId, string memory tokenURI) public onlyOwner {
+    function claimBadgeBatch(
+        address[] calldata to,
+        uint256 badgeId,
+        string[] calldata uris
+    ) external onlyRole(MINTER_ROLE) returns (uint256 minted) {
+        if (uris.length != 0 && uris.length != to.length) {
+            revert BatchLengthMismatch(to.length, uris.length);
+        }
+
+        BadgeSeries storage series = _openSeries(badgeId);
+
+        for (uint256 i = 0; i < to.length; i++) {
+            if (hasClaimed[badgeId][to[i]]) {
+                emit BatchClaimSkipped(badgeId, to[i], i, ClaimSkipReason.AlreadyClaimed);
+                continue;
+            }
+            if (series.maxSupply != 0 && series.minted >= series.maxSupply) {
+                emit BatchClaimSkipped(badgeId, to[i], i, ClaimSkipReason.SoldOut);
+                continue;
+            }
+
+            _mintBadge(to[i], badgeId, series, uris.length == 0 ? "" : uris[i]);
+            minted++;
+        }
+    }
+
+    /**
+     * @dev Mint a badge to the caller, who pays the gas, using a voucher signed by
+     * an authorised signer. Each voucher can be redeemed once, before its expiry.
+     * @param voucher Claim voucher issued by the backend for a verified visit
+     * @param signature EIP-712 signature of the voucher
+     */
+    function claimWithVoucher(ClaimVoucher calldata voucher, bytes calldata signature) external returns (uint256) {
+        address sender = _msgSender();
+
+        if (voucher.recipient != sender) {
+            revert VoucherRecipientMismatch(voucher.recipient, sender);
+        }
+        if (block.timestamp > voucher.expiry) {
+            revert VoucherExpired(voucher.expiry);
+        }
+        if (usedVoucherNonces[voucher.nonce]) {
+            revert VoucherAlreadyUsed(voucher.nonce);
+        }
+
+        address signer = ECDSA.recover(_hashVoucher(voucher), signature);
+        if (!voucherSigners[signer]) {
+            revert InvalidVoucherSigner(signer);
+        }
+
+        usedVoucherNonces[voucher.nonce] = true;
+
+        uint256 tokenId = _claim(sender, voucher.badgeId, voucher.tokenURI);
+        emit VoucherRedeemed(voucher.nonce, sender, tokenId);
+
+        return tokenId;
+    }
+
+    /**
+     * @dev Authorise (or revoke) a key to sign claim vouchers.
+     */
+    function setVoucherSigner(address signer, bool authorized) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        voucherSigners[signer] = authorized;
+        emit VoucherSignerSet(signer, authorized);
+    }
+
+    /**
+     * @dev Record the Merkle root of a batch of visit hashes, timestamping every
+     * visit in the batch without minting anything.
+     * @param root Merkle root (SHA-256 tree) of the batch
+     * @param leafCount Number of visit hashes in the batch
+     */
+    function anchorVisitRoot(bytes32 root, uint256 leafCount) external onlyRole(MINTER_ROLE) {
+        if (leafCount == 0) {
+            revert EmptyVisitBatch();
+        }
+        if (visitRootAnchoredAt[root] != 0) {
+            revert VisitRootAlreadyAnchored(root);
+        }
+
+        visitRootAnchoredAt[root] = block.timestamp;
+        visitRootLeafCount[root] = leafCount;
+        emit VisitRootAnchored(root, leafCount, block.timestamp);
+    }
+
+    /**
+     * @dev Check that a visit hash belongs to an anchored batch. Leaves and inner nodes
+     * hash alike, so the proof must reach the root from the leaf level exactly
+     * (ceil(log2(leafCount)) siblings) at a position inside the batch: otherwise an inner
+     * node, or the copy padding an odd level, would pass for a visit hash.
+     * @param root Anchored Merkle root
+     * @param leaf Visit hash
+     * @param proof Sibling hashes from the leaf level up to the root
+     * @param index Position of the visit hash in the batch
+     */
+    function verifyVisitProof(bytes32 root, bytes32 leaf, bytes32[] calldata proof, uint256 index)
+        external
+        view
+        returns (bool)
+    {
+        uint256 leafCount = visitRootLeafCount[root];
+
+        if (visitRootAnchoredAt[root] == 0 || index >= leafCount) {
+            return false;
+        }
+        if (proof.length != Math.log2(leafCount, Math.Rounding.Ceil)) {
+            return false;
+        }
+
+        bytes32 computed = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            computed = index % 2 == 0
+                ? sha256(abi.encodePacked(computed, proof[i]))
+                : sha256(abi.encodePacked(proof[i], computed));
+            index /= 2;
+        }
+
+        return computed == root;
+    }
+
+    /**
+     * @dev EIP-712 domain separator, for off-chain signers.
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function _hashVoucher(ClaimVoucher calldata voucher) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            CLAIM_VOUCHER_TYPEHASH,
+            voucher.recipient,
+            voucher.badgeId,
+            keccak256(bytes(voucher.tokenURI)),
+            voucher.expiry,
+            voucher.nonce
+        )));
+    }
+
+    function _claim(address to, uint256 badgeId, string memory uri) internal returns (uint256) {
+        BadgeSeries storage series = _openSeries(badgeId);
+
+        if (series.maxSupply != 0 && series.minted >= series.maxSupply) {
+            revert SeriesSoldOut(badgeId);
+        }
         require(!hasClaimed[badgeId][to], "Already claimed");
 
+        return _mintBadge(to, badgeId, series, uri);
+    }
+
+    function _openSeries(uint256 badgeId) internal view returns (BadgeSeries storage series) {
+        series = _series[badgeId];
+
+        if (!series.exists) {
+            revert SeriesNotFound(badgeId);
+        }
+        if (block.timestamp < series.startTime || (series.endTime != 0 && block.timestamp > series.endTime)) {
+            revert SeriesNotOpen(badgeId);
+        }
+    }
+
+    function _mintBadge(
+        address to,
+        uint256 badgeId,
+        BadgeSeries storage series,
+        string memory uri
+    ) internal returns (uint256) {
         uint256 tokenId = nextTokenId++;
+        bool soulbound = series.soulbound;
+        series.minted++;
+        tokenSeries[tokenId] = badgeId;
+        tokenClaimant[tokenId] = to;
+        hasClaimed[badgeId][to] = true;
+        if (bytes(uri).length > 0) {
+            _setTokenURI(tokenId, uri);
+        }
+
+        // Everything is recorded before _safeMint: the receiver hook can neither move a
+        // locked token away nor claim the same badge again
+        _locked[tokenId] = soulbound;
         _safeMint(to, tokenId);
-        _setTokenURI(tokenId, tokenURI);
 
-        hasClaimed[badgeId][to] = true;
+        if (soulbound) {
+            emit Locked(tokenId);
+        }
+
+        return tokenId;
     }
 
     /**
@@ -34,4 +359,164 @@ contract POLPBadge is ERC721URIStorage, Ownable {
     function claimed(address user, uint256 badgeId) external view returns (bool) {
         return hasClaimed[badgeId][user];
     }
+
+    /**
+     * @dev Define a badge series, or update it. Changes apply to future mints only:
+     * tokens already minted keep their lock (use setTokenLocked to change them).
+     * @param badgeId ID of the series
+     * @param maxSupply Maximum number of tokens (0 = unlimited), never below those already minted
+     * @param startTime Claims open at this timestamp (0 = straight away)
+     * @param endTime Claims close after this timestamp (0 = never)
+     * @param baseURI Series metadata URI
+     * @param soulbound Whether tokens of the series are minted locked
+     */
+    function defineSeries(
+        uint256 badgeId,
+        uint256 maxSupply,
+        uint64 startTime,
+        uint64 endTime,
+        string calldata baseURI,
+        bool soulbound
+    ) external onlyRole(MINTER_ROLE) {
+        if (endTime != 0 && endTime <= startTime) {
+            revert InvalidClaimWindow(startTime, endTime);
+        }
+
+        BadgeSeries storage series = _series[badgeId];
+        if (maxSupply != 0 && maxSupply < series.minted) {
+            revert MaxSupplyBelowMinted(maxSupply, series.minted);
+        }
+
+        series.maxSupply = maxSupply;
+        series.startTime = startTime;
+        series.endTime = endTime;
+        series.baseURI = baseURI;
+        series.soulbound = soulbound;
+        series.exists = true;
+
+        emit SeriesDefined(badgeId, maxSupply, startTime, endTime, baseURI, soulbound);
+    }
+
+    /**
+     * @dev Definition and minted count of a badge series.
+     */
+    function getSeries(uint256 badgeId) external view returns (BadgeSeries memory) {
+        if (!_series[badgeId].exists) {
+            revert SeriesNotFound(badgeId);
+        }
+        return _series[badgeId];
+    }
+
+    /**
+     * @dev Token URI, falling back to the series metadata for tokens minted without one.
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        string memory uri = super.tokenURI(tokenId);
+
+        if (bytes(uri).length == 0) {
+            return _series[tokenSeries[tokenId]].baseURI;
+        }
+        return uri;
+    }
+
+    /**
+     * @dev Replace the metadata URI of a minted token.
+     */
+    function setTokenURI(uint256 tokenId, string calldata uri) external onlyRole(URI_SETTER_ROLE) {
+        _requireOwned(tokenId);
+        _setTokenURI(tokenId, uri);
+    }
+
+    /**
+     * @dev Burn a fraudulent badge, wherever it is now held, and clear the claim of the
+     * wallet it was minted to. The series keeps counting it as minted, so revocations
+     * never free supply.
+     * @param tokenId Token to burn
+     * @param reason Why the badge was revoked, recorded in BadgeRevoked
+     */
+    function revoke(uint256 tokenId, string calldata reason) external onlyRole(REVOKER_ROLE) {
+        _requireOwned(tokenId);
+
+        uint256 badgeId = tokenSeries[tokenId];
+        address claimant = tokenClaimant[tokenId];
+
+        hasClaimed[badgeId][claimant] = false;
+        delete tokenClaimant[tokenId];
+        delete _locked[tokenId];
+        _burn(tokenId);
+
+        emit BadgeRevoked(tokenId, badgeId, claimant, reason);
+    }
+
+    /**
+     * @dev Stop all mints and transfers, e.g. while a compromised key is rotated.
+     * Only the admin can still revoke, so fraudulent badges can be burned meanwhile
+     * without trusting any hot key.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Lock or unlock a single token.
+     */
+    function setTokenLocked(uint256 tokenId, bool isLocked) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireOwned(tokenId);
+
+        if (_locked[tokenId] == isLocked) {
+            return;
+        }
+
+        _locked[tokenId] = isLocked;
+
+        if (isLocked) {
+            emit Locked(tokenId);
+        } else {
+            emit Unlocked(tokenId);
+        }
+    }
+
+    /**
+     * @dev ERC-5192: whether a token is bound to its current owner.
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return _locked[tokenId];
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721URIStorageUpgradeable, AccessControlUpgradeable)
+        returns (bool)
+    {
+        return interfaceId == type(IERC5192).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Only the admin can point the proxy at a new implementation.
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    /**
+     * @dev Locked tokens can be minted and burned, but never moved between wallets.
+     * Nothing moves while the contract is paused, except burns by the admin.
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        if (to != address(0) || !hasRole(DEFAULT_ADMIN_ROLE, _msgSender())) {
+            _requireNotPaused();
+        }
+
+        address from = _ownerOf(tokenId);
+
+        if (from != address(0) && to != address(0) && _locked[tokenId]) {
+            revert TokenLocked(tokenId);
+        }
+
+        return super._update(to, tokenId, auth);
+    }
 }
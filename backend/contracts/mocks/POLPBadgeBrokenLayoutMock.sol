@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @dev Upgrade candidate whose first state variable takes the slot of POLPBadge's
+ * nextTokenId; the storage layout check must refuse it.
+ */
+contract POLPBadgeBrokenLayoutMock is Initializable, UUPSUpgradeable {
+    address public owner;
+    uint256 public nextTokenId;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function _authorizeUpgrade(address) internal override {}
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "../POLPBadge.sol";
+
+/**
+ * @dev Next version of POLPBadge, used by the tests to upgrade a live proxy.
+ * Its new state goes after everything POLPBadge declares and needs no initialization.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract POLPBadgeV2Mock is POLPBadge {
+    // tokenId => moderator note
+    mapping(uint256 => string) public badgeNotes;
+
+    function setBadgeNote(uint256 tokenId, string calldata note) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireOwned(tokenId);
+        badgeNotes[tokenId] = note;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
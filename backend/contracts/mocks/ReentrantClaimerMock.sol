@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "../POLPBadge.sol";
+
+/**
+ * @dev Contract wallet that, on receiving a badge, tries to redeem a second voucher
+ * for the same series from inside the receiver hook.
+ */
+contract ReentrantClaimerMock is IERC721Receiver {
+    POLPBadge public immutable badge;
+
+    POLPBadge.ClaimVoucher private _voucher;
+    bytes private _signature;
+    bool private _armed;
+
+    bool public reentryFailed;
+
+    constructor(POLPBadge badge_) {
+        badge = badge_;
+    }
+
+    function claim(
+        POLPBadge.ClaimVoucher calldata first,
+        bytes calldata firstSignature,
+        POLPBadge.ClaimVoucher calldata second,
+        bytes calldata secondSignature
+    ) external {
+        _voucher = second;
+        _signature = secondSignature;
+        _armed = true;
+
+        badge.claimWithVoucher(first, firstSignature);
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external returns (bytes4) {
+        if (_armed) {
+            _armed = false;
+            try badge.claimWithVoucher(_voucher, _signature) {
+            } catch {
+                reentryFailed = true;
+            }
+        }
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
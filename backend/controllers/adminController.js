@@ -0,0 +1,337 @@
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Location = require('../models/Location');
+const AuditLog = require('../models/AuditLog');
+const Badge = require('../models/Badge');
+const moderationService = require('../services/moderationService');
+const badgeSeriesService = require('../services/badgeSeriesService');
+const badgeRevocationService = require('../services/badgeRevocationService');
+const logger = require('../utils/logger');
+
+class AdminController {
+
+  async getModerationQueue(req, res) {
+    try {
+      const { status = 'flagged', limit = 50, offset = 0 } = req.query;
+
+      const queue = await moderationService.listVisits({
+        status,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json(queue);
+
+    } catch (error) {
+      logger.error('Get moderation queue error:', error);
+      res.status(500).json({
+        error: 'Failed to get moderation queue',
+        message: error.message
+      });
+    }
+  }
+
+  async getVisitForReview(req, res) {
+    try {
+      const visit = await moderationService.getVisit(parseInt(req.params.id));
+
+      if (!visit) {
+        return res.status(404).json({
+          error: 'Visit not found'
+        });
+      }
+
+      res.status(200).json({ visit });
+
+    } catch (error) {
+      logger.error('Get visit for review error:', error);
+      res.status(500).json({
+        error: 'Failed to get visit',
+        message: error.message
+      });
+    }
+  }
+
+  async moderateVisits(req, res) {
+    try {
+      const { visitIds, action, notes } = req.body;
+
+      const result = await moderationService.moderateVisits(visitIds, action, req.user, {
+        notes: notes || null,
+        ipAddress: req.ip
+      });
+
+      res.status(200).json({
+        message: `${result.updated.length} visit(s) updated`,
+        action,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('Moderate visits error:', error);
+      res.status(500).json({
+        error: 'Failed to moderate visits',
+        message: error.message
+      });
+    }
+  }
+
+  async revokeBadge(req, res) {
+    try {
+      const { reason, notes } = req.body;
+
+      const badge = await Badge.findByTokenId(req.params.tokenId);
+
+      if (!badge) {
+        return res.status(404).json({
+          error: 'Badge not found'
+        });
+      }
+
+      // Its holder burned it already: there is nothing left to revoke on-chain
+      if (badge.isBurned && !badge.revocationStatus) {
+        return res.status(409).json({
+          error: 'Badge has already been burned'
+        });
+      }
+
+      const { visit, record } = await badgeRevocationService.revokeBadge(badge, reason, req.user, {
+        notes: notes || null,
+        ipAddress: req.ip
+      });
+
+      res.status(200).json({
+        message: badge.revocationStatus === 'revoked' ? 'Badge revoked' : 'Badge revocation submitted',
+        badge: {
+          ...badge.toPublicJSON(),
+          isBurned: badge.isBurned,
+          revocationStatus: badge.revocationStatus,
+          revocationReason: badge.revocationReason,
+          revocationTxHash: badge.revocationTxHash,
+          revocationError: badge.revocationError,
+          revokedAt: badge.revokedAt
+        },
+        visit: visit ? { id: visit.id, status: visit.status } : null,
+        record
+      });
+
+    } catch (error) {
+      logger.error('Revoke badge error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke badge',
+        message: error.message
+      });
+    }
+  }
+
+  async getUsers(req, res) {
+    try {
+      const { role, q, limit = 50, offset = 0 } = req.query;
+
+      const whereClause = {};
+      if (role) {
+        whereClause.role = role;
+      }
+      if (q) {
+        whereClause[Op.or] = [
+          { walletAddress: { [Op.iLike]: `%${q}%` } },
+          { username: { [Op.iLike]: `%${q}%` } }
+        ];
+      }
+
+      const users = await User.findAndCountAll({
+        where: whereClause,
+        attributes: ['id', 'walletAddress', 'username', 'role', 'isActive', 'lastLoginAt', 'createdAt'],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'ASC']]
+      });
+
+      res.status(200).json({
+        users: users.rows,
+        totalCount: users.count,
+        hasMore: (parseInt(offset) + users.rows.length) < users.count
+      });
+
+    } catch (error) {
+      logger.error('Get users error:', error);
+      res.status(500).json({
+        error: 'Failed to get users',
+        message: error.message
+      });
+    }
+  }
+
+  async setUserRole(req, res) {
+    try {
+      const userId = parseInt(req.params.id);
+      const { role, notes } = req.body;
+
+      // An admin demoting themselves could leave nobody able to manage roles
+      if (userId === req.user.userId) {
+        return res.status(400).json({
+          error: 'Cannot change your own role'
+        });
+      }
+
+      const user = await User.findByPk(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const previousRole = user.role;
+
+      if (previousRole !== role) {
+        await user.update({ role });
+
+        await AuditLog.record(req.user, 'user.role', { type: 'user', id: user.id }, {
+          changes: { before: { role: previousRole }, after: { role } },
+          notes: notes || null,
+          ipAddress: req.ip
+        });
+
+        logger.info(`User ${user.walletAddress} role changed from ${previousRole} to ${role} by ${req.user.walletAddress}`);
+      }
+
+      res.status(200).json({
+        message: 'Role updated successfully',
+        user: {
+          id: user.id,
+          walletAddress: user.walletAddress,
+          username: user.username,
+          role: user.role
+        }
+      });
+
+    } catch (error) {
+      logger.error('Set user role error:', error);
+      res.status(500).json({
+        error: 'Failed to update role',
+        message: error.message
+      });
+    }
+  }
+
+  async getBadgeSeries(req, res) {
+    try {
+      const { locationId, limit = 50, offset = 0 } = req.query;
+
+      const result = await badgeSeriesService.listSeries({
+        locationId: locationId ? parseInt(locationId) : null,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      logger.error('Get badge series error:', error);
+      res.status(500).json({
+        error: 'Failed to get badge series',
+        message: error.message
+      });
+    }
+  }
+
+  async getBadgeSeriesById(req, res) {
+    try {
+      const series = await badgeSeriesService.getSeries(parseInt(req.params.id));
+
+      if (!series) {
+        return res.status(404).json({
+          error: 'Badge series not found'
+        });
+      }
+
+      res.status(200).json({ series });
+
+    } catch (error) {
+      logger.error('Get badge series by ID error:', error);
+      res.status(500).json({
+        error: 'Failed to get badge series',
+        message: error.message
+      });
+    }
+  }
+
+  async createBadgeSeries(req, res) {
+    try {
+      const location = await Location.findByPk(req.body.locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          error: 'Location not found'
+        });
+      }
+
+      const series = await badgeSeriesService.createSeries(req.body, req.user, { ipAddress: req.ip });
+
+      res.status(201).json({
+        message: 'Badge series created successfully',
+        series: series.toPublicJSON()
+      });
+
+    } catch (error) {
+      logger.error('Create badge series error:', error);
+      res.status(500).json({
+        error: 'Failed to create badge series',
+        message: error.message
+      });
+    }
+  }
+
+  async updateBadgeSeries(req, res) {
+    try {
+      const series = await badgeSeriesService.updateSeries(parseInt(req.params.id), req.body, req.user, {
+        ipAddress: req.ip
+      });
+
+      if (!series) {
+        return res.status(404).json({
+          error: 'Badge series not found'
+        });
+      }
+
+      res.status(200).json({
+        message: 'Badge series updated successfully',
+        series: series.toPublicJSON()
+      });
+
+    } catch (error) {
+      logger.error('Update badge series error:', error);
+      res.status(500).json({
+        error: 'Failed to update badge series',
+        message: error.message
+      });
+    }
+  }
+
+  async syncBadgeSeries(req, res) {
+    try {
+      const series = await badgeSeriesService.retrySync(parseInt(req.params.id));
+
+      if (!series) {
+        return res.status(404).json({
+          error: 'Badge series not found'
+        });
+      }
+
+      res.status(200).json({
+        message: `Badge series ${series.syncStatus}`,
+        series: series.toPublicJSON()
+      });
+
+    } catch (error) {
+      logger.error('Sync badge series error:', error);
+      res.status(500).json({
+        error: 'Failed to sync badge series',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
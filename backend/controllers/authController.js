@@ -1,28 +1,139 @@
 const jwt = require('jsonwebtoken');
 const { ethers } = require('ethers');
 const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
+const Session = require('../models/Session');
 const walletService = require('../services/walletService');
+const { getCurrentNetwork } = require('../config/web3');
 const logger = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+// Access tokens are short-lived; clients keep sessions alive with rotating refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// EIP-4361 sign-in parameters; messages for any other origin are rejected
+const SIWE_URI = process.env.SIWE_URI || process.env.FRONTEND_URL || 'https://polp.app';
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(SIWE_URI).host;
+const SIWE_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Open a session for a user and issue its first token pair
+ * @param {object} user - User instance
+ * @param {object} req - Express request object (for client information)
+ * @returns {object} - {token, refreshToken}
+ */
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user.id, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken
+  };
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {object} user - User instance
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} - JWT access token
+ */
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { 
+      userId: user.id, 
+      walletAddress: user.walletAddress,
+      role: user.role,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+/**
+ * Role given to a new account: the configured admin wallet bootstraps the first admin
+ * @param {string} walletAddress - Wallet of the new user
+ * @returns {string} - 'admin' or 'user'
+ */
+const initialRole = (walletAddress) => {
+  const adminAddress = process.env.ADMIN_WALLET_ADDRESS;
+  return adminAddress && walletAddress.toLowerCase() === adminAddress.toLowerCase() ? 'admin' : 'user';
+};
+
+/**
+ * Verify an EIP-4361 sign-in and burn its nonce
+ * @param {string} walletAddress - Wallet claiming to sign in
+ * @param {string} signature - personal_sign signature of the message
+ * @param {string} message - EIP-4361 formatted message
+ * @returns {string|null} - Reason the sign-in is rejected, or null if valid
+ */
+const verifySignIn = async (walletAddress, signature, message) => {
+  const siwe = walletService.parseSiweMessage(message);
+  if (!siwe) {
+    return 'Message is not a valid Sign-In with Ethereum message';
+  }
+
+  const invalidReason = walletService.validateSiweMessage(siwe, {
+    domain: SIWE_DOMAIN,
+    uri: SIWE_URI,
+    chainId: getCurrentNetwork().chainId,
+    walletAddress,
+    maxAgeMs: SIWE_MAX_AGE_MS
+  });
+  if (invalidReason) {
+    return invalidReason;
+  }
+
+  const isValidSignature = await walletService.verifySignature(walletAddress, signature, message);
+  if (!isValidSignature) {
+    return 'Invalid wallet signature';
+  }
+
+  // Consume only after the signature checks out so garbage requests cannot burn nonces
+  const nonceAccepted = await AuthNonce.consume(siwe.nonce, walletAddress);
+  if (!nonceAccepted) {
+    return 'Nonce is unknown, expired or already used';
+  }
+
+  return null;
+};
 
 class AuthController {
+
+  async getNonce(req, res) {
+    try {
+      const authNonce = await AuthNonce.issue();
+
+      res.status(200).json({
+        nonce: authNonce.nonce,
+        issuedAt: authNonce.createdAt,
+        expiresAt: authNonce.expiresAt
+      });
+
+    } catch (error) {
+      logger.error('Get nonce error:', error);
+      res.status(500).json({
+        error: 'Failed to issue nonce',
+        message: error.message
+      });
+    }
+  }
   
   async login(req, res) {
     try {
       const { walletAddress, signature, message } = req.body;
 
-      // Verify wallet signature
-      const isValidSignature = await walletService.verifySignature(
-        walletAddress, 
-        signature, 
-        message
-      );
+      // Verify the Sign-In with Ethereum message and its single-use nonce
+      const signInError = await verifySignIn(walletAddress, signature, message);
 
-      if (!isValidSignature) {
+      if (signInError) {
+        logger.warn(`Rejected sign-in for ${walletAddress}: ${signInError}`);
         return res.status(401).json({
-          error: 'Invalid wallet signature'
+          error: 'Invalid sign-in',
+          message: signInError
         });
       }
 
@@ -35,6 +146,7 @@ class AuthController {
         // Auto-register new users
         user = await User.create({
           walletAddress: walletAddress.toLowerCase(),
+          role: initialRole(walletAddress),
           isActive: true,
           createdAt: new Date(),
           lastLoginAt: new Date()
@@ -46,24 +158,19 @@ class AuthController {
         await user.update({ lastLoginAt: new Date() });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.id, 
-          walletAddress: user.walletAddress 
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Open a new session with an access/refresh token pair
+      const { token, refreshToken } = await startSession(user, req);
 
       res.status(200).json({
         message: 'Login successful',
         token,
+        refreshToken,
         user: {
           id: user.id,
           walletAddress: user.walletAddress,
           username: user.username,
-          isActive: user.isActive
+          isActive: user.isActive,
+          role: user.role
         }
       });
 
@@ -80,16 +187,14 @@ class AuthController {
     try {
       const { walletAddress, signature, message, username } = req.body;
 
-      // Verify wallet signature
-      const isValidSignature = await walletService.verifySignature(
-        walletAddress, 
-        signature, 
-        message
-      );
+      // Verify the Sign-In with Ethereum message and its single-use nonce
+      const signInError = await verifySignIn(walletAddress, signature, message);
 
-      if (!isValidSignature) {
+      if (signInError) {
+        logger.warn(`Rejected sign-in for ${walletAddress}: ${signInError}`);
         return res.status(401).json({
-          error: 'Invalid wallet signature'
+          error: 'Invalid sign-in',
+          message: signInError
         });
       }
 
@@ -108,31 +213,27 @@ class AuthController {
       const user = await User.create({
         walletAddress: walletAddress.toLowerCase(),
         username: username || null,
+        role: initialRole(walletAddress),
         isActive: true,
         createdAt: new Date(),
         lastLoginAt: new Date()
       });
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.id, 
-          walletAddress: user.walletAddress 
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Open a new session with an access/refresh token pair
+      const { token, refreshToken } = await startSession(user, req);
 
       logger.info(`User registered: ${walletAddress}`);
 
       res.status(201).json({
         message: 'Registration successful',
         token,
+        refreshToken,
         user: {
           id: user.id,
           walletAddress: user.walletAddress,
           username: user.username,
-          isActive: user.isActive
+          isActive: user.isActive,
+          role: user.role
         }
       });
 
@@ -163,6 +264,7 @@ class AuthController {
           walletAddress: user.walletAddress,
           username: user.username,
           isActive: user.isActive,
+          role: user.role,
           lastLoginAt: user.lastLoginAt
         }
       });
@@ -197,7 +299,8 @@ class AuthController {
           id: user.id,
           walletAddress: user.walletAddress,
           username: user.username,
-          isActive: user.isActive
+          isActive: user.isActive,
+          role: user.role
         }
       });
 
@@ -236,19 +339,59 @@ class AuthController {
 
   async refreshToken(req, res) {
     try {
-      const userId = req.user.userId;
-      const walletAddress = req.user.walletAddress;
+      const { refreshToken } = req.body;
 
-      // Generate new token
-      const token = jwt.sign(
-        { userId, walletAddress },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      const { session, reused } = await Session.findByRefreshToken(refreshToken);
+
+      if (!session) {
+        return res.status(401).json({
+          error: 'Invalid refresh token'
+        });
+      }
+
+      // A rotated token coming back means it was copied: kill the whole session
+      if (reused) {
+        await session.revoke('token_reuse');
+        logger.warn(`Refresh token reuse detected for session ${session.id} (user ${session.userId}), session revoked`);
+        return res.status(401).json({
+          error: 'Refresh token reuse detected',
+          message: 'This session has been revoked, please login again'
+        });
+      }
+
+      if (!session.isActive()) {
+        return res.status(401).json({
+          error: 'Session expired or revoked',
+          message: 'Please login again'
+        });
+      }
+
+      const user = await User.findByPk(session.userId);
+
+      if (!user || !user.isActive) {
+        await session.revoke('account_deactivated');
+        return res.status(401).json({
+          error: 'Account deactivated',
+          message: 'Your account has been deactivated'
+        });
+      }
+
+      const newRefreshToken = await session.rotate();
+
+      if (!newRefreshToken) {
+        // Lost a race with another exchange of the same token
+        await session.revoke('token_reuse');
+        logger.warn(`Concurrent refresh token use for session ${session.id}, session revoked`);
+        return res.status(401).json({
+          error: 'Refresh token reuse detected',
+          message: 'This session has been revoked, please login again'
+        });
+      }
 
       res.status(200).json({
         message: 'Token refreshed successfully',
-        token
+        token: signAccessToken(user, session.id),
+        refreshToken: newRefreshToken
       });
 
     } catch (error) {
@@ -262,11 +405,13 @@ class AuthController {
 
   async logout(req, res) {
     try {
-      // Update last login time
-      await User.update(
-        { lastLoginAt: new Date() },
-        { where: { id: req.user.userId } }
-      );
+      const session = await Session.findByPk(req.token.sessionId);
+
+      if (session && !session.revokedAt) {
+        await session.revoke('logout');
+      }
+
+      logger.info(`User ${req.user.userId} logged out of session ${req.token.sessionId}`);
 
       res.status(200).json({
         message: 'Logout successful'
@@ -280,6 +425,26 @@ class AuthController {
       });
     }
   }
+
+  async logoutAll(req, res) {
+    try {
+      const [revokedCount] = await Session.revokeAllForUser(req.user.userId, 'logout_all');
+
+      logger.info(`User ${req.user.userId} logged out of all devices (${revokedCount} sessions)`);
+
+      res.status(200).json({
+        message: 'Logged out of all devices',
+        revokedSessions: revokedCount
+      });
+
+    } catch (error) {
+      logger.error('Logout all error:', error);
+      res.status(500).json({
+        error: 'Logout failed',
+        message: error.message
+      });
+    }
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
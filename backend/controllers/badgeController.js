@@ -1,7 +1,15 @@
+const { Op } = require('sequelize');
 const Badge = require('../models/Badge');
 const Visit = require('../models/Visit');
 const User = require('../models/User');
+const Location = require('../models/Location');
+const MintJob = require('../models/MintJob');
+const ClaimVoucher = require('../models/ClaimVoucher');
 const nftService = require('../services/nftService');
+const mintQueueService = require('../services/mintQueueService');
+const claimVoucherService = require('../services/claimVoucherService');
+const badgeSeriesService = require('../services/badgeSeriesService');
+const badgeVerificationService = require('../services/badgeVerificationService');
 const ipfsService = require('../services/ipfsService');
 const logger = require('../utils/logger');
 
@@ -45,7 +53,11 @@ class BadgeController {
 
       // Get the visit
       const visit = await Visit.findOne({
-        where: { id: visitId, userId }
+        where: { id: visitId, userId },
+        include: [{
+          model: Location,
+          as: 'location'
+        }]
       });
 
       if (!visit) {
@@ -54,6 +66,14 @@ class BadgeController {
         });
       }
 
+      if (!visit.location) {
+        return res.status(400).json({
+          error: 'Visit is not linked to a registered location'
+        });
+      }
+
+      const { location } = visit;
+
       if (!visit.isVerified) {
         return res.status(400).json({
           error: 'Visit must be verified before minting badge'
@@ -71,7 +91,19 @@ class BadgeController {
         });
       }
 
-      // Get user wallet address
+      // The user is claiming this badge from their own wallet
+      const voucher = await ClaimVoucher.findOne({
+        where: { visitId, userId, status: 'issued' }
+      });
+
+      if (voucher && !voucher.isExpired()) {
+        return res.status(409).json({
+          error: 'A claim voucher is outstanding for this visit',
+          voucher: voucher.toPublicJSON()
+        });
+      }
+
+      // The badge is minted to the user's wallet
       const user = await User.findByPk(userId);
       if (!user) {
         return res.status(404).json({
@@ -79,105 +111,222 @@ class BadgeController {
         });
       }
 
-      // Generate badge metadata
-      const metadata = {
-        name: `POLP Badge - ${visit.locationName}`,
-        description: `Proof of presence at ${visit.locationName} on ${visit.timestamp.toISOString()}`,
-        image: '', // Will be set after IPFS upload
-        attributes: [
-          {
-            trait_type: 'Location',
-            value: visit.locationName
-          },
-          {
-            trait_type: 'Coordinates',
-            value: `${visit.latitude}, ${visit.longitude}`
-          },
-          {
-            trait_type: 'Visit Date',
-            value: visit.timestamp.toISOString().split('T')[0]
-          },
-          {
-            trait_type: 'Badge Type',
-            value: badgeType
-          },
-          {
-            trait_type: 'NFC Tag ID',
-            value: visit.nfcTagId
-          }
-        ],
-        properties: {
-          visitId: visit.id,
-          visitHash: visit.visitHash,
-          ipfsCid: visit.ipfsCid,
-          verifiedAt: visit.verifiedAt
+      // Minting happens in the background; the job is keyed by visit so repeated requests are idempotent
+      const { job, created } = await mintQueueService.enqueueMint({
+        userId,
+        visitId: visit.id,
+        badgeType
+      });
+
+      res.status(created ? 202 : 200).json({
+        message: created ? 'Badge mint queued' : 'Badge mint already requested',
+        job: job.toPublicJSON(),
+        visit: {
+          id: visit.id,
+          locationId: location.id,
+          locationName: location.name,
+          timestamp: visit.timestamp
         }
-      };
+      });
 
-      // Store metadata on IPFS
-      const metadataResult = await ipfsService.storeMetadata(metadata);
+    } catch (error) {
+      logger.error('Mint badge error:', error);
+      res.status(500).json({
+        error: 'Failed to mint badge',
+        message: error.message
+      });
+    }
+  }
 
-      // Generate badge ID for the smart contract
-      const badgeId = await nftService.generateBadgeId(visit);
+  async getMintJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const userId = req.user.userId;
 
-      // Check if user already claimed this badge type
-      const hasClaimedBadge = await nftService.hasClaimedBadge(
-        user.walletAddress, 
-        badgeId
-      );
+      const job = await MintJob.findOne({
+        where: { id: jobId, userId },
+        include: [{
+          model: Badge,
+          as: 'badge'
+        }]
+      });
 
-      if (hasClaimedBadge) {
+      if (!job) {
+        return res.status(404).json({
+          error: 'Mint job not found'
+        });
+      }
+
+      res.status(200).json({
+        job: job.toPublicJSON(),
+        badge: job.badge || null
+      });
+
+    } catch (error) {
+      logger.error('Get mint job error:', error);
+      res.status(500).json({
+        error: 'Failed to get mint job',
+        message: error.message
+      });
+    }
+  }
+
+  async issueClaimVoucher(req, res) {
+    try {
+      const { visitId, badgeType = 'location' } = req.body;
+      const userId = req.user.userId;
+
+      const visit = await Visit.findOne({
+        where: { id: visitId, userId },
+        include: [{
+          model: Location,
+          as: 'location'
+        }]
+      });
+
+      if (!visit) {
+        return res.status(404).json({
+          error: 'Visit not found'
+        });
+      }
+
+      if (!visit.location) {
+        return res.status(400).json({
+          error: 'Visit is not linked to a registered location'
+        });
+      }
+
+      if (!visit.isVerified) {
+        return res.status(400).json({
+          error: 'Visit must be verified before claiming badge'
+        });
+      }
+
+      const existingBadge = await Badge.findOne({
+        where: { visitId, userId }
+      });
+
+      if (existingBadge) {
         return res.status(409).json({
-          error: 'Badge type already claimed by this user'
+          error: 'Badge already minted for this visit'
         });
       }
 
-      // Mint NFT on blockchain
-      const mintResult = await nftService.mintBadge(
-        user.walletAddress,
-        badgeId,
-        metadataResult.ipfsUrl
-      );
+      // The backend is already minting this visit's badge
+      const activeJob = await MintJob.findOne({
+        where: { visitId, status: { [Op.ne]: 'failed' } }
+      });
 
-      // Save badge to database
-      const badge = await Badge.create({
-        userId,
-        visitId,
-        tokenId: mintResult.tokenId,
-        badgeId,
-        badgeType,
-        contractAddress: mintResult.contractAddress,
-        txHash: mintResult.txHash,
-        metadataUri: metadataResult.ipfsUrl,
-        ipfsCid: metadataResult.cid,
-        mintedAt: new Date()
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'Badge mint already requested for this visit',
+          job: activeJob.toPublicJSON()
+        });
+      }
+
+      const user = await User.findByPk(userId);
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const series = await badgeSeriesService.getSeriesForVisit(visit);
+      if (!series || !series.isOpen() || !series.isDefinedOnChain()) {
+        return res.status(409).json({
+          error: 'No badge series is open for this location'
+        });
+      }
+
+      if (await nftService.hasClaimedBadge(user.walletAddress, series.id)) {
+        return res.status(409).json({
+          error: 'Badge type already claimed by this wallet'
+        });
+      }
+
+      // One voucher per series: a second one could be redeemed before the first claim is mined
+      const seriesVoucher = await ClaimVoucher.findLiveForSeries(userId, series.id, { excludeVisitId: visit.id });
+      if (seriesVoucher) {
+        return res.status(409).json({
+          error: 'A claim voucher for this badge has already been issued',
+          voucher: seriesVoucher.toPublicJSON()
+        });
+      }
+
+      const { voucher, created } = await claimVoucherService.issueVoucher({ user, visit, series, badgeType });
+
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Claim voucher issued' : 'Claim voucher already issued',
+        voucher: voucher.toPublicJSON(),
+        contractAddress: nftService.contractAddress
+      });
+
+    } catch (error) {
+      logger.error('Issue claim voucher error:', error);
+      res.status(500).json({
+        error: 'Failed to issue claim voucher',
+        message: error.message
+      });
+    }
+  }
+
+  async redeemClaimVoucher(req, res) {
+    try {
+      const { voucherId } = req.params;
+      const { txHash } = req.body;
+      const userId = req.user.userId;
+
+      const voucher = await ClaimVoucher.findOne({
+        where: { id: voucherId, userId }
       });
 
-      logger.info(`Badge minted for user ${userId}, tokenId: ${mintResult.tokenId}`);
+      if (!voucher) {
+        return res.status(404).json({
+          error: 'Claim voucher not found'
+        });
+      }
+
+      // Already picked up, either by an earlier request or by the transfer indexer
+      if (voucher.status === 'redeemed') {
+        const badge = await Badge.findByPk(voucher.badgeRecordId);
+        return res.status(200).json({
+          message: 'Badge already claimed',
+          voucher: voucher.toPublicJSON(),
+          badge
+        });
+      }
+
+      const result = await claimVoucherService.redeemVoucher(voucher, txHash);
+
+      if (result.status === 'pending') {
+        return res.status(202).json({
+          message: 'Claim transaction not yet mined',
+          voucher: voucher.toPublicJSON()
+        });
+      }
+
+      if (result.status === 'reverted') {
+        return res.status(400).json({
+          error: 'Claim transaction reverted'
+        });
+      }
+
+      if (result.status === 'mismatch') {
+        return res.status(400).json({
+          error: 'Transaction did not redeem this voucher'
+        });
+      }
 
       res.status(201).json({
-        message: 'Badge minted successfully',
-        badge: {
-          id: badge.id,
-          tokenId: badge.tokenId,
-          badgeId: badge.badgeId,
-          badgeType: badge.badgeType,
-          contractAddress: badge.contractAddress,
-          txHash: badge.txHash,
-          metadataUri: badge.metadataUri,
-          mintedAt: badge.mintedAt
-        },
-        visit: {
-          id: visit.id,
-          locationName: visit.locationName,
-          timestamp: visit.timestamp
-        }
+        message: 'Badge claimed successfully',
+        voucher: voucher.toPublicJSON(),
+        badge: result.badge
       });
 
     } catch (error) {
-      logger.error('Mint badge error:', error);
+      logger.error('Redeem claim voucher error:', error);
       res.status(500).json({
-        error: 'Failed to mint badge',
+        error: 'Failed to redeem claim voucher',
         message: error.message
       });
     }
@@ -267,6 +416,18 @@ class BadgeController {
         });
       }
 
+      // The chain is authoritative: a token may have been locked after it was minted
+      const isLocked = await nftService.isBadgeLocked(tokenId);
+      if (isLocked !== badge.isSoulbound) {
+        await badge.update({ isSoulbound: isLocked });
+      }
+
+      if (isLocked) {
+        return res.status(403).json({
+          error: 'Badge is soulbound and cannot be transferred'
+        });
+      }
+
       // Get user wallet address
       const user = await User.findByPk(userId);
       if (!user) {
@@ -282,18 +443,11 @@ class BadgeController {
         tokenId
       );
 
-      // Update badge ownership in database
-      const newOwner = await User.findOne({
-        where: { walletAddress: toAddress.toLowerCase() }
+      // Update badge ownership in database (the transfer indexer will see the same event and skip it)
+      await badge.addTransferEvent(user.walletAddress, toAddress, transferResult.txHash, {
+        blockNumber: transferResult.blockNumber
       });
 
-      if (newOwner) {
-        await badge.update({ 
-          userId: newOwner.id,
-          transferredAt: new Date()
-        });
-      }
-
       logger.info(`Badge ${tokenId} transferred from ${user.walletAddress} to ${toAddress}`);
 
       res.status(200).json({
@@ -389,11 +543,10 @@ class BadgeController {
 
       // Verify in database
       const badge = await Badge.findOne({
-        where: { tokenId },
-        include: [{
-          model: User,
-          where: { walletAddress: walletAddress.toLowerCase() }
-        }]
+        where: {
+          tokenId,
+          ownerAddress: walletAddress.toLowerCase()
+        }
       });
 
       const isValidInDB = !!badge;
@@ -422,6 +575,24 @@ class BadgeController {
     }
   }
 
+  async getVerificationReport(req, res) {
+    try {
+      const { tokenId = null, cid = null } = req.params;
+
+      // Public: anyone holding a token ID or visit CID can audit the evidence
+      const report = await badgeVerificationService.verify({ tokenId, cid });
+
+      res.status(200).json({ report });
+
+    } catch (error) {
+      logger.error('Verification report error:', error);
+      res.status(500).json({
+        error: 'Failed to verify proof',
+        message: error.message
+      });
+    }
+  }
+
   async getLeaderboard(req, res) {
     try {
       const { limit = 10 } = req.query;
@@ -433,7 +604,8 @@ class BadgeController {
         ],
         include: [{
           model: User,
-          attributes: ['username', 'walletAddress']
+          attributes: ['username', 'walletAddress'],
+          required: true // Skip tokens held by unregistered wallets
         }],
         group: ['userId', 'User.id'],
         order: [[require('sequelize').literal('badgeCount'), 'DESC']],
@@ -0,0 +1,329 @@
+const { Op } = require('sequelize');
+const Location = require('../models/Location');
+const Visit = require('../models/Visit');
+const NfcTag = require('../models/NfcTag');
+const gpsService = require('../services/gpsService');
+const { normalizeTagId } = require('../utils/nfcUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Map a geofence in gpsService format to Location attributes
+ * @param {object} geofence - {type: 'circle', center, radius} or {type: 'polygon', polygon}
+ * @returns {object} - Location model attributes
+ */
+const geofenceToAttributes = (geofence) => {
+  if (geofence.type === 'polygon') {
+    const center = gpsService.getCenterPoint(geofence.polygon);
+    return {
+      geofenceType: 'polygon',
+      latitude: center.latitude,
+      longitude: center.longitude,
+      radiusMeters: null,
+      polygon: geofence.polygon
+    };
+  }
+
+  return {
+    geofenceType: 'circle',
+    latitude: geofence.center.latitude,
+    longitude: geofence.center.longitude,
+    radiusMeters: geofence.radius,
+    polygon: null
+  };
+};
+
+/**
+ * Find a location other than excludeId already bound to one of the given tags, in either notation
+ * @param {Array} nfcTagIds - NFC tag identifiers
+ * @param {number} excludeId - Location ID to ignore (optional)
+ * @returns {object|null} - Conflicting location
+ */
+const findTagConflict = (nfcTagIds, excludeId = null) => {
+  return Location.findOne({
+    where: {
+      nfcTagIds: { [Op.overlap]: nfcTagIds.map(normalizeTagId) },
+      ...(excludeId && { id: { [Op.ne]: excludeId } })
+    }
+  });
+};
+
+class LocationController {
+
+  async createLocation(req, res) {
+    try {
+      const { name, description, nfcTagIds, geofence } = req.body;
+
+      const conflict = await findTagConflict(nfcTagIds);
+      if (conflict) {
+        return res.status(409).json({
+          error: 'NFC tag already registered',
+          message: `One or more tags are already bound to location ${conflict.id}`
+        });
+      }
+
+      const location = await Location.create({
+        name,
+        description,
+        nfcTagIds,
+        ...geofenceToAttributes(geofence),
+        createdBy: req.user.userId,
+        isActive: true
+      });
+
+      logger.info(`Location ${location.id} registered with ${nfcTagIds.length} NFC tag(s)`);
+
+      res.status(201).json({
+        message: 'Location created successfully',
+        location: {
+          ...location.toPublicJSON(),
+          nfcTagIds: location.nfcTagIds
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create location error:', error);
+      res.status(500).json({
+        error: 'Failed to create location',
+        message: error.message
+      });
+    }
+  }
+
+  async getLocations(req, res) {
+    try {
+      const { limit = 50, offset = 0, name, includeInactive, owned } = req.query;
+
+      const whereClause = {};
+      if (owned === 'true') {
+        whereClause.createdBy = req.user.userId;
+      }
+      if (includeInactive !== 'true') {
+        whereClause.isActive = true;
+      }
+      if (name) {
+        whereClause.name = {
+          [Op.iLike]: `%${name}%`
+        };
+      }
+
+      const locations = await Location.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['name', 'ASC']]
+      });
+
+      res.status(200).json({
+        locations: locations.rows.map(location => location.toPublicJSON()),
+        totalCount: locations.count,
+        hasMore: (parseInt(offset) + locations.rows.length) < locations.count
+      });
+
+    } catch (error) {
+      logger.error('Get locations error:', error);
+      res.status(500).json({
+        error: 'Failed to get locations',
+        message: error.message
+      });
+    }
+  }
+
+  async getLocationById(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const location = await Location.findByPk(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          error: 'Location not found'
+        });
+      }
+
+      const stats = await Visit.getLocationStats(location.id);
+
+      res.status(200).json({
+        location: {
+          ...location.toPublicJSON(),
+          stats: stats[0]
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get location by ID error:', error);
+      res.status(500).json({
+        error: 'Failed to get location',
+        message: error.message
+      });
+    }
+  }
+
+  async updateLocation(req, res) {
+    try {
+      const { locationId } = req.params;
+      const { name, description, nfcTagIds, geofence, isActive } = req.body;
+
+      const location = await Location.findByPk(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          error: 'Location not found'
+        });
+      }
+
+      if (!location.isManagedBy(req.user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You can only manage locations you own'
+        });
+      }
+
+      if (nfcTagIds) {
+        const conflict = await findTagConflict(nfcTagIds, location.id);
+        if (conflict) {
+          return res.status(409).json({
+            error: 'NFC tag already registered',
+            message: `One or more tags are already bound to location ${conflict.id}`
+          });
+        }
+      }
+
+      await location.update({
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(nfcTagIds && { nfcTagIds }),
+        ...(geofence && geofenceToAttributes(geofence)),
+        ...(isActive !== undefined && { isActive })
+      });
+
+      logger.info(`Location ${location.id} updated`);
+
+      res.status(200).json({
+        message: 'Location updated successfully',
+        location: {
+          ...location.toPublicJSON(),
+          nfcTagIds: location.nfcTagIds
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update location error:', error);
+      res.status(500).json({
+        error: 'Failed to update location',
+        message: error.message
+      });
+    }
+  }
+
+  async registerSecureTag(req, res) {
+    try {
+      const { locationId } = req.params;
+      const { uid, sdmFileReadKey } = req.body;
+      const nfcTagId = normalizeTagId(uid);
+
+      const location = await Location.findByPk(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          error: 'Location not found'
+        });
+      }
+
+      if (!location.isManagedBy(req.user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You can only manage locations you own'
+        });
+      }
+
+      const conflict = await findTagConflict([nfcTagId], location.id);
+      if (conflict) {
+        return res.status(409).json({
+          error: 'NFC tag already registered',
+          message: `Tag ${nfcTagId} is already bound to location ${conflict.id}`
+        });
+      }
+
+      if (await NfcTag.findByUid(nfcTagId)) {
+        return res.status(409).json({
+          error: 'NFC tag already registered',
+          message: `Keys for tag ${nfcTagId} are already stored`
+        });
+      }
+
+      const tag = await NfcTag.create({
+        uid: nfcTagId,
+        locationId: location.id,
+        sdmFileReadKey: sdmFileReadKey.toUpperCase()
+      });
+
+      // Bind the UID to the location so visits resolve through the registry
+      if (!location.nfcTagIds.includes(nfcTagId)) {
+        await location.update({ nfcTagIds: [...location.nfcTagIds, nfcTagId] });
+      }
+
+      logger.info(`Secure NFC tag ${nfcTagId} registered for location ${location.id}`);
+
+      res.status(201).json({
+        message: 'Secure NFC tag registered successfully',
+        tag: {
+          id: tag.id,
+          uid: tag.uid,
+          locationId: tag.locationId,
+          lastCounter: tag.lastCounter,
+          isActive: tag.isActive
+        }
+      });
+
+    } catch (error) {
+      logger.error('Register secure tag error:', error);
+      res.status(500).json({
+        error: 'Failed to register secure tag',
+        message: error.message
+      });
+    }
+  }
+
+  async deleteLocation(req, res) {
+    try {
+      const { locationId } = req.params;
+
+      const location = await Location.findByPk(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          error: 'Location not found'
+        });
+      }
+
+      if (!location.isManagedBy(req.user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You can only manage locations you own'
+        });
+      }
+
+      // Deactivate instead of deleting so existing visits keep their reference
+      await location.update({ isActive: false });
+
+      logger.info(`Location ${location.id} deactivated`);
+
+      res.status(200).json({
+        message: 'Location deactivated successfully',
+        location: {
+          id: location.id,
+          isActive: location.isActive
+        }
+      });
+
+    } catch (error) {
+      logger.error('Delete location error:', error);
+      res.status(500).json({
+        error: 'Failed to delete location',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new LocationController();
@@ -1,23 +1,40 @@
 const Visit = require('../models/Visit');
 const User = require('../models/User');
+const Location = require('../models/Location');
 const gpsService = require('../services/gpsService');
+const nfcAuthService = require('../services/nfcAuthService');
+const walletService = require('../services/walletService');
 const ipfsService = require('../services/ipfsService');
 const faissService = require('../services/faissService');
+const visitSearchService = require('../services/visitSearchService');
+const fraudDetectionService = require('../services/fraudDetectionService');
+const visitAnchorService = require('../services/visitAnchorService');
 const { hashUtils } = require('../utils/hashUtils');
+const { normalizeTagId } = require('../utils/nfcUtils');
 const logger = require('../utils/logger');
 
+// How far a signed visit timestamp may drift from server time
+const VISIT_SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+
 class VisitController {
 
   async createVisit(req, res) {
     try {
       const { 
-        nfcTagId, 
         latitude, 
         longitude, 
         timestamp, 
-        locationName,
-        description 
+        description,
+        isPublic = false,
+        sun,
+        signature,
+        accuracy,
+        altitude,
+        speed,
+        heading,
+        deviceInfo = {}
       } = req.body;
+      let { nfcTagId } = req.body;
       
       const userId = req.user.userId;
 
@@ -33,11 +50,99 @@ class VisitController {
         });
       }
 
-      // Check for duplicate visits (same user, same NFC tag, within time window)
+      // The visitor wallet must have signed the exact payload it submits
+      const signedAt = new Date(timestamp).getTime();
+      if (Math.abs(Date.now() - signedAt) > VISIT_SIGNATURE_MAX_AGE_MS) {
+        return res.status(400).json({
+          error: 'Visit signature expired',
+          message: 'The signed visit timestamp is too far from the server time'
+        });
+      }
+
+      const attestation = walletService.createTypedData(
+        walletService.createVisitMessage({
+          nfcTagId,
+          latitude,
+          longitude,
+          timestamp,
+          userAddress: req.user.walletAddress
+        })
+      );
+
+      const isValidSignature = await walletService.verifyTypedSignature(
+        attestation,
+        signature,
+        req.user.walletAddress
+      );
+
+      if (!isValidSignature) {
+        return res.status(401).json({
+          error: 'Invalid visit signature',
+          message: 'The visit signature does not match the authenticated wallet'
+        });
+      }
+
+      // Signed as read; from here on the tag ID takes the form tags are registered with
+      nfcTagId = normalizeTagId(nfcTagId);
+
+      // Authenticate the tag read: secure tags must present a fresh SUN message
+      let sunResult = null;
+      if (sun) {
+        sunResult = await nfcAuthService.verifySunMessage(sun);
+
+        if (!sunResult.valid) {
+          return res.status(sunResult.replayed ? 409 : 401).json({
+            error: 'NFC tag authentication failed',
+            message: sunResult.reason
+          });
+        }
+
+        if (nfcTagId && nfcTagId !== sunResult.nfcTagId) {
+          return res.status(400).json({
+            error: 'NFC tag mismatch',
+            message: 'The tag ID does not match the authenticated tag message'
+          });
+        }
+
+        nfcTagId = sunResult.nfcTagId;
+      } else if (nfcAuthService.requireSun || await nfcAuthService.isSecureTag(nfcTagId)) {
+        return res.status(401).json({
+          error: 'NFC tag authentication required',
+          message: 'This tag must be read with its secure message'
+        });
+      }
+
+      // Resolve the NFC tag to a registered location
+      const location = await Location.findByNfcTagId(nfcTagId);
+
+      if (!location || !location.isActive) {
+        return res.status(404).json({
+          error: 'Unknown NFC tag',
+          message: 'This NFC tag is not registered to an active location'
+        });
+      }
+
+      // Check the coordinates against the location geofence
+      const isWithinGeofence = gpsService.isWithinGeofence(
+        latitude,
+        longitude,
+        location.getGeofence()
+      );
+
+      if (!isWithinGeofence) {
+        return res.status(403).json({
+          error: 'Visit outside location geofence',
+          message: `Your position is not within the area of ${location.name}`
+        });
+      }
+
+      const locationName = location.name;
+
+      // Check for duplicate visits (same user, same location, within time window)
       const duplicateVisit = await Visit.findOne({
         where: {
           userId,
-          nfcTagId,
+          locationId: location.id,
           createdAt: {
             [require('sequelize').Op.gte]: new Date(Date.now() - 30 * 60 * 1000) // 30 minutes
           }
@@ -51,21 +156,47 @@ class VisitController {
         });
       }
 
+      // Burn the tag counter only once the visit is otherwise acceptable
+      if (sunResult) {
+        const counterAccepted = await nfcAuthService.consumeCounter(sunResult.tag, sunResult.counter);
+
+        if (!counterAccepted) {
+          return res.status(409).json({
+            error: 'NFC tag authentication failed',
+            message: 'Tag read already used'
+          });
+        }
+      }
+
       // Create visit data hash
       const visitData = {
         userId,
         nfcTagId,
+        locationId: location.id,
         latitude,
         longitude,
-        timestamp: timestamp || new Date().toISOString(),
+        timestamp,
         locationName,
         description
       };
 
       const visitHash = hashUtils.createVisitHash(visitData);
 
-      // Store on IPFS
-      const ipfsResult = await ipfsService.storeVisitData(visitData);
+      // Anti-fraud scoring: suspicious visits are kept but wait for moderation
+      const fraudAssessment = await fraudDetectionService.assessVisit(
+        { ...visitData, accuracy },
+        location,
+        sunResult
+      );
+
+      // Store on IPFS together with the signed attestation so it can be verified independently
+      const ipfsResult = await ipfsService.storeVisitData({
+        ...visitData,
+        attestation: {
+          ...attestation,
+          signature
+        }
+      });
       
       // Create semantic vector for FAISS
       const semanticVector = await faissService.createVisitVector(visitData);
@@ -74,33 +205,63 @@ class VisitController {
       const visit = await Visit.create({
         userId,
         nfcTagId,
+        locationId: location.id,
         latitude,
         longitude,
         locationName,
         description,
         visitHash,
+        signature,
         ipfsCid: ipfsResult.cid,
         ipnsKey: ipfsResult.ipnsKey,
         semanticVector,
+        embeddingModel: await faissService.getEmbeddingModelId(),
+        isPublic,
         isVerified: false,
+        accuracy,
+        altitude,
+        speed,
+        heading,
+        deviceInfo: {
+          ...deviceInfo,
+          userAgent: req.get('user-agent')
+        },
+        validationData: {
+          nfcAuthentication: sunResult
+            ? { method: 'sun', counter: sunResult.counter }
+            : { method: 'uid' },
+          fraud: fraudAssessment
+        },
+        status: fraudAssessment.flagged ? 'flagged' : 'pending',
         timestamp: new Date(visitData.timestamp)
       });
 
-      logger.info(`Visit created for user ${userId} at location ${locationName}`);
+      // Searchability is best-effort: a failed index write must not lose the visit
+      try {
+        await faissService.indexVisit(visit);
+      } catch (error) {
+        logger.warn(`Visit ${visit.id} not added to the semantic index: ${error.message}`);
+      }
+
+      logger.info(`Visit created for user ${userId} at location ${locationName} (${visit.status})`);
 
       res.status(201).json({
         message: 'Visit created successfully',
         visit: {
           id: visit.id,
           nfcTagId: visit.nfcTagId,
+          locationId: visit.locationId,
           latitude: visit.latitude,
           longitude: visit.longitude,
           locationName: visit.locationName,
           description: visit.description,
           visitHash: visit.visitHash,
+          signature: visit.signature,
           ipfsCid: visit.ipfsCid,
           timestamp: visit.timestamp,
-          isVerified: visit.isVerified
+          isVerified: visit.isVerified,
+          isPublic: visit.isPublic,
+          status: visit.status
         }
       });
 
@@ -183,6 +344,36 @@ class VisitController {
     }
   }
 
+  async getVisitProof(req, res) {
+    try {
+      const { id } = req.params;
+
+      const proof = await visitAnchorService.getVisitProof(id);
+
+      if (!proof) {
+        return res.status(404).json({
+          error: 'Visit not found'
+        });
+      }
+
+      if (!proof.batch) {
+        return res.status(404).json({
+          error: 'Proof not available',
+          message: 'The visit has not been added to an anchoring batch yet'
+        });
+      }
+
+      res.status(200).json({ proof });
+
+    } catch (error) {
+      logger.error('Get visit proof error:', error);
+      res.status(500).json({
+        error: 'Failed to get visit proof',
+        message: error.message
+      });
+    }
+  }
+
   async validateVisit(req, res) {
     try {
       const { 
@@ -241,8 +432,16 @@ class VisitController {
       const { locationId } = req.params;
       const { limit = 20, offset = 0 } = req.query;
 
+      const location = await Location.findByPk(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          error: 'Location not found'
+        });
+      }
+
       const visits = await Visit.findAndCountAll({
-        where: { nfcTagId: locationId },
+        where: { locationId: location.id },
         limit: parseInt(limit),
         offset: parseInt(offset),
         order: [['timestamp', 'DESC']],
@@ -256,7 +455,8 @@ class VisitController {
       res.status(200).json({
         visits: visits.rows,
         totalCount: visits.count,
-        locationId
+        locationId: location.id,
+        location: location.toPublicJSON()
       });
 
     } catch (error) {
@@ -289,6 +489,16 @@ class VisitController {
         });
       }
 
+      // Flagged visits are verified by a moderator, rejected ones never
+      if (visit.status === 'flagged' || visit.status === 'rejected') {
+        return res.status(403).json({
+          error: 'Visit not eligible for verification',
+          message: visit.status === 'flagged'
+            ? 'This visit is under review'
+            : 'This visit was rejected'
+        });
+      }
+
       // Perform additional verification checks
       const ipfsData = await ipfsService.getVisitData(visit.ipfsCid);
       const isDataIntact = hashUtils.verifyVisitHash(ipfsData, visit.visitHash);
@@ -302,7 +512,8 @@ class VisitController {
       // Mark as verified
       await visit.update({ 
         isVerified: true,
-        verifiedAt: new Date()
+        verifiedAt: new Date(),
+        status: 'verified'
       });
 
       logger.info(`Visit ${id} verified for NFT minting`);
@@ -365,24 +576,50 @@ class VisitController {
     }
   }
 
+  async searchVisits(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { limit = 20, offset = 0 } = req.query;
+
+      const { results, totalCount, hasMore } = await visitSearchService.search({ ...req.query, limit, offset }, userId);
+
+      res.status(200).json({
+        results,
+        totalCount,
+        limit,
+        offset,
+        hasMore
+      });
+
+    } catch (error) {
+      logger.error('Visit search error:', error);
+      res.status(500).json({
+        error: 'Failed to search visits',
+        message: error.message
+      });
+    }
+  }
+
   async semanticSearchVisits(req, res) {
     try {
-      const { query, limit = 10 } = req.body;
+      const { query, limit = 10, includePublic = true } = req.body;
       const userId = req.user.userId;
 
       // Create query vector
       const queryVector = await faissService.createQueryVector(query);
 
-      // Search similar visits
+      // Search the caller's visits (and public ones), ranked by similarity
       const similarVisits = await faissService.searchSimilarVisits(
         queryVector, 
-        limit,
-        userId
+        parseInt(limit),
+        userId,
+        { includePublic }
       );
 
       res.status(200).json({
         query,
-        results: similarVisits
+        results: similarVisits,
+        totalResults: similarVisits.length
       });
 
     } catch (error) {
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const logger = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -75,11 +76,30 @@ class AuthMiddleware {
         });
       }
 
+      // Role changes take effect at once: the client refreshes to get a token with the new role
+      if (decoded.role !== user.role) {
+        return res.status(401).json({
+          error: 'Role changed',
+          message: 'Your permissions changed, please refresh your token'
+        });
+      }
+
+      // The session behind the token must still be live (logout revokes it server-side)
+      const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+
+      if (!session || session.userId !== user.id || !session.isActive()) {
+        return res.status(401).json({
+          error: 'Session revoked',
+          message: 'This session has ended, please login again'
+        });
+      }
+
       // Add user info to request object
       req.user = {
         userId: user.id,
         walletAddress: user.walletAddress,
         username: user.username,
+        role: user.role,
         isActive: user.isActive
       };
 
@@ -87,6 +107,7 @@ class AuthMiddleware {
       req.token = {
         token: token,
         payload: decoded,
+        sessionId: session.id,
         issuedAt: new Date(decoded.iat * 1000),
         expiresAt: new Date(decoded.exp * 1000)
       };
@@ -156,6 +177,30 @@ class AuthMiddleware {
     };
   }
 
+  /**
+   * Require one of the given roles (admins always pass)
+   * @param {...string} roles - Accepted roles: 'user', 'organizer', 'moderator', 'admin'
+   */
+  requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required'
+        });
+      }
+
+      if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+        logger.warn(`Role ${req.user.role} of ${req.user.walletAddress} denied ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `This action requires the ${roles.join(' or ')} role`
+        });
+      }
+
+      next();
+    };
+  }
+
   /**
    * Rate limiting by user
    * @param {number} maxRequests - Maximum requests per window
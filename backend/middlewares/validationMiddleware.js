@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { ethers } = require('ethers');
+const { normalizeTagId } = require('../utils/nfcUtils');
 const logger = require('../utils/logger');
 
 class ValidationMiddleware {
@@ -50,8 +51,8 @@ class ValidationMiddleware {
 
     body('message')
       .isString()
-      .isLength({ min: 10, max: 500 })
-      .withMessage('Valid message is required'),
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Valid Sign-In with Ethereum message is required'),
 
     this.handleValidationErrors
   ];
@@ -77,8 +78,8 @@ class ValidationMiddleware {
 
     body('message')
       .isString()
-      .isLength({ min: 10, max: 500 })
-      .withMessage('Valid message is required'),
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Valid Sign-In with Ethereum message is required'),
 
     body('username')
       .optional()
@@ -90,6 +91,18 @@ class ValidationMiddleware {
     this.handleValidationErrors
   ];
 
+  /**
+   * Validation rules for refresh token exchange
+   */
+  validateRefreshToken = [
+    body('refreshToken')
+      .isString()
+      .matches(/^[0-9a-f-]{36}\.[0-9a-f]{64}$/)
+      .withMessage('Valid refresh token is required'),
+
+    this.handleValidationErrors
+  ];
+
   /**
    * Validation rules for profile update
    */
@@ -136,10 +149,45 @@ class ValidationMiddleware {
    */
   validateVisitData = [
     body('nfcTagId')
+      .if(body('sun').not().exists())
       .isString()
       .isLength({ min: 1, max: 100 })
       .withMessage('NFC tag ID is required'),
 
+    body('sun')
+      .optional()
+      .isObject()
+      .custom((value) => {
+        if (!value.piccData && !(value.uid && value.counter !== undefined)) {
+          throw new Error('SUN message requires piccData or uid and counter');
+        }
+        return true;
+      }),
+
+    body('sun.piccData')
+      .optional()
+      .isHexadecimal()
+      .isLength({ min: 32, max: 32 })
+      .withMessage('SUN PICC data must be 16 bytes of hex'),
+
+    body('sun.uid')
+      .optional()
+      .customSanitizer(normalizeTagId)
+      .isHexadecimal()
+      .isLength({ min: 14, max: 14 })
+      .withMessage('SUN UID must be 7 bytes of hex'),
+
+    body('sun.counter')
+      .optional()
+      .isInt({ min: 0, max: 0xffffff })
+      .withMessage('SUN counter must be a 24-bit integer'),
+
+    body('sun.cmac')
+      .if(body('sun').exists())
+      .isHexadecimal()
+      .isLength({ min: 16, max: 16 })
+      .withMessage('SUN CMAC must be 8 bytes of hex'),
+
     body('latitude')
       .isNumeric()
       .custom((value) => {
@@ -179,6 +227,37 @@ class ValidationMiddleware {
       .isLength({ max: 1000 })
       .withMessage('Description must be less than 1000 characters'),
 
+    body('isPublic')
+      .optional()
+      .isBoolean()
+      .withMessage('isPublic must be a boolean'),
+
+    body('accuracy')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('GPS accuracy must be a non-negative number of meters'),
+
+    body('altitude')
+      .optional({ nullable: true })
+      .isFloat()
+      .withMessage('Altitude must be a number'),
+
+    body('speed')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Speed must be a non-negative number'),
+
+    body('heading')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 360 })
+      .withMessage('Heading must be between 0 and 360 degrees'),
+
+    body('deviceInfo')
+      .optional()
+      .isObject()
+      .custom((value) => JSON.stringify(value).length <= 2000)
+      .withMessage('Device info must be an object of at most 2000 characters'),
+
     body('expectedLocation')
       .optional()
       .isObject()
@@ -199,6 +278,22 @@ class ValidationMiddleware {
     this.handleValidationErrors
   ];
 
+  /**
+   * Validation rules for the EIP-712 attestation required when submitting a visit
+   */
+  validateVisitAttestation = [
+    body('timestamp')
+      .isISO8601()
+      .withMessage('Signed timestamp in ISO8601 format required'),
+
+    body('signature')
+      .isString()
+      .isLength({ min: 130, max: 132 })
+      .withMessage('Valid EIP-712 visit signature is required'),
+
+    this.handleValidationErrors
+  ];
+
   /**
    * Validation rules for visit ID parameter
    */
@@ -215,10 +310,137 @@ class ValidationMiddleware {
    */
   validateLocationId = [
     param('locationId')
+      .isInt({ min: 1 })
+      .withMessage('Valid location ID is required'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Custom validator for geofence objects ({type: 'circle'|'polygon', ...})
+   */
+  isValidGeofence = (value) => {
+    const isValidPoint = (point) =>
+      point &&
+      typeof point.latitude === 'number' && point.latitude >= -90 && point.latitude <= 90 &&
+      typeof point.longitude === 'number' && point.longitude >= -180 && point.longitude <= 180;
+
+    if (value.type === 'circle') {
+      if (!isValidPoint(value.center)) {
+        throw new Error('Circle geofence requires a valid center');
+      }
+      if (typeof value.radius !== 'number' || value.radius < 1 || value.radius > 10000) {
+        throw new Error('Circle geofence radius must be between 1 and 10000 meters');
+      }
+      return true;
+    }
+
+    if (value.type === 'polygon') {
+      if (!Array.isArray(value.polygon) || value.polygon.length < 3) {
+        throw new Error('Polygon geofence requires at least 3 vertices');
+      }
+      if (!value.polygon.every(isValidPoint)) {
+        throw new Error('Polygon geofence vertices must be valid coordinates');
+      }
+      return true;
+    }
+
+    throw new Error('Geofence type must be: circle or polygon');
+  };
+
+  /**
+   * Validation rules for location creation
+   */
+  validateLocation = [
+    body('name')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Location name must be between 1 and 200 characters'),
+
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+
+    body('nfcTagIds')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('At least one NFC tag ID is required'),
+
+    body('nfcTagIds.*')
       .isString()
       .isLength({ min: 1, max: 100 })
+      .withMessage('NFC tag IDs must be between 1 and 100 characters'),
+
+    body('geofence')
+      .isObject()
+      .custom(this.isValidGeofence),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for location update
+   */
+  validateLocationUpdate = [
+    param('locationId')
+      .isInt({ min: 1 })
       .withMessage('Valid location ID is required'),
 
+    body('name')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Location name must be between 1 and 200 characters'),
+
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+
+    body('nfcTagIds')
+      .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('At least one NFC tag ID is required'),
+
+    body('nfcTagIds.*')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('NFC tag IDs must be between 1 and 100 characters'),
+
+    body('geofence')
+      .optional()
+      .isObject()
+      .custom(this.isValidGeofence),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for secure NFC tag registration
+   */
+  validateSecureTag = [
+    param('locationId')
+      .isInt({ min: 1 })
+      .withMessage('Valid location ID is required'),
+
+    body('uid')
+      .customSanitizer(normalizeTagId)
+      .isHexadecimal()
+      .isLength({ min: 14, max: 14 })
+      .withMessage('Tag UID must be 7 bytes of hex'),
+
+    body('sdmFileReadKey')
+      .isHexadecimal()
+      .isLength({ min: 32, max: 32 })
+      .withMessage('SDM file read key must be a 16-byte AES key in hex'),
+
     this.handleValidationErrors
   ];
 
@@ -236,9 +458,333 @@ class ValidationMiddleware {
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
 
+    body('includePublic')
+      .optional()
+      .isBoolean()
+      .withMessage('includePublic must be a boolean'),
+
     this.handleValidationErrors
   ];
 
+  /**
+   * Validation rules for hybrid visit search (query string)
+   */
+  validateVisitSearch = [
+    query('q')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Search text must be between 1 and 500 characters'),
+
+    query(['lat', 'minLat', 'maxLat'])
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+
+    query(['lng', 'minLng', 'maxLng'])
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+
+    query('radiusKm')
+      .optional()
+      .isFloat({ gt: 0, max: 500 })
+      .withMessage('Radius must be between 0 and 500 km')
+      .toFloat()
+      .custom((value, { req }) => {
+        if (req.query.lat === undefined || req.query.lng === undefined) {
+          throw new Error('lat and lng are required with radiusKm');
+        }
+        if (req.query.minLat !== undefined || req.query.minLng !== undefined) {
+          throw new Error('Use either a radius or a bounding box, not both');
+        }
+        return true;
+      }),
+
+    query('minLat')
+      .optional()
+      .custom((value, { req }) => {
+        const { maxLat, minLng, maxLng } = req.query;
+        if (maxLat === undefined || minLng === undefined || maxLng === undefined) {
+          throw new Error('A bounding box needs minLat, maxLat, minLng and maxLng');
+        }
+        if (parseFloat(value) > parseFloat(maxLat) || parseFloat(minLng) > parseFloat(maxLng)) {
+          throw new Error('Bounding box minimums must not exceed maximums');
+        }
+        return true;
+      }),
+
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601')
+      .toDate(),
+
+    query('to')
+      .optional()
+      .custom((value, { req }) => {
+        if (req.query.from && req.query.from > value) {
+          throw new Error('from must be before to');
+        }
+        return true;
+      }),
+
+    query(['verified', 'includePublic'])
+      .optional()
+      .isBoolean()
+      .withMessage('verified and includePublic must be booleans')
+      .toBoolean(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be 0 or greater')
+      .toInt(),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for the visit moderation queue
+   */
+  validateModerationQueue = [
+    query('status')
+      .optional()
+      .isIn(['pending', 'flagged', 'verified', 'rejected'])
+      .withMessage('Status must be pending, flagged, verified or rejected'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be 0 or greater'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for bulk moderation decisions
+   */
+  validateModerationAction = [
+    body('visitIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Between 1 and 100 visit IDs are required'),
+
+    body('visitIds.*')
+      .isInt({ min: 1 })
+      .withMessage('Visit IDs must be positive integers'),
+
+    body('action')
+      .isIn(['approve', 'reject', 'flag'])
+      .withMessage('Action must be approve, reject or flag'),
+
+    body('notes')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be less than 2000 characters'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for listing users by role
+   */
+  validateUserList = [
+    query('role')
+      .optional()
+      .isIn(['user', 'organizer', 'moderator', 'admin'])
+      .withMessage('Role must be user, organizer, moderator or admin'),
+
+    query('q')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search must be between 1 and 100 characters'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be 0 or greater'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for role changes
+   */
+  validateRoleChange = [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid user ID is required'),
+
+    body('role')
+      .isIn(['user', 'organizer', 'moderator', 'admin'])
+      .withMessage('Role must be user, organizer, moderator or admin'),
+
+    body('notes')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be less than 2000 characters'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for listing badge series
+   */
+  validateBadgeSeriesList = [
+    query('locationId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Valid location ID is required'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be 0 or greater'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for badge series ID parameter
+   */
+  validateBadgeSeriesId = [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid badge series ID is required'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for creating a badge series
+   */
+  validateBadgeSeriesCreation = [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    body('locationId')
+      .isInt({ min: 1 })
+      .withMessage('Valid location ID is required'),
+
+    ...this.badgeSeriesRules(),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for updating a badge series (location cannot change)
+   */
+  validateBadgeSeriesUpdate = [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid badge series ID is required'),
+
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    ...this.badgeSeriesRules(),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for revoking a fraudulent badge
+   */
+  validateBadgeRevocation = [
+    param('tokenId')
+      .isInt({ min: 0 })
+      .withMessage('Valid token ID is required'),
+
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Reason must be between 3 and 200 characters'),
+
+    body('notes')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be less than 2000 characters'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Rules shared by badge series creation and update
+   */
+  badgeSeriesRules() {
+    return [
+      body('description')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Description must be less than 1000 characters'),
+
+      body('maxSupply')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Max supply must be a positive integer, or null for unlimited'),
+
+      body('startsAt')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Valid start date in ISO8601 format required'),
+
+      body('endsAt')
+        .optional({ nullable: true })
+        .isISO8601()
+        .custom((value, { req }) => !req.body.startsAt || new Date(value) > new Date(req.body.startsAt))
+        .withMessage('End date must be in ISO8601 format and after the start date'),
+
+      body('baseMetadataUri')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 500 })
+        .matches(/^(ipfs|ipns|https?):\/\//)
+        .withMessage('Base metadata URI must be an ipfs://, ipns:// or http(s) URL'),
+
+      body('isSoulbound')
+        .optional()
+        .isBoolean()
+        .withMessage('isSoulbound must be a boolean')
+    ];
+  }
+
   /**
    * Validation rules for badge minting
    */
@@ -256,6 +802,43 @@ class ValidationMiddleware {
     this.handleValidationErrors
   ];
 
+  /**
+   * Validation rules for IPFS CID parameter of a visit record
+   */
+  validateVisitCid = [
+    param('cid')
+      .matches(/^[A-Za-z0-9]{46,100}$/)
+      .withMessage('Valid IPFS CID is required'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for mint job ID parameter
+   */
+  validateMintJobId = [
+    param('jobId')
+      .isUUID()
+      .withMessage('Valid mint job ID is required'),
+
+    this.handleValidationErrors
+  ];
+
+  /**
+   * Validation rules for redeeming a claim voucher
+   */
+  validateVoucherRedeem = [
+    param('voucherId')
+      .isUUID()
+      .withMessage('Valid voucher ID is required'),
+
+    body('txHash')
+      .matches(/^0x[0-9a-fA-F]{64}$/)
+      .withMessage('Valid transaction hash is required'),
+
+    this.handleValidationErrors
+  ];
+
   /**
    * Validation rules for token ID parameter
    */
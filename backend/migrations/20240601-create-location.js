@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('locations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+        comment: 'Human-readable location name'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Description of the place'
+      },
+      nfcTagIds: {
+        type: Sequelize.ARRAY(Sequelize.STRING(100)),
+        allowNull: false,
+        defaultValue: [],
+        comment: 'NFC tag identifiers installed at this location'
+      },
+      geofenceType: {
+        type: Sequelize.ENUM('circle', 'polygon'),
+        allowNull: false,
+        defaultValue: 'circle',
+        comment: 'Shape of the geofence'
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 8),
+        allowNull: false
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(11, 8),
+        allowNull: false
+      },
+      radiusMeters: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: 100,
+        comment: 'Radius of circle geofences in meters'
+      },
+      polygon: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Array of {latitude, longitude} vertices for polygon geofences'
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Inactive locations no longer accept visits'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('locations', ['name']);
+    await queryInterface.addIndex('locations', ['nfcTagIds'], { using: 'gin' });
+    await queryInterface.addIndex('locations', ['isActive']);
+    await queryInterface.addIndex('locations', ['latitude', 'longitude']);
+
+    // Collega le visite al registro delle location
+    await queryInterface.addColumn('visits', 'locationId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'locations', key: 'id' },
+      onDelete: 'SET NULL',
+      comment: 'Registered location the NFC tag belongs to'
+    });
+    await queryInterface.addIndex('visits', ['locationId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('visits', 'locationId');
+    await queryInterface.dropTable('locations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_locations_geofenceType"');
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('nfc_tags', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      uid: {
+        type: Sequelize.STRING(14),
+        allowNull: false,
+        unique: true,
+        comment: '7-byte tag UID as uppercase hex, used as nfcTagId for visits'
+      },
+      locationId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'locations', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      sdmFileReadKey: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        comment: 'AES-128 SDMFileReadKey (hex) used to verify the SUN CMAC'
+      },
+      lastCounter: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: -1,
+        comment: 'Highest SDMReadCtr value accepted so far'
+      },
+      lastVerifiedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When a SUN message from this tag was last accepted'
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('nfc_tags', ['uid'], { unique: true });
+    await queryInterface.addIndex('nfc_tags', ['locationId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('nfc_tags');
+  }
+};
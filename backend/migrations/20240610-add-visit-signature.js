@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('visits', 'signature', {
+      type: Sequelize.STRING(132),
+      allowNull: true,
+      comment: 'EIP-712 Visit signature by the visitor wallet'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('visits', 'signature');
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('auth_nonces', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nonce: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'Random EIP-4361 nonce issued by GET /api/auth/nonce'
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      walletAddress: {
+        type: Sequelize.STRING(42),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('auth_nonces', ['nonce'], { unique: true });
+    await queryInterface.addIndex('auth_nonces', ['expiresAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('auth_nonces');
+  }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      refreshTokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of the refresh token that may be exchanged next'
+      },
+      rotationCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedReason: {
+        type: Sequelize.ENUM('logout', 'logout_all', 'token_reuse', 'account_deactivated'),
+        allowNull: true
+      },
+      userAgent: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      ipAddress: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('sessions', ['userId']);
+    await queryInterface.addIndex('sessions', ['expiresAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('sessions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_sessions_revokedReason"');
+  }
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('mint_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      idempotencyKey: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Deduplication key, derived from the visit'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      visitId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'visits', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      badgeType: {
+        type: Sequelize.ENUM('location', 'achievement', 'special', 'milestone'),
+        allowNull: false,
+        defaultValue: 'location'
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'submitted', 'confirmed', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      nextRunAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      lockedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lockedBy: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      badgeId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      metadataUri: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      metadataCid: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      txHash: {
+        type: Sequelize.STRING(66),
+        allowNull: true
+      },
+      submittedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      tokenId: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      badgeRecordId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'badges', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      confirmedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('mint_jobs', ['idempotencyKey'], { unique: true });
+    await queryInterface.addIndex('mint_jobs', ['status', 'nextRunAt']);
+    await queryInterface.addIndex('mint_jobs', ['userId']);
+    await queryInterface.addIndex('mint_jobs', ['visitId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('mint_jobs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_mint_jobs_badgeType"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_mint_jobs_status"');
+  }
+};
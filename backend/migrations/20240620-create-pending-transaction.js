@@ -0,0 +1,118 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('pending_transactions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      fromAddress: {
+        type: Sequelize.STRING(42),
+        allowNull: false
+      },
+      nonce: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reference: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Idempotency key of the operation that sent the transaction'
+      },
+      toAddress: {
+        type: Sequelize.STRING(42),
+        allowNull: false
+      },
+      data: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '0x'
+      },
+      value: {
+        type: Sequelize.STRING(78),
+        allowNull: false,
+        defaultValue: '0'
+      },
+      gasLimit: {
+        type: Sequelize.STRING(78),
+        allowNull: false
+      },
+      maxFeePerGas: {
+        type: Sequelize.STRING(78),
+        allowNull: false
+      },
+      maxPriorityFeePerGas: {
+        type: Sequelize.STRING(78),
+        allowNull: false
+      },
+      txHash: {
+        type: Sequelize.STRING(66),
+        allowNull: false
+      },
+      rawTransaction: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      replacedTxHashes: {
+        type: Sequelize.ARRAY(Sequelize.STRING(66)),
+        allowNull: false,
+        defaultValue: []
+      },
+      bumpCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastBroadcastAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'confirmed', 'reverted', 'dropped'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      minedTxHash: {
+        type: Sequelize.STRING(66),
+        allowNull: true
+      },
+      blockNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      minedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('pending_transactions', ['fromAddress', 'nonce'], { unique: true });
+    await queryInterface.addIndex('pending_transactions', ['status']);
+    await queryInterface.addIndex('pending_transactions', ['reference']);
+    await queryInterface.addIndex('pending_transactions', ['txHash']);
+    await queryInterface.addIndex('pending_transactions', ['replacedTxHashes'], { using: 'gin' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('pending_transactions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pending_transactions_status"');
+  }
+};
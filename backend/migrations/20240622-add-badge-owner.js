@@ -0,0 +1,38 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('badges', 'ownerAddress', {
+      type: Sequelize.STRING(42),
+      allowNull: true,
+      comment: 'Current on-chain holder, kept in sync by the transfer indexer'
+    });
+
+    // Tokens can be held by wallets that never registered
+    await queryInterface.changeColumn('badges', 'userId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    });
+
+    // Until the indexer catches up, the minting user is the best known holder
+    await queryInterface.sequelize.query(
+      'UPDATE badges SET "ownerAddress" = LOWER(users."walletAddress") FROM users WHERE badges."userId" = users.id'
+    );
+
+    // Indici
+    await queryInterface.addIndex('badges', ['ownerAddress']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('badges', 'ownerAddress');
+    await queryInterface.sequelize.query('DELETE FROM badges WHERE "userId" IS NULL');
+    await queryInterface.changeColumn('badges', 'userId', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'CASCADE'
+    });
+  }
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('indexer_cursors', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      chainId: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      contractAddress: {
+        type: Sequelize.STRING(42),
+        allowNull: false
+      },
+      lastBlock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Last fully indexed block'
+      },
+      lastBlockHash: {
+        type: Sequelize.STRING(66),
+        allowNull: true,
+        comment: 'Hash of lastBlock when it was indexed, used to detect reorgs'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('indexer_cursors', ['name'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('indexer_cursors');
+  }
+};
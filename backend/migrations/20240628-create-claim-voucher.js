@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('claim_vouchers', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      visitId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'visits', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      badgeType: {
+        type: Sequelize.ENUM('location', 'achievement', 'special', 'milestone'),
+        allowNull: false,
+        defaultValue: 'location'
+      },
+      recipient: {
+        type: Sequelize.STRING(42),
+        allowNull: false,
+        comment: 'Wallet that must submit the claim'
+      },
+      badgeId: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      metadataUri: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      metadataCid: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      nonce: {
+        type: Sequelize.STRING(78),
+        allowNull: false,
+        unique: true,
+        comment: 'uint256 voucher nonce, as a decimal string'
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      signature: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('issued', 'redeemed'),
+        allowNull: false,
+        defaultValue: 'issued'
+      },
+      txHash: {
+        type: Sequelize.STRING(66),
+        allowNull: true
+      },
+      tokenId: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      badgeRecordId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'badges', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      redeemedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('claim_vouchers', ['userId']);
+    await queryInterface.addIndex('claim_vouchers', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('claim_vouchers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_claim_vouchers_badgeType"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_claim_vouchers_status"');
+  }
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('visits', 'isPublic', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether other users can find the visit in semantic search'
+    });
+
+    // Indici
+    await queryInterface.addIndex('visits', ['isPublic']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('visits', 'isPublic');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('visits', 'embeddingModel', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Embedding model that produced semanticVector'
+    });
+
+    // Existing vectors come from the word-hash embedder
+    await queryInterface.sequelize.query(
+      'UPDATE visits SET "embeddingModel" = \'hash-v1-384\' WHERE "semanticVector" IS NOT NULL'
+    );
+
+    // Indici
+    await queryInterface.addIndex('visits', ['embeddingModel']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('visits', 'embeddingModel');
+  }
+};
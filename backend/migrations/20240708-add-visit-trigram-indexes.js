@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Trigram similarity for visit text search; the GIN indexes serve the <% operator and ILIKE, not word_similarity() calls
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    // Indici
+    await queryInterface.addIndex('visits', ['locationName'], {
+      name: 'visits_location_name_trgm',
+      using: 'gin',
+      operator: 'gin_trgm_ops'
+    });
+    await queryInterface.addIndex('visits', ['description'], {
+      name: 'visits_description_trgm',
+      using: 'gin',
+      operator: 'gin_trgm_ops'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('visits', 'visits_location_name_trgm');
+    await queryInterface.removeIndex('visits', 'visits_description_trgm');
+  }
+};
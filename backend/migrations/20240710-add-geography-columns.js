@@ -0,0 +1,36 @@
+'use strict';
+
+// Geography point derived from latitude/longitude; generated so it can never drift from them
+const geographyColumn = (table) => `
+  ALTER TABLE "${table}"
+  ADD COLUMN "geog" geography(Point, 4326)
+  GENERATED ALWAYS AS (
+    ST_SetSRID(ST_MakePoint("longitude"::double precision, "latitude"::double precision), 4326)::geography
+  ) STORED
+`;
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis');
+
+    await queryInterface.sequelize.query(geographyColumn('visits'));
+    await queryInterface.sequelize.query(geographyColumn('locations'));
+
+    // Indici
+    await queryInterface.addIndex('visits', ['geog'], {
+      name: 'visits_geog_gist',
+      using: 'gist'
+    });
+    await queryInterface.addIndex('locations', ['geog'], {
+      name: 'locations_geog_gist',
+      using: 'gist'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('visits', 'visits_geog_gist');
+    await queryInterface.removeIndex('locations', 'locations_geog_gist');
+    await queryInterface.removeColumn('visits', 'geog');
+    await queryInterface.removeColumn('locations', 'geog');
+  }
+};
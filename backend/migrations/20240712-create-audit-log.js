@@ -0,0 +1,66 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('audit_logs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+        comment: 'User who took the action, null for system actions'
+      },
+      actorAddress: {
+        type: Sequelize.STRING(42),
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Dotted action name, e.g. "visit.approve"'
+      },
+      targetType: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      targetId: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      ipAddress: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Indici
+    await queryInterface.addIndex('audit_logs', ['targetType', 'targetId']);
+    await queryInterface.addIndex('audit_logs', ['actorId']);
+    await queryInterface.addIndex('audit_logs', ['action']);
+    await queryInterface.addIndex('audit_logs', ['createdAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('audit_logs');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'role', {
+      type: Sequelize.ENUM('user', 'organizer', 'moderator', 'admin'),
+      allowNull: false,
+      defaultValue: 'user',
+      comment: 'organizer: manages own locations; moderator: reviews visits; admin: everything'
+    });
+
+    // The wallet that used to be the only admin keeps its access
+    if (process.env.ADMIN_WALLET_ADDRESS) {
+      await queryInterface.bulkUpdate('users', { role: 'admin' }, {
+        walletAddress: process.env.ADMIN_WALLET_ADDRESS.toLowerCase()
+      });
+    }
+
+    // Indici
+    await queryInterface.addIndex('users', ['role']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'role');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_role"');
+  }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('visit_batches', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      merkleRoot: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 Merkle root of the visit hashes in the batch'
+      },
+      leafCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'submitted', 'anchored', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      contractAddress: {
+        type: Sequelize.STRING(42),
+        allowNull: true
+      },
+      txHash: {
+        type: Sequelize.STRING(66),
+        allowNull: true
+      },
+      blockNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      submittedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      anchoredAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addColumn('visits', 'batchId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'visit_batches', key: 'id' },
+      onDelete: 'SET NULL',
+      comment: 'Merkle batch the visit hash was anchored in'
+    });
+    await queryInterface.addColumn('visits', 'merkleLeafIndex', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('visits', 'merkleProof', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Sibling hashes from the visit hash up to the batch root'
+    });
+
+    // Indici
+    await queryInterface.addIndex('visit_batches', ['merkleRoot'], { unique: true });
+    await queryInterface.addIndex('visit_batches', ['status']);
+    await queryInterface.addIndex('visits', ['batchId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('visits', 'merkleProof');
+    await queryInterface.removeColumn('visits', 'merkleLeafIndex');
+    await queryInterface.removeColumn('visits', 'batchId');
+    await queryInterface.dropTable('visit_batches');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_visit_batches_status"');
+  }
+};
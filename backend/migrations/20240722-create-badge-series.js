@@ -0,0 +1,100 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('badge_series', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      locationId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'locations', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      maxSupply: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Maximum number of badges, null for unlimited'
+      },
+      startsAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      endsAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      baseMetadataUri: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      isSoulbound: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      syncStatus: {
+        type: Sequelize.ENUM('pending', 'submitted', 'synced', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      txHash: {
+        type: Sequelize.STRING(66),
+        allowNull: true
+      },
+      syncedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Series IDs are badge IDs on-chain; start above the 0-9999 range of the old hashed IDs
+    await queryInterface.sequelize.query('ALTER SEQUENCE "badge_series_id_seq" RESTART WITH 10000');
+
+    // Indici
+    await queryInterface.addIndex('badge_series', ['locationId']);
+    await queryInterface.addIndex('badge_series', ['syncStatus']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('badge_series');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_badge_series_syncStatus"');
+  }
+};
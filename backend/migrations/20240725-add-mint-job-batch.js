@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('mint_jobs', 'batchKey', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Shared by the jobs of one batch mint, persisted before the transaction is sent'
+    });
+    await queryInterface.addColumn('mint_jobs', 'batchIndex', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Position of the recipient in the batch'
+    });
+
+    // Badges minted in one claimBadgeBatch transaction share its hash
+    await queryInterface.sequelize.query('ALTER TABLE "badges" DROP CONSTRAINT IF EXISTS "badges_txHash_key"');
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "badges_tx_hash"');
+
+    // Indici
+    await queryInterface.addIndex('mint_jobs', ['batchKey']);
+    await queryInterface.addIndex('badges', ['txHash']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('badges', ['txHash']);
+    await queryInterface.addIndex('badges', ['txHash'], { unique: true });
+    await queryInterface.removeIndex('mint_jobs', ['batchKey']);
+    await queryInterface.removeColumn('mint_jobs', 'batchIndex');
+    await queryInterface.removeColumn('mint_jobs', 'batchKey');
+  }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('badges', 'revocationStatus', {
+      type: Sequelize.ENUM('submitted', 'revoked', 'failed'),
+      allowNull: true,
+      comment: 'Progress of the on-chain revocation; null if the badge was never revoked'
+    });
+    await queryInterface.addColumn('badges', 'revocationReason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Why moderation revoked the badge, also recorded on-chain'
+    });
+    await queryInterface.addColumn('badges', 'revocationTxHash', {
+      type: Sequelize.STRING(66),
+      allowNull: true,
+      comment: 'Transaction hash of the revoke call'
+    });
+    await queryInterface.addColumn('badges', 'revocationError', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Why the last revoke transaction failed'
+    });
+    await queryInterface.addColumn('badges', 'revokedBy', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Moderator who revoked the badge'
+    });
+    await queryInterface.addColumn('badges', 'revokedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the badge was revoked'
+    });
+
+    // Indici
+    await queryInterface.addIndex('badges', ['revocationStatus']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('badges', ['revocationStatus']);
+    await queryInterface.removeColumn('badges', 'revokedAt');
+    await queryInterface.removeColumn('badges', 'revokedBy');
+    await queryInterface.removeColumn('badges', 'revocationError');
+    await queryInterface.removeColumn('badges', 'revocationTxHash');
+    await queryInterface.removeColumn('badges', 'revocationReason');
+    await queryInterface.removeColumn('badges', 'revocationStatus');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_badges_revocationStatus"');
+  }
+};
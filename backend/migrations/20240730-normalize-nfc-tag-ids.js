@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Same form as utils/nfcUtils normalizeTagId: uppercase, no colons, no duplicates
+    await queryInterface.sequelize.query(`
+      UPDATE locations
+      SET "nfcTagIds" = ARRAY(
+        SELECT DISTINCT upper(replace(btrim(tag), ':', ''))
+        FROM unnest("nfcTagIds") AS tag
+      )
+      WHERE EXISTS (
+        SELECT 1 FROM unnest("nfcTagIds") AS tag
+        WHERE tag <> upper(replace(btrim(tag), ':', ''))
+      )
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE nfc_tags
+      SET uid = upper(replace(btrim(uid), ':', ''))
+      WHERE uid <> upper(replace(btrim(uid), ':', ''))
+    `);
+  },
+
+  down: async () => {
+    // The original notation is not kept; normalised IDs resolve tags read in either form
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('badge_series', 'syncedVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Latest version confirmed on-chain, which mints keep using while a newer one is sent; null if never defined'
+    });
+
+    // syncedAt is only set on confirmation: a series edited since then is still defined by an earlier version
+    await queryInterface.sequelize.query(`
+      UPDATE badge_series
+      SET "syncedVersion" = CASE WHEN "syncStatus" = 'synced' THEN version ELSE version - 1 END
+      WHERE "syncedAt" IS NOT NULL
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('badge_series', 'syncedVersion');
+  }
+};
@@ -0,0 +1,140 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Who acted
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'User who took the action, null for system actions'
+  },
+
+  actorAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: true,
+    set(value) {
+      this.setDataValue('actorAddress', value ? value.toLowerCase() : null);
+    },
+    comment: 'Wallet of the actor at the time, kept if the user is deleted'
+  },
+
+  // What was done, to what
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Dotted action name, e.g. "visit.approve"'
+  },
+
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Kind of record acted on, e.g. "visit"'
+  },
+
+  targetId: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Relevant fields before and after the action'
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+
+  // Entries are never updated, so only the creation time is kept
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+
+  indexes: [
+    {
+      fields: ['targetType', 'targetId']
+    },
+    {
+      fields: ['actorId']
+    },
+    {
+      fields: ['action']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+// Instance methods
+AuditLog.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    actorId: this.actorId,
+    actorAddress: this.actorAddress,
+    action: this.action,
+    targetType: this.targetType,
+    targetId: this.targetId,
+    changes: this.changes,
+    notes: this.notes,
+    createdAt: this.createdAt
+  };
+};
+
+// Class methods
+AuditLog.record = function(actor, action, target, { changes = {}, notes = null, ipAddress = null } = {}, options = {}) {
+  return this.create({
+    actorId: actor ? actor.userId : null,
+    actorAddress: actor ? actor.walletAddress : null,
+    action,
+    targetType: target.type,
+    targetId: String(target.id),
+    changes,
+    notes,
+    ipAddress
+  }, options);
+};
+
+AuditLog.findForTarget = function(targetType, targetId) {
+  return this.findAll({
+    where: { targetType, targetId: String(targetId) },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+// Associations
+AuditLog.associate = function(models) {
+  AuditLog.belongsTo(models.User, {
+    foreignKey: 'actorId',
+    as: 'actor',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = AuditLog;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+// How long an issued sign-in nonce stays valid
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+const AuthNonce = sequelize.define('AuthNonce', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Random EIP-4361 nonce issued by GET /api/auth/nonce'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'After this time the nonce can no longer be used'
+  },
+
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the nonce was consumed by a successful sign-in'
+  },
+
+  walletAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: true,
+    comment: 'Wallet that consumed the nonce'
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'auth_nonces',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['nonce']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Class methods
+AuthNonce.issue = async function(ttlMs = NONCE_TTL_MS) {
+  // Drop stale nonces so the table only holds live challenges
+  await this.destroy({
+    where: {
+      expiresAt: { [sequelize.Sequelize.Op.lt]: new Date() }
+    }
+  });
+
+  return this.create({
+    // EIP-4361 requires at least 8 alphanumeric characters
+    nonce: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+AuthNonce.consume = async function(nonce, walletAddress) {
+  const now = new Date();
+
+  // Single conditional update so two concurrent sign-ins cannot share a nonce
+  const [affectedRows] = await this.update(
+    { usedAt: now, walletAddress: walletAddress.toLowerCase() },
+    {
+      where: {
+        nonce,
+        usedAt: null,
+        expiresAt: { [sequelize.Sequelize.Op.gt]: now }
+      }
+    }
+  );
+
+  return affectedRows === 1;
+};
+
+module.exports = AuthNonce;
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { ethers } = require('ethers');
 const { sequelize } = require('../config/db');
 
 const Badge = sequelize.define('Badge', {
@@ -11,12 +12,22 @@ const Badge = sequelize.define('Badge', {
   // User reference
   userId: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'users',
       key: 'id'
     },
-    onDelete: 'CASCADE'
+    onDelete: 'CASCADE',
+    comment: 'Registered user holding the token; null while held by an unknown wallet'
+  },
+
+  ownerAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: true,
+    set(value) {
+      this.setDataValue('ownerAddress', value ? value.toLowerCase() : value);
+    },
+    comment: 'Current on-chain holder, kept in sync by the transfer indexer'
   },
 
   // Visit reference
@@ -61,8 +72,7 @@ const Badge = sequelize.define('Badge', {
   txHash: {
     type: DataTypes.STRING(66),
     allowNull: false,
-    unique: true,
-    comment: 'Transaction hash of the minting transaction'
+    comment: 'Transaction hash of the minting transaction, shared by the badges of a batch mint'
   },
 
   blockNumber: {
@@ -154,6 +164,13 @@ const Badge = sequelize.define('Badge', {
     comment: 'Whether the badge is active/visible'
   },
 
+  isSoulbound: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'ERC-5192 locked: the token cannot be transferred'
+  },
+
   isBurned: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -167,6 +184,48 @@ const Badge = sequelize.define('Badge', {
     comment: 'When the badge was burned'
   },
 
+  // Revocation by moderation
+  revocationStatus: {
+    type: DataTypes.ENUM('submitted', 'revoked', 'failed'),
+    allowNull: true,
+    comment: 'Progress of the on-chain revocation; null if the badge was never revoked'
+  },
+
+  revocationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why moderation revoked the badge, also recorded on-chain'
+  },
+
+  revocationTxHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Transaction hash of the revoke call'
+  },
+
+  revocationError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the last revoke transaction failed'
+  },
+
+  revokedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Moderator who revoked the badge'
+  },
+
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the badge was revoked'
+  },
+
   // Timestamps
   mintedAt: {
     type: DataTypes.DATE,
@@ -197,12 +256,14 @@ const Badge = sequelize.define('Badge', {
       fields: ['tokenId']
     },
     {
-      unique: true,
       fields: ['txHash']
     },
     {
       fields: ['userId']
     },
+    {
+      fields: ['ownerAddress']
+    },
     {
       fields: ['visitId']
     },
@@ -230,6 +291,9 @@ const Badge = sequelize.define('Badge', {
     {
       fields: ['isBurned']
     },
+    {
+      fields: ['revocationStatus']
+    },
     // Composite indexes for common queries
     {
       fields: ['userId', 'badgeType']
@@ -324,6 +388,8 @@ Badge.prototype.toPublicJSON = function() {
     rarityScore: this.rarityScore,
     mintedAt: this.mintedAt,
     isActive: this.isActive,
+    isSoulbound: this.isSoulbound,
+    isRevoked: this.revocationStatus !== null && this.revocationStatus !== undefined,
     contractAddress: this.contractAddress,
     metadataUri: this.metadataUri
   };
@@ -338,29 +404,100 @@ Badge.prototype.getMetadata = async function() {
   return await ipfsService.getMetadata(this.ipfsCid);
 };
 
-Badge.prototype.addTransferEvent = async function(fromAddress, toAddress, txHash) {
+Badge.prototype.setOwner = async function(ownerAddress, changes = {}) {
+  const User = require('./User');
+
+  const previousUserId = this.userId;
+  const owner = ownerAddress === ethers.ZeroAddress
+    ? null
+    : await User.findOne({ where: { walletAddress: ownerAddress.toLowerCase() } });
+
+  await this.update({
+    ...changes,
+    ownerAddress,
+    userId: owner ? owner.id : null
+  });
+
+  // Keep the cached badge counts of both holders in step
+  if (previousUserId !== this.userId) {
+    if (previousUserId) {
+      await User.decrement('totalBadges', { where: { id: previousUserId } });
+    }
+    if (this.userId) {
+      await User.increment('totalBadges', { where: { id: this.userId } });
+    }
+  }
+
+  return this;
+};
+
+Badge.prototype.addTransferEvent = async function(fromAddress, toAddress, txHash, { blockNumber = null, logIndex = null } = {}) {
+  const currentHistory = this.transferHistory || [];
+
+  // The transfer API and the chain indexer both report the same transfer
+  const existing = currentHistory.find(event => event.txHash === txHash);
+  if (existing) {
+    if (existing.blockNumber === null && blockNumber !== null) {
+      return await this.update({
+        transferHistory: currentHistory.map(event =>
+          event === existing ? { ...event, blockNumber, logIndex } : event
+        )
+      });
+    }
+    return this;
+  }
+
   const transferEvent = {
     from: fromAddress,
     to: toAddress,
     txHash: txHash,
     timestamp: new Date().toISOString(),
-    blockNumber: null // Could be filled in later
+    blockNumber,
+    logIndex
   };
 
-  const currentHistory = this.transferHistory || [];
-  currentHistory.push(transferEvent);
-
-  return await this.update({
-    transferHistory: currentHistory,
+  return await this.setOwner(toAddress, {
+    transferHistory: [...currentHistory, transferEvent],
     transferredAt: new Date()
   });
 };
 
+Badge.prototype.removeTransferEventsAfter = async function(blockNumber) {
+  const history = this.transferHistory || [];
+  const isOrphaned = (event) => event.blockNumber !== null && event.blockNumber > blockNumber;
+
+  const removed = history.filter(isOrphaned);
+  if (removed.length === 0) {
+    return this;
+  }
+
+  // Ownership reverts to whoever held the token before the first orphaned transfer
+  const kept = history.filter(event => !isOrphaned(event));
+  const lastKept = kept[kept.length - 1];
+
+  const changes = {
+    transferHistory: kept,
+    transferredAt: lastKept ? new Date(lastKept.timestamp) : null
+  };
+
+  // An orphaned burn never happened either; a revoked badge stays hidden until its revoke is mined again
+  if (removed.some(event => event.to === ethers.ZeroAddress)) {
+    Object.assign(changes, { isBurned: false, burnedAt: null, isActive: !this.revocationStatus });
+    if (this.revocationStatus === 'revoked') {
+      changes.revocationStatus = 'submitted';
+    }
+  }
+
+  return await this.setOwner(removed[0].from, changes);
+};
+
 Badge.prototype.burn = async function() {
   return await this.update({
     isBurned: true,
     burnedAt: new Date(),
-    isActive: false
+    isActive: false,
+    // The burn of a revoked badge is its revoke transaction being mined
+    ...(this.revocationStatus === 'submitted' ? { revocationStatus: 'revoked', revocationError: null } : {})
   });
 };
 
@@ -406,6 +543,14 @@ Badge.findByTokenId = function(tokenId) {
   });
 };
 
+Badge.findWithTransfersAfter = function(blockNumber) {
+  return this.findAll({
+    where: sequelize.literal(
+      `EXISTS (SELECT 1 FROM jsonb_array_elements("Badge"."transferHistory") AS event WHERE (event->>'blockNumber')::int > ${parseInt(blockNumber)})`
+    )
+  });
+};
+
 Badge.findByTxHash = function(txHash) {
   return this.findOne({
     where: { txHash }
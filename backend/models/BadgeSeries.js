@@ -0,0 +1,219 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const BadgeSeries = sequelize.define('BadgeSeries', {
+  // The ID is also the series' badgeId on the contract
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Description
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    comment: 'Location whose visits are awarded badges of this series'
+  },
+
+  // Rules enforced on-chain by claimBadge
+  maxSupply: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Maximum number of badges, null for unlimited'
+  },
+
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Claims open at, null for straight away'
+  },
+
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Claims close after, null for never'
+  },
+
+  baseMetadataUri: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Series metadata, used by badges minted without their own'
+  },
+
+  isSoulbound: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+
+  // On-chain definition
+  version: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false,
+    comment: 'Incremented by every change that must be written on-chain'
+  },
+
+  syncStatus: {
+    type: DataTypes.ENUM('pending', 'submitted', 'synced', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Hash of the latest defineSeries transaction'
+  },
+
+  syncedVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Latest version confirmed on-chain, which mints keep using while a newer one is sent; null if never defined'
+  },
+
+  syncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When syncedVersion was confirmed'
+  },
+
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'badge_series',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['locationId']
+    },
+    {
+      fields: ['syncStatus']
+    }
+  ],
+
+  validate: {
+    claimWindow() {
+      if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        throw new Error('Claim window must end after it starts');
+      }
+    }
+  }
+});
+
+// Instance methods
+BadgeSeries.prototype.isOpen = function(date = new Date()) {
+  return (!this.startsAt || this.startsAt <= date) && (!this.endsAt || this.endsAt >= date);
+};
+
+BadgeSeries.prototype.isDefinedOnChain = function() {
+  return this.syncedVersion !== null && this.syncedVersion !== undefined;
+};
+
+BadgeSeries.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    badgeId: this.id,
+    name: this.name,
+    description: this.description,
+    locationId: this.locationId,
+    maxSupply: this.maxSupply,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    baseMetadataUri: this.baseMetadataUri,
+    isSoulbound: this.isSoulbound,
+    version: this.version,
+    syncStatus: this.syncStatus,
+    txHash: this.txHash,
+    syncedVersion: this.syncedVersion,
+    syncedAt: this.syncedAt,
+    lastError: this.lastError,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Class methods
+/**
+ * Series a visit's badge belongs to: the location's series whose claim window
+ * covers the visit, the most recently started one first
+ */
+BadgeSeries.findForVisit = function(visit) {
+  const { Op } = sequelize.Sequelize;
+  const visitedAt = new Date(visit.timestamp || Date.now());
+
+  return this.findOne({
+    where: {
+      locationId: visit.locationId,
+      [Op.and]: [
+        { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: visitedAt } }] },
+        { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gte]: visitedAt } }] }
+      ]
+    },
+    order: [[sequelize.fn('COALESCE', sequelize.col('startsAt'), sequelize.col('createdAt')), 'DESC']]
+  });
+};
+
+// Associations
+BadgeSeries.associate = function(models) {
+  BadgeSeries.belongsTo(models.Location, {
+    foreignKey: 'locationId',
+    as: 'location',
+    onDelete: 'CASCADE'
+  });
+
+  BadgeSeries.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = BadgeSeries;
@@ -0,0 +1,229 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const ClaimVoucher = sequelize.define('ClaimVoucher', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  // One voucher per visit; an expired voucher is re-signed in place
+  visitId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'visits',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  badgeType: {
+    type: DataTypes.ENUM('location', 'achievement', 'special', 'milestone'),
+    defaultValue: 'location',
+    allowNull: false
+  },
+
+  // Signed voucher fields, as seen by the contract
+  recipient: {
+    type: DataTypes.STRING(42),
+    allowNull: false,
+    set(value) {
+      this.setDataValue('recipient', value.toLowerCase());
+    },
+    comment: 'Wallet that must submit the claim'
+  },
+
+  badgeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Badge category ID used in smart contract'
+  },
+
+  metadataUri: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'IPFS URI of the uploaded metadata (the voucher tokenURI)'
+  },
+
+  metadataCid: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  nonce: {
+    type: DataTypes.STRING(78),
+    allowNull: false,
+    unique: true,
+    comment: 'uint256 voucher nonce, as a decimal string'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  signature: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+
+  // Redemption
+  status: {
+    type: DataTypes.ENUM('issued', 'redeemed'),
+    defaultValue: 'issued',
+    allowNull: false
+  },
+
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Hash of the claimWithVoucher transaction'
+  },
+
+  tokenId: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+
+  badgeRecordId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'badges',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Badge row created once the claim is mined'
+  },
+
+  redeemedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'claim_vouchers',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['visitId']
+    },
+    {
+      unique: true,
+      fields: ['nonce']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance methods
+ClaimVoucher.prototype.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+ClaimVoucher.prototype.toVoucher = function() {
+  return {
+    recipient: this.recipient,
+    badgeId: this.badgeId,
+    tokenURI: this.metadataUri,
+    expiry: Math.floor(this.expiresAt.getTime() / 1000),
+    nonce: this.nonce
+  };
+};
+
+ClaimVoucher.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    visitId: this.visitId,
+    badgeType: this.badgeType,
+    status: this.status,
+    voucher: this.toVoucher(),
+    signature: this.signature,
+    expiresAt: this.expiresAt,
+    txHash: this.txHash,
+    tokenId: this.tokenId,
+    redeemedAt: this.redeemedAt
+  };
+};
+
+// Class methods
+ClaimVoucher.findByNonce = function(nonce) {
+  return this.findOne({
+    where: { nonce: nonce.toString() }
+  });
+};
+
+// A voucher of the same series, for another of the user's visits, that is still redeemable or already redeemed
+ClaimVoucher.findLiveForSeries = function(userId, badgeId, { excludeVisitId = null } = {}) {
+  const { Op } = sequelize.Sequelize;
+
+  const where = {
+    userId,
+    badgeId,
+    [Op.or]: [
+      { status: 'redeemed' },
+      { status: 'issued', expiresAt: { [Op.gt]: new Date() } }
+    ]
+  };
+  if (excludeVisitId) {
+    where.visitId = { [Op.ne]: excludeVisitId };
+  }
+
+  return this.findOne({ where });
+};
+
+// Associations
+ClaimVoucher.associate = function(models) {
+  ClaimVoucher.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+    onDelete: 'CASCADE'
+  });
+
+  ClaimVoucher.belongsTo(models.Visit, {
+    foreignKey: 'visitId',
+    as: 'visit',
+    onDelete: 'CASCADE'
+  });
+
+  ClaimVoucher.belongsTo(models.Badge, {
+    foreignKey: 'badgeRecordId',
+    as: 'badge',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = ClaimVoucher;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const IndexerCursor = sequelize.define('IndexerCursor', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // One cursor per indexed event stream, e.g. "POLPBadge:Transfer"
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  contractAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: false,
+    set(value) {
+      this.setDataValue('contractAddress', value.toLowerCase());
+    }
+  },
+
+  // Progress
+  lastBlock: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Last fully indexed block'
+  },
+
+  lastBlockHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Hash of lastBlock when it was indexed, used to detect reorgs'
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'indexer_cursors',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['name']
+    }
+  ]
+});
+
+// Class methods
+IndexerCursor.load = async function(name, { chainId, contractAddress, startBlock }) {
+  const [cursor] = await this.findOrCreate({
+    where: { name },
+    defaults: {
+      chainId,
+      contractAddress,
+      lastBlock: startBlock - 1
+    }
+  });
+
+  // A cursor from another chain or deployment (e.g. a restarted Hardhat node) starts over
+  if (cursor.chainId !== chainId || cursor.contractAddress !== contractAddress.toLowerCase()) {
+    await cursor.update({
+      chainId,
+      contractAddress,
+      lastBlock: startBlock - 1,
+      lastBlockHash: null
+    });
+  }
+
+  return cursor;
+};
+
+module.exports = IndexerCursor;
@@ -0,0 +1,263 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { normalizeTagId } = require('../utils/nfcUtils');
+
+const Location = sequelize.define('Location', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Location details
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    comment: 'Human-readable location name'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Description of the place'
+  },
+
+  // NFC tags bound to this location
+  nfcTagIds: {
+    type: DataTypes.ARRAY(DataTypes.STRING(100)),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'NFC tag identifiers installed at this location',
+    set(value) {
+      this.setDataValue('nfcTagIds', [...new Set((value || []).map(normalizeTagId))]);
+    }
+  },
+
+  // Geofence definition
+  geofenceType: {
+    type: DataTypes.ENUM('circle', 'polygon'),
+    defaultValue: 'circle',
+    allowNull: false,
+    comment: 'Shape of the geofence'
+  },
+
+  // The database derives the indexed "geog" geography column from latitude/longitude
+  latitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: false,
+    validate: {
+      min: -90,
+      max: 90,
+      isDecimal: true
+    },
+    comment: 'Circle center, or reference point for polygon geofences'
+  },
+
+  longitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: false,
+    validate: {
+      min: -180,
+      max: 180,
+      isDecimal: true
+    },
+    comment: 'Circle center, or reference point for polygon geofences'
+  },
+
+  radiusMeters: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 100,
+    validate: {
+      min: 1,
+      max: 10000
+    },
+    comment: 'Radius of circle geofences in meters'
+  },
+
+  polygon: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Array of {latitude, longitude} vertices for polygon geofences'
+  },
+
+  // Ownership
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+    comment: 'Inactive locations no longer accept visits'
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'locations',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['name']
+    },
+    {
+      fields: ['nfcTagIds'],
+      using: 'gin'
+    },
+    {
+      fields: ['isActive']
+    },
+    {
+      fields: ['latitude', 'longitude']
+    }
+  ],
+
+  validate: {
+    geofenceShape() {
+      if (this.geofenceType === 'circle' && !this.radiusMeters) {
+        throw new Error('Circle geofences require a radius');
+      }
+      if (this.geofenceType === 'polygon' && (!Array.isArray(this.polygon) || this.polygon.length < 3)) {
+        throw new Error('Polygon geofences require at least 3 vertices');
+      }
+    }
+  },
+
+  // Scopes
+  scopes: {
+    active: {
+      where: {
+        isActive: true
+      }
+    }
+  }
+});
+
+// Instance methods
+Location.prototype.getGeofence = function() {
+  if (this.geofenceType === 'polygon') {
+    return {
+      type: 'polygon',
+      polygon: this.polygon.map(point => ({
+        latitude: parseFloat(point.latitude),
+        longitude: parseFloat(point.longitude)
+      }))
+    };
+  }
+
+  return {
+    type: 'circle',
+    center: {
+      latitude: parseFloat(this.latitude),
+      longitude: parseFloat(this.longitude)
+    },
+    radius: this.radiusMeters
+  };
+};
+
+Location.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    description: this.description,
+    latitude: parseFloat(this.latitude),
+    longitude: parseFloat(this.longitude),
+    geofence: this.getGeofence(),
+    isActive: this.isActive
+  };
+};
+
+// Organizers manage the locations they created; admins manage all of them
+Location.prototype.isManagedBy = function(user) {
+  return user.role === 'admin' || (user.role === 'organizer' && this.createdBy === user.userId);
+};
+
+// Class methods
+Location.findByNfcTagId = function(nfcTagId) {
+  return this.findOne({
+    where: {
+      nfcTagIds: {
+        [sequelize.Sequelize.Op.contains]: [normalizeTagId(nfcTagId)]
+      }
+    }
+  });
+};
+
+Location.findWithinRadius = function(lat, lng, radiusMeters, options = {}) {
+  const { Op } = sequelize.Sequelize;
+  const { geoUtils } = require('../utils/geoUtils');
+
+  return this.findAll({
+    ...options,
+    where: {
+      [Op.and]: [
+        geoUtils.withinRadius(sequelize, 'Location', lat, lng, radiusMeters),
+        options.where || {}
+      ]
+    },
+    order: options.order || [geoUtils.nearestFirst(sequelize, 'Location', lat, lng)]
+  });
+};
+
+Location.findNearest = function(lat, lng, limit = 10, options = {}) {
+  const { geoUtils } = require('../utils/geoUtils');
+
+  return this.findAll({
+    ...options,
+    order: [geoUtils.nearestFirst(sequelize, 'Location', lat, lng)],
+    limit
+  });
+};
+
+// Associations
+Location.associate = function(models) {
+  // Location has many Visits
+  Location.hasMany(models.Visit, {
+    foreignKey: 'locationId',
+    as: 'visits',
+    onDelete: 'SET NULL'
+  });
+
+  // Location has many SUN-capable tags with server-side keys
+  Location.hasMany(models.NfcTag, {
+    foreignKey: 'locationId',
+    as: 'secureTags',
+    onDelete: 'SET NULL'
+  });
+
+  // Location has many badge series (events) its visits are awarded from
+  Location.hasMany(models.BadgeSeries, {
+    foreignKey: 'locationId',
+    as: 'badgeSeries',
+    onDelete: 'CASCADE'
+  });
+
+  // Location belongs to the User who registered it
+  Location.belongsTo(models.User, {
+    foreignKey: 'createdBy',
+    as: 'creator',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = Location;
@@ -0,0 +1,301 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+// A worker that dies mid-job loses its lock after this long
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MintJob = sequelize.define('MintJob', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+
+  // One job per visit, so repeated mint requests never mint twice
+  idempotencyKey: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Deduplication key, derived from the visit'
+  },
+
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  visitId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'visits',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  badgeType: {
+    type: DataTypes.ENUM('location', 'achievement', 'special', 'milestone'),
+    defaultValue: 'location',
+    allowNull: false
+  },
+
+  // Job state
+  status: {
+    type: DataTypes.ENUM('queued', 'submitted', 'confirmed', 'failed'),
+    defaultValue: 'queued',
+    allowNull: false
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5,
+    allowNull: false
+  },
+
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Earliest time a worker may pick the job up again'
+  },
+
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Worker lock
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  // Progress, persisted after each step so retries resume instead of repeating work
+  badgeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Badge category ID used in smart contract'
+  },
+
+  metadataUri: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'IPFS URI of the uploaded metadata'
+  },
+
+  metadataCid: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Hash of the submitted claimBadge or claimBadgeBatch transaction'
+  },
+
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Batch mints: jobs of the same series sent together in one claimBadgeBatch transaction
+  batchKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Shared by the jobs of one batch mint, persisted before the transaction is sent'
+  },
+
+  batchIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Position of the recipient in the batch'
+  },
+
+  tokenId: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+
+  badgeRecordId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'badges',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Badge row created once the mint is confirmed'
+  },
+
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'mint_jobs',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['idempotencyKey']
+    },
+    {
+      fields: ['status', 'nextRunAt']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['visitId']
+    },
+    {
+      fields: ['batchKey']
+    }
+  ]
+});
+
+// Instance methods
+MintJob.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    visitId: this.visitId,
+    badgeType: this.badgeType,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextRunAt: this.status === 'queued' || this.status === 'submitted' ? this.nextRunAt : null,
+    lastError: this.lastError,
+    txHash: this.txHash,
+    tokenId: this.tokenId,
+    metadataUri: this.metadataUri,
+    createdAt: this.createdAt,
+    confirmedAt: this.confirmedAt
+  };
+};
+
+MintJob.prototype.release = function(changes = {}) {
+  return this.update({
+    ...changes,
+    lockedAt: null,
+    lockedBy: null
+  });
+};
+
+// Class methods
+MintJob.idempotencyKeyForVisit = function(visitId) {
+  return `visit-${visitId}`;
+};
+
+MintJob.enqueue = async function({ userId, visitId, badgeType }) {
+  const [job, created] = await this.findOrCreate({
+    where: { idempotencyKey: this.idempotencyKeyForVisit(visitId) },
+    defaults: {
+      userId,
+      visitId,
+      badgeType,
+      status: 'queued',
+      nextRunAt: new Date()
+    }
+  });
+
+  // A permanently failed job can be retried explicitly by requesting the mint again
+  if (!created && job.status === 'failed') {
+    await job.update({
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      txHash: null,
+      submittedAt: null,
+      batchKey: null,
+      batchIndex: null,
+      nextRunAt: new Date()
+    });
+  }
+
+  return { job, created };
+};
+
+MintJob.claimDue = function(workerId, limit) {
+  const { Op } = sequelize.Sequelize;
+
+  return sequelize.transaction(async (transaction) => {
+    // SKIP LOCKED lets several workers poll the same table without blocking each other
+    const jobs = await this.findAll({
+      where: {
+        status: { [Op.in]: ['queued', 'submitted'] },
+        nextRunAt: { [Op.lte]: new Date() },
+        [Op.or]: [
+          { lockedAt: null },
+          { lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      order: [['nextRunAt', 'ASC']],
+      limit,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+
+    for (const job of jobs) {
+      await job.update({ lockedAt: new Date(), lockedBy: workerId }, { transaction });
+    }
+
+    return jobs;
+  });
+};
+
+// Associations
+MintJob.associate = function(models) {
+  MintJob.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+    onDelete: 'CASCADE'
+  });
+
+  MintJob.belongsTo(models.Visit, {
+    foreignKey: 'visitId',
+    as: 'visit',
+    onDelete: 'CASCADE'
+  });
+
+  MintJob.belongsTo(models.Badge, {
+    foreignKey: 'badgeRecordId',
+    as: 'badge',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = MintJob;
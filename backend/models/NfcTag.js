@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { normalizeTagId } = require('../utils/nfcUtils');
+
+const NfcTag = sequelize.define('NfcTag', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Tag identity
+  uid: {
+    type: DataTypes.STRING(14),
+    allowNull: false,
+    unique: true,
+    comment: '7-byte tag UID as uppercase hex, used as nfcTagId for visits',
+    set(value) {
+      this.setDataValue('uid', normalizeTagId(value));
+    }
+  },
+
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  // Secure Unique NFC (SUN) key material
+  sdmFileReadKey: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    comment: 'AES-128 SDMFileReadKey (hex) used to verify the SUN CMAC'
+  },
+
+  // Replay protection
+  lastCounter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: -1,
+    comment: 'Highest SDMReadCtr value accepted so far'
+  },
+
+  lastVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a SUN message from this tag was last accepted'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'nfc_tags',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['uid']
+    },
+    {
+      fields: ['locationId']
+    }
+  ],
+
+  // Never expose key material unless explicitly requested
+  defaultScope: {
+    attributes: { exclude: ['sdmFileReadKey'] }
+  },
+
+  scopes: {
+    withKeys: {
+      attributes: { include: ['sdmFileReadKey'] }
+    }
+  }
+});
+
+// Class methods
+NfcTag.findByUid = function(uid) {
+  return this.findOne({
+    where: { uid: normalizeTagId(uid) }
+  });
+};
+
+// Associations
+NfcTag.associate = function(models) {
+  NfcTag.belongsTo(models.Location, {
+    foreignKey: 'locationId',
+    as: 'location',
+    onDelete: 'SET NULL'
+  });
+};
+
+module.exports = NfcTag;
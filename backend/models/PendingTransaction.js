@@ -0,0 +1,217 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const PendingTransaction = sequelize.define('PendingTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Sender and nonce, unique together: a nonce is only ever assigned once
+  fromAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: false,
+    set(value) {
+      this.setDataValue('fromAddress', value.toLowerCase());
+    },
+    comment: 'Backend wallet that signed the transaction'
+  },
+
+  nonce: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Caller-supplied key so a retried operation finds its transaction instead of sending another
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Idempotency key of the operation that sent the transaction'
+  },
+
+  // Call data, kept so the transaction can be re-signed with higher fees
+  toAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: false
+  },
+
+  data: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '0x'
+  },
+
+  value: {
+    type: DataTypes.STRING(78),
+    allowNull: false,
+    defaultValue: '0',
+    comment: 'Wei, as a decimal string'
+  },
+
+  gasLimit: {
+    type: DataTypes.STRING(78),
+    allowNull: false
+  },
+
+  // Current EIP-1559 fees in wei
+  maxFeePerGas: {
+    type: DataTypes.STRING(78),
+    allowNull: false
+  },
+
+  maxPriorityFeePerGas: {
+    type: DataTypes.STRING(78),
+    allowNull: false
+  },
+
+  // Latest signed broadcast, persisted before it is sent so a restart rebroadcasts the same bytes
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: false
+  },
+
+  rawTransaction: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+
+  replacedTxHashes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(66)),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Earlier broadcasts of the same nonce, any of which may still be mined'
+  },
+
+  bumpCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  lastBroadcastAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Outcome
+  status: {
+    type: DataTypes.ENUM('pending', 'confirmed', 'reverted', 'dropped'),
+    defaultValue: 'pending',
+    allowNull: false,
+    comment: 'dropped: the nonce was consumed by a transaction this service did not send'
+  },
+
+  minedTxHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Whichever broadcast was actually mined'
+  },
+
+  blockNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  minedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'pending_transactions',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['fromAddress', 'nonce']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['reference']
+    },
+    {
+      fields: ['txHash']
+    },
+    {
+      fields: ['replacedTxHashes'],
+      using: 'gin'
+    }
+  ],
+
+  // Scopes
+  scopes: {
+    pending: {
+      where: {
+        status: 'pending'
+      }
+    }
+  }
+});
+
+// Instance methods
+PendingTransaction.prototype.getAllHashes = function() {
+  return [this.txHash, ...this.replacedTxHashes];
+};
+
+// Class methods
+PendingTransaction.findByHash = function(txHash) {
+  const { Op } = sequelize.Sequelize;
+  const hash = txHash.toLowerCase();
+
+  return this.findOne({
+    where: {
+      [Op.or]: [
+        { txHash: hash },
+        { replacedTxHashes: { [Op.contains]: [hash] } }
+      ]
+    }
+  });
+};
+
+PendingTransaction.findByReference = function(reference) {
+  const { Op } = sequelize.Sequelize;
+
+  // Reverted and dropped transactions may be retried under the same reference
+  return this.findOne({
+    where: {
+      reference,
+      status: { [Op.in]: ['pending', 'confirmed'] }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+PendingTransaction.getHighestPendingNonce = async function(fromAddress) {
+  const nonce = await this.max('nonce', {
+    where: {
+      fromAddress: fromAddress.toLowerCase(),
+      status: 'pending'
+    }
+  });
+
+  return Number.isInteger(nonce) ? nonce : null;
+};
+
+module.exports = PendingTransaction;
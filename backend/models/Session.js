@@ -0,0 +1,209 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { hashUtils } = require('../utils/hashUtils');
+
+// Refresh tokens (and therefore sessions) live this long without activity
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  // Only the hash of the current refresh token is stored
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the refresh token that may be exchanged next'
+  },
+
+  rotationCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'How many times the refresh token has been rotated'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Revocation
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  revokedReason: {
+    type: DataTypes.ENUM('logout', 'logout_all', 'token_reuse', 'account_deactivated'),
+    allowNull: true
+  },
+
+  // Client information
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'sessions',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ],
+
+  // Scopes
+  scopes: {
+    active: () => ({
+      where: {
+        revokedAt: null,
+        expiresAt: {
+          [sequelize.Sequelize.Op.gt]: new Date()
+        }
+      }
+    })
+  }
+});
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+const issueRefreshToken = (sessionId) => {
+  const refreshToken = `${sessionId}.${hashUtils.createRandomHash(32)}`;
+  return {
+    refreshToken,
+    refreshTokenHash: hashUtils.createContentHash(refreshToken)
+  };
+};
+
+// Instance methods
+Session.prototype.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+Session.prototype.rotate = async function() {
+  const { refreshToken, refreshTokenHash } = issueRefreshToken(this.id);
+
+  // Compare-and-swap on the old hash so a token can only be exchanged once
+  const [affectedRows] = await Session.update(
+    {
+      refreshTokenHash,
+      rotationCount: this.rotationCount + 1,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    },
+    {
+      where: {
+        id: this.id,
+        refreshTokenHash: this.refreshTokenHash,
+        revokedAt: null
+      }
+    }
+  );
+
+  return affectedRows === 1 ? refreshToken : null;
+};
+
+Session.prototype.revoke = function(reason) {
+  return this.update({
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+// Class methods
+Session.start = async function(userId, { userAgent, ipAddress } = {}) {
+  const session = this.build({
+    userId,
+    userAgent: userAgent ? userAgent.substring(0, 500) : null,
+    ipAddress,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    lastUsedAt: new Date()
+  });
+
+  const { refreshToken, refreshTokenHash } = issueRefreshToken(session.id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+Session.findByRefreshToken = async function(refreshToken) {
+  const [sessionId] = refreshToken.split('.');
+  const session = await this.findByPk(sessionId).catch(() => null);
+
+  if (!session) {
+    return { session: null, reused: false };
+  }
+
+  // A well-formed token for a known session that is not the current one was already rotated
+  const reused = session.refreshTokenHash !== hashUtils.createContentHash(refreshToken);
+
+  return { session, reused };
+};
+
+Session.revokeAllForUser = function(userId, reason) {
+  return this.update(
+    {
+      revokedAt: new Date(),
+      revokedReason: reason
+    },
+    {
+      where: {
+        userId,
+        revokedAt: null
+      }
+    }
+  );
+};
+
+// Associations
+Session.associate = function(models) {
+  Session.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+    onDelete: 'CASCADE'
+  });
+};
+
+module.exports = Session;
@@ -45,6 +45,14 @@ const User = sequelize.define('User', {
     allowNull: false
   },
 
+  // Access control
+  role: {
+    type: DataTypes.ENUM('user', 'organizer', 'moderator', 'admin'),
+    defaultValue: 'user',
+    allowNull: false,
+    comment: 'organizer: manages own locations; moderator: reviews visits; admin: everything'
+  },
+
   lastLoginAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -146,6 +154,9 @@ const User = sequelize.define('User', {
     {
       fields: ['isActive']
     },
+    {
+      fields: ['role']
+    },
     {
       fields: ['createdAt']
     },
@@ -231,6 +242,11 @@ User.prototype.toPublicJSON = function() {
   return publicData;
 };
 
+// Admins hold every role
+User.prototype.hasRole = function(...roles) {
+  return this.role === 'admin' || roles.includes(this.role);
+};
+
 User.prototype.updateStats = async function() {
   const Visit = require('./Visit');
   const Badge = require('./Badge');
@@ -334,6 +350,13 @@ User.associate = function(models) {
     as: 'badges',
     onDelete: 'CASCADE'
   });
+
+  // User has many login Sessions (one per device)
+  User.hasMany(models.Session, {
+    foreignKey: 'userId',
+    as: 'sessions',
+    onDelete: 'CASCADE'
+  });
 };
 
 module.exports = User;
\ No newline at end of file
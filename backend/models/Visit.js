@@ -26,7 +26,7 @@ const Visit = sequelize.define('Visit', {
     comment: 'Unique identifier from the NFC tag'
   },
 
-  // GPS coordinates
+  // GPS coordinates (the database derives the indexed "geog" geography column from them)
   latitude: {
     type: DataTypes.DECIMAL(10, 8),
     allowNull: false,
@@ -48,10 +48,21 @@ const Visit = sequelize.define('Visit', {
   },
 
   // Location details
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Registered location the NFC tag belongs to'
+  },
+
   locationName: {
     type: DataTypes.STRING(200),
     allowNull: true,
-    comment: 'Human-readable location name'
+    comment: 'Human-readable location name, copied from the location registry'
   },
 
   description: {
@@ -76,6 +87,12 @@ const Visit = sequelize.define('Visit', {
     comment: 'SHA-256 hash of visit data for integrity verification'
   },
 
+  signature: {
+    type: DataTypes.STRING(132),
+    allowNull: true,
+    comment: 'EIP-712 Visit signature by the visitor wallet'
+  },
+
   isVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -89,6 +106,38 @@ const Visit = sequelize.define('Visit', {
     comment: 'When the visit was verified'
   },
 
+  // Merkle anchoring
+  batchId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'visit_batches',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Merkle batch the visit hash was anchored in'
+  },
+
+  merkleLeafIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Position of the visit hash in its batch'
+  },
+
+  merkleProof: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Sibling hashes from the visit hash up to the batch root'
+  },
+
+  // Visibility
+  isPublic: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Whether other users can find the visit in semantic search'
+  },
+
   // IPFS storage
   ipfsCid: {
     type: DataTypes.STRING(100),
@@ -109,6 +158,12 @@ const Visit = sequelize.define('Visit', {
     comment: 'Vector representation for semantic similarity search'
   },
 
+  embeddingModel: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Embedding model that produced semanticVector'
+  },
+
   // Visit context
   accuracy: {
     type: DataTypes.FLOAT,
@@ -194,6 +249,9 @@ const Visit = sequelize.define('Visit', {
     {
       fields: ['isVerified']
     },
+    {
+      fields: ['isPublic']
+    },
     {
       fields: ['status']
     },
@@ -204,6 +262,9 @@ const Visit = sequelize.define('Visit', {
     {
       fields: ['latitude', 'longitude']
     },
+    {
+      fields: ['locationId']
+    },
     {
       fields: ['locationName']
     },
@@ -213,6 +274,12 @@ const Visit = sequelize.define('Visit', {
     {
       fields: ['ipfsCid']
     },
+    {
+      fields: ['embeddingModel']
+    },
+    {
+      fields: ['batchId']
+    },
     // Composite indexes for common queries
     {
       fields: ['userId', 'timestamp']
@@ -264,44 +331,41 @@ const Visit = sequelize.define('Visit', {
       }
     },
 
-    byLocation: (nfcTagId) => ({
+    byLocation: (locationId) => ({
+      where: {
+        locationId: locationId
+      }
+    }),
+
+    byTag: (nfcTagId) => ({
       where: {
         nfcTagId: nfcTagId
       }
     }),
 
     withinRadius: (lat, lng, radiusKm) => {
-      // Using Haversine formula approximation
-      const latRad = lat * Math.PI / 180;
-      const degreeDistance = radiusKm / 111.12; // Approximate km per degree
-      
+      // PostGIS radius on the geog column, exact to gpsService.calculateDistance
+      const { geoUtils } = require('../utils/geoUtils');
+
       return {
-        where: {
-          latitude: {
-            [sequelize.Sequelize.Op.between]: [lat - degreeDistance, lat + degreeDistance]
-          },
-          longitude: {
-            [sequelize.Sequelize.Op.between]: [
-              lng - degreeDistance / Math.cos(latRad),
-              lng + degreeDistance / Math.cos(latRad)
-            ]
-          }
-        }
+        where: geoUtils.withinRadius(sequelize, 'Visit', lat, lng, radiusKm * 1000)
       };
     }
   }
 });
 
 // Instance methods
+// Safe to show to any user: leaves out the tag ID, which would let others clone the tag
 Visit.prototype.toPublicJSON = function() {
   return {
     id: this.id,
-    nfcTagId: this.nfcTagId,
+    locationId: this.locationId,
     latitude: parseFloat(this.latitude),
     longitude: parseFloat(this.longitude),
     locationName: this.locationName,
     description: this.description,
     timestamp: this.timestamp,
+    signature: this.signature,
     isVerified: this.isVerified,
     status: this.status,
     createdAt: this.createdAt
@@ -350,25 +414,28 @@ Visit.prototype.getIPFSData = async function() {
 // Class methods
 Visit.findByLocationRadius = async function(lat, lng, radiusKm, options = {}) {
   const { Op } = sequelize.Sequelize;
-  
-  // Simple bounding box approximation
-  const latRad = lat * Math.PI / 180;
-  const degreeDistance = radiusKm / 111.12;
-  
+  const { geoUtils } = require('../utils/geoUtils');
+
   return await this.findAll({
+    ...options,
     where: {
-      latitude: {
-        [Op.between]: [lat - degreeDistance, lat + degreeDistance]
-      },
-      longitude: {
-        [Op.between]: [
-          lng - degreeDistance / Math.cos(latRad),
-          lng + degreeDistance / Math.cos(latRad)
-        ]
-      },
-      ...options.where
+      [Op.and]: [
+        geoUtils.withinRadius(sequelize, 'Visit', lat, lng, radiusKm * 1000),
+        options.where || {}
+      ]
     },
-    ...options
+    order: options.order || [geoUtils.nearestFirst(sequelize, 'Visit', lat, lng)]
+  });
+};
+
+Visit.findNearest = async function(lat, lng, limit = 10, options = {}) {
+  const { geoUtils } = require('../utils/geoUtils');
+
+  // KNN on the GiST index: no radius needed
+  return await this.findAll({
+    ...options,
+    order: [geoUtils.nearestFirst(sequelize, 'Visit', lat, lng)],
+    limit
   });
 };
 
@@ -388,11 +455,11 @@ Visit.findDuplicates = async function(userId, nfcTagId, timeWindowMinutes = 30)
   });
 };
 
-Visit.getLocationStats = async function(nfcTagId) {
+Visit.getLocationStats = async function(locationId) {
   const { fn, col } = sequelize;
 
   return await this.findAll({
-    where: { nfcTagId },
+    where: { locationId },
     attributes: [
       [fn('COUNT', col('id')), 'totalVisits'],
       [fn('COUNT', fn('DISTINCT', col('userId'))), 'uniqueVisitors'],
@@ -421,6 +488,20 @@ Visit.associate = function(models) {
     onDelete: 'CASCADE'
   });
 
+  // Visit belongs to a registered Location
+  Visit.belongsTo(models.Location, {
+    foreignKey: 'locationId',
+    as: 'location',
+    onDelete: 'SET NULL'
+  });
+
+  // Visit hash is anchored on-chain as part of a VisitBatch
+  Visit.belongsTo(models.VisitBatch, {
+    foreignKey: 'batchId',
+    as: 'batch',
+    onDelete: 'SET NULL'
+  });
+
   // Visit has one Badge
   Visit.hasOne(models.Badge, {
     foreignKey: 'visitId',
@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const VisitBatch = sequelize.define('VisitBatch', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Merkle tree of the batch
+  merkleRoot: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 Merkle root of the visit hashes in the batch'
+  },
+
+  leafCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Number of visit hashes in the batch'
+  },
+
+  // Anchoring state
+  status: {
+    type: DataTypes.ENUM('pending', 'submitted', 'anchored', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  contractAddress: {
+    type: DataTypes.STRING(42),
+    allowNull: true
+  },
+
+  txHash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    comment: 'Hash of the anchorVisitRoot transaction'
+  },
+
+  blockNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  anchoredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Timestamp of the block that anchored the root'
+  },
+
+  // Creation and update timestamps
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  // Model options
+  tableName: 'visit_batches',
+  timestamps: true,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['merkleRoot']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance methods
+VisitBatch.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    merkleRoot: this.merkleRoot,
+    leafCount: this.leafCount,
+    status: this.status,
+    contractAddress: this.contractAddress,
+    txHash: this.txHash,
+    blockNumber: this.blockNumber,
+    anchoredAt: this.anchoredAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Class methods
+VisitBatch.findUnanchored = function() {
+  const { Op } = sequelize.Sequelize;
+
+  return this.findAll({
+    where: { status: { [Op.in]: ['pending', 'submitted'] } },
+    order: [['id', 'ASC']]
+  });
+};
+
+// Associations
+VisitBatch.associate = function(models) {
+  VisitBatch.hasMany(models.Visit, {
+    foreignKey: 'batchId',
+    as: 'visits'
+  });
+};
+
+module.exports = VisitBatch;
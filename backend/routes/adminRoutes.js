@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const validationMiddleware = require('../middlewares/validationMiddleware');
+
+// Moderators review visits; only admins change roles
+const requireModerator = authMiddleware.requireRole('moderator');
+const requireAdmin = authMiddleware.requireRole('admin');
+
+// GET /api/admin/visits - List visits by moderation status with their fraud evidence
+router.get('/visits',
+  authMiddleware.authenticate,
+  requireModerator,
+  validationMiddleware.validateModerationQueue,
+  adminController.getModerationQueue
+);
+
+// POST /api/admin/visits/moderate - Approve, reject or flag visits in bulk
+router.post('/visits/moderate',
+  authMiddleware.authenticate,
+  requireModerator,
+  validationMiddleware.validateModerationAction,
+  adminController.moderateVisits
+);
+
+// GET /api/admin/visits/:id - Visit evidence, IPFS record and audit trail
+router.get('/visits/:id',
+  authMiddleware.authenticate,
+  requireModerator,
+  validationMiddleware.validateVisitId,
+  adminController.getVisitForReview
+);
+
+// POST /api/admin/badges/:tokenId/revoke - Burn a fraudulent badge and reject its visit
+router.post('/badges/:tokenId/revoke',
+  authMiddleware.authenticate,
+  requireModerator,
+  validationMiddleware.validateBadgeRevocation,
+  adminController.revokeBadge
+);
+
+// GET /api/admin/users - List users by role
+router.get('/users',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateUserList,
+  adminController.getUsers
+);
+
+// PUT /api/admin/users/:id/role - Grant or revoke a role
+router.put('/users/:id/role',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateRoleChange,
+  adminController.setUserRole
+);
+
+// GET /api/admin/series - List badge series
+router.get('/series',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateBadgeSeriesList,
+  adminController.getBadgeSeries
+);
+
+// POST /api/admin/series - Create a badge series and define it on-chain
+router.post('/series',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateBadgeSeriesCreation,
+  adminController.createBadgeSeries
+);
+
+// GET /api/admin/series/:id - Badge series with its on-chain state and audit trail
+router.get('/series/:id',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateBadgeSeriesId,
+  adminController.getBadgeSeriesById
+);
+
+// PUT /api/admin/series/:id - Update a badge series; rule changes are written on-chain
+router.put('/series/:id',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateBadgeSeriesUpdate,
+  adminController.updateBadgeSeries
+);
+
+// POST /api/admin/series/:id/sync - Send a failed on-chain definition again
+router.post('/series/:id/sync',
+  authMiddleware.authenticate,
+  requireAdmin,
+  validationMiddleware.validateBadgeSeriesId,
+  adminController.syncBadgeSeries
+);
+
+module.exports = router;
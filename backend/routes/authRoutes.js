@@ -4,7 +4,12 @@ const authController = require('../controllers/authController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
-// POST /api/auth/login - Web3Auth wallet login
+// GET /api/auth/nonce - Issue a single-use Sign-In with Ethereum nonce
+router.get('/nonce',
+  authController.getNonce
+);
+
+// POST /api/auth/login - Sign-In with Ethereum (EIP-4361) wallet login
 router.post('/login', 
   validationMiddleware.validateLogin,
   authController.login
@@ -35,16 +40,22 @@ router.post('/verify-wallet',
   authController.verifyWallet
 );
 
-// POST /api/auth/refresh - Refresh JWT token
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair (rotation)
 router.post('/refresh',
-  authMiddleware.authenticate,
+  validationMiddleware.validateRefreshToken,
   authController.refreshToken
 );
 
-// POST /api/auth/logout - Logout user
+// POST /api/auth/logout - Revoke the current session
 router.post('/logout',
   authMiddleware.authenticate,
   authController.logout
 );
 
+// POST /api/auth/logout-all - Revoke every session of the user (all devices)
+router.post('/logout-all',
+  authMiddleware.authenticate,
+  authController.logoutAll
+);
+
 module.exports = router;
\ No newline at end of file
@@ -17,6 +17,27 @@ router.post('/mint',
   badgeController.mintBadge
 );
 
+// GET /api/badges/mint/:jobId - Get status of a queued badge mint
+router.get('/mint/:jobId',
+  authMiddleware.authenticate,
+  validationMiddleware.validateMintJobId,
+  badgeController.getMintJob
+);
+
+// POST /api/badges/vouchers - Issue a signed voucher so the user can claim the badge from their own wallet
+router.post('/vouchers',
+  authMiddleware.authenticate,
+  validationMiddleware.validateBadgeMint,
+  badgeController.issueClaimVoucher
+);
+
+// POST /api/badges/vouchers/:voucherId/redeem - Record a badge claimed on-chain with a voucher
+router.post('/vouchers/:voucherId/redeem',
+  authMiddleware.authenticate,
+  validationMiddleware.validateVoucherRedeem,
+  badgeController.redeemClaimVoucher
+);
+
 // GET /api/badges/:tokenId - Get specific badge details
 router.get('/:tokenId',
   authMiddleware.authenticate,
@@ -55,6 +76,18 @@ router.post('/verify',
   badgeController.verifyBadge
 );
 
+// GET /api/badges/verify/token/:tokenId - Full proof report for a badge (public)
+router.get('/verify/token/:tokenId',
+  validationMiddleware.validateTokenId,
+  badgeController.getVerificationReport
+);
+
+// GET /api/badges/verify/visit/:cid - Full proof report for a visit record on IPFS (public)
+router.get('/verify/visit/:cid',
+  validationMiddleware.validateVisitCid,
+  badgeController.getVerificationReport
+);
+
 // GET /api/badges/leaderboard - Get user leaderboard by badges
 router.get('/leaderboard',
   badgeController.getLeaderboard
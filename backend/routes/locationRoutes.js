@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const validationMiddleware = require('../middlewares/validationMiddleware');
+
+// Organizers manage their own locations (checked per location), admins manage all
+const requireOrganizer = authMiddleware.requireRole('organizer');
+
+// GET /api/locations - List registered locations
+router.get('/',
+  authMiddleware.authenticate,
+  validationMiddleware.validatePagination,
+  locationController.getLocations
+);
+
+// POST /api/locations - Register a location with its NFC tags and geofence (owned by its creator)
+router.post('/',
+  authMiddleware.authenticate,
+  requireOrganizer,
+  validationMiddleware.validateLocation,
+  locationController.createLocation
+);
+
+// GET /api/locations/:locationId - Get location details and visit stats
+router.get('/:locationId',
+  authMiddleware.authenticate,
+  validationMiddleware.validateLocationId,
+  locationController.getLocationById
+);
+
+// PUT /api/locations/:locationId - Update tags, geofence or status
+router.put('/:locationId',
+  authMiddleware.authenticate,
+  requireOrganizer,
+  validationMiddleware.validateLocationUpdate,
+  locationController.updateLocation
+);
+
+// POST /api/locations/:locationId/tags - Store SUN keys for an NTAG 424 DNA tag
+router.post('/:locationId/tags',
+  authMiddleware.authenticate,
+  requireOrganizer,
+  validationMiddleware.validateSecureTag,
+  locationController.registerSecureTag
+);
+
+// DELETE /api/locations/:locationId - Deactivate a location
+router.delete('/:locationId',
+  authMiddleware.authenticate,
+  requireOrganizer,
+  validationMiddleware.validateLocationId,
+  locationController.deleteLocation
+);
+
+module.exports = router;
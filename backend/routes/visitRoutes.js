@@ -4,10 +4,11 @@ const visitController = require('../controllers/visitController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
-// POST /api/visits - Create new visit (NFC + GPS validation)
+// POST /api/visits - Create new visit (NFC + GPS validation, EIP-712 signed)
 router.post('/',
   authMiddleware.authenticate,
   validationMiddleware.validateVisitData,
+  validationMiddleware.validateVisitAttestation,
   visitController.createVisit
 );
 
@@ -17,6 +18,13 @@ router.get('/',
   visitController.getUserVisits
 );
 
+// GET /api/visits/search - Ranked search by area, dates, verification, text and meaning
+router.get('/search',
+  authMiddleware.authenticate,
+  validationMiddleware.validateVisitSearch,
+  visitController.searchVisits
+);
+
 // GET /api/visits/:id - Get specific visit details
 router.get('/:id',
   authMiddleware.authenticate,
@@ -24,6 +32,12 @@ router.get('/:id',
   visitController.getVisitById
 );
 
+// GET /api/visits/:id/proof - Merkle inclusion proof and anchoring transaction (public)
+router.get('/:id/proof',
+  validationMiddleware.validateVisitId,
+  visitController.getVisitProof
+);
+
 // POST /api/visits/validate - Validate visit coordinates and NFC data
 router.post('/validate',
   authMiddleware.authenticate,
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { ethers, run } = require('hardhat');
+const { ethers, run, network, upgrades } = require('hardhat');
 const fs = require('fs').promises;
 const path = require('path');
 require('dotenv').config();
@@ -80,9 +80,30 @@ class DeploymentScript {
       throw new Error('PRIVATE_KEY must start with 0x');
     }
 
+    this.assertLiveNetwork();
+
+    // PRIVATE_KEY is the backend's hot key: it may only mint, never administer the collection
+    const { admin, minter, revoker } = this.getRoleHolders();
+    if (admin.toLowerCase() === minter.toLowerCase()) {
+      throw new Error('The backend key (PRIVATE_KEY) cannot be the contract admin: set DEPLOYER_PRIVATE_KEY or POLP_ADMIN_ADDRESS');
+    }
+    if (revoker.toLowerCase() === minter.toLowerCase()) {
+      throw new Error('The backend key (PRIVATE_KEY) cannot revoke badges: set REVOKER_PRIVATE_KEY to another key');
+    }
+
     logger.info('Environment validation passed');
   }
 
+  /**
+   * The proxy, and the storage layouts later upgrades are checked against, are only
+   * recorded (in .openzeppelin/<network>.json) for a network that outlives the script
+   */
+  assertLiveNetwork() {
+    if (network.name === 'hardhat') {
+      throw new Error('Run with "npx hardhat run scripts/deploy.js --network <name>" so the proxy is tracked in .openzeppelin/');
+    }
+  }
+
   /**
    * Deploy smart contracts
    */
@@ -92,35 +113,173 @@ class DeploymentScript {
     // Usa Hardhat per compilare i contratti
     await run("compile");
 
-    // Explicitly initialize the provider and wallet
-    const provider = new ethers.providers.JsonRpcProvider(process.env.GNOSIS_RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    // The upgrades plugin tracks deployments through the network Hardhat was started with
+    const wallet = this.getDeployer();
+    const { admin, minter, revoker } = this.getRoleHolders();
 
-    // Ensure deployment directory exists
-    await fs.mkdir(this.deploymentConfig.deploymentDir, { recursive: true });
-
-    // Add fallback for gas price
-    const gasPrice = this.deploymentConfig.gasPrice || (await provider.getGasPrice());
-
-    // Carica il contratto e distribuiscilo
-    const POLPBadge = await ethers.getContractFactory("POLPBadge"); // Assicurati che il contratto si chiami POLPBadge.sol
-    const polpBadge = await POLPBadge.deploy(); // Modifica se necessario per passare argomenti
+    // Implementation first, then the ERC-1967 proxy that calls initialize(admin, minter)
+    const POLPBadge = await ethers.getContractFactory("POLPBadge", wallet);
+    const polpBadge = await upgrades.deployProxy(POLPBadge, [admin, minter], { kind: 'uups' });
     await polpBadge.deployed();
 
     this.deployedContracts.POLPBadge = polpBadge;
+    this.implementationAddress = await upgrades.erc1967.getImplementationAddress(polpBadge.address);
+
+    // The transfer indexer backfills from this block (POLP_DEPLOY_BLOCK)
+    const deployReceipt = await polpBadge.deployTransaction.wait();
+    this.deployBlock = deployReceipt.blockNumber;
+
+    logger.info(`POLPBadge proxy deployed at: ${polpBadge.address} (block ${this.deployBlock})`);
+    logger.info(`POLPBadge implementation: ${this.implementationAddress}`);
+    logger.info(`Admin, pauser, URI setter and upgrader: ${admin}; minter (backend): ${minter}; revoker: ${revoker}`);
+
+    // Authorise the key the backend signs claim vouchers with (defaults to the backend key)
+    const voucherSigner = new ethers.Wallet(process.env.VOUCHER_SIGNER_PRIVATE_KEY || process.env.PRIVATE_KEY);
+    if (admin.toLowerCase() === wallet.address.toLowerCase()) {
+      await (await polpBadge.setVoucherSigner(voucherSigner.address, true)).wait();
+      logger.info(`Voucher signer authorised: ${voucherSigner.address}`);
+    } else {
+      logger.warn(`Admin ${admin} must authorise the voucher signer: setVoucherSigner(${voucherSigner.address}, true)`);
+    }
+
+    // The admin holds REVOKER_ROLE from initialize; the backend revokes with a key of its own
+    if (revoker.toLowerCase() !== admin.toLowerCase()) {
+      const revokerRole = await polpBadge.REVOKER_ROLE();
+      if (admin.toLowerCase() === wallet.address.toLowerCase()) {
+        await (await polpBadge.grantRole(revokerRole, revoker)).wait();
+        logger.info(`Revoker authorised: ${revoker}`);
+      } else {
+        logger.warn(`Admin ${admin} must authorise the revoker: grantRole(${revokerRole}, ${revoker})`);
+      }
+    }
 
-    logger.info(`POLPBadge deployed at: ${polpBadge.address}`);
+    await this.verifyImplementation();
+  }
 
-    // Add contract verification step
-    if (this.deployedContracts.POLPBadge) {
+  /**
+   * Upgrade the POLPBadge proxy at POLP_CONTRACT_ADDRESS to the compiled POLPBadge.
+   * The new storage layout is checked against the one recorded for the live
+   * implementation in .openzeppelin/ before anything is deployed.
+   */
+  async upgrade() {
+    try {
+      logger.info('Starting POLPBadge upgrade...');
+
+      this.assertLiveNetwork();
+      const proxyAddress = this.getProxyAddress();
+      await run("compile");
+
+      const wallet = this.getDeployer();
+      const { admin } = this.getRoleHolders();
+      const POLPBadge = await ethers.getContractFactory("POLPBadge", wallet);
+
+      await this.validateUpgrade(proxyAddress, POLPBadge);
+
+      const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+      // Deploys the new implementation (or reuses an identical one already deployed)
+      this.implementationAddress = await upgrades.prepareUpgrade(proxyAddress, POLPBadge, { kind: 'uups' });
+
+      if (this.implementationAddress === previousImplementation) {
+        logger.info(`POLPBadge implementation unchanged: ${previousImplementation}`);
+        return;
+      }
+
+      logger.info(`New POLPBadge implementation deployed at: ${this.implementationAddress}`);
+
+      const polpBadge = POLPBadge.attach(proxyAddress);
+      this.deployedContracts.POLPBadge = polpBadge;
+
+      // Only the admin can switch the proxy over; a multisig admin submits the call itself
+      if (admin.toLowerCase() === wallet.address.toLowerCase()) {
+        await (await polpBadge.upgradeToAndCall(this.implementationAddress, '0x')).wait();
+        logger.info(`POLPBadge proxy ${proxyAddress} upgraded from ${previousImplementation}`);
+      } else {
+        const data = polpBadge.interface.encodeFunctionData('upgradeToAndCall', [this.implementationAddress, '0x']);
+        logger.warn(`Admin ${admin} must send to ${proxyAddress}: upgradeToAndCall(${this.implementationAddress}, 0x) (data: ${data})`);
+      }
+
+      await this.verifyImplementation();
+      await this.verifyDeployment();
+      await this.saveDeploymentInfo();
+
+      logger.info('POLPBadge upgrade completed successfully!');
+
+    } catch (error) {
+      logger.error('Upgrade failed:', error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Check that the compiled POLPBadge can replace the live implementation: upgrade-safe
+   * code, and a storage layout that keeps every existing variable in its slot
+   * @param {string} proxyAddress - POLPBadge proxy
+   * @param {object} POLPBadge - Contract factory of the new version
+   */
+  async validateUpgrade(proxyAddress, POLPBadge) {
+    logger.info(`Checking the storage layout of POLPBadge against the proxy at ${proxyAddress}...`);
+
+    await upgrades.validateUpgrade(proxyAddress, POLPBadge, { kind: 'uups' });
+
+    logger.info('Storage layout is compatible');
+  }
+
+  /**
+   * Verify the implementation source on the block explorer (the proxy itself is a standard ERC-1967 proxy)
+   */
+  async verifyImplementation() {
+    // The contract is live either way: a failed verification is retried by hand
+    try {
       await run("verify:verify", {
-        address: this.deployedContracts.POLPBadge.address,
-        constructorArguments: [],
+        address: this.implementationAddress,
+        constructorArguments: []
       });
-      logger.info(`POLPBadge contract verified at: ${this.deployedContracts.POLPBadge.address}`);
+      logger.info(`POLPBadge implementation verified at: ${this.implementationAddress}`);
+    } catch (error) {
+      logger.warn(`POLPBadge implementation ${this.implementationAddress} not verified: ${error.message}`);
     }
   }
 
+  /**
+   * Wallet deploying contracts, connected to the network Hardhat runs against
+   * @returns {object} - ethers Wallet
+   */
+  getDeployer() {
+    return new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY || process.env.PRIVATE_KEY, ethers.provider);
+  }
+
+  /**
+   * Address of the deployed POLPBadge proxy
+   * @returns {string} - POLP_CONTRACT_ADDRESS
+   */
+  getProxyAddress() {
+    const proxyAddress = process.env.POLP_CONTRACT_ADDRESS;
+
+    if (!proxyAddress || !ethers.utils.isAddress(proxyAddress)) {
+      throw new Error('POLP_CONTRACT_ADDRESS must be set to the POLPBadge proxy address');
+    }
+
+    return proxyAddress;
+  }
+
+  /**
+   * Addresses the contract roles are granted to: the admin (POLP_ADMIN_ADDRESS, ideally a
+   * multisig, or the deployer), the minter (the backend's PRIVATE_KEY) and the revoker
+   * (REVOKER_PRIVATE_KEY, the admin when unset)
+   * @returns {object} - {admin, minter, revoker}
+   */
+  getRoleHolders() {
+    const deployer = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY || process.env.PRIVATE_KEY);
+    const admin = process.env.POLP_ADMIN_ADDRESS || deployer.address;
+
+    return {
+      admin,
+      minter: new ethers.Wallet(process.env.PRIVATE_KEY).address,
+      revoker: process.env.REVOKER_PRIVATE_KEY ? new ethers.Wallet(process.env.REVOKER_PRIVATE_KEY).address : admin
+    };
+  }
+
   /**
    * Initialize backend services
    */
@@ -186,6 +345,22 @@ class DeploymentScript {
       if (code === '0x') {
         throw new Error('POLPBadge contract not found at deployed address');
       }
+
+      const polpBadge = this.deployedContracts.POLPBadge;
+
+      // A proxy whose admin has not switched it over yet still points at the old implementation
+      const implementation = await upgrades.erc1967.getImplementationAddress(polpBadge.address);
+      if (implementation !== this.implementationAddress) {
+        logger.warn(`POLPBadge proxy still points at implementation ${implementation}`);
+      }
+
+      const { minter } = this.getRoleHolders();
+      const isMinter = await polpBadge.hasRole(await polpBadge.MINTER_ROLE(), minter);
+      const otherRoles = await Promise.all(['DEFAULT_ADMIN_ROLE', 'PAUSER_ROLE', 'URI_SETTER_ROLE', 'REVOKER_ROLE']
+        .map(async (role) => polpBadge.hasRole(await polpBadge[role](), minter)));
+      if (!isMinter || otherRoles.includes(true)) {
+        throw new Error(`Backend key ${minter} must hold MINTER_ROLE and nothing else`);
+      }
     }
 
     logger.info('Deployment verification completed');
@@ -200,21 +375,32 @@ class DeploymentScript {
     const deploymentInfo = {
       timestamp: new Date().toISOString(),
       network: this.deploymentConfig.network,
-      contracts: this.deployedContracts
+      deployBlock: this.deployBlock,
+      contracts: {
+        POLPBadge: {
+          proxy: this.deployedContracts.POLPBadge.address,
+          implementation: this.implementationAddress
+        }
+      }
     };
 
+    // Ensure deployment directory exists
+    await fs.mkdir(this.deploymentConfig.deploymentDir, { recursive: true });
+
     // Scrivi le informazioni di deployment in un file JSON
     const deploymentFile = path.join(this.deploymentConfig.deploymentDir, `deployment-${this.deploymentConfig.network}-${Date.now()}.json`);
     await fs.writeFile(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
 
     logger.info(`Deployment info saved to: ${deploymentFile}`);
+    logger.info(`Backend configuration: POLP_CONTRACT_ADDRESS=${deploymentInfo.contracts.POLPBadge.proxy} POLP_IMPLEMENTATION_ADDRESS=${deploymentInfo.contracts.POLPBadge.implementation}`);
   }
 }
 
 // CLI interface
 async function main() {
   const args = process.argv.slice(2);
-  const command = args[0] || 'deploy';
+  // "hardhat run" passes no arguments to the script, hence DEPLOY_COMMAND
+  const command = args[0] || process.env.DEPLOY_COMMAND || 'deploy';
 
   const deployment = new DeploymentScript();
 
@@ -223,9 +409,20 @@ async function main() {
       await deployment.deploy();
       break;
 
+    case 'upgrade':
+      await deployment.upgrade();
+      break;
+
+    case 'validate-upgrade': {
+      deployment.assertLiveNetwork();
+      const POLPBadge = await ethers.getContractFactory("POLPBadge");
+      await deployment.validateUpgrade(deployment.getProxyAddress(), POLPBadge);
+      break;
+    }
+
     // Aggiungi ulteriori comandi qui se necessario
     default:
-      console.log('Usage: node deploy.js [deploy]');
+      console.log('Usage: DEPLOY_COMMAND=<deploy|upgrade|validate-upgrade> npx hardhat run scripts/deploy.js --network <name>');
       process.exit(1);
   }
 }
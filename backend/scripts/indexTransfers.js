@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const logger = require('../utils/logger');
+const transferIndexerService = require('../services/transferIndexerService');
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'sync';
+
+  switch (command) {
+    case 'sync': {
+      const applied = await transferIndexerService.sync();
+      logger.info(`Sync complete, ${applied} Transfer event(s) applied`);
+      break;
+    }
+
+    case 'backfill': {
+      // Defaults to the deployment block (POLP_DEPLOY_BLOCK)
+      const fromBlock = args[1] !== undefined ? parseInt(args[1]) : undefined;
+      const applied = await transferIndexerService.backfill(fromBlock);
+      logger.info(`Backfill complete, ${applied} Transfer event(s) applied`);
+      break;
+    }
+
+    case 'status': {
+      const cursor = await transferIndexerService.loadCursor();
+      console.log(JSON.stringify({
+        chainId: cursor.chainId,
+        contractAddress: cursor.contractAddress,
+        lastBlock: cursor.lastBlock,
+        lastBlockHash: cursor.lastBlockHash,
+        updatedAt: cursor.updatedAt
+      }, null, 2));
+      break;
+    }
+
+    default:
+      console.log('Usage: node indexTransfers.js [sync | backfill [fromBlock] | status]');
+      process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('Transfer indexer script failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const logger = require('../utils/logger');
+const faissService = require('../services/faissService');
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'rebuild';
+
+  switch (command) {
+    case 'rebuild': {
+      // Defaults to FAISS_INDEX_TYPE
+      const result = await faissService.rebuildOffline({ indexType: args[1] });
+      logger.info(`Rebuild complete, generation ${result.generation} (${result.indexType}) with ${result.totalVectors} vector(s)`);
+      break;
+    }
+
+    case 'compact': {
+      await faissService.initialize();
+
+      if (!faissService.needsCompaction() && args[1] !== '--force') {
+        const { removedVectors, totalVectors } = faissService.getIndexStats();
+        logger.info(`No compaction needed (${removedVectors} of ${totalVectors} vectors removed)`);
+        break;
+      }
+
+      const result = await faissService.rebuildOffline();
+      logger.info(`Compaction complete, generation ${result.generation} dropped ${result.droppedVectors} removed vector(s)`);
+      break;
+    }
+
+    case 'status': {
+      await faissService.initialize();
+      console.log(JSON.stringify(faissService.getIndexStats(), null, 2));
+      break;
+    }
+
+    default:
+      console.log('Usage: node rebuildFaissIndex.js [rebuild [flatIP|ivfFlat|hnsw] | compact [--force] | status]');
+      process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('FAISS rebuild script failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const logger = require('../utils/logger');
+const faissService = require('../services/faissService');
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'run';
+
+  switch (command) {
+    case 'run': {
+      const batchSize = args[1] !== undefined ? parseInt(args[1]) : undefined;
+      const count = await faissService.reembedVisits({ batchSize });
+      logger.info(`Re-embedding complete, ${count} visit(s) updated with ${await faissService.getEmbeddingModelId()}`);
+      break;
+    }
+
+    case 'rebuild': {
+      await faissService.initialize();
+      const count = await faissService.rebuildIndex();
+      logger.info(`Rebuild complete, ${count} visit(s) indexed`);
+      break;
+    }
+
+    case 'status': {
+      await faissService.initialize();
+      console.log(JSON.stringify(faissService.getIndexStats(), null, 2));
+      break;
+    }
+
+    default:
+      console.log('Usage: node reembedVisits.js [run [batchSize] | rebuild | status]');
+      process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('Re-embedding script failed:', error);
+      process.exit(1);
+    });
+}
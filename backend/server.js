@@ -18,11 +18,20 @@ app.use(morgan('dev'));
 const authRoutes = require('./routes/authRoutes');
 const badgeRoutes = require('./routes/badgeRoutes');
 const visitRoutes = require('./routes/visitRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const mintQueueService = require('./services/mintQueueService');
+const nonceManagerService = require('./services/nonceManagerService');
+const transferIndexerService = require('./services/transferIndexerService');
+const visitAnchorService = require('./services/visitAnchorService');
+const faissService = require('./services/faissService');
 
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/badges', badgeRoutes);
 app.use('/api/visits', visitRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -44,4 +53,27 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
+
+  // Background workers for queued badge mints and the minter wallet's pending transactions
+  if (process.env.MINT_WORKER_ENABLED !== 'false') {
+    nonceManagerService.start();
+    mintQueueService.start();
+  }
+
+  // Keeps Badge ownership in sync with transfers made outside the API
+  if (process.env.TRANSFER_INDEXER_ENABLED !== 'false') {
+    transferIndexerService.start();
+  }
+
+  // Batches verified visit hashes into Merkle trees and anchors their roots on-chain
+  if (process.env.VISIT_ANCHOR_ENABLED !== 'false') {
+    visitAnchorService.start();
+  }
+
+  // Re-embeds visits whose vectors come from a previous embedding model
+  if (process.env.EMBEDDING_REEMBED_ON_START !== 'false') {
+    faissService.reembedVisits()
+      .then(count => count > 0 && logger.info(`Re-embedding complete, ${count} visit(s) updated`))
+      .catch(error => logger.error('Re-embedding job failed:', error));
+  }
 });
@@ -0,0 +1,168 @@
+const ipfsService = require('./ipfsService');
+const nftService = require('./nftService');
+const moderationService = require('./moderationService');
+const logger = require('../utils/logger');
+
+class BadgeRevocationService {
+
+  /**
+   * Revoke a fraudulent badge: burn it on-chain, reject its visit and republish the
+   * visit record with a revoked status. Calling it again for the same badge finishes
+   * whatever a previous call left undone without sending a second transaction.
+   * @param {object} badge - Badge instance (not burned by its holder)
+   * @param {string} reason - Why the badge is revoked, recorded on-chain
+   * @param {object} actor - Authenticated moderator (req.user)
+   * @param {object} options - notes, ipAddress
+   * @returns {object} - {badge, visit, record}
+   */
+  async revokeBadge(badge, reason, actor, { notes = null, ipAddress = null } = {}) {
+    const Visit = require('../models/Visit');
+    const AuditLog = require('../models/AuditLog');
+
+    await this.refreshRevocation(badge);
+
+    if (!badge.revocationStatus || badge.revocationStatus === 'failed') {
+      const before = { isActive: badge.isActive, revocationStatus: badge.revocationStatus };
+
+      await this.submitRevocation(badge, reason, actor);
+
+      await AuditLog.record(actor, 'badge.revoke', { type: 'badge', id: badge.id }, {
+        changes: {
+          before,
+          after: { isActive: badge.isActive, revocationStatus: badge.revocationStatus, txHash: badge.revocationTxHash }
+        },
+        notes: notes ? `${reason}: ${notes}` : reason,
+        ipAddress
+      });
+    }
+
+    const visit = await Visit.findByPk(badge.visitId);
+
+    if (visit && visit.status !== 'rejected') {
+      const before = { status: visit.status, isVerified: visit.isVerified };
+
+      await visit.update({
+        status: 'rejected',
+        isVerified: false,
+        verifiedAt: null,
+        adminNotes: moderationService.appendNote(visit.adminNotes, actor, 'revoke', badge.revocationReason)
+      });
+
+      await AuditLog.record(actor, 'visit.reject', { type: 'visit', id: visit.id }, {
+        changes: { before, after: { status: visit.status, isVerified: visit.isVerified } },
+        notes: `Badge ${badge.tokenId} revoked: ${badge.revocationReason}`,
+        ipAddress
+      });
+
+      await moderationService.syncSearchIndex([{ visit, before }]);
+    }
+
+    const record = visit ? await this.publishRevokedRecord(visit, badge) : null;
+
+    logger.info(`Badge ${badge.tokenId} revoked by ${actor.walletAddress}: ${badge.revocationReason}`);
+
+    return { badge, visit, record };
+  }
+
+  /**
+   * Send the revoke transaction and hide the badge straight away
+   * @param {object} badge - Badge instance
+   * @param {string} reason - Revocation reason
+   * @param {object} actor - Authenticated moderator (req.user)
+   */
+  async submitRevocation(badge, reason, actor) {
+    // One transaction per attempt: a retry after a failed one needs a reference of its own
+    const reference = badge.revocationStatus === 'failed'
+      ? `revoke:${badge.tokenId}:after:${badge.revocationTxHash}`
+      : `revoke:${badge.tokenId}`;
+
+    const { txHash } = await nftService.submitRevoke(badge.tokenId, reason, { reference });
+
+    await badge.update({
+      isActive: false,
+      revocationStatus: 'submitted',
+      revocationReason: reason,
+      revocationTxHash: txHash,
+      revocationError: null,
+      revokedBy: actor.userId,
+      revokedAt: new Date()
+    });
+
+    logger.info(`Badge ${badge.tokenId} revocation submitted: ${txHash}`);
+  }
+
+  /**
+   * Record the outcome of a submitted revocation once it is mined. The transfer
+   * indexer usually gets there first, through the burn's Transfer event.
+   * @param {object} badge - Badge instance
+   * @returns {object} - The same badge, with its revocation status up to date
+   */
+  async refreshRevocation(badge) {
+    if (badge.revocationStatus !== 'submitted') {
+      return badge;
+    }
+
+    try {
+      const result = await nftService.getRevokeResult(badge.revocationTxHash);
+
+      if (!result) {
+        return badge;
+      }
+
+      if (result.status === 'confirmed') {
+        await badge.update({ revocationTxHash: result.txHash });
+        if (badge.isBurned) {
+          await badge.update({ revocationStatus: 'revoked', revocationError: null });
+        } else {
+          await badge.burn();
+        }
+        logger.info(`Badge ${badge.tokenId} burned in block ${result.blockNumber}`);
+      } else {
+        await badge.update({
+          revocationStatus: 'failed',
+          revocationError: `Revoke transaction ${result.txHash} ${result.status}`
+        });
+        logger.warn(`Badge ${badge.tokenId} revoke transaction ${result.status}`);
+      }
+    } catch (error) {
+      logger.error(`Badge ${badge.tokenId} revocation refresh error:`, error);
+    }
+
+    return badge;
+  }
+
+  /**
+   * Point the visit's IPNS name at a copy of its record marked as revoked. The original
+   * CID is left untouched, so the visit hash can still be checked against it.
+   * @param {object} visit - Visit instance
+   * @param {object} badge - Revoked Badge instance
+   * @returns {object|null} - New record {cid, ipfsUrl, ipnsKey, ipnsUrl}, or null if it could not be published
+   */
+  async publishRevokedRecord(visit, badge) {
+    if (!visit.ipfsCid || !visit.ipnsKey) {
+      return null;
+    }
+
+    // The database is the source of truth; revoking again republishes the record
+    try {
+      const visitData = await ipfsService.getVisitData(visit.ipfsCid);
+
+      return await ipfsService.updateVisitData(visit.ipnsKey, {
+        ...visitData,
+        status: 'revoked',
+        revocation: {
+          tokenId: badge.tokenId,
+          reason: badge.revocationReason,
+          revokedAt: badge.revokedAt,
+          txHash: badge.revocationTxHash,
+          sourceCid: visit.ipfsCid
+        }
+      });
+    } catch (error) {
+      logger.warn(`Revoked record of visit ${visit.id} not published to IPNS: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new BadgeRevocationService();
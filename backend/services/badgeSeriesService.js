@@ -0,0 +1,263 @@
+const logger = require('../utils/logger');
+const nftService = require('./nftService');
+
+// Fields written on-chain by defineSeries; changing any of them needs a new transaction
+const ON_CHAIN_FIELDS = ['maxSupply', 'startsAt', 'endsAt', 'baseMetadataUri', 'isSoulbound'];
+
+// Fields an admin can change after creation
+const EDITABLE_FIELDS = ['name', 'description', ...ON_CHAIN_FIELDS];
+
+class BadgeSeriesService {
+
+  /**
+   * List badge series, newest first
+   * @param {object} params - locationId, limit, offset
+   * @returns {object} - {series, totalCount, hasMore}
+   */
+  async listSeries({ locationId = null, limit = 50, offset = 0 }) {
+    const BadgeSeries = require('../models/BadgeSeries');
+
+    const whereClause = {};
+    if (locationId) {
+      whereClause.locationId = locationId;
+    }
+
+    const { rows, count } = await BadgeSeries.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    for (const series of rows) {
+      await this.refreshSync(series);
+    }
+
+    return {
+      series: rows.map(series => series.toPublicJSON()),
+      totalCount: count,
+      hasMore: offset + rows.length < count
+    };
+  }
+
+  /**
+   * A badge series with its on-chain state and audit trail
+   * @param {number} seriesId - Series ID
+   * @returns {object|null} - Series, or null if it does not exist
+   */
+  async getSeries(seriesId) {
+    const BadgeSeries = require('../models/BadgeSeries');
+    const AuditLog = require('../models/AuditLog');
+
+    const series = await BadgeSeries.findByPk(seriesId);
+    if (!series) {
+      return null;
+    }
+
+    await this.refreshSync(series);
+
+    return {
+      ...series.toPublicJSON(),
+      onChain: series.isDefinedOnChain() ? await nftService.getSeries(series.id) : null,
+      auditTrail: (await AuditLog.findForTarget('badge_series', series.id)).map(entry => entry.toPublicJSON())
+    };
+  }
+
+  /**
+   * Create a badge series and define it on-chain
+   * @param {object} fields - name, description, locationId and the on-chain rules
+   * @param {object} actor - Authenticated admin (req.user)
+   * @param {object} options - Optional ipAddress for the audit trail
+   * @returns {object} - New BadgeSeries
+   */
+  async createSeries(fields, actor, { ipAddress = null } = {}) {
+    const BadgeSeries = require('../models/BadgeSeries');
+    const AuditLog = require('../models/AuditLog');
+
+    const series = await BadgeSeries.create({
+      name: fields.name,
+      description: fields.description || null,
+      locationId: fields.locationId,
+      maxSupply: fields.maxSupply || null,
+      startsAt: fields.startsAt || null,
+      endsAt: fields.endsAt || null,
+      baseMetadataUri: fields.baseMetadataUri || null,
+      isSoulbound: Boolean(fields.isSoulbound),
+      createdBy: actor.userId
+    });
+
+    await AuditLog.record(actor, 'series.create', { type: 'badge_series', id: series.id }, {
+      changes: { after: this.pick(series, EDITABLE_FIELDS) },
+      ipAddress
+    });
+
+    logger.info(`Badge series ${series.id} "${series.name}" created by ${actor.walletAddress}`);
+
+    await this.syncSeries(series);
+
+    return series;
+  }
+
+  /**
+   * Update a badge series; changes to its rules are written on-chain as a new version,
+   * and badges keep being minted against the synced one until it is mined
+   * @param {number} seriesId - Series ID
+   * @param {object} changes - Fields to change
+   * @param {object} actor - Authenticated admin (req.user)
+   * @param {object} options - Optional ipAddress for the audit trail
+   * @returns {object|null} - Updated BadgeSeries, or null if it does not exist
+   */
+  async updateSeries(seriesId, changes, actor, { ipAddress = null } = {}) {
+    const BadgeSeries = require('../models/BadgeSeries');
+    const AuditLog = require('../models/AuditLog');
+
+    const series = await BadgeSeries.findByPk(seriesId);
+    if (!series) {
+      return null;
+    }
+
+    const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+    const before = this.pick(series, fields);
+
+    const updates = {};
+    fields.forEach(field => {
+      updates[field] = field === 'isSoulbound' ? Boolean(changes[field]) : changes[field];
+    });
+
+    const onChainChanged = ON_CHAIN_FIELDS.some(field =>
+      field in updates && this.normalize(field, updates[field]) !== this.normalize(field, series[field])
+    );
+
+    if (onChainChanged) {
+      updates.version = series.version + 1;
+      updates.syncStatus = 'pending';
+      updates.lastError = null;
+    }
+
+    await series.update(updates);
+
+    await AuditLog.record(actor, 'series.update', { type: 'badge_series', id: series.id }, {
+      changes: { before, after: this.pick(series, fields) },
+      ipAddress
+    });
+
+    logger.info(`Badge series ${series.id} updated by ${actor.walletAddress}`);
+
+    if (onChainChanged) {
+      await this.syncSeries(series);
+    }
+
+    return series;
+  }
+
+  /**
+   * Send a failed definition again, as a new version
+   * @param {number} seriesId - Series ID
+   * @returns {object|null} - BadgeSeries, or null if it does not exist
+   */
+  async retrySync(seriesId) {
+    const BadgeSeries = require('../models/BadgeSeries');
+
+    const series = await BadgeSeries.findByPk(seriesId);
+    if (!series) {
+      return null;
+    }
+
+    if (series.syncStatus === 'failed') {
+      await series.update({ version: series.version + 1, syncStatus: 'pending', lastError: null });
+      await this.syncSeries(series);
+    }
+
+    return series;
+  }
+
+  /**
+   * Send the defineSeries transaction of the series' current version
+   * @param {object} series - BadgeSeries instance
+   */
+  async syncSeries(series) {
+    // One transaction per version: the nonce manager hands back the one already sent
+    const reference = `series:${series.id}:v${series.version}`;
+
+    try {
+      const { txHash } = await nftService.submitSeries(series, { reference });
+
+      await series.update({ syncStatus: 'submitted', txHash, lastError: null });
+
+      logger.info(`Badge series ${series.id} v${series.version} submitted: ${txHash}`);
+    } catch (error) {
+      logger.error(`Badge series ${series.id} sync error:`, error);
+      await series.update({ syncStatus: 'failed', lastError: error.message });
+    }
+  }
+
+  /**
+   * Record the outcome of a submitted definition once it is mined
+   * @param {object} series - BadgeSeries instance
+   * @returns {object} - The same series, with its sync status up to date
+   */
+  async refreshSync(series) {
+    if (series.syncStatus !== 'submitted') {
+      return series;
+    }
+
+    try {
+      const result = await nftService.getSeriesResult(series.txHash);
+
+      if (!result) {
+        return series;
+      }
+
+      if (result.status === 'confirmed') {
+        await series.update({
+          syncStatus: 'synced',
+          txHash: result.txHash,
+          syncedVersion: series.version,
+          syncedAt: new Date(),
+          lastError: null
+        });
+        logger.info(`Badge series ${series.id} v${series.version} defined on-chain in block ${result.blockNumber}`);
+      } else {
+        await series.update({ syncStatus: 'failed', lastError: `Definition transaction ${result.txHash} ${result.status}` });
+        logger.warn(`Badge series ${series.id} v${series.version} definition ${result.status}`);
+      }
+    } catch (error) {
+      logger.error(`Badge series ${series.id} refresh error:`, error);
+    }
+
+    return series;
+  }
+
+  /**
+   * Series a visit's badge is minted from
+   * @param {object} visit - Visit instance
+   * @returns {object|null} - BadgeSeries, or null if the location has none covering the visit
+   */
+  async getSeriesForVisit(visit) {
+    const BadgeSeries = require('../models/BadgeSeries');
+
+    const series = await BadgeSeries.findForVisit(visit);
+
+    return series ? this.refreshSync(series) : null;
+  }
+
+  normalize(field, value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    if (field === 'startsAt' || field === 'endsAt') {
+      return new Date(value).getTime();
+    }
+    return String(value);
+  }
+
+  pick(series, fields) {
+    const values = {};
+    fields.forEach(field => {
+      values[field] = series[field];
+    });
+    return values;
+  }
+}
+
+module.exports = new BadgeSeriesService();
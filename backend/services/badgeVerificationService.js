@@ -0,0 +1,344 @@
+const ipfsService = require('./ipfsService');
+const nftService = require('./nftService');
+const walletService = require('./walletService');
+const { hashUtils } = require('../utils/hashUtils');
+const { normalizeTagId } = require('../utils/nfcUtils');
+const logger = require('../utils/logger');
+
+// Checks that must pass for the visit itself to count as proven
+const REQUIRED_CHECKS = ['visit_record', 'visit_hash', 'signature'];
+
+class BadgeVerificationService {
+
+  /**
+   * Check the whole chain of evidence behind a badge or a visit record:
+   * token on-chain, its metadata, the IPFS visit record, its hash, the visitor's
+   * EIP-712 signature, the claim status and the Merkle anchor of the visit hash
+   * @param {object} subject - tokenId or cid (IPFS CID of the visit record)
+   * @returns {object} - Report with the outcome of every check
+   */
+  async verify({ tokenId = null, cid = null }) {
+    const report = {
+      subject: { tokenId, cid },
+      result: 'fail',
+      checks: [],
+      token: null,
+      visit: null,
+      checkedAt: new Date().toISOString()
+    };
+
+    const context = { tokenId, cid, expectedHash: null, record: null, visitHash: null, visitor: null };
+
+    // A visit CID leads to its badge through the database, when one was minted
+    if (!context.tokenId && context.cid) {
+      await this.resolveBadge(context);
+    }
+
+    if (context.tokenId !== null) {
+      await this.checkTokenUri(report, context);
+    }
+
+    if (!context.cid) {
+      this.addCheck(report, 'visit_record', 'fail', 'No visit record to verify');
+    } else {
+      await this.checkVisitRecord(report, context);
+    }
+
+    if (context.record) {
+      this.checkVisitHash(report, context);
+      await this.checkSignature(report, context);
+    }
+
+    if (context.tokenId === null) {
+      this.addCheck(report, 'token_owner', 'skip', 'No badge has been minted for this visit');
+    } else {
+      await this.checkOwner(report, context);
+      await this.checkClaimStatus(report, context);
+    }
+
+    await this.checkAnchor(report, context);
+
+    const failed = report.checks.some(check => check.status === 'fail');
+    const proven = REQUIRED_CHECKS.every(id => report.checks.some(check => check.id === id && check.status === 'pass'));
+    report.result = !failed && proven ? 'pass' : 'fail';
+
+    logger.info(`Verification of ${tokenId !== null ? `token ${tokenId}` : `visit ${cid}`}: ${report.result}`);
+
+    return report;
+  }
+
+  async resolveBadge(context) {
+    const Visit = require('../models/Visit');
+    const Badge = require('../models/Badge');
+
+    const visit = await Visit.findOne({ where: { ipfsCid: context.cid }, attributes: ['id', 'visitHash'] });
+    if (!visit) {
+      return;
+    }
+
+    context.expectedHash = visit.visitHash;
+
+    const badge = await Badge.findOne({ where: { visitId: visit.id }, attributes: ['tokenId'] });
+    if (badge) {
+      context.tokenId = badge.tokenId;
+    }
+  }
+
+  /**
+   * The token's on-chain URI must resolve to metadata that points at the visit record
+   */
+  async checkTokenUri(report, context) {
+    const Badge = require('../models/Badge');
+
+    try {
+      const tokenURI = await nftService.getBadgeMetadataUri(context.tokenId);
+      const metadataCid = this.extractCid(tokenURI);
+      const metadata = metadataCid ? await ipfsService.getMetadata(metadataCid) : null;
+      const properties = (metadata && metadata.properties) || {};
+      const badge = await Badge.findByTokenId(context.tokenId);
+
+      report.token = {
+        tokenId: String(context.tokenId),
+        contractAddress: nftService.contractAddress,
+        tokenURI,
+        name: metadata ? metadata.name : null
+      };
+
+      if (!properties.ipfsCid) {
+        this.addCheck(report, 'token_uri', 'fail', 'Token metadata does not reference a visit record', { tokenURI });
+        return;
+      }
+      if (context.cid && context.cid !== properties.ipfsCid) {
+        this.addCheck(report, 'token_uri', 'fail', 'Token metadata references a different visit record', {
+          tokenURI,
+          visitCid: properties.ipfsCid
+        });
+        return;
+      }
+      if (badge && badge.metadataUri && badge.metadataUri !== tokenURI) {
+        this.addCheck(report, 'token_uri', 'fail', 'On-chain token URI differs from the one recorded at mint', {
+          tokenURI,
+          recordedURI: badge.metadataUri
+        });
+        return;
+      }
+
+      context.cid = properties.ipfsCid;
+      context.expectedHash = properties.visitHash || context.expectedHash;
+
+      this.addCheck(report, 'token_uri', 'pass', 'Token metadata points at the visit record', {
+        tokenURI,
+        visitCid: properties.ipfsCid
+      });
+    } catch (error) {
+      this.addCheck(report, 'token_uri', 'fail', `Token URI could not be resolved: ${error.message}`);
+    }
+  }
+
+  async checkVisitRecord(report, context) {
+    try {
+      context.record = await ipfsService.getVisitData(context.cid);
+
+      report.visit = {
+        cid: context.cid,
+        url: `${ipfsService.ipfsGateway}${context.cid}`,
+        locationId: context.record.locationId,
+        locationName: context.record.locationName,
+        timestamp: context.record.timestamp
+      };
+
+      this.addCheck(report, 'visit_record', 'pass', 'Visit record retrieved from IPFS', { cid: context.cid });
+    } catch (error) {
+      this.addCheck(report, 'visit_record', 'fail', `Visit record could not be retrieved: ${error.message}`, { cid: context.cid });
+    }
+  }
+
+  /**
+   * The hash recomputed from the record must match the one committed to at mint time
+   */
+  checkVisitHash(report, context) {
+    try {
+      context.visitHash = hashUtils.createVisitHash(context.record);
+      report.visit.visitHash = context.visitHash;
+
+      if (!context.expectedHash) {
+        this.addCheck(report, 'visit_hash', 'skip', 'No committed hash to compare the record against', {
+          computedHash: context.visitHash
+        });
+      } else if (context.visitHash !== context.expectedHash) {
+        this.addCheck(report, 'visit_hash', 'fail', 'Visit record does not match its committed hash', {
+          computedHash: context.visitHash,
+          expectedHash: context.expectedHash
+        });
+      } else {
+        this.addCheck(report, 'visit_hash', 'pass', 'Visit record matches its committed hash', {
+          computedHash: context.visitHash
+        });
+      }
+    } catch (error) {
+      this.addCheck(report, 'visit_hash', 'fail', error.message);
+    }
+  }
+
+  /**
+   * The visitor must have signed the coordinates, tag and time stored in the record
+   */
+  async checkSignature(report, context) {
+    const { attestation } = context.record;
+
+    if (!attestation || !attestation.signature || !attestation.message) {
+      this.addCheck(report, 'signature', 'fail', 'Visit record has no signed attestation');
+      return;
+    }
+
+    try {
+      const message = attestation.message;
+      const signed = walletService.createVisitMessage({ ...context.record, userAddress: message.userAddress });
+
+      // Secure tags are normalised after signing, so compare tag IDs without separators
+      const mismatches = ['latitude', 'longitude', 'timestamp']
+        .filter(field => String(message[field]) !== String(signed[field]));
+      if (normalizeTagId(message.nfcTagId) !== normalizeTagId(context.record.nfcTagId)) {
+        mismatches.push('nfcTagId');
+      }
+
+      if (mismatches.length > 0) {
+        this.addCheck(report, 'signature', 'fail', 'Signed attestation does not match the visit record', { fields: mismatches });
+        return;
+      }
+
+      // Always checked against the app's own domain, never the one stored alongside the signature
+      const typedData = walletService.createTypedData(message);
+
+      if (!await walletService.verifyTypedSignature(typedData, attestation.signature, message.userAddress)) {
+        this.addCheck(report, 'signature', 'fail', 'Signature was not made by the visitor wallet', {
+          visitor: message.userAddress
+        });
+        return;
+      }
+
+      context.visitor = message.userAddress;
+      report.visit.visitor = message.userAddress;
+
+      this.addCheck(report, 'signature', 'pass', 'Visit was signed by the visitor wallet', { visitor: message.userAddress });
+    } catch (error) {
+      this.addCheck(report, 'signature', 'fail', `Signature could not be checked: ${error.message}`);
+    }
+  }
+
+  /**
+   * The badge should still be with the visitor; soulbound badges can never have left
+   */
+  async checkOwner(report, context) {
+    try {
+      const owner = await nftService.getBadgeOwner(context.tokenId);
+
+      if (!owner) {
+        this.addCheck(report, 'token_owner', 'fail', 'Token does not exist on-chain');
+        return;
+      }
+
+      report.token = { ...report.token, owner };
+
+      if (!context.visitor) {
+        this.addCheck(report, 'token_owner', 'skip', 'Visitor unknown, owner not compared', { owner });
+      } else if (owner.toLowerCase() === context.visitor.toLowerCase()) {
+        this.addCheck(report, 'token_owner', 'pass', 'Badge is held by the visitor', { owner });
+      } else if (await nftService.isBadgeLocked(context.tokenId)) {
+        this.addCheck(report, 'token_owner', 'fail', 'Soulbound badge is held by a wallet other than the visitor', {
+          owner,
+          visitor: context.visitor
+        });
+      } else {
+        this.addCheck(report, 'token_owner', 'warn', 'Badge has been transferred since the visit', {
+          owner,
+          visitor: context.visitor
+        });
+      }
+    } catch (error) {
+      this.addCheck(report, 'token_owner', 'fail', `Owner could not be read: ${error.message}`);
+    }
+  }
+
+  async checkClaimStatus(report, context) {
+    if (!context.visitor || !context.record) {
+      this.addCheck(report, 'claim_status', 'skip', 'Visitor unknown, claim status not checked');
+      return;
+    }
+
+    try {
+      const badgeId = await nftService.getTokenSeries(context.tokenId);
+      const claimed = await nftService.hasClaimedBadge(context.visitor, badgeId);
+
+      this.addCheck(
+        report,
+        'claim_status',
+        claimed ? 'pass' : 'fail',
+        claimed ? 'Contract records the visitor\'s claim of this badge' : 'Contract has no claim of this badge by the visitor',
+        { badgeId, visitor: context.visitor }
+      );
+    } catch (error) {
+      this.addCheck(report, 'claim_status', 'fail', `Claim status could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Independent timestamp: the visit hash's inclusion in an anchored Merkle batch
+   */
+  async checkAnchor(report, context) {
+    const Visit = require('../models/Visit');
+    const VisitBatch = require('../models/VisitBatch');
+
+    if (!context.visitHash) {
+      this.addCheck(report, 'anchor', 'skip', 'No visit hash to look up');
+      return;
+    }
+
+    try {
+      const visit = await Visit.findOne({
+        where: { visitHash: context.visitHash },
+        attributes: ['id', 'merkleLeafIndex', 'merkleProof'],
+        include: [{ model: VisitBatch, as: 'batch' }]
+      });
+
+      if (!visit || !visit.batch || visit.batch.status !== 'anchored') {
+        this.addCheck(report, 'anchor', 'skip', 'Visit hash has not been anchored yet');
+        return;
+      }
+
+      const { batch } = visit;
+      const included = hashUtils.verifyMerkleProof(context.visitHash, visit.merkleProof, visit.merkleLeafIndex, batch.merkleRoot, batch.leafCount);
+
+      this.addCheck(
+        report,
+        'anchor',
+        included ? 'pass' : 'fail',
+        included ? 'Visit hash is included in an anchored batch' : 'Inclusion proof does not lead to the anchored root',
+        {
+          merkleRoot: batch.merkleRoot,
+          txHash: batch.txHash,
+          blockNumber: batch.blockNumber,
+          anchoredAt: batch.anchoredAt
+        }
+      );
+    } catch (error) {
+      this.addCheck(report, 'anchor', 'fail', `Anchor could not be checked: ${error.message}`);
+    }
+  }
+
+  addCheck(report, id, status, message, details = {}) {
+    report.checks.push({ id, status, message, details });
+  }
+
+  /**
+   * CID of an ipfs:// or gateway URL
+   * @param {string} uri - Token URI
+   * @returns {string|null} - CID, or null for other URIs
+   */
+  extractCid(uri) {
+    const match = /(?:^ipfs:\/\/|\/ipfs\/)([A-Za-z0-9]+)/.exec(uri || '');
+    return match ? match[1] : null;
+  }
+}
+
+module.exports = new BadgeVerificationService();
@@ -0,0 +1,163 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const nftService = require('./nftService');
+const ipfsService = require('./ipfsService');
+
+class ClaimVoucherService {
+
+  constructor() {
+    this.voucherTtlSeconds = parseInt(process.env.VOUCHER_TTL_SECONDS || '900');
+  }
+
+  /**
+   * Issue a signed claim voucher for a verified visit (idempotent while the voucher is valid)
+   * @param {object} params - user, visit (with location), the badge series to claim from and badgeType
+   * @returns {object} - {voucher, created}
+   */
+  async issueVoucher({ user, visit, series, badgeType }) {
+    const ClaimVoucher = require('../models/ClaimVoucher');
+
+    const existing = await ClaimVoucher.findOne({ where: { visitId: visit.id } });
+
+    // A live voucher is handed out again, so repeated requests never sign a second nonce
+    if (existing && (existing.status === 'redeemed' || !existing.isExpired())) {
+      return { voucher: existing, created: false };
+    }
+
+    // Metadata from an expired voucher is reused, so re-issuing leaves no orphaned pins
+    let metadataUri = existing ? existing.metadataUri : null;
+    let metadataCid = existing ? existing.metadataCid : null;
+
+    if (!metadataUri) {
+      const metadata = nftService.buildBadgeMetadata(visit, visit.location, badgeType);
+      const metadataResult = await ipfsService.storeMetadata(metadata);
+
+      metadataUri = metadataResult.ipfsUrl;
+      metadataCid = metadataResult.cid;
+    }
+
+    const badgeId = series.id;
+    const nonce = ethers.toBigInt(ethers.randomBytes(32)).toString();
+    const expiresAt = new Date(Date.now() + this.voucherTtlSeconds * 1000);
+
+    const { signature } = await nftService.signClaimVoucher({
+      recipient: user.walletAddress,
+      badgeId,
+      tokenURI: metadataUri,
+      expiry: Math.floor(expiresAt.getTime() / 1000),
+      nonce
+    });
+
+    const fields = {
+      userId: user.id,
+      visitId: visit.id,
+      badgeType,
+      recipient: user.walletAddress,
+      badgeId,
+      metadataUri,
+      metadataCid,
+      nonce,
+      expiresAt,
+      signature
+    };
+
+    const voucher = existing
+      ? await existing.update(fields)
+      : await ClaimVoucher.create(fields);
+
+    logger.info(`Claim voucher ${voucher.id} issued for visit ${visit.id}, expires ${expiresAt.toISOString()}`);
+
+    return { voucher, created: true };
+  }
+
+  /**
+   * Record the badge minted by a user-submitted claim transaction
+   * @param {object} voucher - ClaimVoucher instance
+   * @param {string} txHash - claimWithVoucher transaction hash
+   * @returns {object} - {status: 'pending'|'reverted'|'mismatch'|'redeemed', badge}
+   */
+  async redeemVoucher(voucher, txHash) {
+    const result = await nftService.getVoucherClaimResult(txHash);
+
+    if (!result) {
+      return { status: 'pending' };
+    }
+
+    if (result.status === 'reverted') {
+      logger.warn(`Voucher claim ${txHash} for voucher ${voucher.id} reverted`);
+      return { status: 'reverted' };
+    }
+
+    // The transaction must have redeemed this exact voucher
+    if (result.nonce !== voucher.nonce) {
+      return { status: 'mismatch' };
+    }
+
+    const badge = await this.recordRedemption(voucher, result);
+
+    return { status: 'redeemed', badge };
+  }
+
+  /**
+   * Pick up a VoucherRedeemed event whose claim was never reported by the client
+   * @param {object} event - VoucherRedeemed event log
+   */
+  async applyRedemptionEvent(event) {
+    const ClaimVoucher = require('../models/ClaimVoucher');
+
+    const voucher = await ClaimVoucher.findByNonce(event.args.nonce);
+    if (!voucher || voucher.status === 'redeemed') {
+      return;
+    }
+
+    const result = await nftService.getVoucherClaimResult(event.transactionHash);
+    if (result && result.status === 'confirmed') {
+      await this.recordRedemption(voucher, result);
+    }
+  }
+
+  /**
+   * Create the Badge row for a confirmed voucher claim (idempotent per transaction)
+   * @param {object} voucher - ClaimVoucher instance
+   * @param {object} result - Confirmed result from nftService.getVoucherClaimResult
+   * @returns {object} - Badge instance
+   */
+  async recordRedemption(voucher, result) {
+    const Badge = require('../models/Badge');
+
+    const [badge] = await Badge.findOrCreate({
+      where: { txHash: result.txHash },
+      defaults: {
+        userId: voucher.userId,
+        ownerAddress: result.ownerAddress,
+        isSoulbound: result.isSoulbound,
+        visitId: voucher.visitId,
+        tokenId: result.tokenId,
+        badgeId: voucher.badgeId,
+        badgeType: voucher.badgeType,
+        contractAddress: result.contractAddress,
+        txHash: result.txHash,
+        blockNumber: result.blockNumber,
+        metadataUri: voucher.metadataUri,
+        ipfsCid: voucher.metadataCid,
+        mintedAt: new Date()
+      }
+    });
+
+    if (voucher.status !== 'redeemed') {
+      await voucher.update({
+        status: 'redeemed',
+        txHash: result.txHash,
+        tokenId: result.tokenId,
+        badgeRecordId: badge.id,
+        redeemedAt: new Date()
+      });
+
+      logger.info(`Badge self-claimed by user ${voucher.userId}, tokenId: ${result.tokenId} (voucher ${voucher.id})`);
+    }
+
+    return badge;
+  }
+}
+
+module.exports = new ClaimVoucherService();
@@ -0,0 +1,145 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Embedding providers turn visit text into fixed-size vectors for the FAISS index.
+ *
+ * Every provider exposes:
+ *   - id: model identifier stored with each vector; changing it triggers a re-embed
+ *   - dimension: vector length
+ *   - initialize(): load the model, throws if it is unavailable
+ *   - embed(text): normalised vector as an Array of numbers
+ */
+
+// Word-hash bag-of-words embedder, kept as the fallback when no model is available
+class HashEmbeddingProvider {
+
+  constructor(dimension = 384) {
+    this.id = `hash-v1-${dimension}`;
+    this.dimension = dimension;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async embed(text) {
+    return this.embedSync(text);
+  }
+
+  /**
+   * @param {string} text - Text to embed
+   * @returns {Array} - Vector representation
+   */
+  embedSync(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    // Simple hash-based embedding
+    const words = text.toLowerCase().split(/\s+/);
+    words.forEach((word, index) => {
+      const hash = this.simpleHash(word);
+      const position = Math.abs(hash) % this.dimension;
+      vector[position] += 1.0 / (index + 1); // Weight by position
+    });
+
+    // Normalize vector
+    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    if (magnitude > 0) {
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] /= magnitude;
+      }
+    }
+
+    return vector;
+  }
+
+  /**
+   * Simple hash function for text
+   * @param {string} str - String to hash
+   * @returns {number} - Hash value
+   */
+  simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return hash;
+  }
+}
+
+// Sentence-transformer exported to ONNX, run on the CPU from a model directory on disk
+class LocalModelEmbeddingProvider {
+
+  constructor({
+    model = process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
+    modelDir = process.env.EMBEDDING_MODEL_DIR || path.join(__dirname, '../data/embeddings'),
+    dimension = parseInt(process.env.FAISS_DIMENSION) || 384
+  } = {}) {
+    this.model = model;
+    this.modelDir = modelDir;
+    this.dimension = dimension;
+    this.id = `onnx:${model}`;
+    this.extractor = null;
+  }
+
+  async initialize() {
+    if (this.extractor) {
+      return true;
+    }
+
+    // transformers.js is ESM-only and optional; a missing package makes the caller fall back
+    const { pipeline, env } = await import('@xenova/transformers');
+
+    // Never download at runtime: the model must already be on disk
+    env.localModelPath = this.modelDir;
+    env.allowRemoteModels = false;
+    env.allowLocalModels = true;
+
+    this.extractor = await pipeline('feature-extraction', this.model, { quantized: true });
+
+    // Fail early if the model does not produce vectors of the index dimension
+    const probe = await this.embed('probe');
+    if (probe.length !== this.dimension) {
+      this.extractor = null;
+      throw new Error(`Model ${this.model} produces ${probe.length}-dim vectors, index expects ${this.dimension}`);
+    }
+
+    logger.info(`Loaded local embedding model ${this.model} from ${this.modelDir}`);
+    return true;
+  }
+
+  async embed(text) {
+    // Mean pooling + L2 normalisation, so inner product in FAISS is cosine similarity
+    const output = await this.extractor(text, { pooling: 'mean', normalize: true });
+    return Array.from(output.data);
+  }
+}
+
+const providers = {
+  hash: HashEmbeddingProvider,
+  local: LocalModelEmbeddingProvider
+};
+
+/**
+ * Build the provider named by EMBEDDING_PROVIDER
+ * @param {string} name - 'local' or 'hash'
+ * @param {number} dimension - Vector dimension
+ * @returns {object} - Provider instance (not yet initialized)
+ */
+const createEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER || 'local', dimension = 384) => {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+
+  return name === 'hash' ? new Provider(dimension) : new Provider({ dimension });
+};
+
+module.exports = {
+  HashEmbeddingProvider,
+  LocalModelEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -1,5 +1,9 @@
 const faiss = require('faiss-node');
+const path = require('path');
+const fs = require('fs').promises;
 const logger = require('../utils/logger');
+const { faissConfig, requiresTraining, createIndex, setNprobe, IndexMetadata } = require('../config/faiss');
+const { HashEmbeddingProvider, createEmbeddingProvider } = require('./embeddingProviders');
 
 class FAISSService {
 
@@ -7,6 +11,18 @@ class FAISSService {
     this.index = null;
     this.dimension = 384; // Typical dimension for sentence transformers
     this.indexPath = process.env.FAISS_INDEX_PATH || './data/faiss_index.bin';
+    this.metadataPath = process.env.FAISS_METADATA_PATH || './data/faiss_metadata.json';
+    this.metadata = new IndexMetadata(this.metadataPath);
+    this.indexType = faissConfig.indexType;
+    this.metadataMtime = null;
+    this.lastSwapCheck = 0;
+    this.removedVisitIds = new Set(); // Removals since the index was loaded, re-applied after a swap
+    this.hashProvider = new HashEmbeddingProvider(this.dimension);
+    this.embeddingProvider = null;
+    this.embeddingProviderLoading = null;
+    this.reembedBatchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE || '100');
+    this.reembedding = false;
+    this.needsRebuild = false;
     this.isInitialized = false;
   }
 
@@ -19,20 +35,47 @@ class FAISSService {
     try {
       logger.info(`Initializing FAISS index with dimension: ${dimension}`);
 
+      this.dimension = dimension;
+
+      // Vector position => visit ID, saved alongside the index; it also names the current index file
+      this.metadata = new IndexMetadata(this.metadataPath);
+      await this.metadata.load();
+      this.metadataMtime = await this.getMetadataMtime();
+      this.removedVisitIds.clear();
+
       // Create or load FAISS index
       try {
         // Try to load existing index
-        this.index = faiss.read_index(this.indexPath);
-        logger.info('Loaded existing FAISS index');
+        this.index = faiss.Index.read(this.getIndexFilePath());
+        logger.info(`Loaded existing FAISS index (${this.metadata.metadata.indexType || 'flatIP'}, generation ${this.metadata.metadata.generation || 0})`);
       } catch (error) {
         // Create new index if file doesn't exist
-        this.index = new faiss.IndexFlatIP(dimension); // Inner Product for cosine similarity
+        this.index = this.createEmptyIndex();
+        this.metadata.metadata.indexType = this.getOnlineIndexType();
         logger.info('Created new FAISS index');
       }
 
-      this.dimension = dimension;
       this.isInitialized = true;
 
+      if (this.metadata.metadata.indexType !== this.indexType && this.getTotalVectors() > 0) {
+        logger.warn(`FAISS index is ${this.metadata.metadata.indexType || 'flatIP'} but ${this.indexType} is configured, run scripts/rebuildFaissIndex.js to switch`);
+      }
+
+      const modelId = await this.getEmbeddingModelId();
+      const indexedModel = this.metadata.metadata.embeddingModel;
+
+      // A crash between writing the index and its mapping leaves them out of step: rebuild from the database
+      if (this.metadata.metadata.totalVectors !== this.getTotalVectors()) {
+        logger.warn(`FAISS index has ${this.getTotalVectors()} vectors but ${this.metadata.metadata.totalVectors} mappings, rebuilding`);
+        await this.clearIndex();
+        this.needsRebuild = true;
+      } else if (this.getTotalVectors() > 0 && indexedModel !== modelId) {
+        // Vectors from different models are not comparable: keep only visits already re-embedded
+        logger.warn(`FAISS index was built with ${indexedModel || 'an unversioned model'}, current model is ${modelId}, rebuilding`);
+        await this.clearIndex();
+        this.needsRebuild = true;
+      }
+
       logger.info('FAISS service initialized successfully');
       return true;
 
@@ -57,8 +100,8 @@ class FAISSService {
       // Create text representation of visit data
       const textData = this.visitDataToText(visitData);
       
-      // Generate vector (in a real implementation, you'd use a proper embedding model)
-      const vector = this.generateSimpleEmbedding(textData);
+      const provider = await this.getEmbeddingProvider();
+      const vector = await provider.embed(textData);
 
       logger.debug(`Created vector for visit: ${visitData.locationName}`);
 
@@ -87,47 +130,47 @@ class FAISSService {
   }
 
   /**
-   * Generate simple embedding (placeholder for real embedding model)
+   * Generate simple embedding (hash fallback, see HashEmbeddingProvider)
    * @param {string} text - Text to embed
    * @returns {Array} - Vector representation
    */
   generateSimpleEmbedding(text) {
-    // This is a simplified embedding generation
-    // In production, you'd use a proper model like sentence-transformers
-    const vector = new Array(this.dimension).fill(0);
-    
-    // Simple hash-based embedding (for demonstration)
-    const words = text.toLowerCase().split(/\s+/);
-    words.forEach((word, index) => {
-      const hash = this.simpleHash(word);
-      const position = Math.abs(hash) % this.dimension;
-      vector[position] += 1.0 / (index + 1); // Weight by position
-    });
+    return this.hashProvider.embedSync(text);
+  }
 
-    // Normalize vector
-    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-    if (magnitude > 0) {
-      for (let i = 0; i < vector.length; i++) {
-        vector[i] /= magnitude;
-      }
+  /**
+   * Load the configured embedding provider, falling back to the hash embedder
+   * @returns {object} - Initialized embedding provider
+   */
+  async getEmbeddingProvider() {
+    if (this.embeddingProvider) {
+      return this.embeddingProvider;
     }
 
-    return vector;
+    if (!this.embeddingProviderLoading) {
+      this.embeddingProviderLoading = (async () => {
+        try {
+          const provider = createEmbeddingProvider(process.env.EMBEDDING_PROVIDER, this.dimension);
+          await provider.initialize();
+          return provider;
+        } catch (error) {
+          logger.warn(`Embedding model unavailable, using hash embeddings: ${error.message}`);
+          return this.hashProvider;
+        }
+      })();
+    }
+
+    this.embeddingProvider = await this.embeddingProviderLoading;
+    return this.embeddingProvider;
   }
 
   /**
-   * Simple hash function for text
-   * @param {string} str - String to hash
-   * @returns {number} - Hash value
+   * Identifier of the model behind the current vectors
+   * @returns {string} - Embedding model ID
    */
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash;
+  async getEmbeddingModelId() {
+    const provider = await this.getEmbeddingProvider();
+    return provider.id;
   }
 
   /**
@@ -141,13 +184,15 @@ class FAISSService {
         await this.initialize();
       }
 
-      // Convert to Float32Array and create a buffer with a single vector
-      const buffer = new Float32Array([...vector]);
+      // Convert to a plain array with a single vector
+      const buffer = Array.from(vector);
+      const vectorIndex = this.getTotalVectors();
       
       // Add to index
       this.index.add(buffer);
+      this.metadata.addMapping(vectorIndex, id);
 
-      logger.debug(`Added vector with ID: ${id}`);
+      logger.debug(`Added vector with ID: ${id} at index ${vectorIndex}`);
       return true;
 
     } catch (error) {
@@ -169,21 +214,26 @@ class FAISSService {
       }
 
       // Don't search if index is empty
-      if (this.index.ntotal === 0) {
+      const totalVectors = this.getTotalVectors();
+      if (totalVectors === 0) {
         return [];
       }
 
-      // Convert to Float32Array
-      const queryBuffer = new Float32Array([...queryVector]);
+      // Convert to a plain array
+      const queryBuffer = Array.from(queryVector);
 
       // Search index
-      const result = this.index.search(queryBuffer, Math.min(k, this.index.ntotal));
+      const result = this.index.search(queryBuffer, Math.min(k, totalVectors));
 
       logger.debug(`Found ${result.labels.length} similar vectors`);
 
-      // Format results
+      // Format results (IVF and HNSW pad missing neighbours with -1)
       const similarities = [];
       for (let i = 0; i < result.labels.length; i++) {
+        if (result.labels[i] < 0) {
+          continue;
+        }
+
         similarities.push({
           id: result.labels[i],
           score: result.distances[i],
@@ -206,8 +256,9 @@ class FAISSService {
    */
   async createQueryVector(queryText) {
     try {
-      const vector = this.generateSimpleEmbedding(queryText);
-      
+      const provider = await this.getEmbeddingProvider();
+      const vector = await provider.embed(queryText);
+
       logger.debug(`Created query vector for: "${queryText}"`);
       
       return vector;
@@ -218,25 +269,465 @@ class FAISSService {
     }
   }
 
+  /**
+   * Add a stored visit to the index (no-op if it is already indexed)
+   * @param {object} visit - Visit instance, with or without semanticVector
+   * @returns {boolean} - True if the visit was added
+   */
+  async indexVisit(visit) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      await this.reloadIfSwapped();
+      await this.rebuildIfNeeded();
+
+      this.removedVisitIds.delete(visit.id);
+
+      if (this.metadata.getVectorIndex(visit.id) !== undefined) {
+        return false;
+      }
+
+      // Vectors from a previous model are recomputed, otherwise they would not match current queries
+      const modelId = await this.getEmbeddingModelId();
+      let vector = visit.semanticVector;
+
+      if (!vector || visit.embeddingModel !== modelId) {
+        vector = await this.createVisitVector(visit);
+        await visit.update({ semanticVector: vector, embeddingModel: modelId });
+      }
+
+      const added = await this.addVector(vector, visit.id);
+
+      // Index and mapping are saved together on every insert so a restart finds the visit
+      if (added) {
+        await this.saveIndex();
+      }
+
+      return added;
+
+    } catch (error) {
+      logger.error('Index visit error:', error);
+      throw new Error('Failed to index visit');
+    }
+  }
+
+  /**
+   * Remove visits from the index, after they were rejected or deleted in the database.
+   * Their vectors stay in the index file until the next compaction (scripts/rebuildFaissIndex.js).
+   * @param {Array} visitIds - Visit IDs
+   * @returns {number} - Number of visits removed
+   */
+  async removeVisits(visitIds) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      await this.reloadIfSwapped();
+      await this.rebuildIfNeeded();
+
+      let removed = 0;
+      for (const visitId of visitIds) {
+        this.removedVisitIds.add(visitId);
+
+        if (this.metadata.removeMapping(visitId)) {
+          removed++;
+        }
+      }
+
+      if (removed > 0) {
+        await this.saveIndex();
+      }
+
+      logger.info(`Removed ${removed} visit(s) from the FAISS index`);
+
+      return removed;
+
+    } catch (error) {
+      logger.error('Remove visits error:', error);
+      throw new Error('Failed to remove visits');
+    }
+  }
+
+  /**
+   * Vectors that belong in the index: visits embedded by the current model and not rejected
+   * @param {Array} visitIds - Restrict to these visits (optional)
+   * @returns {Array} - [{id, vector}] ordered by visit ID
+   */
+  async loadIndexableVectors(visitIds = null) {
+    const Visit = require('../models/Visit');
+    const { Op } = require('sequelize');
+
+    const where = {
+      semanticVector: { [Op.ne]: null },
+      embeddingModel: await this.getEmbeddingModelId(),
+      status: { [Op.ne]: 'rejected' }
+    };
+
+    if (visitIds) {
+      where.id = visitIds;
+    }
+
+    const visits = await Visit.findAll({
+      where,
+      attributes: ['id', 'semanticVector'],
+      order: [['id', 'ASC']]
+    });
+
+    return visits.map(visit => ({ id: visit.id, vector: visit.semanticVector }));
+  }
+
+  /**
+   * Build a new index and mapping, training the index on the vectors first when its type needs it
+   * @param {Array} entries - [{id, vector}]
+   * @param {string} indexType - Index type to build
+   * @returns {object} - {index, metadata}
+   */
+  buildIndex(entries, indexType = this.indexType) {
+    const { nlist, nprobe, maxTraining, minTrainingPerList, batchSize } = faissConfig.performance;
+    let options = {};
+
+    if (requiresTraining(indexType)) {
+      const lists = Math.min(nlist, Math.floor(entries.length / minTrainingPerList));
+
+      if (lists < 1) {
+        logger.warn(`${entries.length} vectors are too few to train ${indexType}, building flatIP`);
+        indexType = 'flatIP';
+      } else {
+        options = { nlist: lists };
+      }
+    }
+
+    let index = createIndex(indexType, this.dimension, options);
+
+    if (requiresTraining(indexType)) {
+      // Evenly spaced sample, so old and recent visits both shape the clusters
+      const step = Math.max(1, Math.floor(entries.length / maxTraining));
+      const sample = entries.filter((entry, position) => position % step === 0).slice(0, maxTraining);
+
+      index.train(sample.flatMap(entry => Array.from(entry.vector)));
+
+      // Still empty, so the round trip that sets nprobe is cheap
+      index = setNprobe(index, nprobe);
+      logger.info(`Trained ${indexType} index with ${options.nlist} lists on ${sample.length} vectors, searching ${Math.min(nprobe, options.nlist)}`);
+    }
+
+    const metadata = new IndexMetadata(this.metadataPath);
+    metadata.metadata.indexType = indexType;
+
+    for (let start = 0; start < entries.length; start += batchSize) {
+      const batch = entries.slice(start, start + batchSize);
+
+      index.add(batch.flatMap(entry => Array.from(entry.vector)));
+      batch.forEach((entry, offset) => metadata.addMapping(start + offset, entry.id));
+    }
+
+    return { index, metadata };
+  }
+
+  /**
+   * Rebuild the index in place from the vectors stored on visit rows (current model only)
+   * @returns {number} - Number of visits indexed
+   */
+  async rebuildIndex() {
+    const entries = await this.loadIndexableVectors();
+    const { index, metadata } = this.buildIndex(entries);
+
+    // Same generation: the rebuilt index replaces the current index file
+    metadata.metadata.generation = this.metadata.metadata.generation;
+    metadata.metadata.indexFile = this.metadata.metadata.indexFile;
+
+    this.index = index;
+    this.metadata = metadata;
+    this.removedVisitIds.clear();
+    this.needsRebuild = false;
+
+    await this.saveIndex();
+
+    logger.info(`FAISS index rebuilt with ${entries.length} visits`);
+
+    return entries.length;
+  }
+
+  /**
+   * Offline rebuild: build, train and compact a new index generation from the database, then swap it in.
+   * Servers keep answering from the generation they loaded until they notice the new mapping file.
+   * @param {object} options - indexType: index type to build
+   * @returns {object} - Summary of the new generation
+   */
+  async rebuildOffline({ indexType = this.indexType } = {}) {
+    if (!this.isInitialized && !await this.initialize()) {
+      throw new Error('FAISS index is not available');
+    }
+
+    const current = this.metadata.metadata;
+    const entries = await this.loadIndexableVectors();
+    const { index, metadata } = this.buildIndex(entries, indexType);
+
+    const generation = (current.generation || 0) + 1;
+    const { dir, name, ext } = path.parse(this.indexPath);
+    const indexFile = `${name}.${generation}${ext}`;
+
+    metadata.metadata.generation = generation;
+    metadata.metadata.indexFile = indexFile;
+    metadata.metadata.embeddingModel = await this.getEmbeddingModelId();
+
+    // The new index gets its own file; renaming the mapping into place (IndexMetadata.save) is the swap
+    await fs.mkdir(dir || '.', { recursive: true });
+    index.write(path.join(dir, indexFile));
+    await metadata.save();
+
+    this.index = index;
+    this.metadata = metadata;
+    this.metadataMtime = await this.getMetadataMtime();
+    this.removedVisitIds.clear();
+    this.needsRebuild = false;
+
+    await this.removeOldGenerations(generation);
+
+    logger.info(`FAISS index generation ${generation} built: ${metadata.metadata.indexType}, ${entries.length} vectors, ${current.removedVectors || 0} removed vectors dropped`);
+
+    return {
+      generation,
+      indexType: metadata.metadata.indexType,
+      totalVectors: entries.length,
+      droppedVectors: current.removedVectors || 0
+    };
+  }
+
+  /**
+   * Whether enough removed vectors piled up to be worth an offline rebuild
+   * @returns {boolean} - True if the index should be compacted
+   */
+  needsCompaction() {
+    const { totalVectors, removedVectors = 0 } = this.metadata.metadata;
+    return totalVectors > 0 && removedVectors / totalVectors >= faissConfig.performance.compactionRatio;
+  }
+
+  /**
+   * Switch to an index generation swapped in by an offline rebuild
+   * @param {boolean} force - Check now rather than at most once per reloadCheckInterval
+   * @returns {boolean} - True if a new generation was loaded
+   */
+  async reloadIfSwapped(force = false) {
+    if (!this.isInitialized) {
+      return false;
+    }
+
+    if (!force && Date.now() - this.lastSwapCheck < faissConfig.performance.reloadCheckInterval) {
+      return false;
+    }
+
+    this.lastSwapCheck = Date.now();
+
+    const mtime = await this.getMetadataMtime();
+    if (mtime === null || mtime === this.metadataMtime) {
+      return false;
+    }
+
+    const stored = new IndexMetadata(this.metadataPath);
+    await stored.load();
+    this.metadataMtime = mtime;
+
+    if ((stored.metadata.generation || 0) === (this.metadata.metadata.generation || 0)) {
+      return false;
+    }
+
+    const previous = this.metadata;
+
+    this.index = faiss.Index.read(this.getIndexFilePath(stored));
+    this.metadata = stored;
+    this.needsRebuild = false;
+
+    logger.info(`Switched to FAISS index generation ${stored.metadata.generation} (${stored.metadata.indexType}, ${this.getTotalVectors()} vectors)`);
+
+    // Visits indexed or removed here while the offline rebuild ran are not in its snapshot
+    const missingIds = [...previous.metadata.visitMappings.keys()]
+      .filter(visitId => stored.getVectorIndex(visitId) === undefined && !this.removedVisitIds.has(visitId));
+    let changed = false;
+
+    if (missingIds.length > 0) {
+      for (const entry of await this.loadIndexableVectors(missingIds)) {
+        changed = await this.addVector(entry.vector, entry.id) || changed;
+      }
+    }
+
+    for (const visitId of this.removedVisitIds) {
+      changed = this.metadata.removeMapping(visitId) || changed;
+    }
+
+    this.removedVisitIds.clear();
+
+    if (changed) {
+      await this.writeIndex();
+    }
+
+    return true;
+  }
+
+  async rebuildIfNeeded() {
+    if (this.needsRebuild) {
+      await this.rebuildIndex();
+    }
+  }
+
+  /**
+   * Re-embedding job: recompute the vectors of visits embedded by another model and index them.
+   * Progress is kept per visit (embeddingModel), so an interrupted run resumes where it stopped.
+   * @param {object} options - batchSize: visits embedded per batch
+   * @returns {number} - Number of visits re-embedded
+   */
+  async reembedVisits({ batchSize = this.reembedBatchSize } = {}) {
+    const Visit = require('../models/Visit');
+    const { Op } = require('sequelize');
+
+    if (this.reembedding) {
+      logger.warn('Re-embedding already in progress');
+      return 0;
+    }
+
+    this.reembedding = true;
+
+    try {
+      if (!this.isInitialized && !await this.initialize()) {
+        throw new Error('FAISS index is not available');
+      }
+
+      await this.rebuildIfNeeded();
+
+      const modelId = await this.getEmbeddingModelId();
+      let lastId = 0;
+      let reembedded = 0;
+
+      for (;;) {
+        const visits = await Visit.findAll({
+          where: {
+            id: { [Op.gt]: lastId },
+            [Op.or]: [
+              { embeddingModel: null },
+              { embeddingModel: { [Op.ne]: modelId } }
+            ]
+          },
+          attributes: ['id', 'nfcTagId', 'latitude', 'longitude', 'locationName', 'description', 'timestamp', 'embeddingModel'],
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+
+        if (visits.length === 0) {
+          break;
+        }
+
+        for (const visit of visits) {
+          const vector = await this.createVisitVector(visit);
+          await visit.update({ semanticVector: vector, embeddingModel: modelId });
+
+          if (this.metadata.getVectorIndex(visit.id) === undefined) {
+            await this.addVector(vector, visit.id);
+          }
+        }
+
+        // Saved per batch, so a restart does not lose the vectors already indexed
+        await this.saveIndex();
+
+        reembedded += visits.length;
+        lastId = visits[visits.length - 1].id;
+
+        logger.info(`Re-embedded ${reembedded} visit(s) with ${modelId}`);
+      }
+
+      return reembedded;
+
+    } finally {
+      this.reembedding = false;
+    }
+  }
+
+  /**
+   * Nearest indexed visits to a query vector, without access filtering
+   * @param {Array} queryVector - Query vector
+   * @param {number} k - Number of neighbours to fetch
+   * @returns {Array} - [{visitId, similarity, score}], most similar first
+   */
+  async searchVisitIds(queryVector, k) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    await this.reloadIfSwapped();
+    await this.rebuildIfNeeded();
+
+    const similarVectors = await this.searchSimilarVectors(queryVector, k);
+
+    // Removed visits are no longer mapped
+    return similarVectors
+      .map(vector => ({ ...vector, visitId: this.metadata.getVisitId(vector.id) }))
+      .filter(hit => hit.visitId !== undefined);
+  }
+
   /**
    * Search for similar visits using semantic similarity
    * @param {Array} queryVector - Query vector
    * @param {number} limit - Number of results
-   * @param {number} userId - User ID filter
-   * @returns {Array} - Similar visits
+   * @param {number} userId - Calling user; their own visits are always searchable
+   * @param {object} options - includePublic: also return other users' public visits
+   * @returns {Array} - Ranked visits with similarity scores
    */
-  async searchSimilarVisits(queryVector, limit = 10, userId = null) {
+  async searchSimilarVisits(queryVector, limit = 10, userId = null, { includePublic = true } = {}) {
     try {
-      // Get similar vectors
-      const similarVectors = await this.searchSimilarVectors(queryVector, limit * 2); // Get more to filter
-
-      // In a real implementation, you'd map vector IDs back to visit records
-      // For now, return mock results
-      const results = similarVectors.slice(0, limit).map((vector, index) => ({
-        visitId: vector.id,
-        similarity: vector.similarity,
-        score: vector.score,
-        rank: index + 1
+      const Visit = require('../models/Visit');
+      const { Op } = require('sequelize');
+
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      await this.reloadIfSwapped();
+      await this.rebuildIfNeeded();
+
+      const visibility = [];
+      if (userId) visibility.push({ userId });
+      if (includePublic) visibility.push({ isPublic: true });
+
+      const totalVectors = this.getTotalVectors();
+      if (visibility.length === 0 || totalVectors === 0) {
+        return [];
+      }
+
+      // Other users' private visits are dropped after the search, so fetch more and widen until enough remain
+      let k = Math.min(totalVectors, limit * 4);
+      let matches = [];
+
+      for (;;) {
+        const hits = await this.searchVisitIds(queryVector, k);
+
+        const visits = await Visit.findAll({
+          where: {
+            id: hits.map(hit => hit.visitId),
+            [Op.or]: visibility
+          },
+          attributes: { exclude: ['semanticVector', 'deviceInfo', 'validationData'] }
+        });
+        const visitsById = new Map(visits.map(visit => [visit.id, visit]));
+
+        matches = hits.filter(hit => visitsById.has(hit.visitId))
+          .map(hit => ({ hit, visit: visitsById.get(hit.visitId) }));
+
+        if (matches.length >= limit || k >= totalVectors) {
+          break;
+        }
+
+        k = Math.min(totalVectors, k * 2);
+      }
+
+      // Other users' public visits get the public fields only
+      const results = matches.slice(0, limit).map(({ hit, visit }, index) => ({
+        rank: index + 1,
+        similarity: hit.similarity,
+        score: hit.score,
+        isOwn: visit.userId === userId,
+        visit: visit.userId === userId ? visit : visit.toPublicJSON()
       }));
 
       logger.info(`Found ${results.length} similar visits for user ${userId}`);
@@ -260,9 +751,11 @@ class FAISSService {
         return false;
       }
 
-      faiss.write_index(this.index, this.indexPath);
-      
-      logger.info(`FAISS index saved to: ${this.indexPath}`);
+      // Never overwrite a generation swapped in by an offline rebuild
+      await this.reloadIfSwapped(true);
+      await this.writeIndex();
+
+      logger.info(`FAISS index saved to: ${this.getIndexFilePath()}`);
       
       return true;
 
@@ -272,6 +765,78 @@ class FAISSService {
     }
   }
 
+  /**
+   * Write the index and its mapping to the files of the current generation
+   */
+  async writeIndex() {
+    await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+    this.index.write(this.getIndexFilePath());
+
+    // Every vector in the index comes from the current model (a mismatch clears it on load)
+    this.metadata.metadata.embeddingModel = (await this.getEmbeddingProvider()).id;
+    await this.metadata.save();
+    this.metadataMtime = await this.getMetadataMtime();
+  }
+
+  /**
+   * Index file of a generation (the configured path until the first offline rebuild)
+   * @param {object} metadata - IndexMetadata naming the file
+   * @returns {string} - Index file path
+   */
+  getIndexFilePath(metadata = this.metadata) {
+    const { indexFile } = metadata.metadata;
+    return indexFile ? path.join(path.dirname(this.indexPath), indexFile) : this.indexPath;
+  }
+
+  async getMetadataMtime() {
+    try {
+      const stats = await fs.stat(this.metadataPath);
+      return stats.mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Delete index files older than the previous generation, which a server may still be loading
+   * @param {number} generation - Current generation
+   */
+  async removeOldGenerations(generation) {
+    const { dir, name, ext } = path.parse(this.indexPath);
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escape(name)}(?:\\.(\\d+))?${escape(ext)}$`);
+
+    for (const file of await fs.readdir(dir || '.')) {
+      const match = pattern.exec(file);
+
+      if (match && Number(match[1] || 0) < generation - 1) {
+        await fs.unlink(path.join(dir, file));
+        logger.info(`Removed superseded FAISS index file ${file}`);
+      }
+    }
+  }
+
+  // Trained index types can only be built offline; until then new vectors go to a flat index
+  getOnlineIndexType() {
+    return requiresTraining(this.indexType) ? 'flatIP' : this.indexType;
+  }
+
+  createEmptyIndex() {
+    return createIndex(this.getOnlineIndexType(), this.dimension);
+  }
+
+  /**
+   * Number of vectors in the index
+   * @returns {number} - Vector count
+   */
+  getTotalVectors() {
+    if (!this.index) {
+      return 0;
+    }
+
+    return typeof this.index.ntotal === 'function' ? this.index.ntotal() : this.index.ntotal;
+  }
+
   /**
    * Get index statistics
    * @returns {object} - Index statistics
@@ -285,14 +850,15 @@ class FAISSService {
         };
       }
 
-      // Get the actual number from the ntotal function
-      const totalVectors = typeof this.index.ntotal === 'function' ? this.index.ntotal() : this.index.ntotal;
-
       return {
         initialized: this.isInitialized,
         dimension: this.dimension,
-        totalVectors: totalVectors,
-        indexType: 'IndexFlatIP'
+        totalVectors: this.getTotalVectors(),
+        removedVectors: this.metadata.metadata.removedVectors || 0,
+        indexType: faissConfig.indexTypes[this.metadata.metadata.indexType || 'flatIP'],
+        generation: this.metadata.metadata.generation || 0,
+        needsCompaction: this.needsCompaction(),
+        embeddingModel: this.embeddingProvider ? this.embeddingProvider.id : null
       };
 
     } catch (error) {
@@ -314,8 +880,13 @@ class FAISSService {
         return true;
       }
 
-      // Create new empty index
-      this.index = new faiss.IndexFlatIP(this.dimension);
+      // Create new empty index, still written to the current generation's file
+      const { generation, indexFile } = this.metadata.metadata;
+
+      this.index = this.createEmptyIndex();
+      this.metadata = new IndexMetadata(this.metadataPath);
+      Object.assign(this.metadata.metadata, { generation, indexFile, indexType: this.getOnlineIndexType() });
+      this.removedVisitIds.clear();
       
       logger.info('FAISS index cleared');
       
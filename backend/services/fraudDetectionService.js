@@ -0,0 +1,203 @@
+const { Op } = require('sequelize');
+const gpsService = require('./gpsService');
+const { normalizeTagId } = require('../utils/nfcUtils');
+const logger = require('../utils/logger');
+
+class FraudDetectionService {
+
+  constructor() {
+    // Fastest plausible ground/air travel between two visits, in m/s (~1000 km/h)
+    this.maxTravelSpeed = parseFloat(process.env.FRAUD_MAX_TRAVEL_SPEED || '280');
+    // Worst GPS accuracy accepted without raising the risk, in meters
+    this.maxAccuracy = parseFloat(process.env.FRAUD_MAX_ACCURACY || '100');
+    // Visits scoring at or above this go to moderation as 'flagged'
+    this.flagThreshold = parseFloat(process.env.FRAUD_FLAG_THRESHOLD || '0.5');
+
+    // Risk contributed by each finding; the total is capped at 1
+    this.weights = {
+      impossible_travel: 0.7,
+      tag_location_mismatch: 0.6,
+      coordinates_reused: 0.5,
+      accuracy_zero: 0.5,
+      accuracy_too_low: 0.3,
+      accuracy_missing: 0.1
+    };
+  }
+
+  /**
+   * Score how likely a visit is to come from a spoofed position or a cloned tag
+   * @param {object} visit - userId, nfcTagId, latitude, longitude, timestamp, accuracy
+   * @param {object} location - Location resolved from the tag
+   * @param {object|null} sunResult - Verified SUN message, if the tag is a secure one
+   * @returns {object} - {riskScore, flagged, reasons, previousVisitId, checkedAt}
+   */
+  async assessVisit(visit, location, sunResult = null) {
+    const reasons = [];
+
+    const checks = [
+      this.checkAccuracy(visit),
+      await this.checkTravel(visit),
+      await this.checkReusedCoordinates(visit),
+      await this.checkTagLocation(visit.nfcTagId, location, sunResult)
+    ];
+
+    let previousVisitId = null;
+    checks.forEach(check => {
+      if (check.previousVisitId) previousVisitId = check.previousVisitId;
+      reasons.push(...check.reasons);
+    });
+
+    const riskScore = Math.min(1, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+    const flagged = riskScore >= this.flagThreshold;
+
+    if (flagged) {
+      logger.warn(`Visit by user ${visit.userId} flagged (risk ${riskScore.toFixed(2)}): ${reasons.map(r => r.code).join(', ')}`);
+    }
+
+    return {
+      riskScore,
+      flagged,
+      reasons,
+      previousVisitId,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Reported accuracy must be present, non-zero and within the accepted threshold
+   * @param {object} visit - Visit being created
+   * @returns {object} - {reasons}
+   */
+  checkAccuracy({ accuracy }) {
+    if (accuracy === undefined || accuracy === null) {
+      return { reasons: [this.reason('accuracy_missing', 'The device did not report GPS accuracy')] };
+    }
+
+    // Real receivers always report some error; an exact 0 comes from mock location providers
+    if (parseFloat(accuracy) === 0) {
+      return { reasons: [this.reason('accuracy_zero', 'Reported GPS accuracy is exactly 0 m', { accuracy: 0 })] };
+    }
+
+    if (!gpsService.validateGPSAccuracy(accuracy, this.maxAccuracy)) {
+      return {
+        reasons: [this.reason('accuracy_too_low', `Reported GPS accuracy is worse than ${this.maxAccuracy} m`, {
+          accuracy: parseFloat(accuracy),
+          maxAccuracy: this.maxAccuracy
+        })]
+      };
+    }
+
+    return { reasons: [] };
+  }
+
+  /**
+   * Compare with the user's previous visit: nobody covers the distance faster than maxTravelSpeed
+   * @param {object} visit - Visit being created
+   * @returns {object} - {reasons, previousVisitId}
+   */
+  async checkTravel({ userId, latitude, longitude, timestamp, accuracy }) {
+    const Visit = require('../models/Visit');
+
+    const previous = await Visit.findOne({
+      where: { userId, status: { [Op.ne]: 'rejected' } },
+      order: [['timestamp', 'DESC']],
+      attributes: ['id', 'latitude', 'longitude', 'timestamp', 'accuracy']
+    });
+
+    if (!previous) {
+      return { reasons: [], previousVisitId: null };
+    }
+
+    const distance = gpsService.calculateDistance(previous.latitude, previous.longitude, latitude, longitude);
+    // Give both fixes the benefit of their reported error before judging the speed
+    const uncertainty = (parseFloat(accuracy) || 0) + (previous.accuracy || 0);
+    const travelled = Math.max(0, distance - uncertainty);
+    const elapsedSeconds = Math.max(1, Math.abs(new Date(timestamp) - new Date(previous.timestamp)) / 1000);
+    const speed = travelled / elapsedSeconds;
+
+    if (speed <= this.maxTravelSpeed) {
+      return { reasons: [], previousVisitId: previous.id };
+    }
+
+    return {
+      previousVisitId: previous.id,
+      reasons: [this.reason('impossible_travel', `Moved ${distance} m in ${Math.round(elapsedSeconds)} s since the previous visit`, {
+        previousVisitId: previous.id,
+        distanceMeters: distance,
+        elapsedSeconds: Math.round(elapsedSeconds),
+        speedMs: Math.round(speed),
+        maxTravelSpeed: this.maxTravelSpeed
+      })]
+    };
+  }
+
+  /**
+   * Two independent GPS fixes never agree to the last stored decimal; a repeat means a replayed position
+   * @param {object} visit - Visit being created
+   * @returns {object} - {reasons}
+   */
+  async checkReusedCoordinates({ latitude, longitude }) {
+    const Visit = require('../models/Visit');
+
+    // Compare at the stored DECIMAL(10,8)/(11,8) scale: the raw client floats carry more digits than any row
+    const matches = await Visit.findAll({
+      where: {
+        latitude: gpsService.roundCoordinate(latitude),
+        longitude: gpsService.roundCoordinate(longitude)
+      },
+      attributes: ['id', 'userId'],
+      limit: 10
+    });
+
+    if (matches.length === 0) {
+      return { reasons: [] };
+    }
+
+    return {
+      reasons: [this.reason('coordinates_reused', 'Coordinates are identical to an earlier visit', {
+        visitIds: matches.map(match => match.id),
+        userCount: new Set(matches.map(match => match.userId)).size
+      })]
+    };
+  }
+
+  /**
+   * The tag must belong to the location whose geofence was checked, and to that location only
+   * @param {string} nfcTagId - Tag identifier
+   * @param {object} location - Location resolved from the tag
+   * @param {object|null} sunResult - Verified SUN message, if any
+   * @returns {object} - {reasons}
+   */
+  async checkTagLocation(nfcTagId, location, sunResult) {
+    const Location = require('../models/Location');
+    const reasons = [];
+
+    // A secure tag is registered to a location of its own, independently of the location's tag list
+    const tag = sunResult && sunResult.tag;
+    if (tag && tag.locationId && tag.locationId !== location.id) {
+      reasons.push(this.reason('tag_location_mismatch', 'Secure tag is registered to a different location', {
+        tagLocationId: tag.locationId,
+        locationId: location.id
+      }));
+    }
+
+    const owners = await Location.count({
+      where: { nfcTagIds: { [Op.contains]: [normalizeTagId(nfcTagId)] } }
+    });
+
+    if (owners > 1 && reasons.length === 0) {
+      reasons.push(this.reason('tag_location_mismatch', 'Tag is registered to more than one location', {
+        locationId: location.id,
+        locationCount: owners
+      }));
+    }
+
+    return { reasons };
+  }
+
+  reason(code, message, details = {}) {
+    return { code, message, weight: this.weights[code], details };
+  }
+}
+
+module.exports = new FraudDetectionService();
@@ -279,6 +279,39 @@ class GPSService {
       return false;
     }
   }
+
+  /**
+   * Round a coordinate the way PostgreSQL stores it in a DECIMAL column: on its decimal
+   * digits, half away from zero. toFixed() rounds the binary double instead and can disagree.
+   * @param {number|string} value - Coordinate as received
+   * @param {number} scale - Decimal places of the column
+   * @returns {string|null} - Coordinate at the column's scale, or null if it is not a number
+   */
+  roundCoordinate(value, scale = 8) {
+    let digits = String(value).trim();
+
+    if (digits === '' || !Number.isFinite(Number(digits))) {
+      return null;
+    }
+
+    // Exponent forms only occur for values far below the column's precision
+    if (/e/i.test(digits)) {
+      digits = Number(digits).toFixed(20);
+    }
+
+    const negative = digits.startsWith('-');
+    const [integerPart, fractionPart = ''] = digits.replace(/^[-+]/, '').split('.');
+    let scaled = BigInt((integerPart || '0') + fractionPart.slice(0, scale).padEnd(scale, '0'));
+
+    if (fractionPart.charAt(scale) >= '5') {
+      scaled += 1n;
+    }
+
+    const text = scaled.toString().padStart(scale + 1, '0');
+    const sign = negative && scaled > 0n ? '-' : '';
+
+    return `${sign}${text.slice(0, -scale)}.${text.slice(-scale)}`;
+  }
 }
 
 module.exports = new GPSService();
\ No newline at end of file
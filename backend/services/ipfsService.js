@@ -59,6 +59,43 @@ class IPFSService {
     }
   }
 
+  /**
+   * Store a new version of a visit record and point its existing IPNS name at it
+   * @param {string} ipnsKey - IPNS key the visit was published under
+   * @param {object} visitData - Updated visit data
+   * @returns {object} - IPFS storage result with the new CID and the IPNS URL
+   */
+  async updateVisitData(ipnsKey, visitData) {
+    try {
+      logger.info(`Updating visit record published under IPNS key: ${ipnsKey}`);
+
+      const dataToStore = {
+        ...visitData,
+        updatedAt: new Date().toISOString()
+      };
+
+      const dataBuffer = Buffer.from(JSON.stringify(dataToStore, null, 2));
+      const result = await this.ipfs.add(dataBuffer, {
+        pin: true,
+        cidVersion: 1
+      });
+
+      const cid = result.cid.toString();
+      await this.publishToIPNS(ipnsKey, cid);
+
+      return {
+        cid,
+        ipfsUrl: `${this.ipfsGateway}${cid}`,
+        ipnsKey,
+        ipnsUrl: `${this.ipfsGateway.replace('/ipfs/', '/ipns/')}${ipnsKey}`
+      };
+
+    } catch (error) {
+      logger.error('Update visit data error:', error);
+      throw new Error(`Failed to update visit data on IPFS: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieve visit data from IPFS
    * @param {string} cid - Content identifier
@@ -0,0 +1,424 @@
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const nftService = require('./nftService');
+const nonceManagerService = require('./nonceManagerService');
+const ipfsService = require('./ipfsService');
+const badgeSeriesService = require('./badgeSeriesService');
+
+// Errors that no amount of retrying will fix
+class PermanentMintError extends Error {}
+
+class MintQueueService {
+
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollIntervalMs = parseInt(process.env.MINT_QUEUE_POLL_MS || '5000');
+    this.confirmationPollMs = parseInt(process.env.MINT_CONFIRMATION_POLL_MS || '10000');
+    this.baseBackoffMs = parseInt(process.env.MINT_RETRY_BASE_MS || '15000');
+    this.maxBatchSize = parseInt(process.env.MINT_BATCH_SIZE || '50');
+    this.maxBackoffMs = 30 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.batchResults = new Map();
+  }
+
+  /**
+   * Queue a badge mint for a visit (idempotent per visit)
+   * @param {object} params - userId, visitId and badgeType
+   * @returns {object} - {job, created}
+   */
+  async enqueueMint({ userId, visitId, badgeType }) {
+    const MintJob = require('../models/MintJob');
+    const result = await MintJob.enqueue({ userId, visitId, badgeType });
+
+    logger.info(`Mint job ${result.job.id} for visit ${visitId} ${result.created ? 'queued' : 'already exists'} (${result.job.status})`);
+
+    return result;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Mint queue worker ${this.workerId} started`);
+    this.scheduleNextPoll(0);
+  }
+
+  /**
+   * Stop polling the queue
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNextPoll(delayMs) {
+    this.timer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  /**
+   * Process due jobs until the queue is drained, then wait for the next poll
+   */
+  async poll() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      let processed = 0;
+      let count;
+      while ((count = await this.processDueJobs()) > 0) {
+        processed += count;
+      }
+
+      if (processed > 0) {
+        logger.debug(`Mint queue worker processed ${processed} job(s)`);
+      }
+    } catch (error) {
+      logger.error('Mint queue poll error:', error);
+    } finally {
+      this.running = false;
+      if (this.timer) {
+        this.scheduleNextPoll(this.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Claim due jobs and advance them: submitted ones are checked on-chain, queued ones
+   * are prepared and sent, batched per badge series
+   * @returns {number} - Number of jobs processed
+   */
+  async processDueJobs() {
+    const MintJob = require('../models/MintJob');
+    const jobs = await MintJob.claimDue(this.workerId, this.maxBatchSize);
+
+    // Jobs of one batch share a transaction, so its receipt is parsed once per round
+    this.batchResults = new Map();
+
+    const ready = [];
+    for (const job of jobs) {
+      try {
+        if (job.status === 'queued') {
+          ready.push({ job, recipient: await this.prepareJob(job) });
+        } else {
+          await this.confirmJob(job);
+        }
+      } catch (error) {
+        await this.handleFailure(job, error);
+      }
+    }
+
+    for (const entries of this.groupBatches(ready)) {
+      if (entries.length === 1 && !entries[0].job.batchKey) {
+        const [{ job, recipient }] = entries;
+        try {
+          await this.submitJob(job, recipient);
+        } catch (error) {
+          await this.handleFailure(job, error);
+        }
+      } else {
+        try {
+          await this.submitBatch(entries);
+        } catch (error) {
+          for (const { job } of entries) {
+            await this.handleFailure(job, error);
+          }
+        }
+      }
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Group jobs ready to send: a batch interrupted before it was confirmed stays together,
+   * new jobs are batched per badge series, and retries are sent one by one so a single
+   * recipient that cannot receive the token does not revert a batch twice
+   * @param {object[]} entries - {job, recipient} of prepared jobs
+   * @returns {object[][]} - Groups of entries, each sent in one transaction
+   */
+  groupBatches(entries) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const { job } = entry;
+      let key;
+      if (job.batchKey) {
+        key = `batch:${job.batchKey}`;
+      } else if (job.attempts > 0) {
+        key = `job:${job.id}`;
+      } else {
+        key = `series:${job.badgeId}`;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Check the visit is still eligible and upload the metadata and pick the series (once)
+   * @param {object} job - MintJob instance
+   * @returns {string} - Recipient wallet address
+   */
+  async prepareJob(job) {
+    const Visit = require('../models/Visit');
+    const Location = require('../models/Location');
+    const User = require('../models/User');
+
+    const visit = await Visit.findByPk(job.visitId, {
+      include: [{ model: Location, as: 'location' }]
+    });
+    const user = await User.findByPk(job.userId);
+
+    if (!visit || !visit.location || !visit.isVerified) {
+      throw new PermanentMintError('Visit is no longer eligible for a badge');
+    }
+    if (!user) {
+      throw new PermanentMintError('User not found');
+    }
+
+    // Metadata is uploaded once and reused by every retry, so retries leave no orphaned pins
+    if (!job.metadataUri) {
+      const series = await badgeSeriesService.getSeriesForVisit(visit);
+
+      if (!series) {
+        throw new PermanentMintError('No badge series is defined for this location');
+      }
+      if (!series.isOpen()) {
+        throw new PermanentMintError(`Badge series ${series.id} is closed for claims`);
+      }
+      // While an edit is being sent, the contract still enforces the version synced before it
+      if (!series.isDefinedOnChain()) {
+        throw new Error(`Badge series ${series.id} is not defined on-chain yet`);
+      }
+
+      const metadata = nftService.buildBadgeMetadata(visit, visit.location, job.badgeType);
+      const metadataResult = await ipfsService.storeMetadata(metadata);
+
+      await job.update({
+        metadataUri: metadataResult.ipfsUrl,
+        metadataCid: metadataResult.cid,
+        badgeId: series.id
+      });
+    }
+
+    return user.walletAddress;
+  }
+
+  /**
+   * Send the mint transaction of a single job
+   * @param {object} job - Prepared MintJob instance
+   * @param {string} recipient - Wallet address
+   */
+  async submitJob(job, recipient) {
+    const reference = `mint:${job.idempotencyKey}`;
+    let txHash;
+
+    // A transaction sent just before a crash is resumed rather than mistaken for an earlier claim
+    const previousTx = await nonceManagerService.findByReference(reference);
+    if (previousTx) {
+      txHash = previousTx.txHash;
+      logger.info(`Mint job ${job.id} resuming transaction ${txHash}`);
+    } else {
+      const hasClaimedBadge = await nftService.hasClaimedBadge(recipient, job.badgeId);
+      if (hasClaimedBadge) {
+        throw new PermanentMintError('Badge type already claimed by this user');
+      }
+
+      ({ txHash } = await nftService.submitMint(recipient, job.badgeId, job.metadataUri, { reference }));
+    }
+
+    // Persist the hash immediately: from here on the job only needs to watch the chain
+    await job.release({
+      status: 'submitted',
+      txHash,
+      submittedAt: new Date(),
+      nextRunAt: new Date(Date.now() + this.confirmationPollMs)
+    });
+
+    logger.info(`Mint job ${job.id} submitted: ${txHash}`);
+  }
+
+  /**
+   * Send the jobs of one badge series in a single claimBadgeBatch transaction
+   * @param {object[]} entries - {job, recipient} of prepared jobs with the same badgeId
+   */
+  async submitBatch(entries) {
+    const previousKey = entries[0].job.batchKey;
+    const previousTx = previousKey ? await nonceManagerService.findByReference(`mint-batch:${previousKey}`) : null;
+    let txHash;
+
+    if (previousTx) {
+      // Sent just before a crash: the jobs keep the positions they were sent with
+      txHash = previousTx.txHash;
+      logger.info(`Mint batch ${previousKey} resuming transaction ${txHash}`);
+    } else {
+      // Key and positions are persisted first, so a crash after sending resumes the same transaction
+      const batchKey = crypto.randomUUID();
+      for (const [index, { job }] of entries.entries()) {
+        await job.update({ batchKey, batchIndex: index });
+      }
+
+      ({ txHash } = await nftService.submitMintBatch(
+        entries.map(entry => entry.recipient),
+        entries[0].job.badgeId,
+        entries.map(entry => entry.job.metadataUri),
+        { reference: `mint-batch:${batchKey}` }
+      ));
+    }
+
+    for (const { job } of entries) {
+      await job.release({
+        status: 'submitted',
+        txHash,
+        submittedAt: new Date(),
+        nextRunAt: new Date(Date.now() + this.confirmationPollMs)
+      });
+    }
+
+    logger.info(`Mint batch of ${entries.length} job(s) for badge ${entries[0].job.badgeId} submitted: ${txHash}`);
+  }
+
+  /**
+   * Check a submitted transaction and record the badge once it is mined
+   * @param {object} job - MintJob instance
+   */
+  async confirmJob(job) {
+    const result = job.batchKey
+      ? await this.getBatchResult(job.txHash)
+      : await nftService.getMintResult(job.txHash);
+
+    if (!result) {
+      await job.release({
+        nextRunAt: new Date(Date.now() + this.confirmationPollMs)
+      });
+      return;
+    }
+
+    if (result.status === 'reverted' || result.status === 'dropped') {
+      // Send a fresh transaction on the next attempt
+      const requeue = { status: 'queued', txHash: null, submittedAt: null };
+      if (job.batchKey) {
+        Object.assign(requeue, { batchKey: null, batchIndex: null });
+      }
+      await job.update(requeue);
+      throw new Error(`Mint transaction ${result.txHash} ${result.status}`);
+    }
+
+    let minted = result;
+    if (job.batchKey) {
+      const outcome = result.outcomes[job.batchIndex];
+
+      if (!outcome) {
+        throw new Error(`Mint batch ${result.txHash} has no outcome for recipient ${job.batchIndex}`);
+      }
+      if (outcome.status === 'skipped') {
+        throw new PermanentMintError(outcome.reason === 'sold_out'
+          ? `Badge series ${job.badgeId} sold out`
+          : 'Badge type already claimed by this user');
+      }
+
+      minted = { ...result, ...outcome };
+    }
+
+    const Badge = require('../models/Badge');
+    const [badge] = await Badge.findOrCreate({
+      where: { tokenId: minted.tokenId },
+      defaults: {
+        userId: job.userId,
+        ownerAddress: minted.ownerAddress,
+        isSoulbound: minted.isSoulbound,
+        visitId: job.visitId,
+        tokenId: minted.tokenId,
+        badgeId: job.badgeId,
+        badgeType: job.badgeType,
+        contractAddress: minted.contractAddress,
+        txHash: minted.txHash,
+        blockNumber: minted.blockNumber,
+        metadataUri: job.metadataUri,
+        ipfsCid: job.metadataCid,
+        mintedAt: new Date()
+      }
+    });
+
+    await job.release({
+      status: 'confirmed',
+      tokenId: minted.tokenId,
+      badgeRecordId: badge.id,
+      confirmedAt: new Date(),
+      lastError: null
+    });
+
+    logger.info(`Badge minted for user ${job.userId}, tokenId: ${minted.tokenId} (job ${job.id})`);
+  }
+
+  /**
+   * Outcome of a batch mint transaction, looked up once per round for all of its jobs
+   * @param {string} txHash - Batch mint transaction hash
+   * @returns {object|null} - Result of nftService.getBatchMintResult
+   */
+  async getBatchResult(txHash) {
+    if (this.batchResults.has(txHash)) {
+      return this.batchResults.get(txHash);
+    }
+
+    const result = await nftService.getBatchMintResult(txHash);
+    this.batchResults.set(txHash, result);
+
+    return result;
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry with exponential backoff
+   * @param {object} job - MintJob instance
+   * @param {Error} error - Failure cause
+   */
+  async handleFailure(job, error) {
+    const attempts = job.attempts + 1;
+    const isPermanent = error instanceof PermanentMintError;
+
+    if (isPermanent || attempts >= job.maxAttempts) {
+      logger.error(`Mint job ${job.id} failed after ${attempts} attempt(s): ${error.message}`);
+      await job.release({
+        status: 'failed',
+        attempts,
+        lastError: error.message
+      });
+      return;
+    }
+
+    const backoffMs = this.getBackoffDelay(attempts);
+    logger.warn(`Mint job ${job.id} attempt ${attempts} failed, retrying in ${Math.round(backoffMs / 1000)}s: ${error.message}`);
+
+    await job.release({
+      attempts,
+      lastError: error.message,
+      nextRunAt: new Date(Date.now() + backoffMs)
+    });
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const exponential = this.baseBackoffMs * Math.pow(2, attempts - 1);
+    const jitter = Math.random() * this.baseBackoffMs;
+    return Math.min(exponential + jitter, this.maxBackoffMs);
+  }
+}
+
+module.exports = new MintQueueService();
@@ -0,0 +1,266 @@
+const { Op } = require('sequelize');
+const ipfsService = require('./ipfsService');
+const faissService = require('./faissService');
+const { hashUtils } = require('../utils/hashUtils');
+const logger = require('../utils/logger');
+
+// Status and verification each moderation action leaves a visit in
+const ACTIONS = {
+  approve: { status: 'verified', isVerified: true },
+  reject: { status: 'rejected', isVerified: false },
+  flag: { status: 'flagged', isVerified: false }
+};
+
+const STATUSES = ['pending', 'flagged', 'verified', 'rejected'];
+
+class ModerationService {
+
+  get actions() {
+    return Object.keys(ACTIONS);
+  }
+
+  get statuses() {
+    return STATUSES;
+  }
+
+  /**
+   * List visits in a moderation status with their fraud evidence, oldest first
+   * @param {object} params - status, limit, offset
+   * @returns {object} - {visits, totalCount, hasMore, counts}
+   */
+  async listVisits({ status = 'flagged', limit = 50, offset = 0 }) {
+    const Visit = require('../models/Visit');
+    const User = require('../models/User');
+    const Location = require('../models/Location');
+
+    const { rows, count } = await Visit.findAndCountAll({
+      where: { status },
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'walletAddress', 'username'] },
+        { model: Location, as: 'location', attributes: ['id', 'name'] }
+      ],
+      attributes: { exclude: ['semanticVector'] },
+      order: [['createdAt', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      visits: rows.map(visit => this.toQueueItem(visit)),
+      totalCount: count,
+      hasMore: offset + rows.length < count,
+      counts: await this.countByStatus()
+    };
+  }
+
+  /**
+   * Full review record of one visit: evidence, the IPFS record and its integrity, and the audit trail
+   * @param {number} visitId - Visit ID
+   * @returns {object|null} - Review record, or null if the visit does not exist
+   */
+  async getVisit(visitId) {
+    const Visit = require('../models/Visit');
+    const User = require('../models/User');
+    const Location = require('../models/Location');
+    const AuditLog = require('../models/AuditLog');
+
+    const visit = await Visit.findByPk(visitId, {
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'walletAddress', 'username'] },
+        { model: Location, as: 'location', attributes: ['id', 'name', 'latitude', 'longitude', 'geofenceType', 'radiusMeters'] }
+      ],
+      attributes: { exclude: ['semanticVector'] }
+    });
+
+    if (!visit) {
+      return null;
+    }
+
+    const auditTrail = await AuditLog.findForTarget('visit', visit.id);
+
+    return {
+      ...this.toQueueItem(visit),
+      ipfsRecord: await this.getIpfsRecord(visit),
+      auditTrail: auditTrail.map(entry => entry.toPublicJSON())
+    };
+  }
+
+  /**
+   * Approve, reject or flag visits in bulk; every change is written to the audit trail
+   * @param {Array} visitIds - Visits to moderate
+   * @param {string} action - 'approve', 'reject' or 'flag'
+   * @param {object} moderator - req.user of the moderator
+   * @param {object} options - notes, ipAddress
+   * @returns {object} - {updated, unchanged, skipped, notFound}
+   */
+  async moderateVisits(visitIds, action, moderator, { notes = null, ipAddress = null } = {}) {
+    const Visit = require('../models/Visit');
+    const Badge = require('../models/Badge');
+    const AuditLog = require('../models/AuditLog');
+
+    const target = ACTIONS[action];
+    if (!target) {
+      throw new Error(`Unknown moderation action: ${action}`);
+    }
+
+    const ids = [...new Set(visitIds.map(Number))];
+    const result = { updated: [], unchanged: [], skipped: [], notFound: [] };
+    const changed = [];
+
+    await Visit.sequelize.transaction(async (transaction) => {
+      const visits = await Visit.findAll({
+        where: { id: ids },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const found = new Map(visits.map(visit => [visit.id, visit]));
+
+      // A minted badge cannot be taken back by changing the visit
+      const badged = new Set(
+        target.isVerified ? [] : (await Badge.findAll({
+          where: { visitId: ids, isActive: true },
+          attributes: ['visitId'],
+          transaction
+        })).map(badge => badge.visitId)
+      );
+
+      for (const id of ids) {
+        const visit = found.get(id);
+
+        if (!visit) {
+          result.notFound.push(id);
+          continue;
+        }
+
+        if (visit.status === target.status) {
+          result.unchanged.push(id);
+          continue;
+        }
+
+        if (badged.has(id)) {
+          result.skipped.push({ id, reason: 'A badge has already been minted for this visit' });
+          continue;
+        }
+
+        const before = { status: visit.status, isVerified: visit.isVerified };
+
+        await visit.update({
+          ...target,
+          verifiedAt: target.isVerified ? new Date() : null,
+          adminNotes: this.appendNote(visit.adminNotes, moderator, action, notes)
+        }, { transaction });
+
+        await AuditLog.record(moderator, `visit.${action}`, { type: 'visit', id }, {
+          changes: { before, after: { status: visit.status, isVerified: visit.isVerified } },
+          notes,
+          ipAddress
+        }, { transaction });
+
+        result.updated.push(id);
+        changed.push({ visit, before });
+      }
+    });
+
+    await this.syncSearchIndex(changed);
+
+    logger.info(`Moderator ${moderator.walletAddress} ${action}: ${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.skipped.length} skipped`);
+
+    return result;
+  }
+
+  /**
+   * Keep rejected visits out of semantic search and put back visits that leave 'rejected'
+   * @param {Array} changed - {visit, before} pairs
+   */
+  async syncSearchIndex(changed) {
+    const rejectedIds = changed.filter(({ visit }) => visit.status === 'rejected').map(({ visit }) => visit.id);
+    const restored = changed.filter(({ visit, before }) => before.status === 'rejected' && visit.status !== 'rejected');
+
+    // The database is the source of truth; the index catches up on its next rebuild if this fails
+    try {
+      if (rejectedIds.length > 0) {
+        await faissService.removeVisits(rejectedIds);
+      }
+      for (const { visit } of restored) {
+        await faissService.indexVisit(visit);
+      }
+    } catch (error) {
+      logger.warn(`Semantic index not updated after moderation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch the visit's IPFS record and check it against the stored hash
+   * @param {object} visit - Visit instance
+   * @returns {object} - {cid, url, data, intact, error}
+   */
+  async getIpfsRecord(visit) {
+    if (!visit.ipfsCid) {
+      return { cid: null, url: null, data: null, intact: false, error: 'Visit has no IPFS record' };
+    }
+
+    const url = `${ipfsService.ipfsGateway}${visit.ipfsCid}`;
+
+    try {
+      const data = await ipfsService.getVisitData(visit.ipfsCid);
+
+      return {
+        cid: visit.ipfsCid,
+        url,
+        data,
+        intact: hashUtils.verifyVisitHash(data, visit.visitHash),
+        error: null
+      };
+    } catch (error) {
+      return { cid: visit.ipfsCid, url, data: null, intact: false, error: error.message };
+    }
+  }
+
+  async countByStatus() {
+    const Visit = require('../models/Visit');
+
+    const rows = await Visit.findAll({
+      attributes: ['status', [Visit.sequelize.fn('COUNT', Visit.sequelize.col('id')), 'count']],
+      where: { status: { [Op.in]: STATUSES } },
+      group: ['status'],
+      raw: true
+    });
+
+    return STATUSES.reduce((counts, status) => {
+      const row = rows.find(r => r.status === status);
+      counts[status] = row ? parseInt(row.count) : 0;
+      return counts;
+    }, {});
+  }
+
+  toQueueItem(visit) {
+    const validationData = visit.validationData || {};
+
+    return {
+      ...visit.toPublicJSON(),
+      nfcTagId: visit.nfcTagId,
+      user: visit.user || null,
+      location: visit.location || null,
+      adminNotes: visit.adminNotes,
+      fraud: validationData.fraud || null,
+      nfcAuthentication: validationData.nfcAuthentication || null,
+      gps: {
+        accuracy: visit.accuracy,
+        altitude: visit.altitude,
+        speed: visit.speed,
+        heading: visit.heading
+      },
+      deviceInfo: visit.deviceInfo || {},
+      ipfs: visit.ipfsCid
+        ? { cid: visit.ipfsCid, url: `${ipfsService.ipfsGateway}${visit.ipfsCid}` }
+        : null
+    };
+  }
+
+  appendNote(existing, moderator, action, notes) {
+    const line = `[${new Date().toISOString()}] ${moderator.walletAddress} ${action}${notes ? `: ${notes}` : ''}`;
+    return existing ? `${existing}\n${line}` : line;
+  }
+}
+
+module.exports = new ModerationService();
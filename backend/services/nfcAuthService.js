@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { normalizeTagId } = require('../utils/nfcUtils');
+const logger = require('../utils/logger');
+
+const BLOCK_SIZE = 16;
+const CMAC_RB = 0x87;
+
+// PICCDataTag bits: UID mirrored, SDMReadCtr mirrored, UID length in the low nibble
+const PICC_DATA_TAG_UID = 0x80;
+const PICC_DATA_TAG_COUNTER = 0x40;
+const PICC_UID_LENGTH = 7;
+
+// Session vector prefix for KSesSDMFileReadMAC (NTAG 424 DNA, section 9.3.9.1)
+const SV2_PREFIX = Buffer.from('3CC300010080', 'hex');
+
+class NFCAuthService {
+
+  constructor() {
+    this.sdmMetaReadKey = process.env.NFC_SDM_META_READ_KEY || null;
+    this.requireSun = process.env.NFC_REQUIRE_SUN === 'true';
+  }
+
+  /**
+   * Encrypt a single block with AES-128 in ECB mode
+   * @param {Buffer} key - 16-byte AES key
+   * @param {Buffer} block - 16-byte block
+   * @returns {Buffer} - Encrypted block
+   */
+  encryptBlock(key, block) {
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  }
+
+  /**
+   * Shift a buffer one bit to the left
+   * @param {Buffer} buffer - Input buffer
+   * @returns {Buffer} - Shifted buffer
+   */
+  shiftLeft(buffer) {
+    const shifted = Buffer.alloc(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+      shifted[i] = (buffer[i] << 1) & 0xff;
+      if (i + 1 < buffer.length) {
+        shifted[i] |= buffer[i + 1] >> 7;
+      }
+    }
+    return shifted;
+  }
+
+  /**
+   * XOR two buffers of equal length
+   * @param {Buffer} a - First buffer
+   * @param {Buffer} b - Second buffer
+   * @returns {Buffer} - a XOR b
+   */
+  xor(a, b) {
+    const result = Buffer.alloc(a.length);
+    for (let i = 0; i < a.length; i++) {
+      result[i] = a[i] ^ b[i];
+    }
+    return result;
+  }
+
+  /**
+   * Compute an AES-128 CMAC (RFC 4493)
+   * @param {Buffer} key - 16-byte AES key
+   * @param {Buffer} message - Message to authenticate
+   * @returns {Buffer} - 16-byte MAC
+   */
+  aesCmac(key, message) {
+    // Subkey generation
+    const l = this.encryptBlock(key, Buffer.alloc(BLOCK_SIZE));
+    const k1 = this.shiftLeft(l);
+    if (l[0] & 0x80) k1[BLOCK_SIZE - 1] ^= CMAC_RB;
+    const k2 = this.shiftLeft(k1);
+    if (k1[0] & 0x80) k2[BLOCK_SIZE - 1] ^= CMAC_RB;
+
+    const blockCount = Math.max(1, Math.ceil(message.length / BLOCK_SIZE));
+    const isComplete = message.length > 0 && message.length % BLOCK_SIZE === 0;
+
+    // Last block is XORed with K1 when complete, padded and XORed with K2 otherwise
+    const lastStart = (blockCount - 1) * BLOCK_SIZE;
+    let lastBlock;
+    if (isComplete) {
+      lastBlock = this.xor(message.subarray(lastStart, lastStart + BLOCK_SIZE), k1);
+    } else {
+      const padded = Buffer.alloc(BLOCK_SIZE);
+      const remainder = message.subarray(lastStart);
+      remainder.copy(padded);
+      padded[remainder.length] = 0x80;
+      lastBlock = this.xor(padded, k2);
+    }
+
+    let x = Buffer.alloc(BLOCK_SIZE);
+    for (let i = 0; i < blockCount - 1; i++) {
+      const block = message.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE);
+      x = this.encryptBlock(key, this.xor(x, block));
+    }
+
+    return this.encryptBlock(key, this.xor(x, lastBlock));
+  }
+
+  /**
+   * Decrypt the encrypted PICC data mirrored by the tag
+   * @param {string} piccDataHex - 16-byte encrypted PICC data as hex
+   * @param {string} metaReadKeyHex - SDMMetaReadKey as hex (defaults to NFC_SDM_META_READ_KEY)
+   * @returns {object} - Tag UID (uppercase hex) and read counter
+   */
+  decryptPiccData(piccDataHex, metaReadKeyHex = this.sdmMetaReadKey) {
+    if (!metaReadKeyHex) {
+      throw new Error('SDM meta read key is not configured');
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-128-cbc',
+      Buffer.from(metaReadKeyHex, 'hex'),
+      Buffer.alloc(BLOCK_SIZE)
+    );
+    decipher.setAutoPadding(false);
+    const plain = Buffer.concat([decipher.update(Buffer.from(piccDataHex, 'hex')), decipher.final()]);
+
+    const dataTag = plain[0];
+    if (!(dataTag & PICC_DATA_TAG_UID) || !(dataTag & PICC_DATA_TAG_COUNTER) ||
+        (dataTag & 0x0f) !== PICC_UID_LENGTH) {
+      throw new Error('Unexpected PICC data layout');
+    }
+
+    const uid = plain.subarray(1, 1 + PICC_UID_LENGTH);
+    const counter = plain.readUIntLE(1 + PICC_UID_LENGTH, 3);
+
+    return {
+      uid: uid.toString('hex').toUpperCase(),
+      counter
+    };
+  }
+
+  /**
+   * Compute the truncated SUN MAC a genuine tag would emit for a read
+   * @param {string} fileReadKeyHex - SDMFileReadKey as hex
+   * @param {string} uidHex - 7-byte tag UID as hex
+   * @param {number} counter - SDM read counter
+   * @returns {string} - 8-byte MAC as uppercase hex
+   */
+  computeSunMac(fileReadKeyHex, uidHex, counter) {
+    const counterBytes = Buffer.alloc(3);
+    counterBytes.writeUIntLE(counter, 0, 3);
+
+    const sv2 = Buffer.concat([SV2_PREFIX, Buffer.from(uidHex, 'hex'), counterBytes]);
+    const sessionKey = this.aesCmac(Buffer.from(fileReadKeyHex, 'hex'), sv2);
+    const fullMac = this.aesCmac(sessionKey, Buffer.alloc(0));
+
+    // The tag transmits only the odd-indexed bytes of the full MAC
+    const truncated = Buffer.alloc(8);
+    for (let i = 0; i < 8; i++) {
+      truncated[i] = fullMac[i * 2 + 1];
+    }
+
+    return truncated.toString('hex').toUpperCase();
+  }
+
+  /**
+   * Check whether a tag has SUN keys registered and therefore requires authentication
+   * @param {string} nfcTagId - NFC tag identifier
+   * @returns {boolean} - True if the tag is a registered secure tag
+   */
+  async isSecureTag(nfcTagId) {
+    const NfcTag = require('../models/NfcTag');
+    const tag = await NfcTag.findByUid(nfcTagId);
+    return !!tag;
+  }
+
+  /**
+   * Verify a Secure Unique NFC message read from a tag
+   * @param {object} sun - {piccData, cmac} for encrypted mirroring or {uid, counter, cmac} for plain mirroring
+   * @returns {object} - {valid, reason, nfcTagId, counter, tag}
+   */
+  async verifySunMessage(sun) {
+    const NfcTag = require('../models/NfcTag');
+
+    try {
+      let uid;
+      let counter;
+
+      if (sun.piccData) {
+        ({ uid, counter } = this.decryptPiccData(sun.piccData));
+      } else {
+        uid = normalizeTagId(sun.uid);
+        counter = parseInt(sun.counter, 10);
+      }
+
+      const tag = await NfcTag.scope('withKeys').findOne({ where: { uid } });
+
+      if (!tag || !tag.isActive) {
+        logger.warn(`SUN message from unknown or inactive tag ${uid}`);
+        return { valid: false, reason: 'Unknown NFC tag' };
+      }
+
+      const expectedMac = Buffer.from(this.computeSunMac(tag.sdmFileReadKey, uid, counter), 'hex');
+      const receivedMac = Buffer.from(sun.cmac, 'hex');
+
+      if (receivedMac.length !== expectedMac.length || !crypto.timingSafeEqual(receivedMac, expectedMac)) {
+        logger.warn(`SUN CMAC mismatch for tag ${uid} at counter ${counter}`);
+        return { valid: false, reason: 'Invalid tag signature' };
+      }
+
+      if (counter <= tag.lastCounter) {
+        logger.warn(`Replayed SUN message for tag ${uid}: counter ${counter} <= ${tag.lastCounter}`);
+        return { valid: false, replayed: true, reason: 'Tag read already used' };
+      }
+
+      return { valid: true, nfcTagId: uid, counter, tag };
+    } catch (error) {
+      logger.error('SUN verification error:', error);
+      return { valid: false, reason: 'Malformed tag message' };
+    }
+  }
+
+  /**
+   * Atomically record a counter as used so concurrent submissions of the same read fail
+   * @param {object} tag - NfcTag instance
+   * @param {number} counter - SDM read counter from a verified message
+   * @returns {boolean} - True if the counter was accepted
+   */
+  async consumeCounter(tag, counter) {
+    const NfcTag = require('../models/NfcTag');
+
+    const [affectedRows] = await NfcTag.update(
+      { lastCounter: counter, lastVerifiedAt: new Date() },
+      {
+        where: {
+          id: tag.id,
+          lastCounter: { [Op.lt]: counter }
+        }
+      }
+    );
+
+    if (affectedRows === 0) {
+      logger.warn(`Counter ${counter} for tag ${tag.uid} was consumed concurrently`);
+      return false;
+    }
+
+    logger.info(`SUN counter ${counter} accepted for tag ${tag.uid}`);
+    return true;
+  }
+}
+
+module.exports = new NFCAuthService();
@@ -1,16 +1,56 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const nonceManagerService = require('./nonceManagerService');
 
 // POLPBadge contract ABI (minimal interface)
 const BADGE_CONTRACT_ABI = [
   "function claimBadge(address to, uint256 badgeId, string memory tokenURI) external",
+  "function claimBadgeBatch(address[] to, uint256 badgeId, string[] uris) external returns (uint256)",
+  "function claimWithVoucher((address recipient, uint256 badgeId, string tokenURI, uint256 expiry, uint256 nonce) voucher, bytes signature) external returns (uint256)",
+  "function usedVoucherNonces(uint256 nonce) external view returns (bool)",
   "function claimed(address user, uint256 badgeId) external view returns (bool)",
   "function ownerOf(uint256 tokenId) external view returns (address)",
   "function transferFrom(address from, address to, uint256 tokenId) external",
   "function nextTokenId() external view returns (uint256)",
-  "function tokenURI(uint256 tokenId) external view returns (string)"
+  "function tokenURI(uint256 tokenId) external view returns (string)",
+  "function locked(uint256 tokenId) external view returns (bool)",
+  "function anchorVisitRoot(bytes32 root, uint256 leafCount) external",
+  "function defineSeries(uint256 badgeId, uint256 maxSupply, uint64 startTime, uint64 endTime, string baseURI, bool soulbound) external",
+  "function getSeries(uint256 badgeId) external view returns ((uint256 maxSupply, uint256 minted, uint64 startTime, uint64 endTime, bool soulbound, bool exists, string baseURI))",
+  "function tokenSeries(uint256 tokenId) external view returns (uint256)",
+  "function hasRole(bytes32 role, address account) external view returns (bool)",
+  "function paused() external view returns (bool)",
+  "function revoke(uint256 tokenId, string reason) external",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event Locked(uint256 tokenId)",
+  "event Unlocked(uint256 tokenId)",
+  "event VoucherRedeemed(uint256 indexed nonce, address indexed recipient, uint256 indexed tokenId)",
+  "event VisitRootAnchored(bytes32 indexed root, uint256 leafCount, uint256 timestamp)",
+  "event BatchClaimSkipped(uint256 indexed badgeId, address indexed recipient, uint256 index, uint8 reason)",
+  "event BadgeRevoked(uint256 indexed tokenId, uint256 indexed badgeId, address indexed claimant, string reason)",
+  "event SeriesDefined(uint256 indexed badgeId, uint256 maxSupply, uint64 startTime, uint64 endTime, string baseURI, bool soulbound)"
 ];
 
+// EIP-712 types of the vouchers accepted by claimWithVoucher
+const CLAIM_VOUCHER_TYPES = {
+  ClaimVoucher: [
+    { name: 'recipient', type: 'address' },
+    { name: 'badgeId', type: 'uint256' },
+    { name: 'tokenURI', type: 'string' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// Role the backend key needs for mints, series definitions and visit anchoring
+const MINTER_ROLE = ethers.id('MINTER_ROLE');
+
+// Role the revoker key (never the backend key) needs to burn badges revoked by moderation
+const REVOKER_ROLE = ethers.id('REVOKER_ROLE');
+
+// ClaimSkipReason values reported by claimBadgeBatch
+const BATCH_SKIP_REASONS = ['already_claimed', 'sold_out'];
+
 class NFTService {
 
   constructor() {
@@ -18,30 +58,61 @@ class NFTService {
     this.signer = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
     this.contractAddress = process.env.POLP_CONTRACT_ADDRESS;
     this.contract = new ethers.Contract(this.contractAddress, BADGE_CONTRACT_ABI, this.signer);
+
+    // Vouchers only need a signature, so the key can differ from the one paying for mints
+    this.voucherSigner = new ethers.Wallet(process.env.VOUCHER_SIGNER_PRIVATE_KEY || process.env.PRIVATE_KEY);
+
+    // Revocations are sent from a key of their own: the backend key only holds MINTER_ROLE
+    this.revoker = process.env.REVOKER_PRIVATE_KEY ? nonceManagerService.forKey(process.env.REVOKER_PRIVATE_KEY) : null;
+    this.chainId = null;
   }
 
   /**
-   * Generate badge ID based on visit data
-   * @param {object} visit - Visit data
-   * @returns {number} - Badge ID for the smart contract
+   * Build ERC-721 metadata for a visit badge
+   * @param {object} visit - Visit instance
+   * @param {object} location - Location instance
+   * @param {string} badgeType - Badge type
+   * @returns {object} - Badge metadata
    */
-  async generateBadgeId(visit) {
-    try {
-      // Create deterministic badge ID based on location
-      const locationHash = ethers.keccak256(
-        ethers.toUtf8Bytes(visit.nfcTagId + visit.locationName)
-      );
-      
-      // Convert to number and ensure it's within reasonable range
-      const badgeId = parseInt(locationHash.slice(0, 10), 16) % 10000;
-      
-      logger.info(`Generated badge ID ${badgeId} for location ${visit.locationName}`);
-      
-      return badgeId;
-    } catch (error) {
-      logger.error('Badge ID generation error:', error);
-      throw new Error('Failed to generate badge ID');
-    }
+  buildBadgeMetadata(visit, location, badgeType) {
+    return {
+      name: `POLP Badge - ${location.name}`,
+      description: `Proof of presence at ${location.name} on ${visit.timestamp.toISOString()}`,
+      image: '', // Will be set after IPFS upload
+      attributes: [
+        {
+          trait_type: 'Location',
+          value: location.name
+        },
+        {
+          trait_type: 'Location ID',
+          value: location.id
+        },
+        {
+          trait_type: 'Coordinates',
+          value: `${location.latitude}, ${location.longitude}`
+        },
+        {
+          trait_type: 'Visit Date',
+          value: visit.timestamp.toISOString().split('T')[0]
+        },
+        {
+          trait_type: 'Badge Type',
+          value: badgeType
+        },
+        {
+          trait_type: 'NFC Tag ID',
+          value: visit.nfcTagId
+        }
+      ],
+      properties: {
+        locationId: location.id,
+        visitId: visit.id,
+        visitHash: visit.visitHash,
+        ipfsCid: visit.ipfsCid,
+        verifiedAt: visit.verifiedAt
+      }
+    };
   }
 
   /**
@@ -64,7 +135,7 @@ class NFTService {
   }
 
   /**
-   * Mint a new NFT badge
+   * Mint a new NFT badge and wait for confirmation
    * @param {string} userAddress - User's wallet address
    * @param {number} badgeId - Badge ID
    * @param {string} metadataUri - IPFS URI for metadata
@@ -72,53 +143,607 @@ class NFTService {
    */
   async mintBadge(userAddress, badgeId, metadataUri) {
     try {
-      logger.info(`Minting badge ${badgeId} for ${userAddress} with metadata ${metadataUri}`);
-
       // Check if already claimed
       const alreadyClaimed = await this.hasClaimedBadge(userAddress, badgeId);
       if (alreadyClaimed) {
         throw new Error('Badge already claimed by this user');
       }
 
-      // Get next token ID
-      const nextTokenId = await this.contract.nextTokenId();
+      const { txHash } = await this.submitMint(userAddress, badgeId, metadataUri);
+
+      // Wait for confirmation, following any fee-bump replacements
+      await nonceManagerService.waitForTransaction(txHash);
+
+      const result = await this.getMintResult(txHash);
+      if (result.status !== 'confirmed') {
+        throw new Error(`Mint transaction ${txHash} ${result.status}`);
+      }
+
+      return {
+        ...result,
+        badgeId
+      };
+
+    } catch (error) {
+      logger.error('Mint badge error:', error);
+      throw new Error(`Failed to mint badge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a badge mint transaction without waiting for it to be mined
+   * @param {string} userAddress - User's wallet address
+   * @param {number} badgeId - Badge ID
+   * @param {string} metadataUri - IPFS URI for metadata
+   * @param {object} options - Optional reference (idempotency key) for the transaction
+   * @returns {object} - Hash and nonce of the submitted transaction
+   */
+  async submitMint(userAddress, badgeId, metadataUri, { reference = null } = {}) {
+    try {
+      logger.info(`Minting badge ${badgeId} for ${userAddress} with metadata ${metadataUri}`);
 
       // Estimate gas
       const gasEstimate = await this.contract.claimBadge.estimateGas(
-        userAddress, 
-        badgeId, 
+        userAddress,
+        badgeId,
         metadataUri
       );
 
-      // Mint the badge
-      const tx = await this.contract.claimBadge(
-        userAddress,
-        badgeId,
-        metadataUri,
-        {
-          gasLimit: Math.floor(gasEstimate * 1.2), // Add 20% buffer
+      // Sent through the nonce manager so concurrent mints never collide
+      const pendingTx = await nonceManagerService.sendTransaction({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('claimBadge', [userAddress, badgeId, metadataUri]),
+        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
+        reference
+      });
+
+      logger.info(`Badge mint transaction sent: ${pendingTx.txHash}`);
+
+      return {
+        txHash: pendingTx.txHash,
+        nonce: pendingTx.nonce
+      };
+
+    } catch (error) {
+      logger.error('Submit mint error:', error);
+      throw new Error(`Failed to submit mint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the outcome of a mint transaction
+   * @param {string} txHash - Mint transaction hash (original or replacement)
+   * @returns {object|null} - null while pending, otherwise {status: 'confirmed'|'reverted'|'dropped', ...}
+   */
+  async getMintResult(txHash) {
+    try {
+      const { status, receipt } = await nonceManagerService.getTransactionState(txHash);
+
+      if (status === 'pending') {
+        return null;
+      }
+
+      if (status === 'dropped') {
+        logger.warn(`Mint transaction ${txHash} was dropped`);
+        return {
+          status: 'dropped',
+          txHash
+        };
+      }
+
+      if (status === 'reverted') {
+        logger.warn(`Mint transaction ${receipt.hash} reverted in block ${receipt.blockNumber}`);
+        return {
+          status: 'reverted',
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        };
+      }
+
+      // The minted token ID comes from the Transfer event emitted by _safeMint
+      const transferEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => this.contract.interface.parseLog(log))
+        .find(event => event && event.name === 'Transfer' && event.args.from === ethers.ZeroAddress);
+
+      if (!transferEvent) {
+        throw new Error(`No mint Transfer event in transaction ${receipt.hash}`);
+      }
+
+      const tokenId = transferEvent.args.tokenId.toString();
+      const isSoulbound = receipt.logs
+        .map(log => this.contract.interface.parseLog(log))
+        .some(event => event && event.name === 'Locked' && event.args.tokenId.toString() === tokenId);
+      logger.info(`Badge minted successfully. Token ID: ${tokenId}, TX: ${receipt.hash}`);
+
+      // The mined hash differs from the submitted one if the transaction was replaced
+      return {
+        status: 'confirmed',
+        tokenId,
+        ownerAddress: transferEvent.args.to,
+        isSoulbound,
+        contractAddress: this.contractAddress,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      logger.error('Get mint result error:', error);
+      throw new Error(`Failed to get mint result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send one transaction minting a badge of the same series to many recipients
+   * @param {string[]} recipients - Wallet addresses
+   * @param {number} badgeId - Badge series ID
+   * @param {string[]} metadataUris - IPFS URI of each recipient's metadata
+   * @param {object} options - Optional reference (idempotency key) for the transaction
+   * @returns {object} - Hash and nonce of the submitted transaction
+   */
+  async submitMintBatch(recipients, badgeId, metadataUris, { reference = null } = {}) {
+    try {
+      logger.info(`Minting badge ${badgeId} for ${recipients.length} recipient(s) in one batch`);
+
+      const gasEstimate = await this.contract.claimBadgeBatch.estimateGas(recipients, badgeId, metadataUris);
+
+      const pendingTx = await nonceManagerService.sendTransaction({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('claimBadgeBatch', [recipients, badgeId, metadataUris]),
+        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
+        reference
+      });
+
+      logger.info(`Badge batch mint transaction sent: ${pendingTx.txHash}`);
+
+      return {
+        txHash: pendingTx.txHash,
+        nonce: pendingTx.nonce
+      };
+
+    } catch (error) {
+      logger.error('Submit mint batch error:', error);
+      throw new Error(`Failed to submit mint batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the outcome of a batch mint transaction, recipient by recipient
+   * @param {string} txHash - Batch mint transaction hash (original or replacement)
+   * @returns {object|null} - null while pending, otherwise {status, ...}; once confirmed,
+   * outcomes[i] is {status: 'minted', tokenId, ...} or {status: 'skipped', reason} for recipient i
+   */
+  async getBatchMintResult(txHash) {
+    try {
+      const { status, receipt } = await nonceManagerService.getTransactionState(txHash);
+
+      if (status === 'pending') {
+        return null;
+      }
+
+      if (status !== 'confirmed') {
+        logger.warn(`Batch mint transaction ${txHash} ${status}`);
+        return {
+          status,
+          txHash: receipt ? receipt.hash : txHash,
+          blockNumber: receipt ? receipt.blockNumber : null
+        };
+      }
+
+      const events = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => this.contract.interface.parseLog(log))
+        .filter(Boolean);
+
+      const skipped = new Map(events
+        .filter(event => event.name === 'BatchClaimSkipped')
+        .map(event => [Number(event.args.index), BATCH_SKIP_REASONS[Number(event.args.reason)]]));
+      const minted = events.filter(event => event.name === 'Transfer' && event.args.from === ethers.ZeroAddress);
+      const locked = new Set(events
+        .filter(event => event.name === 'Locked')
+        .map(event => event.args.tokenId.toString()));
+
+      // Recipients are minted in order, so the Transfer events follow the recipients that were not skipped
+      const outcomes = [];
+      let nextMint = 0;
+      for (let index = 0; index < skipped.size + minted.length; index++) {
+        if (skipped.has(index)) {
+          outcomes.push({ status: 'skipped', reason: skipped.get(index) });
+          continue;
         }
-      );
 
-      logger.info(`Badge mint transaction sent: ${tx.hash}`);
+        const transfer = minted[nextMint++];
+        const tokenId = transfer.args.tokenId.toString();
+        outcomes.push({
+          status: 'minted',
+          tokenId,
+          ownerAddress: transfer.args.to,
+          isSoulbound: locked.has(tokenId)
+        });
+      }
+
+      logger.info(`Badge batch ${receipt.hash} minted ${minted.length} and skipped ${skipped.size} recipient(s)`);
+
+      return {
+        status: 'confirmed',
+        outcomes,
+        contractAddress: this.contractAddress,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      logger.error('Get batch mint result error:', error);
+      throw new Error(`Failed to get batch mint result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send the transaction that anchors a batch of visit hashes on-chain
+   * @param {string} merkleRoot - Batch Merkle root (hex, without 0x)
+   * @param {number} leafCount - Number of visit hashes in the batch
+   * @param {object} options - Optional reference (idempotency key) for the transaction
+   * @returns {object} - Hash and nonce of the submitted transaction
+   */
+  async submitVisitRoot(merkleRoot, leafCount, { reference = null } = {}) {
+    try {
+      const root = `0x${merkleRoot}`;
+      const gasEstimate = await this.contract.anchorVisitRoot.estimateGas(root, leafCount);
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      const pendingTx = await nonceManagerService.sendTransaction({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('anchorVisitRoot', [root, leafCount]),
+        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
+        reference
+      });
 
-      logger.info(`Badge minted successfully. Token ID: ${nextTokenId}, TX: ${tx.hash}`);
+      logger.info(`Visit root ${root} anchoring transaction sent: ${pendingTx.txHash}`);
 
       return {
-        tokenId: nextTokenId.toString(),
-        badgeId,
+        txHash: pendingTx.txHash,
+        nonce: pendingTx.nonce
+      };
+
+    } catch (error) {
+      logger.error('Submit visit root error:', error);
+      throw new Error(`Failed to submit visit root: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the outcome of an anchoring transaction
+   * @param {string} txHash - Anchoring transaction hash (original or replacement)
+   * @returns {object|null} - null while pending, otherwise {status: 'confirmed'|'reverted'|'dropped', ...}
+   */
+  async getVisitRootResult(txHash) {
+    try {
+      const { status, receipt } = await nonceManagerService.getTransactionState(txHash);
+
+      if (status === 'pending') {
+        return null;
+      }
+
+      if (status !== 'confirmed') {
+        return {
+          status,
+          txHash: receipt ? receipt.hash : txHash,
+          blockNumber: receipt ? receipt.blockNumber : null
+        };
+      }
+
+      const anchoredEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => this.contract.interface.parseLog(log))
+        .find(event => event && event.name === 'VisitRootAnchored');
+
+      if (!anchoredEvent) {
+        throw new Error(`No VisitRootAnchored event in transaction ${receipt.hash}`);
+      }
+
+      return {
+        status: 'confirmed',
+        merkleRoot: anchoredEvent.args.root.slice(2),
+        anchoredAt: new Date(Number(anchoredEvent.args.timestamp) * 1000),
         contractAddress: this.contractAddress,
-        txHash: tx.hash,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      logger.error('Get visit root result error:', error);
+      throw new Error(`Failed to get visit root result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send the transaction that defines (or updates) a badge series on-chain
+   * @param {object} series - BadgeSeries instance; its ID is the on-chain badgeId
+   * @param {object} options - Optional reference (idempotency key) for the transaction
+   * @returns {object} - Hash and nonce of the submitted transaction
+   */
+  async submitSeries(series, { reference = null } = {}) {
+    try {
+      const toSeconds = (date) => date ? Math.floor(new Date(date).getTime() / 1000) : 0;
+      const args = [
+        series.id,
+        series.maxSupply || 0,
+        toSeconds(series.startsAt),
+        toSeconds(series.endsAt),
+        series.baseMetadataUri || '',
+        series.isSoulbound
+      ];
+
+      const gasEstimate = await this.contract.defineSeries.estimateGas(...args);
+
+      const pendingTx = await nonceManagerService.sendTransaction({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('defineSeries', args),
+        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
+        reference
+      });
+
+      logger.info(`Badge series ${series.id} definition transaction sent: ${pendingTx.txHash}`);
+
+      return {
+        txHash: pendingTx.txHash,
+        nonce: pendingTx.nonce
+      };
+
+    } catch (error) {
+      logger.error('Submit series error:', error);
+      throw new Error(`Failed to submit badge series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the outcome of a series definition transaction
+   * @param {string} txHash - Transaction hash (original or replacement)
+   * @returns {object|null} - null while pending, otherwise {status: 'confirmed'|'reverted'|'dropped', ...}
+   */
+  async getSeriesResult(txHash) {
+    try {
+      const { status, receipt } = await nonceManagerService.getTransactionState(txHash);
+
+      if (status === 'pending') {
+        return null;
+      }
+
+      return {
+        status,
+        txHash: receipt ? receipt.hash : txHash,
+        blockNumber: receipt ? receipt.blockNumber : null
+      };
+
+    } catch (error) {
+      logger.error('Get series result error:', error);
+      throw new Error(`Failed to get series result: ${error.message}`);
+    }
+  }
+
+  /**
+   * On-chain definition and minted count of a badge series
+   * @param {number} badgeId - Series ID
+   * @returns {object|null} - Series, or null if it is not defined on-chain
+   */
+  async getSeries(badgeId) {
+    try {
+      const series = await this.contract.getSeries(badgeId);
+
+      return {
+        badgeId: String(badgeId),
+        maxSupply: Number(series.maxSupply),
+        minted: Number(series.minted),
+        startTime: Number(series.startTime),
+        endTime: Number(series.endTime),
+        soulbound: series.soulbound,
+        baseURI: series.baseURI
+      };
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        return null;
+      }
+      logger.error('Get series error:', error);
+      throw new Error('Failed to get badge series');
+    }
+  }
+
+  /**
+   * Series a badge was minted from
+   * @param {string} tokenId - Token ID
+   * @returns {string} - Series ID (badgeId)
+   */
+  async getTokenSeries(tokenId) {
+    try {
+      return (await this.contract.tokenSeries(tokenId)).toString();
+    } catch (error) {
+      logger.error('Get token series error:', error);
+      throw new Error('Failed to get token series');
+    }
+  }
+
+  /**
+   * Nonce manager of the revoker key (REVOKER_PRIVATE_KEY) revocations are sent from
+   * @returns {object} - NonceManagerService instance
+   */
+  getRevoker() {
+    if (!this.revoker) {
+      throw new Error('REVOKER_PRIVATE_KEY is not configured');
+    }
+
+    return this.revoker;
+  }
+
+  /**
+   * Send the transaction that burns a revoked badge
+   * @param {string} tokenId - Token to burn
+   * @param {string} reason - Why the badge was revoked (recorded on-chain)
+   * @param {object} options - Optional reference (idempotency key) for the transaction
+   * @returns {object} - Hash and nonce of the submitted transaction
+   */
+  async submitRevoke(tokenId, reason, { reference = null } = {}) {
+    try {
+      const revoker = this.getRevoker();
+      const data = this.contract.interface.encodeFunctionData('revoke', [tokenId, reason]);
+      const gasEstimate = await this.provider.estimateGas({ from: revoker.address, to: this.contractAddress, data });
+
+      const pendingTx = await revoker.sendTransaction({
+        to: this.contractAddress,
+        data,
+        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
+        reference
+      });
+
+      logger.info(`Badge ${tokenId} revocation transaction sent: ${pendingTx.txHash}`);
+
+      return {
+        txHash: pendingTx.txHash,
+        nonce: pendingTx.nonce
+      };
+
+    } catch (error) {
+      logger.error('Submit revoke error:', error);
+      throw new Error(`Failed to submit badge revocation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the outcome of a revocation transaction
+   * @param {string} txHash - Revocation transaction hash (original or replacement)
+   * @returns {object|null} - null while pending, otherwise {status: 'confirmed'|'reverted'|'dropped', ...}
+   */
+  async getRevokeResult(txHash) {
+    try {
+      const { status, receipt } = await this.getRevoker().getTransactionState(txHash);
+
+      if (status === 'pending') {
+        return null;
+      }
+
+      if (status !== 'confirmed') {
+        return {
+          status,
+          txHash: receipt ? receipt.hash : txHash,
+          blockNumber: receipt ? receipt.blockNumber : null
+        };
+      }
+
+      const revokedEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => this.contract.interface.parseLog(log))
+        .find(event => event && event.name === 'BadgeRevoked');
+
+      if (!revokedEvent) {
+        throw new Error(`No BadgeRevoked event in transaction ${receipt.hash}`);
+      }
+
+      return {
+        status: 'confirmed',
+        tokenId: revokedEvent.args.tokenId.toString(),
+        claimant: revokedEvent.args.claimant,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      logger.error('Get revoke result error:', error);
+      throw new Error(`Failed to get revoke result: ${error.message}`);
+    }
+  }
+
+  /**
+   * EIP-712 domain of the POLPBadge contract
+   * @returns {object} - Typed data domain
+   */
+  async getVoucherDomain() {
+    if (!this.chainId) {
+      this.chainId = (await this.provider.getNetwork()).chainId;
+    }
+
+    return {
+      name: 'POLP Badge',
+      version: '1',
+      chainId: this.chainId,
+      verifyingContract: this.contractAddress
+    };
+  }
+
+  /**
+   * Sign a claim voucher that lets the recipient mint the badge themselves
+   * @param {object} voucher - recipient, badgeId, tokenURI, expiry (unix seconds) and nonce
+   * @returns {object} - Signature together with the domain and types it was made for
+   */
+  async signClaimVoucher(voucher) {
+    try {
+      const domain = await this.getVoucherDomain();
+      const signature = await this.voucherSigner.signTypedData(domain, CLAIM_VOUCHER_TYPES, voucher);
+
+      logger.info(`Signed claim voucher for badge ${voucher.badgeId} to ${voucher.recipient} (nonce ${voucher.nonce})`);
+
+      return {
+        signature,
+        signer: this.voucherSigner.address,
+        domain: {
+          ...domain,
+          chainId: domain.chainId.toString()
+        },
+        types: CLAIM_VOUCHER_TYPES
+      };
+    } catch (error) {
+      logger.error('Sign claim voucher error:', error);
+      throw new Error(`Failed to sign claim voucher: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the outcome of a claimWithVoucher transaction sent by a user
+   * @param {string} txHash - Claim transaction hash
+   * @returns {object|null} - null while pending, otherwise {status: 'confirmed'|'reverted', ...}
+   */
+  async getVoucherClaimResult(txHash) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+
+      if (!receipt) {
+        return null;
+      }
+
+      if (receipt.status !== 1) {
+        return {
+          status: 'reverted',
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        };
+      }
+
+      const events = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => this.contract.interface.parseLog(log))
+        .filter(Boolean);
+
+      const redeemedEvent = events.find(event => event.name === 'VoucherRedeemed');
+      if (!redeemedEvent) {
+        throw new Error(`No VoucherRedeemed event in transaction ${receipt.hash}`);
+      }
+
+      const tokenId = redeemedEvent.args.tokenId.toString();
+
+      return {
+        status: 'confirmed',
+        nonce: redeemedEvent.args.nonce.toString(),
+        tokenId,
+        ownerAddress: redeemedEvent.args.recipient,
+        isSoulbound: events.some(event => event.name === 'Locked' && event.args.tokenId.toString() === tokenId),
+        contractAddress: this.contractAddress,
+        txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString()
       };
 
     } catch (error) {
-      logger.error('Mint badge error:', error);
-      throw new Error(`Failed to mint badge: ${error.message}`);
+      logger.error('Get voucher claim result error:', error);
+      throw new Error(`Failed to get voucher claim result: ${error.message}`);
     }
   }
 
@@ -139,6 +764,10 @@ class NFTService {
         throw new Error('Transfer failed: sender is not the owner');
       }
 
+      if (await this.contract.locked(tokenId)) {
+        throw new Error('Transfer failed: badge is soulbound');
+      }
+
       // Estimate gas
       const gasEstimate = await this.contract.transferFrom.estimateGas(
         fromAddress,
@@ -147,21 +776,21 @@ class NFTService {
       );
 
       // Execute transfer
-      const tx = await this.contract.transferFrom(
-        fromAddress,
-        toAddress,
-        tokenId,
-        {
-          gasLimit: Math.floor(gasEstimate * 1.2)
-        }
-      );
+      const pendingTx = await nonceManagerService.sendTransaction({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('transferFrom', [fromAddress, toAddress, tokenId]),
+        gasLimit: gasEstimate * 120n / 100n
+      });
 
-      const receipt = await tx.wait();
+      const { status, receipt } = await nonceManagerService.waitForTransaction(pendingTx.txHash);
+      if (status !== 'confirmed') {
+        throw new Error(`Transfer transaction ${pendingTx.txHash} ${status}`);
+      }
 
-      logger.info(`Badge transferred successfully. TX: ${tx.hash}`);
+      logger.info(`Badge transferred successfully. TX: ${receipt.hash}`);
 
       return {
-        txHash: tx.hash,
+        txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         fromAddress,
@@ -175,6 +804,20 @@ class NFTService {
     }
   }
 
+  /**
+   * Check whether a badge is soulbound (ERC-5192 locked)
+   * @param {string} tokenId - Token ID
+   * @returns {boolean} - True if the token cannot be transferred
+   */
+  async isBadgeLocked(tokenId) {
+    try {
+      return await this.contract.locked(tokenId);
+    } catch (error) {
+      logger.error('Check badge lock error:', error);
+      throw new Error('Failed to check badge lock status');
+    }
+  }
+
   /**
    * Verify badge ownership
    * @param {string} tokenId - Token ID to verify
@@ -195,6 +838,23 @@ class NFTService {
     }
   }
 
+  /**
+   * Current owner of a badge
+   * @param {string} tokenId - Token ID
+   * @returns {string|null} - Owner address, or null if the token does not exist
+   */
+  async getBadgeOwner(tokenId) {
+    try {
+      return await this.contract.ownerOf(tokenId);
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        return null;
+      }
+      logger.error('Get badge owner error:', error);
+      throw new Error('Failed to get badge owner');
+    }
+  }
+
   /**
    * Get badge metadata URI
    * @param {string} tokenId - Token ID
@@ -234,16 +894,44 @@ class NFTService {
   }
 
   /**
-   * Check contract health and connectivity
-   * @returns {boolean} - True if contract is accessible
+   * Check contract connectivity, that the configured signer can actually mint and that
+   * the revoker key can revoke
+   * @returns {object} - {status: 'healthy'|'degraded'|'unhealthy', ...}
    */
   async healthCheck() {
     try {
-      await this.contract.nextTokenId();
-      return true;
+      const revokerAddress = this.revoker ? this.revoker.address : null;
+      const [hasMinterRole, hasRevokerRole, paused] = await Promise.all([
+        this.contract.hasRole(MINTER_ROLE, this.signer.address),
+        revokerAddress ? this.contract.hasRole(REVOKER_ROLE, revokerAddress) : false,
+        this.contract.paused()
+      ]);
+
+      if (!hasMinterRole) {
+        logger.warn(`NFT signer ${this.signer.address} does not hold MINTER_ROLE`);
+      }
+      if (!revokerAddress) {
+        logger.warn('REVOKER_PRIVATE_KEY is not configured: badges cannot be revoked');
+      } else if (!hasRevokerRole) {
+        logger.warn(`NFT revoker ${revokerAddress} does not hold REVOKER_ROLE`);
+      }
+
+      return {
+        status: hasMinterRole && hasRevokerRole && !paused ? 'healthy' : 'degraded',
+        contractAddress: this.contractAddress,
+        signer: this.signer.address,
+        hasMinterRole,
+        revoker: revokerAddress,
+        hasRevokerRole,
+        paused
+      };
     } catch (error) {
       logger.error('NFT service health check failed:', error);
-      return false;
+      return {
+        status: 'unhealthy',
+        contractAddress: this.contractAddress,
+        error: error.message
+      };
     }
   }
 }
@@ -0,0 +1,487 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+// Errors meaning the node refused the transaction outright, so its nonce was never used
+const REJECTED_ERROR_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'CALL_EXCEPTION'];
+
+// Nodes only accept a replacement that raises both fees by at least this much
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+
+class NonceManagerService {
+
+  /**
+   * @param {string} privateKey - Key of the wallet whose transactions this instance sends
+   */
+  constructor(privateKey = process.env.PRIVATE_KEY) {
+    this.provider = new ethers.JsonRpcProvider(process.env.GNOSIS_RPC_URL);
+    this.signer = new ethers.Wallet(privateKey, this.provider);
+
+    // Fee caps and replacement policy
+    this.maxFeePerGasCap = ethers.parseUnits(process.env.TX_MAX_FEE_GWEI || '100', 'gwei');
+    this.maxPriorityFeePerGasCap = ethers.parseUnits(process.env.TX_MAX_PRIORITY_FEE_GWEI || '10', 'gwei');
+    this.feeBumpPercent = BigInt(Math.max(
+      parseInt(process.env.TX_FEE_BUMP_PERCENT || '20'),
+      Number(MIN_REPLACEMENT_BUMP_PERCENT)
+    ));
+    this.stuckTimeoutMs = parseInt(process.env.TX_STUCK_TIMEOUT_MS || '180000');
+    this.monitorIntervalMs = parseInt(process.env.TX_MONITOR_INTERVAL_MS || '15000');
+
+    this.chainId = null;
+    this.sendQueue = Promise.resolve();
+    this.timer = null;
+    this.running = false;
+
+    // Managers of the backend's other keys, by address
+    this.managers = new Map();
+  }
+
+  get address() {
+    return this.signer.address;
+  }
+
+  /**
+   * Nonce manager of another backend key, with the same fee policy and monitored along with this one
+   * @param {string} privateKey - Private key of the wallet
+   * @returns {object} - NonceManagerService instance for that wallet
+   */
+  forKey(privateKey) {
+    const address = new ethers.Wallet(privateKey).address;
+
+    if (address === this.address) {
+      return this;
+    }
+
+    if (!this.managers.has(address)) {
+      const manager = new NonceManagerService(privateKey);
+      this.managers.set(address, manager);
+
+      if (this.timer) {
+        manager.start();
+      }
+    }
+
+    return this.managers.get(address);
+  }
+
+  /**
+   * Run a task once every previously queued send has finished
+   * @param {Function} task - Async task
+   * @returns {Promise} - Result of the task
+   */
+  serialize(task) {
+    const result = this.sendQueue.then(task);
+    this.sendQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Sign, persist and broadcast a transaction from the backend wallet
+   * @param {object} params - to, data, gasLimit, optional value and reference (idempotency key)
+   * @returns {object} - PendingTransaction instance
+   */
+  async sendTransaction({ to, data, gasLimit, value = 0n, reference = null }) {
+    const PendingTransaction = require('../models/PendingTransaction');
+
+    // Sends are serialised within this process; the unique (fromAddress, nonce)
+    // index stops two processes from ever persisting the same nonce
+    return this.serialize(async () => {
+      if (reference) {
+        const existing = await PendingTransaction.findByReference(reference);
+        if (existing) {
+          logger.info(`Transaction for ${reference} already sent: ${existing.txHash}`);
+          return existing;
+        }
+      }
+
+      const nonce = await this.getNextNonce();
+      const fees = await this.getNetworkFees();
+      const signed = await this.signTransaction({ to, data, value, gasLimit, nonce, ...fees });
+
+      // Persisted before broadcasting: after a crash the monitor rebroadcasts these exact bytes
+      const record = await PendingTransaction.create({
+        fromAddress: this.address,
+        nonce,
+        reference,
+        toAddress: to,
+        data,
+        value: value.toString(),
+        gasLimit: gasLimit.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        txHash: signed.txHash,
+        rawTransaction: signed.rawTransaction
+      });
+
+      try {
+        await this.broadcast(record);
+      } catch (error) {
+        if (REJECTED_ERROR_CODES.includes(error.code)) {
+          // Never accepted, so the nonce is free for the next send
+          await record.destroy();
+          throw error;
+        }
+
+        // The node may still have it (timeouts, flaky RPC); the monitor will rebroadcast
+        logger.warn(`Broadcast of ${record.txHash} (nonce ${nonce}) uncertain: ${error.message}`);
+        await record.update({ lastError: error.message });
+      }
+
+      logger.info(`Transaction ${record.txHash} sent with nonce ${nonce}`);
+      return record;
+    });
+  }
+
+  /**
+   * Find the transaction previously sent for an idempotency key
+   * @param {string} reference - Idempotency key
+   * @returns {object|null} - Pending or confirmed PendingTransaction
+   */
+  async findByReference(reference) {
+    const PendingTransaction = require('../models/PendingTransaction');
+    return PendingTransaction.findByReference(reference);
+  }
+
+  /**
+   * Next nonce to use: past both the chain's pending count and our own pending records
+   * @returns {number} - Nonce
+   */
+  async getNextNonce() {
+    const PendingTransaction = require('../models/PendingTransaction');
+
+    const chainNonce = await this.provider.getTransactionCount(this.address, 'pending');
+    const highestPending = await PendingTransaction.getHighestPendingNonce(this.address);
+
+    return highestPending === null ? chainNonce : Math.max(chainNonce, highestPending + 1);
+  }
+
+  /**
+   * Current EIP-1559 fees, capped
+   * @returns {object} - {maxFeePerGas, maxPriorityFeePerGas} in wei
+   */
+  async getNetworkFees() {
+    const feeData = await this.provider.getFeeData();
+
+    return this.capFees({
+      maxFeePerGas: feeData.maxFeePerGas ?? feeData.gasPrice,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? feeData.gasPrice
+    });
+  }
+
+  /**
+   * Clamp fees to the configured caps
+   * @param {object} fees - {maxFeePerGas, maxPriorityFeePerGas} in wei
+   * @returns {object} - Capped fees
+   */
+  capFees({ maxFeePerGas, maxPriorityFeePerGas }) {
+    if (maxFeePerGas > this.maxFeePerGasCap) {
+      logger.warn(`Max fee ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei capped at ${ethers.formatUnits(this.maxFeePerGasCap, 'gwei')} gwei`);
+      maxFeePerGas = this.maxFeePerGasCap;
+    }
+
+    if (maxPriorityFeePerGas > this.maxPriorityFeePerGasCap) {
+      maxPriorityFeePerGas = this.maxPriorityFeePerGasCap;
+    }
+
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Fees for replacing a stuck transaction: a percentage bump, or the network rate if higher
+   * @param {object} record - PendingTransaction instance
+   * @param {object} networkFees - Current network fees
+   * @returns {object|null} - Replacement fees, or null if the caps leave no room for a valid replacement
+   */
+  getReplacementFees(record, networkFees) {
+    const previousMaxFee = BigInt(record.maxFeePerGas);
+    const previousPriorityFee = BigInt(record.maxPriorityFeePerGas);
+    const bump = (fee) => fee * (100n + this.feeBumpPercent) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    const fees = this.capFees({
+      maxFeePerGas: max(bump(previousMaxFee), networkFees.maxFeePerGas),
+      maxPriorityFeePerGas: max(bump(previousPriorityFee), networkFees.maxPriorityFeePerGas)
+    });
+
+    const minimum = (fee) => fee * (100n + MIN_REPLACEMENT_BUMP_PERCENT) / 100n;
+    if (fees.maxFeePerGas < minimum(previousMaxFee) || fees.maxPriorityFeePerGas < minimum(previousPriorityFee)) {
+      return null;
+    }
+
+    return fees;
+  }
+
+  /**
+   * Sign an EIP-1559 transaction without sending it
+   * @param {object} fields - to, data, value, gasLimit, nonce, maxFeePerGas, maxPriorityFeePerGas
+   * @returns {object} - {rawTransaction, txHash}
+   */
+  async signTransaction(fields) {
+    if (this.chainId === null) {
+      this.chainId = (await this.provider.getNetwork()).chainId;
+    }
+
+    const rawTransaction = await this.signer.signTransaction({
+      type: 2,
+      chainId: this.chainId,
+      to: fields.to,
+      data: fields.data,
+      value: BigInt(fields.value),
+      nonce: fields.nonce,
+      gasLimit: BigInt(fields.gasLimit),
+      maxFeePerGas: BigInt(fields.maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(fields.maxPriorityFeePerGas)
+    });
+
+    return {
+      rawTransaction,
+      txHash: ethers.keccak256(rawTransaction)
+    };
+  }
+
+  /**
+   * Send the stored signed transaction to the node
+   * @param {object} record - PendingTransaction instance
+   */
+  async broadcast(record) {
+    try {
+      await this.provider.broadcastTransaction(record.rawTransaction);
+    } catch (error) {
+      // Rebroadcasting bytes the node already holds is harmless
+      if (!/already known/i.test(error.message)) {
+        throw error;
+      }
+    }
+
+    await record.update({ lastBroadcastAt: new Date(), lastError: null });
+  }
+
+  /**
+   * Re-sign a stuck transaction with higher fees and the same nonce
+   * @param {object} record - PendingTransaction instance
+   */
+  async speedUp(record) {
+    const fees = this.getReplacementFees(record, await this.getNetworkFees());
+
+    if (!fees) {
+      logger.warn(`Transaction ${record.txHash} (nonce ${record.nonce}) is at the fee cap, rebroadcasting unchanged`);
+      await this.broadcast(record);
+      return;
+    }
+
+    const signed = await this.signTransaction({
+      to: record.toAddress,
+      data: record.data,
+      value: record.value,
+      gasLimit: record.gasLimit,
+      nonce: record.nonce,
+      ...fees
+    });
+
+    // The earlier broadcasts stay on record: any of them may still be the one that gets mined
+    await record.update({
+      txHash: signed.txHash,
+      rawTransaction: signed.rawTransaction,
+      replacedTxHashes: [...record.replacedTxHashes, record.txHash],
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+      bumpCount: record.bumpCount + 1,
+      lastBroadcastAt: null
+    });
+
+    logger.info(`Replacing stuck nonce ${record.nonce} with ${signed.txHash} at ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei`);
+
+    try {
+      await this.broadcast(record);
+    } catch (error) {
+      logger.warn(`Replacement ${signed.txHash} not accepted: ${error.message}`);
+      await record.update({ lastError: error.message });
+    }
+  }
+
+  /**
+   * Look for a receipt for any broadcast of a record
+   * @param {object} record - PendingTransaction instance
+   * @returns {object|null} - {hash, receipt} or null
+   */
+  async findReceipt(record) {
+    for (const hash of record.getAllHashes()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return { hash, receipt };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Update a pending record from the chain
+   * @param {object} record - PendingTransaction instance
+   * @returns {object} - The updated record
+   */
+  async refresh(record) {
+    if (record.status !== 'pending') {
+      return record;
+    }
+
+    let mined = await this.findReceipt(record);
+
+    if (!mined) {
+      const confirmedNonce = await this.provider.getTransactionCount(record.fromAddress, 'latest');
+      if (confirmedNonce <= record.nonce) {
+        return record;
+      }
+
+      // The nonce is used; look once more in case one of ours was mined in the meantime
+      mined = await this.findReceipt(record);
+      if (!mined) {
+        logger.warn(`Nonce ${record.nonce} was consumed by an unknown transaction, dropping ${record.txHash}`);
+        return record.update({
+          status: 'dropped',
+          lastError: `Nonce ${record.nonce} was consumed by another transaction`
+        });
+      }
+    }
+
+    return record.update({
+      status: mined.receipt.status === 1 ? 'confirmed' : 'reverted',
+      minedTxHash: mined.hash,
+      blockNumber: mined.receipt.blockNumber,
+      minedAt: new Date()
+    });
+  }
+
+  /**
+   * Resolve the state of a transaction, following fee-bump replacements
+   * @param {string} txHash - Any hash the transaction was broadcast under
+   * @returns {object} - {status: 'pending'|'confirmed'|'reverted'|'dropped', receipt}
+   */
+  async getTransactionState(txHash) {
+    const PendingTransaction = require('../models/PendingTransaction');
+
+    let receiptHash = txHash;
+    const record = await PendingTransaction.findByHash(txHash);
+
+    if (record) {
+      await this.refresh(record);
+
+      if (record.status === 'pending' || record.status === 'dropped') {
+        return { status: record.status, receipt: null };
+      }
+
+      receiptHash = record.minedTxHash;
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(receiptHash);
+
+    if (!receipt) {
+      return { status: 'pending', receipt: null };
+    }
+
+    return {
+      status: receipt.status === 1 ? 'confirmed' : 'reverted',
+      receipt
+    };
+  }
+
+  /**
+   * Wait until a transaction (or its replacement) is mined or dropped
+   * @param {string} txHash - Transaction hash
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {object} - Final transaction state
+   */
+  async waitForTransaction(txHash, timeoutMs = 10 * 60 * 1000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const state = await this.getTransactionState(txHash);
+      if (state.status !== 'pending') {
+        return state;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+
+    throw new Error(`Timed out waiting for transaction ${txHash}`);
+  }
+
+  /**
+   * Settle mined transactions, rebroadcast unsent ones and bump stuck ones
+   */
+  async checkPendingTransactions() {
+    const PendingTransaction = require('../models/PendingTransaction');
+
+    const records = await PendingTransaction.scope('pending').findAll({
+      where: { fromAddress: this.address.toLowerCase() },
+      order: [['nonce', 'ASC']]
+    });
+
+    for (const record of records) {
+      try {
+        await this.refresh(record);
+
+        if (record.status !== 'pending') {
+          continue;
+        }
+
+        if (!record.lastBroadcastAt) {
+          await this.broadcast(record);
+        } else if (Date.now() - record.lastBroadcastAt.getTime() >= this.stuckTimeoutMs) {
+          await this.speedUp(record);
+        }
+      } catch (error) {
+        logger.error(`Pending transaction ${record.txHash} check error:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start monitoring pending transactions
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Transaction monitor started for ${this.address}`);
+    this.scheduleNextCheck(0);
+    this.managers.forEach(manager => manager.start());
+  }
+
+  /**
+   * Stop monitoring pending transactions
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.managers.forEach(manager => manager.stop());
+  }
+
+  scheduleNextCheck(delayMs) {
+    this.timer = setTimeout(() => this.monitor(), delayMs);
+  }
+
+  async monitor() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.checkPendingTransactions();
+    } catch (error) {
+      logger.error('Transaction monitor error:', error);
+    } finally {
+      this.running = false;
+      if (this.timer) {
+        this.scheduleNextCheck(this.monitorIntervalMs);
+      }
+    }
+  }
+}
+
+module.exports = new NonceManagerService();
@@ -0,0 +1,245 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const claimVoucherService = require('./claimVoucherService');
+const { createProvider, getContract, getCurrentNetwork, contracts } = require('../config/web3');
+
+const CURSOR_NAME = 'POLPBadge:Transfer';
+
+class TransferIndexerService {
+
+  constructor() {
+    const network = getCurrentNetwork();
+
+    this.chainId = network.chainId;
+    this.confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS || network.confirmations || 0);
+    this.blockRange = parseInt(process.env.INDEXER_BLOCK_RANGE || '2000');
+    this.pollIntervalMs = parseInt(process.env.INDEXER_POLL_MS || '15000');
+    this.deployBlock = contracts.POLPBadge.deployBlock;
+
+    this.provider = null;
+    this.contract = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Create the provider and contract on first use
+   */
+  connect() {
+    if (!this.contract) {
+      this.provider = createProvider();
+      this.contract = getContract('POLPBadge', this.provider);
+    }
+  }
+
+  /**
+   * Load (or create) the cursor for this chain and contract
+   * @returns {object} - IndexerCursor instance
+   */
+  async loadCursor() {
+    const IndexerCursor = require('../models/IndexerCursor');
+
+    return IndexerCursor.load(CURSOR_NAME, {
+      chainId: this.chainId,
+      contractAddress: contracts.POLPBadge.address,
+      startBlock: this.deployBlock
+    });
+  }
+
+  /**
+   * Index every confirmed block after the cursor
+   * @returns {number} - Number of Transfer events applied
+   */
+  async sync() {
+    this.connect();
+
+    const cursor = await this.loadCursor();
+    await this.checkForReorg(cursor);
+
+    // Blocks shallower than the confirmation depth may still be reorganised away
+    const head = await this.provider.getBlockNumber();
+    const safeHead = head - this.confirmations;
+
+    let applied = 0;
+    let fromBlock = cursor.lastBlock + 1;
+
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + this.blockRange - 1, safeHead);
+
+      // Self-claimed badges get their row first, so the Transfers below find the token
+      const redemptions = await this.contract.queryFilter(this.contract.filters.VoucherRedeemed(), fromBlock, toBlock);
+      for (const event of redemptions) {
+        await claimVoucherService.applyRedemptionEvent(event);
+      }
+
+      const events = await this.contract.queryFilter(this.contract.filters.Transfer(), fromBlock, toBlock);
+      for (const event of events) {
+        await this.applyTransfer(event);
+      }
+
+      const block = await this.provider.getBlock(toBlock);
+      await cursor.update({ lastBlock: toBlock, lastBlockHash: block.hash });
+
+      applied += events.length;
+      fromBlock = toBlock + 1;
+    }
+
+    if (applied > 0) {
+      logger.info(`Indexed ${applied} Transfer event(s) up to block ${cursor.lastBlock}`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Re-index from a given block (defaults to the contract deployment block)
+   * @param {number} fromBlock - First block to index
+   * @returns {number} - Number of Transfer events applied
+   */
+  async backfill(fromBlock = this.deployBlock) {
+    this.connect();
+
+    const cursor = await this.loadCursor();
+
+    logger.info(`Backfilling Transfer events from block ${fromBlock}`);
+
+    // Applying a transfer twice is a no-op, so the history already indexed can stay
+    await cursor.update({ lastBlock: fromBlock - 1, lastBlockHash: null });
+
+    return this.sync();
+  }
+
+  /**
+   * Detect a reorganisation deeper than the confirmation depth and rewind past it
+   * @param {object} cursor - IndexerCursor instance
+   */
+  async checkForReorg(cursor) {
+    if (!cursor.lastBlockHash) {
+      return;
+    }
+
+    const block = await this.provider.getBlock(cursor.lastBlock);
+    if (block && block.hash === cursor.lastBlockHash) {
+      return;
+    }
+
+    // A missing block means the chain was reset (e.g. a restarted Hardhat node): start over
+    const rewindTo = block
+      ? Math.max(this.deployBlock - 1, cursor.lastBlock - Math.max(this.confirmations, 1) * 2)
+      : this.deployBlock - 1;
+
+    logger.warn(`Block ${cursor.lastBlock} no longer matches the indexed hash, rewinding to block ${rewindTo}`);
+
+    await this.rollback(rewindTo);
+
+    const rewindBlock = rewindTo >= 0 ? await this.provider.getBlock(rewindTo) : null;
+    await cursor.update({
+      lastBlock: rewindTo,
+      lastBlockHash: rewindBlock ? rewindBlock.hash : null
+    });
+  }
+
+  /**
+   * Undo indexed transfers from blocks after the given one
+   * @param {number} blockNumber - Last block to keep
+   */
+  async rollback(blockNumber) {
+    const Badge = require('../models/Badge');
+
+    const badges = await Badge.findWithTransfersAfter(blockNumber);
+    for (const badge of badges) {
+      await badge.removeTransferEventsAfter(blockNumber);
+    }
+
+    if (badges.length > 0) {
+      logger.warn(`Rolled back transfers after block ${blockNumber} on ${badges.length} badge(s)`);
+    }
+  }
+
+  /**
+   * Apply a single Transfer event to the Badge table
+   * @param {object} event - Transfer event log
+   */
+  async applyTransfer(event) {
+    const Badge = require('../models/Badge');
+
+    const { from, to, tokenId } = event.args;
+    const badge = await Badge.findByTokenId(tokenId.toString());
+
+    if (!badge) {
+      logger.debug(`Skipping Transfer of untracked token ${tokenId} in ${event.transactionHash}`);
+      return;
+    }
+
+    // Mint: the row was written by the mint queue or a voucher claim, only the holder may be missing
+    if (from === ethers.ZeroAddress) {
+      if (!badge.ownerAddress) {
+        await badge.update({
+          ownerAddress: to,
+          blockNumber: badge.blockNumber || event.blockNumber
+        });
+      }
+      return;
+    }
+
+    await badge.addTransferEvent(from, to, event.transactionHash, {
+      blockNumber: event.blockNumber,
+      logIndex: event.index
+    });
+
+    if (to === ethers.ZeroAddress && !badge.isBurned) {
+      await badge.burn();
+    }
+  }
+
+  /**
+   * Start polling for new blocks
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    try {
+      this.connect();
+    } catch (error) {
+      logger.error('Transfer indexer not started:', error);
+      return;
+    }
+
+    logger.info(`Transfer indexer started (confirmations: ${this.confirmations})`);
+    this.scheduleNextSync(0);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNextSync(delayMs) {
+    this.timer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  async poll() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.sync();
+    } catch (error) {
+      logger.error('Transfer indexer sync error:', error);
+    } finally {
+      this.running = false;
+      if (this.timer) {
+        this.scheduleNextSync(this.pollIntervalMs);
+      }
+    }
+  }
+}
+
+module.exports = new TransferIndexerService();
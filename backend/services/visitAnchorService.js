@@ -0,0 +1,270 @@
+const logger = require('../utils/logger');
+const { hashUtils } = require('../utils/hashUtils');
+const nftService = require('./nftService');
+const nonceManagerService = require('./nonceManagerService');
+
+class VisitAnchorService {
+
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.VISIT_ANCHOR_POLL_MS || '60000');
+    this.batchIntervalMs = parseInt(process.env.VISIT_ANCHOR_BATCH_INTERVAL_MS || '3600000');
+    this.maxBatchSize = parseInt(process.env.VISIT_ANCHOR_BATCH_SIZE || '1000');
+    this.maxAttempts = parseInt(process.env.VISIT_ANCHOR_MAX_ATTEMPTS || '5');
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start batching and anchoring verified visits
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info('Visit anchoring worker started');
+    this.scheduleNextPoll(0);
+  }
+
+  /**
+   * Stop the worker
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNextPoll(delayMs) {
+    this.timer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  /**
+   * Move open batches forward, then start a new batch when one is due
+   */
+  async poll() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.advanceBatches();
+
+      if (await this.isBatchDue()) {
+        const batch = await this.createBatch();
+        if (batch) {
+          await this.advanceBatch(batch);
+        }
+      }
+    } catch (error) {
+      logger.error('Visit anchoring poll error:', error);
+    } finally {
+      this.running = false;
+      if (this.timer) {
+        this.scheduleNextPoll(this.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Submit or confirm every batch that is not anchored yet
+   */
+  async advanceBatches() {
+    const VisitBatch = require('../models/VisitBatch');
+    const batches = await VisitBatch.findUnanchored();
+
+    for (const batch of batches) {
+      await this.advanceBatch(batch);
+    }
+  }
+
+  /**
+   * Submit a pending batch or check the transaction of a submitted one
+   * @param {object} batch - VisitBatch instance
+   */
+  async advanceBatch(batch) {
+    try {
+      if (batch.status === 'pending') {
+        await this.submitBatch(batch);
+      } else {
+        await this.confirmBatch(batch);
+      }
+    } catch (error) {
+      await this.handleFailure(batch, error);
+    }
+  }
+
+  /**
+   * A new batch is due once the batch interval has passed since the last one,
+   * or straight away while a backlog is filling whole batches
+   * @returns {boolean} - True if a batch should be created now
+   */
+  async isBatchDue() {
+    const VisitBatch = require('../models/VisitBatch');
+    const lastBatch = await VisitBatch.findOne({ order: [['createdAt', 'DESC']] });
+
+    if (!lastBatch) {
+      return true;
+    }
+
+    return lastBatch.leafCount >= this.maxBatchSize ||
+      Date.now() - new Date(lastBatch.createdAt).getTime() >= this.batchIntervalMs;
+  }
+
+  /**
+   * Gather verified visits that are not in a batch yet, build their Merkle tree
+   * and store each visit's inclusion proof
+   * @returns {object|null} - New VisitBatch, or null if there was nothing to batch
+   */
+  async createBatch() {
+    const Visit = require('../models/Visit');
+    const VisitBatch = require('../models/VisitBatch');
+
+    const batch = await Visit.sequelize.transaction(async (transaction) => {
+      const visits = await Visit.findAll({
+        where: { status: 'verified', isVerified: true, batchId: null },
+        attributes: ['id', 'visitHash'],
+        order: [['verifiedAt', 'ASC'], ['id', 'ASC']],
+        limit: this.maxBatchSize,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (visits.length === 0) {
+        return null;
+      }
+
+      const hashes = visits.map(visit => visit.visitHash);
+      const levels = hashUtils.createMerkleTree(hashes);
+
+      const created = await VisitBatch.create({
+        merkleRoot: levels[levels.length - 1][0],
+        leafCount: hashes.length
+      }, { transaction });
+
+      for (const [index, visit] of visits.entries()) {
+        await visit.update({
+          batchId: created.id,
+          merkleLeafIndex: index,
+          merkleProof: hashUtils.createMerkleProof(levels, index)
+        }, { transaction });
+      }
+
+      return created;
+    });
+
+    if (batch) {
+      logger.info(`Visit batch ${batch.id} created with ${batch.leafCount} visit(s), root ${batch.merkleRoot}`);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Send the anchoring transaction of a batch
+   * @param {object} batch - VisitBatch instance
+   */
+  async submitBatch(batch) {
+    const reference = `anchor:${batch.merkleRoot}`;
+    let txHash;
+
+    // A transaction sent just before a crash is resumed; resending would revert as already anchored
+    const previousTx = await nonceManagerService.findByReference(reference);
+    if (previousTx) {
+      txHash = previousTx.txHash;
+      logger.info(`Visit batch ${batch.id} resuming transaction ${txHash}`);
+    } else {
+      ({ txHash } = await nftService.submitVisitRoot(batch.merkleRoot, batch.leafCount, { reference }));
+    }
+
+    await batch.update({
+      status: 'submitted',
+      contractAddress: nftService.contractAddress,
+      txHash,
+      submittedAt: new Date()
+    });
+
+    logger.info(`Visit batch ${batch.id} submitted: ${txHash}`);
+  }
+
+  /**
+   * Record the anchoring block once the transaction is mined
+   * @param {object} batch - VisitBatch instance
+   */
+  async confirmBatch(batch) {
+    const result = await nftService.getVisitRootResult(batch.txHash);
+
+    if (!result) {
+      return;
+    }
+
+    if (result.status !== 'confirmed') {
+      // Send a fresh transaction on the next attempt
+      await batch.update({ status: 'pending', txHash: null, submittedAt: null });
+      throw new Error(`Anchoring transaction ${result.txHash} ${result.status}`);
+    }
+
+    await batch.update({
+      status: 'anchored',
+      txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      anchoredAt: result.anchoredAt,
+      lastError: null
+    });
+
+    logger.info(`Visit batch ${batch.id} anchored in block ${result.blockNumber}`);
+  }
+
+  /**
+   * Record a failed attempt; the batch is retried on the next poll until it runs out of attempts
+   * @param {object} batch - VisitBatch instance
+   * @param {Error} error - Failure cause
+   */
+  async handleFailure(batch, error) {
+    const attempts = batch.attempts + 1;
+
+    if (attempts >= this.maxAttempts) {
+      logger.error(`Visit batch ${batch.id} failed after ${attempts} attempt(s): ${error.message}`);
+      await batch.update({ status: 'failed', attempts, lastError: error.message });
+      return;
+    }
+
+    logger.warn(`Visit batch ${batch.id} attempt ${attempts} failed: ${error.message}`);
+    await batch.update({ attempts, lastError: error.message });
+  }
+
+  /**
+   * Inclusion proof of a visit, for verification against the anchored root
+   * @param {number} visitId - Visit ID
+   * @returns {object|null} - Proof bundle, or null if the visit does not exist
+   */
+  async getVisitProof(visitId) {
+    const Visit = require('../models/Visit');
+    const VisitBatch = require('../models/VisitBatch');
+
+    const visit = await Visit.findByPk(visitId, {
+      attributes: ['id', 'visitHash', 'batchId', 'merkleLeafIndex', 'merkleProof'],
+      include: [{ model: VisitBatch, as: 'batch' }]
+    });
+
+    if (!visit) {
+      return null;
+    }
+
+    const batch = visit.batch;
+
+    return {
+      visitId: visit.id,
+      visitHash: visit.visitHash,
+      algorithm: 'sha256',
+      leafIndex: batch ? visit.merkleLeafIndex : null,
+      proof: batch ? visit.merkleProof : null,
+      merkleRoot: batch ? batch.merkleRoot : null,
+      anchored: batch ? batch.status === 'anchored' : false,
+      batch: batch ? batch.toPublicJSON() : null
+    };
+  }
+}
+
+module.exports = new VisitAnchorService();
@@ -0,0 +1,268 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { geoUtils } = require('../utils/geoUtils');
+const faissService = require('./faissService');
+
+class VisitSearchService {
+
+  constructor() {
+    // Relative weight of each signal in the combined score; signals that do not apply are left out
+    this.weights = {
+      text: parseFloat(process.env.SEARCH_WEIGHT_TEXT || '0.4'),
+      semantic: parseFloat(process.env.SEARCH_WEIGHT_SEMANTIC || '0.4'),
+      geo: parseFloat(process.env.SEARCH_WEIGHT_GEO || '0.2')
+    };
+    this.textThreshold = parseFloat(process.env.SEARCH_TEXT_THRESHOLD || '0.3');
+    this.semanticCandidates = parseInt(process.env.SEARCH_SEMANTIC_CANDIDATES || '200');
+    this.maxCandidates = parseInt(process.env.SEARCH_MAX_CANDIDATES || '500');
+  }
+
+  /**
+   * Search visits by place, time, verification status, text and meaning, in one ranked list
+   * @param {object} params - q, lat/lng/radiusKm or minLat/maxLat/minLng/maxLng, from, to, verified, includePublic, limit, offset
+   * @param {number} userId - Calling user; their own visits are always searchable
+   * @returns {object} - {results, totalCount, hasMore}
+   */
+  async search(params, userId) {
+    const { q, limit = 20, offset = 0 } = params;
+
+    if (!q) {
+      return this.searchByFilters(params, userId);
+    }
+
+    const Visit = require('../models/Visit');
+    const { sequelize } = Visit;
+
+    const filters = this.buildFilters(params, userId);
+    const textScore = this.textScoreExpression(sequelize, q);
+    const attributes = this.buildAttributes(params, sequelize);
+    attributes.include.push([textScore, 'textScore']);
+
+    // Text matches: trigram similarity on name and description, or a plain substring
+    const textMatches = await sequelize.transaction(async (transaction) => {
+      // <% compares against this setting rather than a value in the query, which is what lets it use the trigram indexes
+      await sequelize.query("SELECT set_config('pg_trgm.word_similarity_threshold', :threshold, true)", {
+        replacements: { threshold: String(this.textThreshold) },
+        transaction
+      });
+
+      return Visit.findAll({
+        where: {
+          [Op.and]: [
+            ...filters,
+            {
+              [Op.or]: [
+                ...this.textMatchConditions(sequelize, q),
+                { locationName: { [Op.iLike]: `%${q.replace(/[\\%_]/g, '\\$&')}%` } }
+              ]
+            }
+          ]
+        },
+        attributes,
+        order: [[textScore, 'DESC']],
+        limit: this.maxCandidates,
+        transaction
+      });
+    });
+
+    // Semantic matches: nearest neighbours in the FAISS index, restricted by the same filters
+    const semanticHits = await this.findSemanticCandidates(q);
+    const candidates = new Map(textMatches.map(visit => [visit.id, visit]));
+    const missingIds = semanticHits
+      ? [...semanticHits.keys()].filter(visitId => !candidates.has(visitId))
+      : [];
+
+    if (missingIds.length > 0) {
+      const semanticMatches = await Visit.findAll({
+        where: { [Op.and]: [...filters, { id: missingIds }] },
+        attributes
+      });
+
+      semanticMatches.forEach(visit => candidates.set(visit.id, visit));
+    }
+
+    const ranked = [...candidates.values()]
+      .map(visit => this.scoreVisit(visit, params, userId, {
+        textScore: Number(visit.get('textScore')) || 0,
+        semanticScore: semanticHits ? Math.max(0, semanticHits.get(visit.id) || 0) : null
+      }))
+      .sort((a, b) => b.score - a.score || new Date(b.visit.timestamp) - new Date(a.visit.timestamp));
+
+    return {
+      results: ranked.slice(offset, offset + limit),
+      totalCount: ranked.length,
+      hasMore: offset + limit < ranked.length
+    };
+  }
+
+  /**
+   * Filter-only search: nearest first around a point, newest first otherwise
+   * @param {object} params - Search parameters (without q)
+   * @param {number} userId - Calling user
+   * @returns {object} - {results, totalCount, hasMore}
+   */
+  async searchByFilters(params, userId) {
+    const Visit = require('../models/Visit');
+    const { sequelize } = Visit;
+    const { limit = 20, offset = 0 } = params;
+
+    const order = this.hasRadius(params)
+      ? [geoUtils.nearestFirst(sequelize, 'Visit', params.lat, params.lng)]
+      : [['timestamp', 'DESC']];
+
+    const { rows, count } = await Visit.findAndCountAll({
+      where: { [Op.and]: this.buildFilters(params, userId) },
+      attributes: this.buildAttributes(params, sequelize),
+      order,
+      limit,
+      offset
+    });
+
+    return {
+      results: rows.map(visit => this.scoreVisit(visit, params, userId, { textScore: null, semanticScore: null })),
+      totalCount: count,
+      hasMore: offset + rows.length < count
+    };
+  }
+
+  /**
+   * Access, date, verification and area conditions shared by every query
+   * @param {object} params - Search parameters
+   * @param {number} userId - Calling user
+   * @returns {Array} - Conditions for Op.and
+   */
+  buildFilters(params, userId) {
+    const Visit = require('../models/Visit');
+    const { from, to, verified, includePublic = true } = params;
+
+    const visibility = [{ userId }];
+    if (includePublic) visibility.push({ isPublic: true });
+
+    const filters = [{ [Op.or]: visibility }];
+
+    if (from || to) {
+      const timestamp = {};
+      if (from) timestamp[Op.gte] = from;
+      if (to) timestamp[Op.lte] = to;
+      filters.push({ timestamp });
+    }
+
+    if (verified !== undefined) {
+      filters.push({ isVerified: verified });
+    }
+
+    if (this.hasRadius(params)) {
+      const { lat, lng, radiusKm } = params;
+      filters.push(geoUtils.withinRadius(Visit.sequelize, 'Visit', lat, lng, radiusKm * 1000));
+    }
+
+    if (this.hasBoundingBox(params)) {
+      const { minLat, maxLat, minLng, maxLng } = params;
+
+      filters.push({
+        latitude: { [Op.between]: [minLat, maxLat] },
+        longitude: { [Op.between]: [minLng, maxLng] }
+      });
+    }
+
+    return filters;
+  }
+
+  buildAttributes(params, sequelize) {
+    const attributes = {
+      exclude: ['semanticVector', 'deviceInfo', 'validationData'],
+      include: []
+    };
+
+    if (this.hasRadius(params)) {
+      attributes.include.push([geoUtils.distanceMeters(sequelize, 'Visit', params.lat, params.lng), 'distanceMeters']);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Combine the signals that apply to this search into one score in [0, 1]
+   * @param {object} visit - Visit instance
+   * @param {object} params - Search parameters
+   * @param {number} userId - Calling user
+   * @param {object} scores - textScore and semanticScore (null when not used)
+   * @returns {object} - Search result
+   */
+  scoreVisit(visit, params, userId, { textScore, semanticScore }) {
+    const distanceKm = this.hasRadius(params) ? Number(visit.get('distanceMeters')) / 1000 : null;
+    const geoScore = distanceKm !== null ? Math.max(0, 1 - distanceKm / params.radiusKm) : null;
+
+    const signals = [
+      [this.weights.text, textScore],
+      [this.weights.semantic, semanticScore],
+      [this.weights.geo, geoScore]
+    ].filter(([, value]) => value !== null);
+
+    const totalWeight = signals.reduce((sum, [weight]) => sum + weight, 0);
+    const score = totalWeight > 0
+      ? signals.reduce((sum, [weight, value]) => sum + weight * value, 0) / totalWeight
+      : 0;
+
+    const isOwn = visit.userId === userId;
+
+    // Scores are reported separately; keep them out of the visit itself. Other users' visits get the public fields only
+    const { textScore: _textScore, distanceMeters: _distanceMeters, ...visitData } = visit.toJSON();
+
+    return {
+      score,
+      textScore,
+      semanticScore,
+      distanceKm,
+      isOwn,
+      visit: isOwn ? visitData : visit.toPublicJSON()
+    };
+  }
+
+  /**
+   * Semantic similarity of the closest indexed visits to the query
+   * @param {string} q - Query text
+   * @returns {Map|null} - visitId => similarity, or null if semantic search is unavailable
+   */
+  async findSemanticCandidates(q) {
+    try {
+      const queryVector = await faissService.createQueryVector(q);
+      const hits = await faissService.searchVisitIds(queryVector, this.semanticCandidates);
+
+      return new Map(hits.map(hit => [hit.visitId, hit.similarity]));
+    } catch (error) {
+      // Text and filters still answer the query without the index
+      logger.warn(`Semantic ranking unavailable, searching without it: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Word similarity above pg_trgm.word_similarity_threshold, in the operator form the GIN trigram indexes serve
+  textMatchConditions(sequelize, q) {
+    const text = sequelize.escape(q);
+
+    return [
+      sequelize.literal(`${text} <% "Visit"."locationName"`),
+      sequelize.literal(`${text} <% "Visit"."description"`)
+    ];
+  }
+
+  // Best pg_trgm word similarity of the query to the visit's name or description
+  textScoreExpression(sequelize, q) {
+    const text = sequelize.escape(q);
+
+    return sequelize.literal(
+      `GREATEST(word_similarity(${text}, "Visit"."locationName"), word_similarity(${text}, COALESCE("Visit"."description", '')))`
+    );
+  }
+
+  hasRadius(params) {
+    return params.lat !== undefined && params.lng !== undefined && params.radiusKm !== undefined;
+  }
+
+  hasBoundingBox(params) {
+    return ['minLat', 'maxLat', 'minLng', 'maxLng'].every(key => params[key] !== undefined);
+  }
+}
+
+module.exports = new VisitSearchService();
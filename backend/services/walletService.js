@@ -28,13 +28,155 @@ class WalletService {
   }
 
   /**
-   * Generate a challenge message for wallet authentication
-   * @param {string} walletAddress - The wallet address
-   * @param {number} timestamp - Current timestamp
-   * @returns {string} - Challenge message to be signed
+   * Build an EIP-4361 (Sign-In with Ethereum) message
+   * @param {object} params - domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime
+   * @returns {string} - Message to be signed
+   */
+  createSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+    const lines = [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      address,
+      ''
+    ];
+
+    // The statement line is optional; without it the address is followed by two blank lines
+    if (statement) {
+      lines.push(statement);
+    }
+
+    lines.push(
+      '',
+      `URI: ${uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`
+    );
+
+    if (expirationTime) {
+      lines.push(`Expiration Time: ${expirationTime}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Parse an EIP-4361 (Sign-In with Ethereum) message
+   * @param {string} message - Signed message text
+   * @returns {object|null} - Parsed fields, or null if the message is not EIP-4361 formatted
    */
-  generateAuthChallenge(walletAddress, timestamp = Date.now()) {
-    return `POLP Authentication Challenge\n\nWallet: ${walletAddress}\nTimestamp: ${timestamp}\nNonce: ${Math.random().toString(36).substring(7)}`;
+  parseSiweMessage(message) {
+    const lines = message.split('\n');
+
+    const header = lines[0].match(/^(?:[a-zA-Z][a-zA-Z0-9+.-]*:\/\/)?(\S+) wants you to sign in with your Ethereum account:$/);
+    if (!header || !/^0x[a-fA-F0-9]{40}$/.test(lines[1] || '') || lines[2] !== '') {
+      return null;
+    }
+
+    let index = 3;
+    let statement = null;
+    if (lines[index] !== '') {
+      statement = lines[index];
+      index++;
+      if (lines[index] !== '') {
+        return null;
+      }
+    }
+    index++;
+
+    const labels = {
+      'URI': 'uri',
+      'Version': 'version',
+      'Chain ID': 'chainId',
+      'Nonce': 'nonce',
+      'Issued At': 'issuedAt',
+      'Expiration Time': 'expirationTime',
+      'Not Before': 'notBefore',
+      'Request ID': 'requestId'
+    };
+
+    const fields = {};
+    for (; index < lines.length; index++) {
+      if (lines[index] === 'Resources:') {
+        fields.resources = lines.slice(index + 1).map(line => line.replace(/^- /, ''));
+        break;
+      }
+
+      const separator = lines[index].indexOf(': ');
+      const key = labels[lines[index].slice(0, separator)];
+      if (separator === -1 || !key || fields[key] !== undefined) {
+        return null;
+      }
+      fields[key] = lines[index].slice(separator + 2);
+    }
+
+    if (!fields.uri || !fields.version || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+      return null;
+    }
+
+    return {
+      domain: header[1],
+      address: lines[1],
+      statement,
+      ...fields,
+      chainId: parseInt(fields.chainId, 10)
+    };
+  }
+
+  /**
+   * Validate parsed EIP-4361 fields against what this server expects
+   * @param {object} siwe - Output of parseSiweMessage
+   * @param {object} expected - domain, uri, chainId, walletAddress and maxAgeMs
+   * @returns {string|null} - Reason the message is unacceptable, or null if valid
+   */
+  validateSiweMessage(siwe, { domain, uri, chainId, walletAddress, maxAgeMs }) {
+    const now = Date.now();
+    const clockSkewMs = 60 * 1000;
+
+    if (siwe.domain !== domain) {
+      return 'Message domain does not match';
+    }
+
+    try {
+      if (new URL(siwe.uri).origin !== new URL(uri).origin) {
+        return 'Message URI does not match';
+      }
+    } catch (error) {
+      return 'Message URI is invalid';
+    }
+
+    if (siwe.version !== '1') {
+      return 'Unsupported message version';
+    }
+
+    if (siwe.chainId !== chainId) {
+      return 'Message chain ID does not match';
+    }
+
+    if (siwe.address.toLowerCase() !== walletAddress.toLowerCase()) {
+      return 'Message address does not match wallet';
+    }
+
+    const issuedAt = Date.parse(siwe.issuedAt);
+    if (isNaN(issuedAt) || issuedAt > now + clockSkewMs || now - issuedAt > maxAgeMs) {
+      return 'Message issued-at time is invalid';
+    }
+
+    if (siwe.expirationTime) {
+      const expiresAt = Date.parse(siwe.expirationTime);
+      if (isNaN(expiresAt) || expiresAt <= now) {
+        return 'Message has expired';
+      }
+    }
+
+    if (siwe.notBefore) {
+      const notBefore = Date.parse(siwe.notBefore);
+      if (isNaN(notBefore) || notBefore > now + clockSkewMs) {
+        return 'Message is not yet valid';
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -124,6 +266,21 @@ class WalletService {
     };
   }
 
+  /**
+   * Build the EIP-712 Visit message a visitor signs for a visit
+   * @param {object} visit - Visit payload (nfcTagId, latitude, longitude, timestamp, userAddress)
+   * @returns {object} - Visit message in the shape expected by createTypedData
+   */
+  createVisitMessage({ nfcTagId, latitude, longitude, timestamp, userAddress }) {
+    return {
+      nfcTagId: nfcTagId || '',
+      latitude: String(latitude),
+      longitude: String(longitude),
+      timestamp: Math.floor(new Date(timestamp).getTime() / 1000),
+      userAddress: ethers.getAddress(userAddress)
+    };
+  }
+
   /**
    * Verify EIP-712 typed data signature
    * @param {object} typedData - The typed data structure
@@ -133,9 +290,12 @@ class WalletService {
    */
   async verifyTypedSignature(typedData, signature, expectedAddress) {
     try {
+      // ethers derives the domain type itself and rejects it in the types map
+      const { EIP712Domain, ...types } = typedData.types;
+
       const recoveredAddress = ethers.verifyTypedData(
         typedData.domain,
-        typedData.types,
+        types,
         typedData.message,
         signature
       );
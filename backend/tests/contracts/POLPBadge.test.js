@@ -1,7 +1,13 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+const MINTER_ROLE = ethers.utils.id("MINTER_ROLE");
+const PAUSER_ROLE = ethers.utils.id("PAUSER_ROLE");
+const URI_SETTER_ROLE = ethers.utils.id("URI_SETTER_ROLE");
+const REVOKER_ROLE = ethers.utils.id("REVOKER_ROLE");
+
 describe("POLPBadge", function() {
   let POLPBadge;
   let polpBadge;
@@ -13,13 +19,22 @@ describe("POLPBadge", function() {
     [owner, user1, user2] = await ethers.getSigners();
     
     POLPBadge = await ethers.getContractFactory("POLPBadge");
-    polpBadge = await POLPBadge.deploy();
+    polpBadge = await upgrades.deployProxy(POLPBadge, [owner.address, owner.address], { kind: "uups" });
     await polpBadge.deployed();
+
+    // Open, unlimited, transferable series used across the tests
+    for (const badgeId of [1, 2, 3, 7, 8]) {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "", false);
+    }
   });
 
   describe("Deployment", function() {
-    it("Should set the right owner", async function() {
-      expect(await polpBadge.owner()).to.equal(owner.address);
+    it("Should grant the admin and minter roles", async function() {
+      expect(await polpBadge.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.true;
+      expect(await polpBadge.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+      expect(await polpBadge.hasRole(URI_SETTER_ROLE, owner.address)).to.be.true;
+      expect(await polpBadge.hasRole(MINTER_ROLE, owner.address)).to.be.true;
+      expect(await polpBadge.hasRole(REVOKER_ROLE, owner.address)).to.be.true;
     });
 
     it("Should initialize with token ID 0", async function() {
@@ -36,17 +51,19 @@ describe("POLPBadge", function() {
     const badgeId = 1;
     const tokenURI = "ipfs://QmTest";
 
-    it("Should allow owner to mint a badge", async function() {
+    it("Should allow the minter to mint a badge", async function() {
       await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
       
       expect(await polpBadge.ownerOf(0)).to.equal(user1.address);
       expect(await polpBadge.tokenURI(0)).to.equal(tokenURI);
       expect(await polpBadge.claimed(user1.address, badgeId)).to.be.true;
-    });    it("Should prevent non-owner from minting badges", async function() {
+    });
+
+    it("Should prevent accounts without the minter role from minting badges", async function() {
       await expect(
         polpBadge.connect(user1).claimBadge(user2.address, badgeId, tokenURI)
-      ).to.be.revertedWithCustomError(polpBadge, "OwnableUnauthorizedAccount")
-        .withArgs(user1.address);
+      ).to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, MINTER_ROLE);
     });
 
     it("Should prevent claiming same badge twice", async function() {
@@ -91,4 +108,801 @@ describe("POLPBadge", function() {
       expect(await polpBadge.claimed(user1.address, 3)).to.be.false;
     });
   });
+
+  describe("Badge Series", function() {
+    const badgeId = 10000;
+    const baseURI = "ipfs://QmSeries";
+
+    it("Should let the minter define a series", async function() {
+      await expect(polpBadge.defineSeries(badgeId, 100, 0, 0, baseURI, true))
+        .to.emit(polpBadge, "SeriesDefined")
+        .withArgs(badgeId, 100, 0, 0, baseURI, true);
+
+      const series = await polpBadge.getSeries(badgeId);
+      expect(series.maxSupply).to.equal(100);
+      expect(series.minted).to.equal(0);
+      expect(series.baseURI).to.equal(baseURI);
+      expect(series.soulbound).to.be.true;
+    });
+
+    it("Should reject claims of undefined series", async function() {
+      await expect(polpBadge.claimBadge(user1.address, badgeId, "ipfs://test"))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesNotFound")
+        .withArgs(badgeId);
+
+      await expect(polpBadge.getSeries(badgeId))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesNotFound");
+    });
+
+    it("Should only accept claims inside the claim window", async function() {
+      const now = await time.latest();
+      await polpBadge.defineSeries(badgeId, 0, now + 100, now + 200, baseURI, false);
+
+      await expect(polpBadge.claimBadge(user1.address, badgeId, ""))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesNotOpen")
+        .withArgs(badgeId);
+
+      await time.increaseTo(now + 150);
+      await polpBadge.claimBadge(user1.address, badgeId, "");
+
+      await time.increaseTo(now + 201);
+      await expect(polpBadge.claimBadge(user2.address, badgeId, ""))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesNotOpen");
+    });
+
+    it("Should enforce the supply cap", async function() {
+      await polpBadge.defineSeries(badgeId, 1, 0, 0, baseURI, false);
+      await polpBadge.claimBadge(user1.address, badgeId, "");
+
+      await expect(polpBadge.claimBadge(user2.address, badgeId, ""))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesSoldOut")
+        .withArgs(badgeId);
+      expect((await polpBadge.getSeries(badgeId)).minted).to.equal(1);
+    });
+
+    it("Should not lower the supply below the minted count", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, baseURI, false);
+      await polpBadge.claimBadge(user1.address, badgeId, "");
+      await polpBadge.claimBadge(user2.address, badgeId, "");
+
+      await expect(polpBadge.defineSeries(badgeId, 1, 0, 0, baseURI, false))
+        .to.be.revertedWithCustomError(polpBadge, "MaxSupplyBelowMinted")
+        .withArgs(1, 2);
+    });
+
+    it("Should reject a claim window that ends before it starts", async function() {
+      await expect(polpBadge.defineSeries(badgeId, 0, 200, 100, baseURI, false))
+        .to.be.revertedWithCustomError(polpBadge, "InvalidClaimWindow")
+        .withArgs(200, 100);
+    });
+
+    it("Should fall back to the series URI for tokens minted without one", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, baseURI, false);
+      await polpBadge.claimBadge(user1.address, badgeId, "");
+      await polpBadge.claimBadge(user2.address, badgeId, "ipfs://QmOwn");
+
+      expect(await polpBadge.tokenSeries(0)).to.equal(badgeId);
+      expect(await polpBadge.tokenURI(0)).to.equal(baseURI);
+      expect(await polpBadge.tokenURI(1)).to.equal("ipfs://QmOwn");
+    });
+
+    it("Should prevent accounts without the minter role from defining series", async function() {
+      await expect(polpBadge.connect(user1).defineSeries(badgeId, 0, 0, 0, baseURI, false))
+        .to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, MINTER_ROLE);
+    });
+  });
+
+  describe("Soulbound Badges", function() {
+    const badgeId = 7;
+    const tokenURI = "ipfs://QmSoulbound";
+
+    it("Should support the ERC-5192 interface", async function() {
+      expect(await polpBadge.supportsInterface("0xb45a3c0e")).to.be.true;
+      expect(await polpBadge.supportsInterface("0x80ac58cd")).to.be.true; // ERC-721
+    });
+
+    it("Should mint transferable badges by default", async function() {
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+
+      expect(await polpBadge.locked(0)).to.be.false;
+
+      await polpBadge.connect(user1).transferFrom(user1.address, user2.address, 0);
+      expect(await polpBadge.ownerOf(0)).to.equal(user2.address);
+    });
+
+    it("Should lock badges of a soulbound series at mint", async function() {
+      await expect(polpBadge.defineSeries(badgeId, 0, 0, 0, "", true))
+        .to.emit(polpBadge, "SeriesDefined")
+        .withArgs(badgeId, 0, 0, 0, "", true);
+
+      await expect(polpBadge.claimBadge(user1.address, badgeId, tokenURI))
+        .to.emit(polpBadge, "Locked")
+        .withArgs(0);
+
+      expect(await polpBadge.locked(0)).to.be.true;
+      expect((await polpBadge.getSeries(badgeId)).soulbound).to.be.true;
+    });
+
+    it("Should revert transfers of locked badges", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "", true);
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+
+      await expect(
+        polpBadge.connect(user1).transferFrom(user1.address, user2.address, 0)
+      ).to.be.revertedWithCustomError(polpBadge, "TokenLocked")
+        .withArgs(0);
+
+      await expect(
+        polpBadge.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 0)
+      ).to.be.revertedWithCustomError(polpBadge, "TokenLocked");
+
+      expect(await polpBadge.ownerOf(0)).to.equal(user1.address);
+    });
+
+    it("Should only affect the configured series", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "", true);
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+      await polpBadge.claimBadge(user1.address, badgeId + 1, tokenURI);
+
+      expect(await polpBadge.locked(0)).to.be.true;
+      expect(await polpBadge.locked(1)).to.be.false;
+    });
+
+    it("Should keep existing tokens locked when a series is made transferable", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "", true);
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "", false);
+      await polpBadge.claimBadge(user2.address, badgeId, tokenURI);
+
+      expect(await polpBadge.locked(0)).to.be.true;
+      expect(await polpBadge.locked(1)).to.be.false;
+    });
+
+    it("Should allow the admin to lock and unlock single tokens", async function() {
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+
+      await expect(polpBadge.setTokenLocked(0, true))
+        .to.emit(polpBadge, "Locked")
+        .withArgs(0);
+      expect(await polpBadge.locked(0)).to.be.true;
+
+      await expect(polpBadge.setTokenLocked(0, false))
+        .to.emit(polpBadge, "Unlocked")
+        .withArgs(0);
+      expect(await polpBadge.locked(0)).to.be.false;
+
+      await polpBadge.connect(user1).transferFrom(user1.address, user2.address, 0);
+      expect(await polpBadge.ownerOf(0)).to.equal(user2.address);
+    });
+
+    it("Should prevent accounts without the admin role from changing locks", async function() {
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+
+      await expect(
+        polpBadge.connect(user1).setTokenLocked(0, false)
+      ).to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, DEFAULT_ADMIN_ROLE);
+
+      await expect(
+        polpBadge.connect(user1).defineSeries(badgeId, 0, 0, 0, "", true)
+      ).to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, MINTER_ROLE);
+    });
+
+    it("Should revert locked() for tokens that do not exist", async function() {
+      await expect(polpBadge.locked(42))
+        .to.be.revertedWithCustomError(polpBadge, "ERC721NonexistentToken")
+        .withArgs(42);
+    });
+  });
+  describe("Batch Claims", function() {
+    const badgeId = 1;
+
+    it("Should mint one token per recipient with its own URI", async function() {
+      await expect(polpBadge.claimBadgeBatch([user1.address, user2.address], badgeId, ["ipfs://a", "ipfs://b"]))
+        .to.emit(polpBadge, "Transfer")
+        .withArgs(ethers.constants.AddressZero, user2.address, 1);
+
+      expect(await polpBadge.ownerOf(0)).to.equal(user1.address);
+      expect(await polpBadge.tokenURI(0)).to.equal("ipfs://a");
+      expect(await polpBadge.tokenURI(1)).to.equal("ipfs://b");
+      expect(await polpBadge.claimed(user2.address, badgeId)).to.be.true;
+    });
+
+    it("Should use the series URI when no URIs are given", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "ipfs://QmSeries", false);
+
+      await polpBadge.claimBadgeBatch([user1.address, user2.address], badgeId, []);
+
+      expect(await polpBadge.tokenURI(1)).to.equal("ipfs://QmSeries");
+    });
+
+    it("Should skip recipients who already claimed instead of reverting", async function() {
+      await polpBadge.claimBadge(user1.address, badgeId, "ipfs://first");
+
+      await expect(polpBadge.claimBadgeBatch([user1.address, user2.address, user2.address], badgeId, []))
+        .to.emit(polpBadge, "BatchClaimSkipped")
+        .withArgs(badgeId, user1.address, 0, 0)
+        .and.to.emit(polpBadge, "BatchClaimSkipped")
+        .withArgs(badgeId, user2.address, 2, 0);
+
+      expect(await polpBadge.nextTokenId()).to.equal(2);
+      expect(await polpBadge.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("Should skip recipients once the supply runs out", async function() {
+      await polpBadge.defineSeries(badgeId, 1, 0, 0, "", false);
+
+      await expect(polpBadge.claimBadgeBatch([user1.address, user2.address], badgeId, []))
+        .to.emit(polpBadge, "BatchClaimSkipped")
+        .withArgs(badgeId, user2.address, 1, 1);
+
+      expect((await polpBadge.getSeries(badgeId)).minted).to.equal(1);
+    });
+
+    it("Should reject a batch whose URIs do not match its recipients", async function() {
+      await expect(polpBadge.claimBadgeBatch([user1.address, user2.address], badgeId, ["ipfs://a"]))
+        .to.be.revertedWithCustomError(polpBadge, "BatchLengthMismatch")
+        .withArgs(2, 1);
+    });
+
+    it("Should reject a batch from a closed series", async function() {
+      const now = await time.latest();
+      await polpBadge.defineSeries(badgeId, 0, now + 1000, 0, "", false);
+
+      await expect(polpBadge.claimBadgeBatch([user1.address], badgeId, []))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesNotOpen");
+    });
+
+    it("Should prevent accounts without the minter role from batch claiming", async function() {
+      await expect(polpBadge.connect(user1).claimBadgeBatch([user1.address], badgeId, []))
+        .to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, MINTER_ROLE);
+    });
+  });
+
+  describe("Voucher Claims", function() {
+    const badgeId = 3;
+    const tokenURI = "ipfs://QmVoucher";
+    let signer;
+    let domain;
+
+    const types = {
+      ClaimVoucher: [
+        { name: "recipient", type: "address" },
+        { name: "badgeId", type: "uint256" },
+        { name: "tokenURI", type: "string" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+      ]
+    };
+
+    const createVoucher = async (overrides = {}, voucherSigner = signer) => {
+      const voucher = {
+        recipient: user1.address,
+        badgeId,
+        tokenURI,
+        expiry: (await time.latest()) + 3600,
+        nonce: 1,
+        ...overrides
+      };
+      const signature = await voucherSigner._signTypedData(domain, types, voucher);
+
+      return { voucher, signature };
+    };
+
+    beforeEach(async function() {
+      signer = (await ethers.getSigners())[3];
+      domain = {
+        name: "POLP Badge",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: polpBadge.address
+      };
+
+      await polpBadge.setVoucherSigner(signer.address, true);
+    });
+
+    it("Should let the recipient claim with a valid voucher", async function() {
+      const { voucher, signature } = await createVoucher();
+
+      await expect(polpBadge.connect(user1).claimWithVoucher(voucher, signature))
+        .to.emit(polpBadge, "VoucherRedeemed")
+        .withArgs(voucher.nonce, user1.address, 0);
+
+      expect(await polpBadge.ownerOf(0)).to.equal(user1.address);
+      expect(await polpBadge.tokenURI(0)).to.equal(tokenURI);
+      expect(await polpBadge.claimed(user1.address, badgeId)).to.be.true;
+      expect(await polpBadge.usedVoucherNonces(voucher.nonce)).to.be.true;
+    });
+
+    it("Should reject a voucher submitted by someone else", async function() {
+      const { voucher, signature } = await createVoucher();
+
+      await expect(polpBadge.connect(user2).claimWithVoucher(voucher, signature))
+        .to.be.revertedWithCustomError(polpBadge, "VoucherRecipientMismatch")
+        .withArgs(user1.address, user2.address);
+    });
+
+    it("Should reject an expired voucher", async function() {
+      const expiry = (await time.latest()) + 60;
+      const { voucher, signature } = await createVoucher({ expiry });
+
+      await time.increase(120);
+
+      await expect(polpBadge.connect(user1).claimWithVoucher(voucher, signature))
+        .to.be.revertedWithCustomError(polpBadge, "VoucherExpired")
+        .withArgs(expiry);
+    });
+
+    it("Should reject a reused nonce", async function() {
+      const first = await createVoucher();
+      await polpBadge.connect(user1).claimWithVoucher(first.voucher, first.signature);
+
+      const second = await createVoucher({ badgeId: badgeId + 1 });
+      await expect(polpBadge.connect(user1).claimWithVoucher(second.voucher, second.signature))
+        .to.be.revertedWithCustomError(polpBadge, "VoucherAlreadyUsed")
+        .withArgs(1);
+    });
+
+    it("Should reject vouchers from unauthorised or revoked signers", async function() {
+      const forged = await createVoucher({}, user2);
+      await expect(polpBadge.connect(user1).claimWithVoucher(forged.voucher, forged.signature))
+        .to.be.revertedWithCustomError(polpBadge, "InvalidVoucherSigner")
+        .withArgs(user2.address);
+
+      await expect(polpBadge.setVoucherSigner(signer.address, false))
+        .to.emit(polpBadge, "VoucherSignerSet")
+        .withArgs(signer.address, false);
+
+      const revoked = await createVoucher();
+      await expect(polpBadge.connect(user1).claimWithVoucher(revoked.voucher, revoked.signature))
+        .to.be.revertedWithCustomError(polpBadge, "InvalidVoucherSigner");
+    });
+
+    it("Should reject a tampered voucher", async function() {
+      const { voucher, signature } = await createVoucher();
+
+      await expect(
+        polpBadge.connect(user1).claimWithVoucher({ ...voucher, tokenURI: "ipfs://QmOther" }, signature)
+      ).to.be.revertedWithCustomError(polpBadge, "InvalidVoucherSigner");
+    });
+
+    it("Should not mint the same badge twice to a wallet", async function() {
+      await polpBadge.claimBadge(user1.address, badgeId, tokenURI);
+      const { voucher, signature } = await createVoucher();
+
+      await expect(polpBadge.connect(user1).claimWithVoucher(voucher, signature))
+        .to.be.revertedWith("Already claimed");
+    });
+
+    it("Should lock voucher claims of a soulbound series", async function() {
+      await polpBadge.defineSeries(badgeId, 0, 0, 0, "", true);
+      const { voucher, signature } = await createVoucher();
+
+      await expect(polpBadge.connect(user1).claimWithVoucher(voucher, signature))
+        .to.emit(polpBadge, "Locked")
+        .withArgs(0);
+    });
+
+    it("Should not let a receiver hook claim the same badge with a second voucher", async function() {
+      const Claimer = await ethers.getContractFactory("ReentrantClaimerMock");
+      const claimer = await Claimer.deploy(polpBadge.address);
+      await claimer.deployed();
+
+      const first = await createVoucher({ recipient: claimer.address, nonce: 21 });
+      const second = await createVoucher({ recipient: claimer.address, nonce: 22 });
+
+      await claimer.claim(first.voucher, first.signature, second.voucher, second.signature);
+
+      expect(await claimer.reentryFailed()).to.be.true;
+      expect(await polpBadge.balanceOf(claimer.address)).to.equal(1);
+      expect((await polpBadge.getSeries(badgeId)).minted).to.equal(1);
+      expect(await polpBadge.usedVoucherNonces(22)).to.be.false;
+    });
+
+    it("Should only let the admin manage voucher signers", async function() {
+      await expect(
+        polpBadge.connect(user1).setVoucherSigner(user1.address, true)
+      ).to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, DEFAULT_ADMIN_ROLE);
+    });
+  });
+  describe("Visit Anchoring", function() {
+    const { hashUtils } = require("../../utils/hashUtils");
+    const leaves = ["visit-1", "visit-2", "visit-3"].map(value =>
+      ethers.utils.sha256(ethers.utils.toUtf8Bytes(value)).slice(2)
+    );
+    const levels = hashUtils.createMerkleTree(leaves);
+    const root = "0x" + hashUtils.createMerkleRoot(leaves);
+    const proofFor = index => hashUtils.createMerkleProof(levels, index).map(hash => "0x" + hash);
+
+    it("Should let the minter anchor a batch root", async function() {
+      await expect(polpBadge.anchorVisitRoot(root, leaves.length))
+        .to.emit(polpBadge, "VisitRootAnchored");
+
+      expect(await polpBadge.visitRootAnchoredAt(root)).to.be.gt(0);
+    });
+
+    it("Should not anchor the same root twice", async function() {
+      await polpBadge.anchorVisitRoot(root, leaves.length);
+
+      await expect(polpBadge.anchorVisitRoot(root, leaves.length))
+        .to.be.revertedWithCustomError(polpBadge, "VisitRootAlreadyAnchored")
+        .withArgs(root);
+    });
+
+    it("Should reject empty batches", async function() {
+      await expect(polpBadge.anchorVisitRoot(root, 0))
+        .to.be.revertedWithCustomError(polpBadge, "EmptyVisitBatch");
+    });
+
+    it("Should prevent accounts without the minter role from anchoring", async function() {
+      await expect(polpBadge.connect(user1).anchorVisitRoot(root, leaves.length))
+        .to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, MINTER_ROLE);
+    });
+
+    it("Should verify backend proofs against an anchored root", async function() {
+      await polpBadge.anchorVisitRoot(root, leaves.length);
+
+      for (let i = 0; i < leaves.length; i++) {
+        expect(await polpBadge.verifyVisitProof(root, "0x" + leaves[i], proofFor(i), i)).to.equal(true);
+      }
+      expect(await polpBadge.verifyVisitProof(root, "0x" + leaves[0], proofFor(0), 1)).to.equal(false);
+    });
+
+    it("Should verify the proof of every visit record in batches of any size", async function() {
+      const recordFor = (size, i) => ({
+        userId: i + 1,
+        nfcTagId: "04A1B2C3",
+        latitude: 45.4642 + i / 1000,
+        longitude: 9.19,
+        timestamp: new Date(Date.UTC(2024, 5, size, 12, i)).toISOString()
+      });
+
+      // Odd sizes pad a level with a copy of its last node, at every depth up to 9 leaves
+      for (let size = 1; size <= 9; size++) {
+        const hashes = Array.from({ length: size }, (_, i) => hashUtils.createVisitHash(recordFor(size, i)));
+        const batchLevels = hashUtils.createMerkleTree(hashes);
+        const batchRoot = "0x" + hashUtils.createMerkleRoot(hashes);
+        await polpBadge.anchorVisitRoot(batchRoot, size);
+
+        for (let i = 0; i < size; i++) {
+          const proof = hashUtils.createMerkleProof(batchLevels, i).map(hash => "0x" + hash);
+          expect(await polpBadge.verifyVisitProof(batchRoot, "0x" + hashes[i], proof, i)).to.equal(true);
+
+          // The same proof does not cover an edited record
+          const tampered = hashUtils.createVisitHash({ ...recordFor(size, i), latitude: 41.9028 });
+          expect(await polpBadge.verifyVisitProof(batchRoot, "0x" + tampered, proof, i)).to.equal(false);
+        }
+      }
+    });
+
+    it("Should not accept a position outside the batch", async function() {
+      await polpBadge.anchorVisitRoot(root, leaves.length);
+
+      // Index 3 is the copy padding the odd leaf level, index 4 wraps around to leaf 0's path
+      expect(await polpBadge.verifyVisitProof(root, "0x" + leaves[2], proofFor(2), 3)).to.equal(false);
+      expect(await polpBadge.verifyVisitProof(root, "0x" + leaves[0], proofFor(0), 4)).to.equal(false);
+      expect(hashUtils.verifyMerkleProof(leaves[2], proofFor(2).map(hash => hash.slice(2)), 3, root.slice(2), leaves.length)).to.equal(false);
+    });
+
+    it("Should not accept an inner node as a visit hash", async function() {
+      await polpBadge.anchorVisitRoot(root, leaves.length);
+
+      const innerNode = levels[1][0];
+      const shortProof = [levels[1][1]];
+
+      expect(await polpBadge.verifyVisitProof(root, "0x" + innerNode, shortProof.map(hash => "0x" + hash), 0)).to.equal(false);
+      expect(hashUtils.verifyMerkleProof(innerNode, shortProof, 0, root.slice(2), leaves.length)).to.equal(false);
+    });
+
+    it("Should not verify proofs for roots that were never anchored", async function() {
+      expect(await polpBadge.verifyVisitProof(root, "0x" + leaves[0], proofFor(0), 0)).to.equal(false);
+    });
+  });
+
+  describe("Access Control", function() {
+    let minter;
+    let badge;
+
+    beforeEach(async function() {
+      [, , , minter] = await ethers.getSigners();
+
+      badge = await upgrades.deployProxy(POLPBadge, [owner.address, minter.address], { kind: "uups" });
+      await badge.deployed();
+    });
+
+    it("Should grant the backend key the minter role only", async function() {
+      expect(await badge.hasRole(MINTER_ROLE, minter.address)).to.be.true;
+      expect(await badge.hasRole(DEFAULT_ADMIN_ROLE, minter.address)).to.be.false;
+      expect(await badge.hasRole(PAUSER_ROLE, minter.address)).to.be.false;
+      expect(await badge.hasRole(URI_SETTER_ROLE, minter.address)).to.be.false;
+      expect(await badge.hasRole(REVOKER_ROLE, minter.address)).to.be.false;
+      expect(await badge.hasRole(MINTER_ROLE, owner.address)).to.be.false;
+      expect(await badge.hasRole(REVOKER_ROLE, owner.address)).to.be.true;
+    });
+
+    it("Should let the minter define series and mint", async function() {
+      await badge.connect(minter).defineSeries(1, 0, 0, 0, "", false);
+      await badge.connect(minter).claimBadge(user1.address, 1, "ipfs://test");
+
+      expect(await badge.ownerOf(0)).to.equal(user1.address);
+    });
+
+    it("Should keep admin functions out of the minter's reach", async function() {
+      await expect(badge.connect(minter).setVoucherSigner(minter.address, true))
+        .to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+        .withArgs(minter.address, DEFAULT_ADMIN_ROLE);
+
+      await expect(badge.connect(minter).grantRole(MINTER_ROLE, user1.address))
+        .to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+        .withArgs(minter.address, DEFAULT_ADMIN_ROLE);
+
+      await expect(badge.connect(minter).pause())
+        .to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+        .withArgs(minter.address, PAUSER_ROLE);
+    });
+
+    it("Should leave revocations to the revoker key granted by the admin", async function() {
+      await badge.connect(minter).defineSeries(1, 0, 0, 0, "", false);
+      await badge.connect(minter).claimBadge(user1.address, 1, "ipfs://spoofed");
+
+      await expect(badge.connect(minter).revoke(0, "spoofed location"))
+        .to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+        .withArgs(minter.address, REVOKER_ROLE);
+
+      await badge.grantRole(REVOKER_ROLE, user2.address);
+      await expect(badge.connect(user2).revoke(0, "spoofed location"))
+        .to.emit(badge, "BadgeRevoked");
+    });
+
+    it("Should let the admin rotate the minter key", async function() {
+      await badge.grantRole(MINTER_ROLE, user2.address);
+      await badge.revokeRole(MINTER_ROLE, minter.address);
+
+      await badge.connect(user2).defineSeries(1, 0, 0, 0, "", false);
+      await expect(badge.connect(minter).claimBadge(user1.address, 1, ""))
+        .to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+        .withArgs(minter.address, MINTER_ROLE);
+    });
+
+    it("Should let the URI setter replace a token URI", async function() {
+      await badge.connect(minter).defineSeries(1, 0, 0, 0, "", false);
+      await badge.connect(minter).claimBadge(user1.address, 1, "ipfs://old");
+
+      await badge.setTokenURI(0, "ipfs://new");
+      expect(await badge.tokenURI(0)).to.equal("ipfs://new");
+
+      await expect(badge.connect(minter).setTokenURI(0, "ipfs://other"))
+        .to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+        .withArgs(minter.address, URI_SETTER_ROLE);
+    });
+
+    it("Should support the AccessControl interface", async function() {
+      expect(await badge.supportsInterface("0x7965db0b")).to.be.true;
+    });
+  });
+
+  describe("Pausing", function() {
+    beforeEach(async function() {
+      await polpBadge.claimBadge(user1.address, 1, "ipfs://test");
+    });
+
+    it("Should stop mints and transfers while paused", async function() {
+      await expect(polpBadge.pause())
+        .to.emit(polpBadge, "Paused")
+        .withArgs(owner.address);
+
+      await expect(polpBadge.claimBadge(user2.address, 1, "ipfs://test"))
+        .to.be.revertedWithCustomError(polpBadge, "EnforcedPause");
+      await expect(polpBadge.claimBadgeBatch([user2.address], 1, []))
+        .to.be.revertedWithCustomError(polpBadge, "EnforcedPause");
+      await expect(polpBadge.connect(user1).transferFrom(user1.address, user2.address, 0))
+        .to.be.revertedWithCustomError(polpBadge, "EnforcedPause");
+    });
+
+    it("Should resume once unpaused", async function() {
+      await polpBadge.pause();
+      await polpBadge.unpause();
+
+      await polpBadge.connect(user1).transferFrom(user1.address, user2.address, 0);
+      expect(await polpBadge.ownerOf(0)).to.equal(user2.address);
+    });
+
+    it("Should keep anchoring visit batches while paused", async function() {
+      await polpBadge.pause();
+
+      await expect(polpBadge.anchorVisitRoot(ethers.utils.id("root"), 1))
+        .to.emit(polpBadge, "VisitRootAnchored");
+    });
+
+    it("Should prevent accounts without the pauser role from pausing", async function() {
+      await expect(polpBadge.connect(user1).pause())
+        .to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, PAUSER_ROLE);
+    });
+  });
+
+  describe("Revocation", function() {
+    beforeEach(async function() {
+      await polpBadge.claimBadge(user1.address, 1, "ipfs://spoofed");
+    });
+
+    it("Should burn the badge and clear the claim", async function() {
+      await expect(polpBadge.revoke(0, "spoofed location"))
+        .to.emit(polpBadge, "BadgeRevoked")
+        .withArgs(0, 1, user1.address, "spoofed location");
+
+      await expect(polpBadge.ownerOf(0))
+        .to.be.revertedWithCustomError(polpBadge, "ERC721NonexistentToken");
+      expect(await polpBadge.claimed(user1.address, 1)).to.be.false;
+      expect(await polpBadge.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should clear the claim of the original recipient after a transfer", async function() {
+      await polpBadge.connect(user1).transferFrom(user1.address, user2.address, 0);
+
+      await expect(polpBadge.revoke(0, "spoofed location"))
+        .to.emit(polpBadge, "BadgeRevoked")
+        .withArgs(0, 1, user1.address, "spoofed location");
+
+      expect(await polpBadge.balanceOf(user2.address)).to.equal(0);
+      expect(await polpBadge.claimed(user1.address, 1)).to.be.false;
+    });
+
+    it("Should burn soulbound badges", async function() {
+      await polpBadge.defineSeries(4, 0, 0, 0, "", true);
+      await polpBadge.claimBadge(user2.address, 4, "ipfs://locked");
+
+      await polpBadge.revoke(1, "duplicate device");
+
+      expect(await polpBadge.balanceOf(user2.address)).to.equal(0);
+    });
+
+    it("Should let the recipient claim the badge again", async function() {
+      await polpBadge.revoke(0, "spoofed location");
+      await polpBadge.claimBadge(user1.address, 1, "ipfs://genuine");
+
+      expect(await polpBadge.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it("Should keep counting revoked badges against the series supply", async function() {
+      await polpBadge.defineSeries(5, 1, 0, 0, "", false);
+      await polpBadge.claimBadge(user2.address, 5, "");
+      await polpBadge.revoke(1, "spoofed location");
+
+      expect((await polpBadge.getSeries(5)).minted).to.equal(1);
+      await expect(polpBadge.claimBadge(user2.address, 5, ""))
+        .to.be.revertedWithCustomError(polpBadge, "SeriesSoldOut");
+    });
+
+    it("Should revert for a token that does not exist", async function() {
+      await expect(polpBadge.revoke(42, "spoofed location"))
+        .to.be.revertedWithCustomError(polpBadge, "ERC721NonexistentToken");
+    });
+
+    it("Should let the admin revoke while the contract is paused", async function() {
+      await polpBadge.pause();
+
+      await expect(polpBadge.revoke(0, "spoofed location"))
+        .to.emit(polpBadge, "BadgeRevoked")
+        .withArgs(0, 1, user1.address, "spoofed location");
+      expect(await polpBadge.balanceOf(user1.address)).to.equal(0);
+
+      // The cleared claim still cannot be minted again until the contract is unpaused
+      await expect(polpBadge.claimBadge(user1.address, 1, "ipfs://genuine"))
+        .to.be.revertedWithCustomError(polpBadge, "EnforcedPause");
+    });
+
+    it("Should not let hot keys revoke while the contract is paused", async function() {
+      // The backend key, in case it were ever granted both roles
+      await polpBadge.grantRole(MINTER_ROLE, user2.address);
+      await polpBadge.grantRole(REVOKER_ROLE, user2.address);
+      await polpBadge.pause();
+
+      await expect(polpBadge.connect(user2).revoke(0, "spoofed location"))
+        .to.be.revertedWithCustomError(polpBadge, "EnforcedPause");
+      expect(await polpBadge.ownerOf(0)).to.equal(user1.address);
+
+      await polpBadge.unpause();
+      await expect(polpBadge.connect(user2).revoke(0, "spoofed location"))
+        .to.emit(polpBadge, "BadgeRevoked");
+    });
+
+    it("Should prevent accounts without the revoker role from revoking", async function() {
+      await expect(polpBadge.connect(user1).revoke(0, "mine"))
+        .to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, REVOKER_ROLE);
+    });
+  });
+
+  describe("Upgrades", function() {
+    let POLPBadgeV2;
+
+    const upgrade = async (Factory) => {
+      const implementation = await upgrades.prepareUpgrade(polpBadge.address, Factory, { kind: "uups" });
+      await polpBadge.upgradeToAndCall(implementation, "0x");
+      return implementation;
+    };
+
+    beforeEach(async function() {
+      POLPBadgeV2 = await ethers.getContractFactory("POLPBadgeV2Mock");
+
+      await polpBadge.defineSeries(4, 10, 0, 0, "ipfs://series-4", true);
+      await polpBadge.claimBadge(user1.address, 1, "ipfs://first");
+      await polpBadge.claimBadge(user2.address, 4, "");
+    });
+
+    it("Should keep token IDs, claims and token URIs across an upgrade", async function() {
+      await upgrade(POLPBadgeV2);
+      const upgraded = POLPBadgeV2.attach(polpBadge.address);
+
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.nextTokenId()).to.equal(2);
+      expect(await upgraded.claimed(user1.address, 1)).to.be.true;
+      expect(await upgraded.claimed(user2.address, 4)).to.be.true;
+      expect(await upgraded.tokenURI(0)).to.equal("ipfs://first");
+      expect(await upgraded.tokenURI(1)).to.equal("ipfs://series-4");
+      expect(await upgraded.ownerOf(0)).to.equal(user1.address);
+      expect(await upgraded.locked(1)).to.be.true;
+      expect((await upgraded.getSeries(4)).minted).to.equal(1);
+      expect(await upgraded.hasRole(MINTER_ROLE, owner.address)).to.be.true;
+    });
+
+    it("Should keep minting from the same address after an upgrade", async function() {
+      await upgrade(POLPBadgeV2);
+      const upgraded = POLPBadgeV2.attach(polpBadge.address);
+
+      await expect(upgraded.claimBadge(user1.address, 1, "ipfs://again"))
+        .to.be.revertedWith("Already claimed");
+
+      await upgraded.claimBadge(user2.address, 1, "ipfs://second");
+      expect(await upgraded.ownerOf(2)).to.equal(user2.address);
+
+      await upgraded.setBadgeNote(2, "checked");
+      expect(await upgraded.badgeNotes(2)).to.equal("checked");
+    });
+
+    it("Should point the proxy at the new implementation", async function() {
+      const previous = await upgrades.erc1967.getImplementationAddress(polpBadge.address);
+      const implementation = await upgrade(POLPBadgeV2);
+
+      expect(await upgrades.erc1967.getImplementationAddress(polpBadge.address)).to.equal(implementation);
+      expect(implementation).to.not.equal(previous);
+    });
+
+    it("Should only let the admin upgrade", async function() {
+      const implementation = await upgrades.prepareUpgrade(polpBadge.address, POLPBadgeV2, { kind: "uups" });
+
+      await expect(polpBadge.connect(user1).upgradeToAndCall(implementation, "0x"))
+        .to.be.revertedWithCustomError(polpBadge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should refuse an implementation with an incompatible storage layout", async function() {
+      const Broken = await ethers.getContractFactory("POLPBadgeBrokenLayoutMock");
+
+      let error;
+      try {
+        await upgrades.validateUpgrade(polpBadge.address, Broken, { kind: "uups" });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.not.be.undefined;
+      expect(error.message).to.match(/storage layout is incompatible/);
+    });
+
+    it("Should not be initialized twice", async function() {
+      await expect(polpBadge.initialize(user1.address, user1.address))
+        .to.be.revertedWithCustomError(polpBadge, "InvalidInitialization");
+
+      const implementation = POLPBadge.attach(await upgrades.erc1967.getImplementationAddress(polpBadge.address));
+      await expect(implementation.initialize(user1.address, user1.address))
+        .to.be.revertedWithCustomError(polpBadge, "InvalidInitialization");
+    });
+  });
 });
@@ -0,0 +1,136 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const authMiddleware = require('../../middlewares/authMiddleware');
+const authController = require('../../controllers/authController');
+const { createRes, runRoute } = require('../helpers/http');
+
+const user = { id: 1, walletAddress: '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266', isActive: true };
+
+describe('AuthController', () => {
+  // The sessions table: every query reads a fresh instance of a row, as two requests would
+  let table;
+
+  const refresh = async (refreshToken) => {
+    const res = createRes();
+    await authController.refreshToken({ body: { refreshToken } }, res);
+    return res;
+  };
+
+  const authenticate = (token) => runRoute([authMiddleware.authenticate], { headers: { authorization: `Bearer ${token}` } });
+
+  const bodyOf = (res) => res.json.mock.calls[0][0];
+
+  // Sign in on a device, then exchange the first refresh token for a token pair
+  const signIn = async () => {
+    const { session, refreshToken } = await Session.start(user.id, { userAgent: 'jest' });
+    return { sessionId: session.id, ...bodyOf(await refresh(refreshToken)) };
+  };
+
+  beforeEach(() => {
+    table = new Map();
+
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+      table.set(this.id, this.get({ plain: true }));
+      return this;
+    });
+    jest.spyOn(Session, 'findByPk').mockImplementation(async (id) =>
+      (table.has(id) ? Session.build(table.get(id), { isNewRecord: false }) : null));
+    // Same outcome as the conditional UPDATE: only rows matching every condition change
+    jest.spyOn(Session, 'update').mockImplementation(async (fields, { where }) => {
+      const rows = [...table.values()].filter(row => Object.entries(where).every(([key, value]) => (row[key] ?? null) === value));
+      rows.forEach(row => Object.assign(row, fields));
+      return [rows.length];
+    });
+    jest.spyOn(User, 'findByPk').mockImplementation(async (id) => (id === user.id ? User.build(user) : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refreshToken', () => {
+    it('should rotate the refresh token on every exchange', async () => {
+      const { refreshToken, token, sessionId } = await signIn();
+
+      const res = await refresh(refreshToken);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(bodyOf(res).refreshToken).not.toBe(refreshToken);
+      expect(jwt.decode(bodyOf(res).token)).toMatchObject({ userId: 1, sid: sessionId });
+      expect(table.get(sessionId).rotationCount).toBe(2);
+      expect((await authenticate(token)).status).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the session when a rotated token comes back', async () => {
+      const { refreshToken, sessionId } = await signIn();
+      const { refreshToken: current } = bodyOf(await refresh(refreshToken));
+
+      // The old token was copied: whoever holds it, the session ends for both
+      const replayed = await refresh(refreshToken);
+
+      expect(replayed.status).toHaveBeenCalledWith(401);
+      expect(bodyOf(replayed).error).toBe('Refresh token reuse detected');
+      expect(table.get(sessionId)).toMatchObject({ revokedReason: 'token_reuse', revokedAt: expect.any(Date) });
+      expect((await refresh(current)).status).toHaveBeenCalledWith(401);
+    });
+
+    it('should let only one of two concurrent exchanges of a token win, and revoke the session', async () => {
+      const { refreshToken, token, sessionId } = await signIn();
+
+      // Both requests read the session before either rotates it
+      const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+      expect(responses.map(res => res.status.mock.calls[0][0]).sort()).toEqual([200, 401]);
+      expect(table.get(sessionId).revokedReason).toBe('token_reuse');
+      const winner = responses.find(res => res.status.mock.calls[0][0] === 200);
+      expect((await refresh(bodyOf(winner).refreshToken)).status).toHaveBeenCalledWith(401);
+      expect((await authenticate(token)).status).toHaveBeenCalledWith(401);
+    });
+
+    it('should refuse a token for an unknown session', async () => {
+      const res = await refresh('00000000-0000-4000-8000-000000000000.secret');
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(bodyOf(res).error).toBe('Invalid refresh token');
+    });
+  });
+
+  describe('logout', () => {
+    it('should end only the session it is called from', async () => {
+      const phone = await signIn();
+      const laptop = await signIn();
+
+      const res = await runRoute([authMiddleware.authenticate, authController.logout], {
+        headers: { authorization: `Bearer ${phone.token}` }
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(table.get(phone.sessionId).revokedReason).toBe('logout');
+      expect(bodyOf(await authenticate(phone.token)).error).toBe('Session revoked');
+      expect((await refresh(phone.refreshToken)).status).toHaveBeenCalledWith(401);
+      expect((await authenticate(laptop.token)).status).not.toHaveBeenCalled();
+    });
+
+    it('should invalidate the access tokens of every device on logout from all devices', async () => {
+      const phone = await signIn();
+      const laptop = await signIn();
+      const { session: otherUser } = await Session.start(2);
+
+      const res = await runRoute([authMiddleware.authenticate, authController.logoutAll], {
+        headers: { authorization: `Bearer ${laptop.token}` }
+      });
+
+      expect(bodyOf(res).revokedSessions).toBe(2);
+      for (const device of [phone, laptop]) {
+        expect(bodyOf(await authenticate(device.token)).error).toBe('Session revoked');
+        expect((await refresh(device.refreshToken)).status).toHaveBeenCalledWith(401);
+      }
+      expect(Session.build(table.get(otherUser.id)).isActive()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+
+const { Op } = require('sequelize');
+const Location = require('../../models/Location');
+const authMiddleware = require('../../middlewares/authMiddleware');
+const locationController = require('../../controllers/locationController');
+const { keepModelsInMemory } = require('../helpers/models');
+const { runRoute } = require('../helpers/http');
+
+const admin = { userId: 1, role: 'admin', walletAddress: '0x1' };
+const organizer = { userId: 2, role: 'organizer', walletAddress: '0x2' };
+const otherOrganizer = { userId: 3, role: 'organizer', walletAddress: '0x3' };
+const visitor = { userId: 4, role: 'user', walletAddress: '0x4' };
+
+// Same guard as routes/locationRoutes.js
+const requireOrganizer = authMiddleware.requireRole('organizer');
+
+const geofence = { type: 'circle', center: { latitude: 41.8902, longitude: 12.4922 }, radius: 150 };
+
+describe('LocationController', () => {
+  let locations;
+
+  const storeLocation = (fields = {}) => {
+    const location = Location.build({
+      id: locations.length + 1,
+      name: 'Colosseum',
+      nfcTagIds: ['04A1B2C3'],
+      latitude: 41.8902,
+      longitude: 12.4922,
+      radiusMeters: 150,
+      createdBy: organizer.userId,
+      isActive: true,
+      ...fields
+    });
+    locations.push(location);
+    return location;
+  };
+
+  const create = (user, body) => runRoute([requireOrganizer, locationController.createLocation], { user, body });
+
+  const update = (user, locationId, body) =>
+    runRoute([requireOrganizer, locationController.updateLocation], { user, params: { locationId: String(locationId) }, body });
+
+  const deactivate = (user, locationId) =>
+    runRoute([requireOrganizer, locationController.deleteLocation], { user, params: { locationId: String(locationId) } });
+
+  beforeEach(() => {
+    keepModelsInMemory(Location.sequelize);
+    locations = [];
+
+    jest.spyOn(Location, 'create').mockImplementation(async (fields) => storeLocation(fields));
+    jest.spyOn(Location, 'findByPk').mockImplementation(async (id) => locations.find(location => location.id === Number(id)) || null);
+    jest.spyOn(Location, 'findOne').mockImplementation(async ({ where }) => locations.find(location =>
+      location.nfcTagIds.some(tag => where.nfcTagIds[Op.overlap].includes(tag)) &&
+      (!where.id || location.id !== where.id[Op.ne])) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should register a location with its tags and geofence', async () => {
+    const res = await create(organizer, { name: 'Colosseum', nfcTagIds: ['04A1B2C3', '04D5E6F7'], geofence });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(locations[0].createdBy).toBe(organizer.userId);
+    expect(res.json.mock.calls[0][0].location).toMatchObject({
+      id: 1,
+      nfcTagIds: ['04A1B2C3', '04D5E6F7'],
+      geofence: { type: 'circle', center: geofence.center, radius: 150 },
+      isActive: true
+    });
+  });
+
+  it('should refuse a tag already bound to another location', async () => {
+    storeLocation({ nfcTagIds: ['04D5E6F7'] });
+
+    const res = await create(organizer, { name: 'Forum', nfcTagIds: ['04A1B2C3', '04D5E6F7'], geofence });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].message).toBe('One or more tags are already bound to location 1');
+    // The same tag read with separators
+    expect((await create(organizer, { name: 'Forum', nfcTagIds: ['04:d5:e6:f7'], geofence })).status).toHaveBeenCalledWith(409);
+    expect(locations).toHaveLength(1);
+  });
+
+  it('should let a location keep its own tags but not take another location\'s', async () => {
+    storeLocation();
+    storeLocation({ name: 'Forum', nfcTagIds: ['04D5E6F7'] });
+
+    expect((await update(organizer, 1, { nfcTagIds: ['04A1B2C3', '04111111'] })).status).toHaveBeenCalledWith(200);
+
+    const res = await update(organizer, 1, { nfcTagIds: ['04A1B2C3', '04D5E6F7'] });
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(locations[0].nfcTagIds).toEqual(['04A1B2C3', '04111111']);
+  });
+
+  it('should keep visitors away from location management', async () => {
+    const location = storeLocation();
+
+    const created = await create(visitor, { name: 'Forum', nfcTagIds: ['04D5E6F7'], geofence });
+    const updated = await update(visitor, 1, { name: 'Flavian Amphitheatre' });
+    const deactivated = await deactivate(visitor, 1);
+
+    for (const res of [created, updated, deactivated]) {
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+    expect(Location.create).not.toHaveBeenCalled();
+    expect(location).toMatchObject({ name: 'Colosseum', isActive: true });
+  });
+
+  it('should let organizers deactivate only their own locations, and admins any', async () => {
+    const location = storeLocation();
+
+    const res = await deactivate(otherOrganizer, 1);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].message).toBe('You can only manage locations you own');
+    expect(location.isActive).toBe(true);
+    expect((await deactivate(admin, 1)).status).toHaveBeenCalledWith(200);
+    expect(location.isActive).toBe(false);
+  });
+
+  it('should deactivate a location instead of deleting it', async () => {
+    const location = storeLocation();
+
+    const res = await deactivate(organizer, 1);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(location.isActive).toBe(false);
+    expect(Location.prototype.destroy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,200 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/ipfsService', () => ({
+  storeVisitData: jest.fn()
+}));
+jest.mock('../../services/faissService', () => ({
+  createVisitVector: jest.fn(),
+  getEmbeddingModelId: jest.fn()
+}));
+jest.mock('../../services/fraudDetectionService', () => ({
+  assessVisit: jest.fn()
+}));
+jest.mock('../../services/visitAnchorService', () => ({
+  getVisitProof: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const { ethers } = require('ethers');
+const Visit = require('../../models/Visit');
+const Location = require('../../models/Location');
+const NfcTag = require('../../models/NfcTag');
+const ipfsService = require('../../services/ipfsService');
+const fraudDetectionService = require('../../services/fraudDetectionService');
+const walletService = require('../../services/walletService');
+const visitController = require('../../controllers/visitController');
+const { keepModelsInMemory } = require('../helpers/models');
+const { createRes } = require('../helpers/http');
+
+// Hardhat's second default account
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const visitor = { userId: 4, walletAddress: wallet.address.toLowerCase() };
+
+// A 150 m circle around the Colosseum
+const colosseum = { latitude: 41.8902, longitude: 12.4922 };
+
+describe('VisitController', () => {
+  let locations;
+  let visits;
+
+  const signVisit = async (body, signer) => {
+    const message = walletService.createVisitMessage({ ...body, userAddress: wallet.address });
+    const { domain, types: { EIP712Domain, ...types } } = walletService.createTypedData(message);
+    return signer.signTypedData(domain, types, message);
+  };
+
+  // Sign the visit as the wallet app does, then submit it with any changes made after signing
+  const checkIn = async (fields = {}, { signer = wallet, tampered = {} } = {}) => {
+    const body = { nfcTagId: '04A1B2C3', ...colosseum, timestamp: new Date().toISOString(), ...fields };
+    body.signature = await signVisit(body, signer);
+
+    const res = createRes();
+    await visitController.createVisit({ user: visitor, body: { ...body, ...tampered }, get: () => 'jest' }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keepModelsInMemory(Visit.sequelize);
+    locations = [Location.build({
+      id: 3,
+      name: 'Colosseum',
+      nfcTagIds: ['04A1B2C3'],
+      geofenceType: 'circle',
+      ...colosseum,
+      radiusMeters: 150,
+      isActive: true
+    })];
+    visits = [];
+    ipfsService.storeVisitData.mockResolvedValue({ cid: 'bafyvisit', ipnsKey: 'k51visit' });
+    fraudDetectionService.assessVisit.mockResolvedValue({ riskScore: 0, flagged: false, reasons: [] });
+
+    // Plain UID tags: none is registered as a secure tag
+    jest.spyOn(NfcTag, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Location, 'findOne').mockImplementation(async ({ where }) => locations
+      .find(location => where.nfcTagIds[Op.contains].every(tag => location.nfcTagIds.includes(tag))) || null);
+    jest.spyOn(Visit, 'findOne').mockImplementation(async ({ where }) => visits
+      .find(visit => visit.userId === where.userId && visit.locationId === where.locationId) || null);
+    jest.spyOn(Visit, 'create').mockImplementation(async (fields) => {
+      const visit = Visit.build({ id: visits.length + 1, ...fields });
+      visits.push(visit);
+      return visit;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record a visit inside the location geofence', async () => {
+    const res = await checkIn({ latitude: 41.8905, longitude: 12.4925 });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(visits).toHaveLength(1);
+    expect(visits[0]).toMatchObject({ userId: 4, locationId: 3, locationName: 'Colosseum', ipfsCid: 'bafyvisit' });
+  });
+
+  it('should find the location of a tag read with separators', async () => {
+    // Web NFC reports serial numbers as colon-separated bytes
+    const res = await checkIn({ nfcTagId: '04:a1:b2:c3' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(visits[0].nfcTagId).toBe('04A1B2C3');
+  });
+
+  it('should store the signed attestation with the visit record', async () => {
+    await checkIn();
+
+    const stored = ipfsService.storeVisitData.mock.calls[0][0];
+    expect(stored.attestation.signature).toBe(visits[0].signature);
+    await expect(walletService.verifyTypedSignature(stored.attestation, stored.attestation.signature, wallet.address)).resolves.toBe(true);
+  });
+
+  it('should reject a visit signed by another wallet', async () => {
+    const res = await checkIn({}, { signer: ethers.Wallet.createRandom() });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].error).toBe('Invalid visit signature');
+    expect(visits).toEqual([]);
+  });
+
+  it('should reject a payload changed after signing', async () => {
+    // Still inside the geofence, but not what the wallet signed
+    const res = await checkIn({}, { tampered: { latitude: 41.8903 } });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].error).toBe('Invalid visit signature');
+    expect(ipfsService.storeVisitData).not.toHaveBeenCalled();
+  });
+
+  it('should only accept a signed timestamp within 10 minutes of the server time', async () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+    const stale = await checkIn({ timestamp: minutesAgo(11) });
+    const ahead = await checkIn({ timestamp: minutesAgo(-11) });
+
+    for (const res of [stale, ahead]) {
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toBe('Visit signature expired');
+    }
+    expect((await checkIn({ timestamp: minutesAgo(9) })).status).toHaveBeenCalledWith(201);
+  });
+
+  it('should reject a visit outside the location geofence', async () => {
+    // Roman Forum, about 500 m away
+    const res = await checkIn({ latitude: 41.8925, longitude: 12.4853 });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error).toBe('Visit outside location geofence');
+    expect(ipfsService.storeVisitData).not.toHaveBeenCalled();
+    expect(visits).toEqual([]);
+  });
+
+  it('should check a polygon geofence by its shape', async () => {
+    locations[0].set({
+      geofenceType: 'polygon',
+      radiusMeters: null,
+      polygon: [
+        { latitude: 41.8895, longitude: 12.4910 },
+        { latitude: 41.8895, longitude: 12.4935 },
+        { latitude: 41.8910, longitude: 12.4935 },
+        { latitude: 41.8910, longitude: 12.4910 }
+      ]
+    });
+
+    expect((await checkIn({ latitude: 41.8890, longitude: 12.4922 })).status).toHaveBeenCalledWith(403);
+    expect((await checkIn()).status).toHaveBeenCalledWith(201);
+  });
+
+  it('should refuse tags of a deactivated location', async () => {
+    locations[0].isActive = false;
+
+    const res = await checkIn();
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json.mock.calls[0][0].error).toBe('Unknown NFC tag');
+    expect(visits).toEqual([]);
+  });
+
+  it('should refuse a tag no location is bound to', async () => {
+    expect((await checkIn({ nfcTagId: '04FFFFFF' })).status).toHaveBeenCalledWith(404);
+  });
+
+  it('should refuse a second visit to the same location within the window', async () => {
+    await checkIn();
+
+    const res = await checkIn();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(visits).toHaveLength(1);
+  });
+
+  it('should keep a suspicious visit for moderation', async () => {
+    fraudDetectionService.assessVisit.mockResolvedValue({ riskScore: 0.9, flagged: true, reasons: [{ code: 'impossible_travel' }] });
+
+    const res = await checkIn();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(visits[0].status).toBe('flagged');
+    expect(visits[0].validationData.fraud.reasons).toEqual([{ code: 'impossible_travel' }]);
+  });
+});
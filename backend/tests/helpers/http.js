@@ -0,0 +1,31 @@
+/**
+ * Express response double that records status() and json()
+ * @returns {object} - Response with jest.fn status and json
+ */
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Run the handlers of a route in order until one of them answers instead of calling next()
+ * @param {Array} handlers - Middlewares and controller method
+ * @param {object} req - Request
+ * @returns {object} - Response double
+ */
+const runRoute = async (handlers, req) => {
+  const res = createRes();
+  for (const handler of handlers) {
+    let calledNext = false;
+    await handler(req, res, () => { calledNext = true; });
+    if (!calledNext) break;
+  }
+  return res;
+};
+
+module.exports = {
+  createRes,
+  runRoute
+};
@@ -0,0 +1,29 @@
+const { Model, Sequelize, Transaction } = require('sequelize');
+
+/**
+ * Stand-in for config/db: the real models load on a Sequelize instance that never connects.
+ * Use as jest.mock('../../config/db', () => require('../helpers/models').createTestDb())
+ * @returns {object} - {sequelize}
+ */
+const createTestDb = () => ({
+  sequelize: new Sequelize('postgres://localhost:5432/polp_test', { logging: false })
+});
+
+/**
+ * Let model instances save, update and destroy in memory, and run transactions without a connection.
+ * Queries (findAll, count, ...) stay unstubbed: each test spies on the ones its service makes.
+ * Call in beforeEach; jest.restoreAllMocks() undoes it
+ * @param {object} sequelize - Instance the models are defined on
+ */
+const keepModelsInMemory = (sequelize) => {
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Model.prototype, 'destroy').mockResolvedValue();
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({ LOCK: Transaction.LOCK }));
+};
+
+module.exports = {
+  createTestDb,
+  keepModelsInMemory
+};
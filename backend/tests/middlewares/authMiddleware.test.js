@@ -0,0 +1,150 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Location = require('../../models/Location');
+const authMiddleware = require('../../middlewares/authMiddleware');
+const locationController = require('../../controllers/locationController');
+const { keepModelsInMemory } = require('../helpers/models');
+const { createRes, runRoute } = require('../helpers/http');
+
+const users = {
+  admin: { id: 1, role: 'admin' },
+  organizer: { id: 2, role: 'organizer' },
+  otherOrganizer: { id: 3, role: 'organizer' },
+  moderator: { id: 4, role: 'moderator' }
+};
+
+const asRequestUser = ({ id, role }) => ({ userId: id, role, walletAddress: `0x${id}` });
+
+describe('AuthMiddleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requireRole', () => {
+    // Same guards as routes/locationRoutes.js and routes/adminRoutes.js
+    const requireOrganizer = authMiddleware.requireRole('organizer');
+    const requireModerator = authMiddleware.requireRole('moderator');
+
+    it('should let admins through every role check', async () => {
+      const req = { user: asRequestUser(users.admin) };
+
+      for (const guard of [requireOrganizer, requireModerator]) {
+        const next = jest.fn();
+        guard(req, createRes(), next);
+        expect(next).toHaveBeenCalled();
+      }
+    });
+
+    it('should deny moderators the location routes', () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      requireOrganizer({ user: asRequestUser(users.moderator), method: 'POST', originalUrl: '/api/locations' }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].message).toMatch('requires the organizer role');
+    });
+
+    it('should ask for authentication when there is no user', () => {
+      const res = createRes();
+
+      requireOrganizer({}, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('authenticate', () => {
+    const authorize = (user, { role = user.role, sid = 'session-1' } = {}) => ({
+      headers: { authorization: `Bearer ${jwt.sign({ userId: user.id, role, sid }, process.env.JWT_SECRET)}` }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findByPk').mockImplementation(async (id) => {
+        const user = Object.values(users).find(candidate => candidate.id === id);
+        return user && User.build({ ...user, walletAddress: `0x${user.id}`, isActive: true });
+      });
+      jest.spyOn(Session, 'findByPk').mockImplementation(async (id) =>
+        Session.build({ id, userId: users.organizer.id, expiresAt: new Date(Date.now() + 60000) }));
+    });
+
+    it('should accept a token carrying the current role', async () => {
+      const next = jest.fn();
+      const req = authorize(users.organizer);
+
+      await authMiddleware.authenticate(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.role).toBe('organizer');
+    });
+
+    it('should reject a token issued before the role changed', async () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      // Demoted to moderator after the token was issued as organizer
+      jest.spyOn(User, 'findByPk').mockResolvedValue(
+        User.build({ id: users.organizer.id, role: 'moderator', walletAddress: '0x2', isActive: true }));
+
+      await authMiddleware.authenticate(authorize(users.organizer), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error).toBe('Role changed');
+    });
+  });
+
+  describe('location ownership', () => {
+    const updateRoute = [authMiddleware.requireRole('organizer'), locationController.updateLocation];
+
+    beforeEach(() => {
+      keepModelsInMemory(Location.sequelize);
+      jest.spyOn(Location, 'findByPk').mockImplementation(async () =>
+        Location.build({ id: 5, name: 'Colosseum', createdBy: users.organizer.id, nfcTagIds: ['TAG1'] }));
+    });
+
+    const update = (user) => runRoute(updateRoute, {
+      user: asRequestUser(user),
+      params: { locationId: '5' },
+      body: { name: 'Flavian Amphitheatre' }
+    });
+
+    it('should let the organizer who created the location manage it', async () => {
+      expect((await update(users.organizer)).status).toHaveBeenCalledWith(200);
+    });
+
+    it('should stop an organizer from managing another organizer\'s location', async () => {
+      const res = await update(users.otherOrganizer);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].message).toBe('You can only manage locations you own');
+    });
+
+    it('should let admins manage any location', async () => {
+      expect((await update(users.admin)).status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not let moderators reach the location at all', async () => {
+      const res = await update(users.moderator);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Location.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should decide ownership from the creator and the role', () => {
+      const location = Location.build({ createdBy: users.organizer.id });
+
+      expect(location.isManagedBy(asRequestUser(users.organizer))).toBe(true);
+      expect(location.isManagedBy(asRequestUser(users.otherOrganizer))).toBe(false);
+      expect(location.isManagedBy(asRequestUser(users.admin))).toBe(true);
+      // A moderator who happens to have created it (before a role change) no longer manages it
+      expect(location.isManagedBy({ userId: users.organizer.id, role: 'moderator' })).toBe(false);
+    });
+  });
+});
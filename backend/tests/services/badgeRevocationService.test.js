@@ -0,0 +1,180 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/nftService', () => ({
+  submitRevoke: jest.fn(),
+  getRevokeResult: jest.fn()
+}));
+jest.mock('../../services/ipfsService', () => ({
+  ipfsGateway: 'https://ipfs.io/ipfs/',
+  getVisitData: jest.fn(),
+  updateVisitData: jest.fn()
+}));
+jest.mock('../../services/faissService', () => ({
+  removeVisits: jest.fn(),
+  indexVisit: jest.fn()
+}));
+
+const Visit = require('../../models/Visit');
+const Badge = require('../../models/Badge');
+const AuditLog = require('../../models/AuditLog');
+const nftService = require('../../services/nftService');
+const ipfsService = require('../../services/ipfsService');
+const faissService = require('../../services/faissService');
+const badgeRevocationService = require('../../services/badgeRevocationService');
+const { hashUtils } = require('../../utils/hashUtils');
+const { keepModelsInMemory } = require('../helpers/models');
+
+const moderator = { userId: 9, walletAddress: '0xadmin' };
+
+const record = {
+  userId: 4,
+  nfcTagId: '04A1B2C3',
+  latitude: 41.8902,
+  longitude: 12.4922,
+  timestamp: '2024-06-01T12:00:00.000Z',
+  locationName: 'Colosseum'
+};
+
+describe('BadgeRevocationService', () => {
+  let visit;
+  let ipfs;
+  let auditLog;
+
+  const createBadge = (fields = {}) => Badge.build({ id: 5, tokenId: '42', visitId: 1, ...fields });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keepModelsInMemory(Visit.sequelize);
+    visit = Visit.build({
+      id: 1,
+      ...record,
+      visitHash: hashUtils.createVisitHash(record),
+      status: 'verified',
+      isVerified: true,
+      ipfsCid: 'bafyoriginal',
+      ipnsKey: 'k51visit'
+    });
+    // CIDs by content, and the CID each IPNS name points at
+    ipfs = { cids: { bafyoriginal: record }, names: { k51visit: 'bafyoriginal' } };
+    auditLog = [];
+
+    nftService.submitRevoke.mockResolvedValue({ txHash: '0xrevoke' });
+    ipfsService.getVisitData.mockImplementation(async (cid) => ipfs.cids[cid]);
+    ipfsService.updateVisitData.mockImplementation(async (ipnsKey, data) => {
+      const cid = `bafyrevoked${Object.keys(ipfs.cids).length}`;
+      ipfs.cids[cid] = data;
+      ipfs.names[ipnsKey] = cid;
+      return { cid, ipnsKey };
+    });
+
+    jest.spyOn(Visit, 'findByPk').mockImplementation(async (id) => (id === visit.id ? visit : null));
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (fields) => {
+      const entry = AuditLog.build({ id: auditLog.length + 1, ...fields });
+      auditLog.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should burn the badge, reject its visit and republish the record as revoked', async () => {
+    const badge = createBadge();
+
+    const result = await badgeRevocationService.revokeBadge(badge, 'spoofed location', moderator);
+
+    expect(nftService.submitRevoke).toHaveBeenCalledWith('42', 'spoofed location', { reference: 'revoke:42' });
+    expect(badge.isActive).toBe(false);
+    expect(badge.revocationStatus).toBe('submitted');
+    expect(badge.revocationTxHash).toBe('0xrevoke');
+    expect(visit.status).toBe('rejected');
+    expect(visit.isVerified).toBe(false);
+    expect(visit.adminNotes).toContain('0xadmin revoke: spoofed location');
+    expect(faissService.removeVisits).toHaveBeenCalledWith([1]);
+    expect(ipfs.cids[result.record.cid]).toEqual({
+      ...record,
+      status: 'revoked',
+      revocation: expect.objectContaining({ tokenId: '42', reason: 'spoofed location', sourceCid: 'bafyoriginal' })
+    });
+    expect(auditLog.map(entry => [entry.action, entry.targetType, entry.targetId])).toEqual([
+      ['badge.revoke', 'badge', '5'],
+      ['visit.reject', 'visit', '1']
+    ]);
+  });
+
+  it('should not send a second transaction for a revocation in flight', async () => {
+    const badge = createBadge({ isActive: false, revocationStatus: 'submitted', revocationReason: 'spoofed location', revocationTxHash: '0xrevoke' });
+    visit.set({ status: 'rejected', isVerified: false });
+    nftService.getRevokeResult.mockResolvedValue(null);
+
+    await badgeRevocationService.revokeBadge(badge, 'spoofed location', moderator);
+
+    expect(nftService.submitRevoke).not.toHaveBeenCalled();
+    expect(auditLog).toEqual([]);
+    expect(ipfsService.updateVisitData).toHaveBeenCalled();
+  });
+
+  it('should send a new transaction after a failed revocation', async () => {
+    const badge = createBadge({ isActive: false, revocationStatus: 'submitted', revocationReason: 'spoofed location', revocationTxHash: '0xfirst' });
+    visit.set({ status: 'rejected', isVerified: false });
+    nftService.getRevokeResult.mockResolvedValue({ status: 'reverted', txHash: '0xfirst', blockNumber: 10 });
+
+    await badgeRevocationService.revokeBadge(badge, 'spoofed location', moderator);
+
+    expect(nftService.submitRevoke).toHaveBeenCalledWith('42', 'spoofed location', { reference: 'revoke:42:after:0xfirst' });
+    expect(badge.revocationStatus).toBe('submitted');
+    expect(badge.revocationError).toBeNull();
+  });
+
+  it('should burn the badge once its revocation is mined', async () => {
+    const badge = createBadge({ isActive: false, revocationStatus: 'submitted', revocationTxHash: '0xrevoke' });
+    nftService.getRevokeResult.mockResolvedValue({ status: 'confirmed', txHash: '0xrevoke', blockNumber: 12 });
+
+    await badgeRevocationService.refreshRevocation(badge);
+
+    expect(badge.isBurned).toBe(true);
+    expect(badge.burnedAt).toBeInstanceOf(Date);
+    expect(badge.revocationStatus).toBe('revoked');
+  });
+
+  it('should keep the revocation when the record cannot be republished', async () => {
+    const badge = createBadge();
+    ipfsService.getVisitData.mockRejectedValue(new Error('IPFS node unreachable'));
+
+    const result = await badgeRevocationService.revokeBadge(badge, 'spoofed location', moderator);
+
+    expect(result.record).toBeNull();
+    expect(badge.revocationStatus).toBe('submitted');
+    expect(result.visit.status).toBe('rejected');
+  });
+
+  it('should see a revocation through a reverted transaction to the burn, acting on the visit once', async () => {
+    const badge = createBadge();
+    nftService.submitRevoke.mockResolvedValueOnce({ txHash: '0xfirst' }).mockResolvedValueOnce({ txHash: '0xsecond' });
+    nftService.getRevokeResult
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ status: 'reverted', txHash: '0xfirst', blockNumber: 10 })
+      .mockResolvedValueOnce({ status: 'confirmed', txHash: '0xsecond', blockNumber: 11 });
+
+    await badgeRevocationService.revokeBadge(badge, 'spoofed location', moderator);
+    // Still unmined, then reverted: the moderator revokes again
+    await badgeRevocationService.refreshRevocation(badge);
+    await badgeRevocationService.refreshRevocation(badge);
+    expect(badge.toPublicJSON()).toMatchObject({ isActive: false, isRevoked: true });
+    expect(badge.revocationError).toBe('Revoke transaction 0xfirst reverted');
+
+    await badgeRevocationService.revokeBadge(badge, 'spoofed location', moderator);
+    await badgeRevocationService.refreshRevocation(badge);
+
+    expect(nftService.submitRevoke.mock.calls.map(([, , options]) => options.reference)).toEqual(['revoke:42', 'revoke:42:after:0xfirst']);
+    expect(badge).toMatchObject({ isBurned: true, revocationStatus: 'revoked', revocationTxHash: '0xsecond', revocationError: null });
+    expect(visit.status).toBe('rejected');
+    expect(faissService.removeVisits).toHaveBeenCalledTimes(1);
+    expect(auditLog.map(entry => entry.action)).toEqual(['badge.revoke', 'visit.reject', 'badge.revoke']);
+
+    // The IPNS name shows the revoked record; the original still matches the visit hash
+    const published = ipfs.cids[ipfs.names.k51visit];
+    expect(published).toMatchObject({ status: 'revoked', revocation: { txHash: '0xsecond', sourceCid: 'bafyoriginal' } });
+    expect(hashUtils.createVisitHash(ipfs.cids[published.revocation.sourceCid])).toBe(visit.visitHash);
+  });
+});
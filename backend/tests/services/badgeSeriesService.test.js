@@ -0,0 +1,168 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/nftService', () => ({
+  submitSeries: jest.fn(),
+  getSeriesResult: jest.fn(),
+  getSeries: jest.fn()
+}));
+
+const BadgeSeries = require('../../models/BadgeSeries');
+const AuditLog = require('../../models/AuditLog');
+const nftService = require('../../services/nftService');
+const badgeSeriesService = require('../../services/badgeSeriesService');
+const { keepModelsInMemory } = require('../helpers/models');
+
+const admin = { userId: 1, walletAddress: '0xadmin' };
+
+describe('BadgeSeriesService', () => {
+  let stored;
+  let auditLog;
+
+  // Row as the table returns it, with unset columns as null
+  const storeSeries = (fields = {}) => {
+    const series = BadgeSeries.build({
+      id: 10000,
+      name: 'Summer Festival',
+      locationId: 3,
+      maxSupply: null,
+      startsAt: new Date('2024-08-01T00:00:00Z'),
+      endsAt: null,
+      baseMetadataUri: null,
+      syncStatus: 'synced',
+      syncedVersion: 1,
+      txHash: '0xdefined',
+      ...fields
+    });
+    stored.push(series);
+    return series;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keepModelsInMemory(BadgeSeries.sequelize);
+    stored = [];
+    auditLog = [];
+    nftService.submitSeries.mockResolvedValue({ txHash: '0xsent' });
+
+    jest.spyOn(BadgeSeries, 'create').mockImplementation(async (fields) => storeSeries({ ...fields, syncStatus: 'pending', syncedVersion: null, txHash: null }));
+    jest.spyOn(BadgeSeries, 'findByPk').mockImplementation(async (id) => stored.find(series => series.id === id) || null);
+    jest.spyOn(BadgeSeries, 'findOne').mockImplementation(async ({ where }) => stored.find(series => series.locationId === where.locationId) || null);
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (fields) => {
+      const entry = AuditLog.build({ id: auditLog.length + 1, ...fields });
+      auditLog.push(entry);
+      return entry;
+    });
+    jest.spyOn(AuditLog, 'findAll').mockImplementation(async ({ where }) =>
+      auditLog.filter(entry => entry.targetType === where.targetType && entry.targetId === where.targetId));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should define a new series on-chain and audit its creation', async () => {
+    const series = await badgeSeriesService.createSeries({ name: 'Summer Festival', locationId: 3, maxSupply: 500 }, admin);
+
+    expect(nftService.submitSeries).toHaveBeenCalledWith(series, { reference: 'series:10000:v1' });
+    expect(series.version).toBe(1);
+    expect(series.syncStatus).toBe('submitted');
+    expect(series.txHash).toBe('0xsent');
+    expect(series.isDefinedOnChain()).toBe(false);
+    expect(auditLog.map(entry => [entry.actorAddress, entry.action, entry.targetType, entry.targetId])).toEqual([
+      ['0xadmin', 'series.create', 'badge_series', '10000']
+    ]);
+  });
+
+  it('should send a new version when the on-chain rules change', async () => {
+    const series = storeSeries();
+
+    await badgeSeriesService.updateSeries(10000, { maxSupply: 100 }, admin);
+
+    expect(series.version).toBe(2);
+    expect(nftService.submitSeries).toHaveBeenCalledWith(series, { reference: 'series:10000:v2' });
+    // Version 1 stays the one badges are minted against until version 2 is mined
+    expect(series.syncedVersion).toBe(1);
+    expect(series.isDefinedOnChain()).toBe(true);
+    expect(auditLog[0].changes).toEqual({ before: { maxSupply: null }, after: { maxSupply: 100 } });
+  });
+
+  it('should not touch the chain for off-chain changes', async () => {
+    const series = storeSeries();
+
+    await badgeSeriesService.updateSeries(10000, {
+      name: 'Summer Festival 2024',
+      startsAt: '2024-08-01T00:00:00.000Z'
+    }, admin);
+
+    expect(series.name).toBe('Summer Festival 2024');
+    expect(series.version).toBe(1);
+    expect(nftService.submitSeries).not.toHaveBeenCalled();
+  });
+
+  it('should mark a series failed when its definition cannot be sent', async () => {
+    const series = storeSeries({ syncStatus: 'pending' });
+    nftService.submitSeries.mockRejectedValue(new Error('Failed to submit badge series: insufficient funds'));
+
+    await badgeSeriesService.syncSeries(series);
+
+    expect(series.syncStatus).toBe('failed');
+    expect(series.lastError).toMatch(/insufficient funds/);
+  });
+
+  it('should mark a series synced once its definition is mined', async () => {
+    const series = storeSeries({ version: 2, syncStatus: 'submitted' });
+    nftService.getSeriesResult.mockResolvedValue({ status: 'confirmed', txHash: '0xmined', blockNumber: 12 });
+
+    const found = await badgeSeriesService.getSeriesForVisit({ locationId: 3, timestamp: new Date() });
+
+    expect(found).toBe(series);
+    expect(series.syncStatus).toBe('synced');
+    expect(series.syncedVersion).toBe(2);
+    expect(series.txHash).toBe('0xmined');
+  });
+
+  it('should resend a failed definition as a new version', async () => {
+    const series = storeSeries({ syncStatus: 'failed', lastError: 'reverted' });
+
+    await badgeSeriesService.retrySync(10000);
+
+    expect(nftService.submitSeries).toHaveBeenCalledWith(series, { reference: 'series:10000:v2' });
+    expect(series.syncStatus).toBe('submitted');
+    expect(series.lastError).toBeNull();
+  });
+
+  it('should keep minting against the last mined version while new rules are sent, reverted and retried', async () => {
+    const mined = (txHash) => ({ status: 'confirmed', txHash, blockNumber: 12 });
+    nftService.getSeries.mockImplementation(async () => ({ maxSupply: stored[0].syncedVersion === 1 ? 0 : 100 }));
+
+    const series = await badgeSeriesService.createSeries({ name: 'Summer Festival', locationId: 3 }, admin);
+    // Not mined yet: nothing to mint against
+    nftService.getSeriesResult.mockResolvedValueOnce(null);
+    expect((await badgeSeriesService.getSeries(10000)).onChain).toBeNull();
+
+    nftService.getSeriesResult.mockResolvedValueOnce(mined('0xv1'));
+    expect(await badgeSeriesService.getSeries(10000)).toMatchObject({ syncStatus: 'synced', onChain: { maxSupply: 0 } });
+
+    // Capping the supply is a new version, which reverts once and is sent again
+    await badgeSeriesService.updateSeries(10000, { maxSupply: 100 }, admin);
+    nftService.getSeriesResult.mockResolvedValueOnce({ status: 'reverted', txHash: '0xv2' });
+    await badgeSeriesService.getSeriesForVisit({ locationId: 3, timestamp: new Date() });
+    expect(series.syncStatus).toBe('failed');
+    expect(series.isDefinedOnChain()).toBe(true);
+
+    await badgeSeriesService.retrySync(10000);
+    nftService.getSeriesResult.mockResolvedValueOnce(null);
+    expect((await badgeSeriesService.getSeriesForVisit({ locationId: 3, timestamp: new Date() })).syncedVersion).toBe(1);
+
+    nftService.getSeriesResult.mockResolvedValueOnce(mined('0xv3'));
+    const review = await badgeSeriesService.getSeries(10000);
+
+    expect(nftService.submitSeries.mock.calls.map(([, options]) => options.reference)).toEqual([
+      'series:10000:v1',
+      'series:10000:v2',
+      'series:10000:v3'
+    ]);
+    expect(review).toMatchObject({ version: 3, syncStatus: 'synced', txHash: '0xv3', onChain: { maxSupply: 100 } });
+    expect(series.syncedVersion).toBe(3);
+    expect(review.auditTrail.map(entry => entry.action)).toEqual(['series.create', 'series.update']);
+  });
+});
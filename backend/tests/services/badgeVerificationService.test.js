@@ -0,0 +1,210 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/ipfsService', () => ({
+  ipfsGateway: 'https://ipfs.io/ipfs/',
+  getVisitData: jest.fn(),
+  getMetadata: jest.fn()
+}));
+jest.mock('../../services/nftService', () => ({
+  contractAddress: '0xcontract',
+  getBadgeMetadataUri: jest.fn(),
+  getBadgeOwner: jest.fn(),
+  isBadgeLocked: jest.fn(),
+  getTokenSeries: jest.fn(),
+  hasClaimedBadge: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const Visit = require('../../models/Visit');
+const Badge = require('../../models/Badge');
+const VisitBatch = require('../../models/VisitBatch');
+const ipfsService = require('../../services/ipfsService');
+const nftService = require('../../services/nftService');
+const walletService = require('../../services/walletService');
+const badgeVerificationService = require('../../services/badgeVerificationService');
+const { hashUtils } = require('../../utils/hashUtils');
+
+// Hardhat's second default account
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const tokenURI = 'https://ipfs.io/ipfs/bafymetadata1234567890';
+
+const visitFields = {
+  userId: 1,
+  nfcTagId: '04A1B2C3',
+  locationId: 3,
+  latitude: 45.4642,
+  longitude: 9.19,
+  timestamp: '2024-06-01T12:00:00.000Z',
+  locationName: 'Duomo'
+};
+
+/**
+ * Visit record as stored on IPFS, with the attestation the visitor's wallet signed.
+ * The secure tag was read with separators, then normalised before storing
+ */
+const signRecord = async (fields = visitFields, signer = wallet) => {
+  const message = walletService.createVisitMessage({ ...fields, nfcTagId: '04:a1:b2:c3', userAddress: wallet.address });
+  const { domain, types: { EIP712Domain, ...types } } = walletService.createTypedData(message);
+
+  return { ...fields, attestation: { message, signature: await signer.signTypedData(domain, types, message) } };
+};
+
+const statusOf = (report, id) => report.checks.find(check => check.id === id)?.status;
+
+describe('BadgeVerificationService', () => {
+  let signed;
+  let visitHash;
+  let record;
+  let visits;
+  let badges;
+
+  beforeAll(async () => {
+    signed = await signRecord();
+    visitHash = hashUtils.createVisitHash(signed);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    record = signed;
+    visits = [];
+    badges = [Badge.build({ tokenId: '5', visitId: 9, metadataUri: tokenURI })];
+
+    nftService.getBadgeMetadataUri.mockResolvedValue(tokenURI);
+    nftService.getBadgeOwner.mockResolvedValue(wallet.address);
+    nftService.isBadgeLocked.mockResolvedValue(false);
+    nftService.getTokenSeries.mockResolvedValue('10042');
+    nftService.hasClaimedBadge.mockResolvedValue(true);
+    ipfsService.getMetadata.mockResolvedValue({
+      name: 'POLP Badge - Duomo',
+      properties: { ipfsCid: 'bafyvisit', visitHash }
+    });
+    ipfsService.getVisitData.mockImplementation(async () => record);
+
+    jest.spyOn(Visit, 'findOne').mockImplementation(async ({ where }) => visits
+      .find(visit => (where.ipfsCid ? visit.ipfsCid === where.ipfsCid : visit.visitHash === where.visitHash)) || null);
+    jest.spyOn(Badge, 'findOne').mockImplementation(async ({ where }) => badges
+      .find(badge => (where.tokenId ? badge.tokenId === where.tokenId : badge.visitId === where.visitId)) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass a badge whose evidence is intact', async () => {
+    const report = await badgeVerificationService.verify({ tokenId: '5' });
+
+    expect(report.result).toBe('pass');
+    expect(report.checks.map(check => [check.id, check.status])).toEqual([
+      ['token_uri', 'pass'],
+      ['visit_record', 'pass'],
+      ['visit_hash', 'pass'],
+      ['signature', 'pass'],
+      ['token_owner', 'pass'],
+      ['claim_status', 'pass'],
+      ['anchor', 'skip']
+    ]);
+    expect(report.visit.visitor).toBe(wallet.address);
+    expect(ipfsService.getVisitData).toHaveBeenCalledWith('bafyvisit');
+    expect(nftService.hasClaimedBadge).toHaveBeenCalledWith(wallet.address, '10042');
+  });
+
+  it('should fail a record that was altered after minting', async () => {
+    record = { ...record, latitude: 45.5 };
+
+    const report = await badgeVerificationService.verify({ tokenId: '5' });
+
+    expect(report.result).toBe('fail');
+    expect(statusOf(report, 'visit_hash')).toBe('fail');
+    expect(statusOf(report, 'signature')).toBe('fail');
+  });
+
+  it('should fail a signature from another wallet', async () => {
+    record = await signRecord(visitFields, ethers.Wallet.createRandom());
+    ipfsService.getMetadata.mockResolvedValue({
+      name: 'POLP Badge - Duomo',
+      properties: { ipfsCid: 'bafyvisit', visitHash: hashUtils.createVisitHash(record) }
+    });
+
+    const report = await badgeVerificationService.verify({ tokenId: '5' });
+
+    expect(report.result).toBe('fail');
+    expect(statusOf(report, 'visit_hash')).toBe('pass');
+    expect(statusOf(report, 'signature')).toBe('fail');
+    expect(statusOf(report, 'claim_status')).toBe('skip');
+  });
+
+  it('should fail a badge whose on-chain URI changed since minting', async () => {
+    nftService.getBadgeMetadataUri.mockResolvedValue('https://ipfs.io/ipfs/bafyreplaced1234567890');
+
+    const report = await badgeVerificationService.verify({ tokenId: '5' });
+
+    expect(statusOf(report, 'token_uri')).toBe('fail');
+    expect(report.result).toBe('fail');
+  });
+
+  it('should warn, not fail, when a transferable badge changed hands', async () => {
+    nftService.getBadgeOwner.mockResolvedValue('0x2222222222222222222222222222222222222222');
+
+    const report = await badgeVerificationService.verify({ tokenId: '5' });
+
+    expect(statusOf(report, 'token_owner')).toBe('warn');
+    expect(report.result).toBe('pass');
+  });
+
+  it('should fail a soulbound badge held by someone else', async () => {
+    nftService.getBadgeOwner.mockResolvedValue('0x2222222222222222222222222222222222222222');
+    nftService.isBadgeLocked.mockResolvedValue(true);
+
+    const report = await badgeVerificationService.verify({ tokenId: '5' });
+
+    expect(statusOf(report, 'token_owner')).toBe('fail');
+    expect(report.result).toBe('fail');
+  });
+
+  it('should verify a visit CID without a badge against the stored hash', async () => {
+    visits.push(Visit.build({ id: 9, ipfsCid: 'bafyvisit', visitHash }));
+    badges = [];
+
+    const report = await badgeVerificationService.verify({ cid: 'bafyvisit' });
+
+    expect(nftService.getBadgeMetadataUri).not.toHaveBeenCalled();
+    expect(statusOf(report, 'visit_hash')).toBe('pass');
+    expect(statusOf(report, 'token_owner')).toBe('skip');
+    expect(report.result).toBe('pass');
+  });
+
+  it('should prove a badge down to the anchored batch, whether asked by token or by visit CID', async () => {
+    // Visit 9 is the middle leaf of an anchored batch of three
+    const hashes = [hashUtils.createVisitHash({ ...visitFields, userId: 2 }), visitHash, hashUtils.createVisitHash({ ...visitFields, userId: 3 })];
+    const levels = hashUtils.createMerkleTree(hashes);
+    const batch = VisitBatch.build({
+      id: 1,
+      merkleRoot: hashUtils.createMerkleRoot(hashes),
+      leafCount: 3,
+      status: 'anchored',
+      txHash: '0xanchor',
+      blockNumber: 123
+    });
+    const visit = Visit.build({ id: 9, ipfsCid: 'bafyvisit', visitHash, batchId: 1, merkleLeafIndex: 1, merkleProof: hashUtils.createMerkleProof(levels, 1) });
+    visit.batch = batch;
+    visits.push(visit);
+
+    const byToken = await badgeVerificationService.verify({ tokenId: '5' });
+    const byCid = await badgeVerificationService.verify({ cid: 'bafyvisit' });
+
+    for (const report of [byToken, byCid]) {
+      expect(report.result).toBe('pass');
+      expect(report.checks.every(check => check.status === 'pass')).toBe(true);
+      expect(report.checks.find(check => check.id === 'anchor').details).toMatchObject({ merkleRoot: batch.merkleRoot, txHash: '0xanchor' });
+    }
+    expect(byCid.token.tokenId).toBe('5');
+
+    // A proof stored for another position no longer leads to the root
+    visit.merkleLeafIndex = 0;
+    expect(statusOf(await badgeVerificationService.verify({ tokenId: '5' }), 'anchor')).toBe('fail');
+
+    // Until its batch is mined the anchor is only skipped
+    visit.merkleLeafIndex = 1;
+    batch.status = 'submitted';
+    expect(statusOf(await badgeVerificationService.verify({ tokenId: '5' }), 'anchor')).toBe('skip');
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../services/nftService', () => ({
+  getVoucherClaimResult: jest.fn()
+}));
+jest.mock('../../services/ipfsService', () => ({}));
+
+const nftService = require('../../services/nftService');
+const claimVoucherService = require('../../services/claimVoucherService');
+
+const createVoucher = (overrides = {}) => ({
+  id: 'voucher-1',
+  userId: 1,
+  visitId: 2,
+  nonce: '123',
+  status: 'issued',
+  update: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('ClaimVoucherService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('redeemVoucher', () => {
+    it('should report a claim that is not mined yet', async () => {
+      nftService.getVoucherClaimResult.mockResolvedValue(null);
+      const voucher = createVoucher();
+
+      const result = await claimVoucherService.redeemVoucher(voucher, '0xabc');
+
+      expect(result).toEqual({ status: 'pending' });
+      expect(voucher.update).not.toHaveBeenCalled();
+    });
+
+    it('should report a reverted claim', async () => {
+      nftService.getVoucherClaimResult.mockResolvedValue({ status: 'reverted', txHash: '0xabc', blockNumber: 10 });
+      const voucher = createVoucher();
+
+      const result = await claimVoucherService.redeemVoucher(voucher, '0xabc');
+
+      expect(result).toEqual({ status: 'reverted' });
+      expect(voucher.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a transaction that redeemed another voucher', async () => {
+      nftService.getVoucherClaimResult.mockResolvedValue({ status: 'confirmed', nonce: '456', tokenId: '7', txHash: '0xabc' });
+      const voucher = createVoucher();
+
+      const result = await claimVoucherService.redeemVoucher(voucher, '0xabc');
+
+      expect(result).toEqual({ status: 'mismatch' });
+      expect(voucher.update).not.toHaveBeenCalled();
+    });
+
+    it('should record the badge when the claim matches the voucher', async () => {
+      const confirmed = { status: 'confirmed', nonce: '123', tokenId: '7', txHash: '0xabc' };
+      nftService.getVoucherClaimResult.mockResolvedValue(confirmed);
+      const badge = { id: 42 };
+      const recordSpy = jest.spyOn(claimVoucherService, 'recordRedemption').mockResolvedValue(badge);
+      const voucher = createVoucher();
+
+      const result = await claimVoucherService.redeemVoucher(voucher, '0xabc');
+
+      expect(recordSpy).toHaveBeenCalledWith(voucher, confirmed);
+      expect(result).toEqual({ status: 'redeemed', badge });
+
+      recordSpy.mockRestore();
+    });
+  });
+});
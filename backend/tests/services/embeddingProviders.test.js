@@ -0,0 +1,53 @@
+jest.mock('faiss-node', () => ({}));
+
+const {
+  HashEmbeddingProvider,
+  LocalModelEmbeddingProvider,
+  createEmbeddingProvider
+} = require('../../services/embeddingProviders');
+const faissService = require('../../services/faissService');
+
+describe('Embedding providers', () => {
+  describe('HashEmbeddingProvider', () => {
+    it('should produce deterministic unit vectors', async () => {
+      const provider = new HashEmbeddingProvider(384);
+
+      const vector1 = await provider.embed('Colosseum ancient amphitheatre');
+      const vector2 = await provider.embed('Colosseum ancient amphitheatre');
+      const magnitude = Math.sqrt(vector1.reduce((sum, val) => sum + val * val, 0));
+
+      expect(vector1).toHaveLength(384);
+      expect(vector1).toEqual(vector2);
+      expect(magnitude).toBeCloseTo(1, 5);
+    });
+
+    it('should include the dimension in the model ID', () => {
+      expect(new HashEmbeddingProvider(384).id).toBe('hash-v1-384');
+    });
+  });
+
+  describe('createEmbeddingProvider', () => {
+    it('should build the configured provider', () => {
+      expect(createEmbeddingProvider('hash')).toBeInstanceOf(HashEmbeddingProvider);
+      expect(createEmbeddingProvider('local')).toBeInstanceOf(LocalModelEmbeddingProvider);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createEmbeddingProvider('remote')).toThrow('Unknown embedding provider: remote');
+    });
+  });
+
+  describe('faissService fallback', () => {
+    it('should use the hash embedder when the local model cannot be loaded', async () => {
+      jest.spyOn(LocalModelEmbeddingProvider.prototype, 'initialize')
+        .mockRejectedValue(new Error('model not found'));
+
+      const provider = await faissService.getEmbeddingProvider();
+      const vector = await faissService.createQueryVector('museum');
+
+      expect(provider).toBe(faissService.hashProvider);
+      expect(await faissService.getEmbeddingModelId()).toBe('hash-v1-384');
+      expect(vector).toEqual(faissService.generateSimpleEmbedding('museum'));
+    });
+  });
+});
@@ -1,10 +1,12 @@
 const { expect } = require('chai');
 const faissService = require('../../services/faissService');
+const { faissConfig, readIvfSettings } = require('../../config/faiss');
 const fs = require('fs').promises;
 const path = require('path');
 
 const TEST_DIMENSION = 384;
 const TEMP_INDEX_PATH = './tests/data/faiss/test_faiss_index.bin';
+const TEMP_METADATA_PATH = './tests/data/faiss/test_faiss_metadata.json';
 
 // Ensure test data directory exists
 beforeAll(async () => {
@@ -20,14 +22,17 @@ beforeAll(async () => {
 describe('FAISSService', () => {
   beforeEach(async () => {
     // Clear any existing test index
-    try {
-      await fs.unlink(TEMP_INDEX_PATH);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
+    for (const file of [TEMP_INDEX_PATH, TEMP_METADATA_PATH]) {
+      try {
+        await fs.unlink(file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
       }
     }
     faissService.indexPath = TEMP_INDEX_PATH;
+    faissService.metadataPath = TEMP_METADATA_PATH;
   });
 
   describe('initialization', () => {
@@ -175,10 +180,71 @@ describe('FAISSService', () => {
         initialized: true,
         dimension: TEST_DIMENSION,
         totalVectors: 0,
-        indexType: 'IndexFlatIP'
+        removedVectors: 0,
+        indexType: 'IndexFlatIP',
+        generation: 0,
+        needsCompaction: false,
+        embeddingModel: 'hash-v1-384'
       });
     });
 
+    it('should remove visits from the mapping and keep their vectors until compaction', async () => {
+      await faissService.initialize(TEST_DIMENSION);
+      await faissService.clearIndex();
+
+      const testVector = new Array(TEST_DIMENSION).fill(0).map(() => Math.random());
+      await faissService.addVector(testVector, 1);
+
+      const removed = await faissService.removeVisits([1, 2]);
+      expect(removed).to.equal(1);
+      expect(faissService.metadata.getVectorIndex(1)).to.equal(undefined);
+      expect(faissService.getTotalVectors()).to.equal(1);
+      expect(faissService.getIndexStats().removedVectors).to.equal(1);
+      expect(faissService.needsCompaction()).to.equal(true);
+    });
+
+    it('should fall back to a flat index when there are too few vectors to train IVF', async () => {
+      await faissService.initialize(TEST_DIMENSION);
+
+      const entries = [1, 2, 3].map(id => ({ id, vector: new Array(TEST_DIMENSION).fill(0).map(() => Math.random()) }));
+      const { index, metadata } = faissService.buildIndex(entries, 'ivfFlat');
+
+      expect(metadata.metadata.indexType).to.equal('flatIP');
+      expect(index.ntotal()).to.equal(3);
+      expect(metadata.getVisitId(2)).to.equal(3);
+    });
+
+    it('should train an IVF index on the existing vectors during an offline rebuild', async () => {
+      await faissService.initialize(TEST_DIMENSION);
+
+      // 200 unit vectors are enough to train 5 lists
+      const unitVector = () => {
+        const vector = new Array(TEST_DIMENSION).fill(0).map(() => Math.random() - 0.5);
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return vector.map(value => value / norm);
+      };
+      const entries = Array.from({ length: 200 }, (_, position) => ({ id: position + 1, vector: unitVector() }));
+      const loadVectors = jest.spyOn(faissService, 'loadIndexableVectors').mockResolvedValue(entries);
+      const { nprobe } = faissConfig.performance;
+      faissConfig.performance.nprobe = 2;
+
+      try {
+        const result = await faissService.rebuildOffline({ indexType: 'ivfFlat' });
+
+        expect(result.indexType).to.equal('ivfFlat');
+        expect(result.totalVectors).to.equal(200);
+        expect(faissService.index.isTrained()).to.equal(true);
+        expect(readIvfSettings(faissService.index.toBuffer())).to.deep.equal({ nlist: 5, nprobe: 2 });
+
+        // A vector is always in the first list probed for it
+        const { labels } = faissService.index.search(entries[42].vector, 1);
+        expect(faissService.metadata.getVisitId(labels[0])).to.equal(43);
+      } finally {
+        faissConfig.performance.nprobe = nprobe;
+        loadVectors.mockRestore();
+      }
+    });
+
     it('should pass health check when initialized', async () => {
       await faissService.initialize(TEST_DIMENSION);      const healthy = await faissService.healthCheck();
       expect(healthy).to.equal(true);
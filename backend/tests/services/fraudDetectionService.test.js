@@ -0,0 +1,155 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+
+const Visit = require('../../models/Visit');
+const Location = require('../../models/Location');
+const gpsService = require('../../services/gpsService');
+const fraudDetectionService = require('../../services/fraudDetectionService');
+
+const location = Location.build({ id: 1, nfcTagIds: ['TAG1'] });
+
+const createVisit = (overrides = {}) => ({
+  userId: 1,
+  nfcTagId: 'TAG1',
+  latitude: 45.4642,
+  longitude: 9.19,
+  timestamp: '2024-06-01T12:00:00.000Z',
+  accuracy: 12,
+  ...overrides
+});
+
+// Earlier visit as a row: coordinates come back at the stored DECIMAL scale
+const storedVisit = (fields) => Visit.build({
+  ...fields,
+  latitude: gpsService.roundCoordinate(fields.latitude),
+  longitude: gpsService.roundCoordinate(fields.longitude)
+});
+
+describe('FraudDetectionService', () => {
+  beforeEach(() => {
+    jest.spyOn(Visit, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Visit, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Location, 'count').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass an ordinary visit', async () => {
+    const result = await fraudDetectionService.assessVisit(createVisit(), location);
+
+    expect(result.riskScore).toBe(0);
+    expect(result.flagged).toBe(false);
+    expect(result.reasons).toEqual([]);
+  });
+
+  it('should flag impossible travel since the previous visit', async () => {
+    // Milan to Rome in ten minutes
+    Visit.findOne.mockResolvedValue(storedVisit({
+      id: 7,
+      latitude: 41.9028,
+      longitude: 12.4964,
+      timestamp: '2024-06-01T11:50:00.000Z',
+      accuracy: 10
+    }));
+
+    const result = await fraudDetectionService.assessVisit(createVisit(), location);
+
+    expect(result.flagged).toBe(true);
+    expect(result.previousVisitId).toBe(7);
+    expect(result.reasons[0].code).toBe('impossible_travel');
+    expect(result.reasons[0].details.elapsedSeconds).toBe(600);
+  });
+
+  it('should accept a plausible journey', async () => {
+    // Same trip in five hours
+    Visit.findOne.mockResolvedValue(storedVisit({
+      id: 7,
+      latitude: 41.9028,
+      longitude: 12.4964,
+      timestamp: '2024-06-01T07:00:00.000Z',
+      accuracy: 10
+    }));
+
+    const result = await fraudDetectionService.assessVisit(createVisit(), location);
+
+    expect(result.flagged).toBe(false);
+    expect(result.previousVisitId).toBe(7);
+  });
+
+  it('should flag an accuracy of exactly 0 m', async () => {
+    const result = await fraudDetectionService.assessVisit(createVisit({ accuracy: 0 }), location);
+
+    expect(result.flagged).toBe(true);
+    expect(result.reasons.map(reason => reason.code)).toEqual(['accuracy_zero']);
+  });
+
+  it('should raise the risk for poor accuracy without flagging on that alone', async () => {
+    const result = await fraudDetectionService.assessVisit(createVisit({ accuracy: 500 }), location);
+
+    expect(result.reasons.map(reason => reason.code)).toEqual(['accuracy_too_low']);
+    expect(result.flagged).toBe(false);
+  });
+
+  it('should flag a secure tag read at another location', async () => {
+    const sunResult = { tag: { locationId: 2 } };
+
+    const result = await fraudDetectionService.assessVisit(createVisit(), location, sunResult);
+
+    expect(result.flagged).toBe(true);
+    expect(result.reasons[0].code).toBe('tag_location_mismatch');
+  });
+
+  it('should cap the risk score at 1', async () => {
+    Visit.findAll.mockResolvedValue([storedVisit({ id: 3, userId: 1, latitude: 45.4642, longitude: 9.19 })]);
+    Location.count.mockResolvedValue(2);
+
+    const result = await fraudDetectionService.assessVisit(createVisit({ accuracy: 0 }), location);
+
+    expect(result.riskScore).toBe(1);
+  });
+
+  describe('over a visit history', () => {
+    let history;
+
+    // Answers the two lookups the service makes the way the visits table would
+    beforeEach(() => {
+      history = [];
+
+      Visit.findOne.mockImplementation(async ({ where }) => history
+        .filter(visit => visit.userId === where.userId && visit.status !== 'rejected')
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null);
+      Visit.findAll.mockImplementation(async ({ where }) => history
+        .filter(visit => visit.latitude === where.latitude && visit.longitude === where.longitude));
+    });
+
+    const submit = async (fields) => {
+      const visit = createVisit(fields);
+      const assessment = await fraudDetectionService.assessVisit(visit, location);
+
+      history.push(storedVisit({ id: history.length + 1, ...visit, status: assessment.flagged ? 'flagged' : 'verified' }));
+      return assessment;
+    };
+
+    it('should pass a day of genuine visits and flag the spoofed ones', async () => {
+      // Milan, then Monza by train
+      const duomo = await submit({ latitude: 45.464211234, longitude: 9.190345678, timestamp: '2024-06-01T09:00:00Z' });
+      const monza = await submit({ latitude: 45.5845, longitude: 9.2744, timestamp: '2024-06-01T09:40:00Z' });
+      // Rome a quarter of an hour later
+      const rome = await submit({ latitude: 41.8902, longitude: 12.4922, timestamp: '2024-06-01T09:55:00Z' });
+      // Another device replays the first visit's fix, with the client's full precision
+      const replay = await submit({ userId: 2, latitude: 45.464211234, longitude: 9.190345678, timestamp: '2024-06-01T15:00:00Z' });
+
+      expect([duomo, monza].map(assessment => assessment.flagged)).toEqual([false, false]);
+      expect(monza.previousVisitId).toBe(1);
+
+      expect(rome.flagged).toBe(true);
+      expect(rome.reasons.map(reason => reason.code)).toEqual(['impossible_travel']);
+      expect(rome.previousVisitId).toBe(2);
+
+      expect(replay.flagged).toBe(true);
+      expect(replay.reasons.map(reason => reason.code)).toEqual(['coordinates_reused']);
+      expect(replay.reasons[0].details).toEqual({ visitIds: [1], userCount: 1 });
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const gpsService = require('../../services/gpsService');
+const { geoUtils, POSTGIS_SPHERE_RADIUS } = require('../../utils/geoUtils');
 
 describe('GPSService', () => {
   describe('validateCoordinates', () => {
@@ -18,6 +19,31 @@ describe('GPSService', () => {
       const dist = gpsService.calculateDistance(45.4642, 9.19, 45.4654, 9.1866);
       expect(dist).toBeGreaterThan(0);
     });
+
+    it('should never exceed the PostGIS prefilter radius for points it places inside the radius', () => {
+      const toRad = (deg) => deg * Math.PI / 180;
+      // Great-circle distance on the sphere ST_DWithin uses with use_spheroid = false
+      const sphereDistance = (lat1, lng1, lat2, lng2) => POSTGIS_SPHERE_RADIUS * Math.acos(Math.min(1,
+        Math.sin(toRad(lat1)) * Math.sin(toRad(lat2)) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lng1 - lng2))
+      ));
+
+      [[45.4642, 9.19], [-33.8688, 151.2093], [64.1466, -21.9426]].forEach(([lat, lng]) => {
+        [10, 500, 25000].forEach(radius => {
+          // Points just around the edge of the radius, in several directions
+          for (let step = -20; step <= 20; step++) {
+            const offset = (radius + step * 0.05) / 111320;
+            const points = [[lat + offset, lng], [lat, lng + offset / Math.cos(toRad(lat))], [lat - offset * 0.7, lng - offset * 0.7]];
+
+            points.forEach(([pointLat, pointLng]) => {
+              if (gpsService.calculateDistance(lat, lng, pointLat, pointLng) <= radius) {
+                expect(sphereDistance(lat, lng, pointLat, pointLng)).toBeLessThanOrEqual(geoUtils.sphereRadius(radius));
+              }
+            });
+          }
+        });
+      });
+    });
   });
 
   describe('isWithinGeofence', () => {
@@ -75,4 +101,21 @@ describe('GPSService', () => {
       expect(gpsService.validateGPSAccuracy('abc')).toBe(false);
     });
   });
+
+  describe('roundCoordinate', () => {
+    it('should round to the column scale half away from zero, like a PostgreSQL DECIMAL', () => {
+      // Values PostgreSQL stores as numeric(11,8) from the same literals
+      expect(gpsService.roundCoordinate(45.123456785)).toBe('45.12345679');
+      expect(gpsService.roundCoordinate(9.190000005)).toBe('9.19000001');
+      expect(gpsService.roundCoordinate(-73.985664125)).toBe('-73.98566413');
+      expect(gpsService.roundCoordinate('45.4642')).toBe('45.46420000');
+      expect(gpsService.roundCoordinate(99.999999996)).toBe('100.00000000');
+    });
+    it('should handle exponent forms, negative zero and non-numbers', () => {
+      expect(gpsService.roundCoordinate(1.5e-8)).toBe('0.00000002');
+      expect(gpsService.roundCoordinate(-1e-9)).toBe('0.00000000');
+      expect(gpsService.roundCoordinate('abc')).toBeNull();
+      expect(gpsService.roundCoordinate('')).toBeNull();
+    });
+  });
 });
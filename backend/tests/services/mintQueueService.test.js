@@ -0,0 +1,249 @@
+jest.mock('../../services/nftService', () => ({
+  getMintResult: jest.fn(),
+  getBatchMintResult: jest.fn(),
+  submitMintBatch: jest.fn(),
+  buildBadgeMetadata: jest.fn()
+}));
+jest.mock('../../services/ipfsService', () => ({
+  storeMetadata: jest.fn()
+}));
+jest.mock('../../services/badgeSeriesService', () => ({
+  getSeriesForVisit: jest.fn()
+}));
+jest.mock('../../services/nonceManagerService', () => ({
+  findByReference: jest.fn()
+}));
+jest.mock('../../models/Badge', () => ({
+  findOrCreate: jest.fn()
+}));
+jest.mock('../../models/Visit', () => ({ findByPk: jest.fn() }));
+jest.mock('../../models/User', () => ({ findByPk: jest.fn() }));
+jest.mock('../../models/Location', () => ({}));
+
+const nftService = require('../../services/nftService');
+const ipfsService = require('../../services/ipfsService');
+const badgeSeriesService = require('../../services/badgeSeriesService');
+const Visit = require('../../models/Visit');
+const User = require('../../models/User');
+const nonceManagerService = require('../../services/nonceManagerService');
+const Badge = require('../../models/Badge');
+const mintQueueService = require('../../services/mintQueueService');
+
+const createJob = (overrides = {}) => ({
+  id: 'job-1',
+  status: 'queued',
+  attempts: 0,
+  maxAttempts: 5,
+  txHash: null,
+  update: jest.fn(async function(changes) { Object.assign(this, changes); }),
+  release: jest.fn(async function(changes) { Object.assign(this, changes); }),
+  ...overrides
+});
+
+describe('MintQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nonceManagerService.findByReference.mockResolvedValue(null);
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should grow exponentially with attempts', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const base = mintQueueService.baseBackoffMs;
+
+      expect(mintQueueService.getBackoffDelay(1)).toBe(base);
+      expect(mintQueueService.getBackoffDelay(2)).toBe(base * 2);
+      expect(mintQueueService.getBackoffDelay(3)).toBe(base * 4);
+
+      Math.random.mockRestore();
+    });
+
+    it('should be capped', () => {
+      expect(mintQueueService.getBackoffDelay(50)).toBe(mintQueueService.maxBackoffMs);
+    });
+  });
+
+  describe('handleFailure', () => {
+    it('should schedule a retry while attempts remain', async () => {
+      const job = createJob({ attempts: 1 });
+      const before = Date.now();
+
+      await mintQueueService.handleFailure(job, new Error('RPC timeout'));
+
+      const changes = job.release.mock.calls[0][0];
+      expect(changes.status).toBeUndefined();
+      expect(changes.attempts).toBe(2);
+      expect(changes.lastError).toBe('RPC timeout');
+      expect(changes.nextRunAt.getTime()).toBeGreaterThan(before);
+    });
+
+    it('should fail the job once attempts are exhausted', async () => {
+      const job = createJob({ attempts: 4 });
+
+      await mintQueueService.handleFailure(job, new Error('RPC timeout'));
+
+      expect(job.release).toHaveBeenCalledWith({
+        status: 'failed',
+        attempts: 5,
+        lastError: 'RPC timeout'
+      });
+    });
+  });
+
+  describe('prepareJob', () => {
+    const createSeries = (overrides = {}) => ({
+      id: 10000,
+      syncStatus: 'synced',
+      syncedVersion: 1,
+      version: 1,
+      isOpen: () => true,
+      isDefinedOnChain() { return this.syncedVersion !== null; },
+      ...overrides
+    });
+
+    beforeEach(() => {
+      Visit.findByPk.mockResolvedValue({ id: 1, isVerified: true, location: { id: 3 } });
+      User.findByPk.mockResolvedValue({ walletAddress: '0xvisitor' });
+      ipfsService.storeMetadata.mockResolvedValue({ ipfsUrl: 'ipfs://meta', cid: 'meta' });
+    });
+
+    it('should keep minting against the synced version while an edit is being sent', async () => {
+      badgeSeriesService.getSeriesForVisit.mockResolvedValue(createSeries({ version: 2, syncStatus: 'submitted' }));
+      const job = createJob({ visitId: 1, userId: 1 });
+
+      expect(await mintQueueService.prepareJob(job)).toBe('0xvisitor');
+      expect(job.badgeId).toBe(10000);
+    });
+
+    it('should wait for a series that was never defined on-chain', async () => {
+      badgeSeriesService.getSeriesForVisit.mockResolvedValue(createSeries({ syncStatus: 'failed', syncedVersion: null }));
+      const job = createJob({ visitId: 1, userId: 1 });
+
+      await expect(mintQueueService.prepareJob(job)).rejects.toThrow('not defined on-chain yet');
+      expect(job.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmJob', () => {
+    it('should keep polling while the transaction is pending', async () => {
+      nftService.getMintResult.mockResolvedValue(null);
+      const job = createJob({ status: 'submitted', txHash: '0xabc' });
+
+      await mintQueueService.confirmJob(job);
+
+      expect(job.release).toHaveBeenCalledTimes(1);
+      expect(job.release.mock.calls[0][0].status).toBeUndefined();
+    });
+
+    it('should requeue the job when the transaction reverts', async () => {
+      nftService.getMintResult.mockResolvedValue({ status: 'reverted', txHash: '0xabc', blockNumber: 10 });
+      const job = createJob({ status: 'submitted', txHash: '0xabc' });
+
+      await expect(mintQueueService.confirmJob(job)).rejects.toThrow('reverted');
+      expect(job.update).toHaveBeenCalledWith({ status: 'queued', txHash: null, submittedAt: null });
+    });
+  });
+
+  describe('groupBatches', () => {
+    it('should batch new jobs per series and send retries on their own', () => {
+      const entries = [
+        { job: createJob({ id: 'a', badgeId: 10000 }) },
+        { job: createJob({ id: 'b', badgeId: 10001 }) },
+        { job: createJob({ id: 'c', badgeId: 10000 }) },
+        { job: createJob({ id: 'd', badgeId: 10000, attempts: 1 }) },
+        { job: createJob({ id: 'e', badgeId: 10000, batchKey: 'previous' }) }
+      ];
+
+      const groups = mintQueueService.groupBatches(entries).map(group => group.map(entry => entry.job.id));
+
+      expect(groups).toEqual([['a', 'c'], ['b'], ['d'], ['e']]);
+    });
+  });
+
+  describe('submitBatch', () => {
+    it('should persist the batch positions before sending one transaction', async () => {
+      nftService.submitMintBatch.mockResolvedValue({ txHash: '0xbatch' });
+      const entries = [
+        { job: createJob({ id: 'a', badgeId: 10000, metadataUri: 'ipfs://a' }), recipient: '0x1' },
+        { job: createJob({ id: 'b', badgeId: 10000, metadataUri: 'ipfs://b' }), recipient: '0x2' }
+      ];
+
+      await mintQueueService.submitBatch(entries);
+
+      const { batchKey } = entries[0].job;
+      expect(entries[1].job.batchKey).toBe(batchKey);
+      expect(entries[1].job.batchIndex).toBe(1);
+      expect(nftService.submitMintBatch).toHaveBeenCalledWith(['0x1', '0x2'], 10000, ['ipfs://a', 'ipfs://b'], {
+        reference: `mint-batch:${batchKey}`
+      });
+      entries.forEach(({ job }) => {
+        expect(job.status).toBe('submitted');
+        expect(job.txHash).toBe('0xbatch');
+      });
+    });
+
+    it('should resume a batch sent before a crash', async () => {
+      nonceManagerService.findByReference.mockResolvedValue({ txHash: '0xprevious' });
+      const job = createJob({ badgeId: 10000, batchKey: 'previous', batchIndex: 3 });
+
+      await mintQueueService.submitBatch([{ job, recipient: '0x1' }]);
+
+      expect(nonceManagerService.findByReference).toHaveBeenCalledWith('mint-batch:previous');
+      expect(nftService.submitMintBatch).not.toHaveBeenCalled();
+      expect(job.batchIndex).toBe(3);
+      expect(job.txHash).toBe('0xprevious');
+    });
+  });
+
+  describe('confirmJob in a batch', () => {
+    const batchResult = {
+      status: 'confirmed',
+      txHash: '0xbatch',
+      blockNumber: 20,
+      contractAddress: '0xcontract',
+      outcomes: [
+        { status: 'minted', tokenId: '7', ownerAddress: '0x1', isSoulbound: false },
+        { status: 'skipped', reason: 'already_claimed' }
+      ]
+    };
+
+    beforeEach(() => {
+      mintQueueService.batchResults = new Map();
+      nftService.getBatchMintResult.mockResolvedValue(batchResult);
+      Badge.findOrCreate.mockResolvedValue([{ id: 99 }]);
+    });
+
+    it('should record the badge minted for the job\'s recipient', async () => {
+      const job = createJob({ status: 'submitted', txHash: '0xbatch', batchKey: 'key', batchIndex: 0, badgeId: 10000 });
+
+      await mintQueueService.confirmJob(job);
+
+      expect(Badge.findOrCreate.mock.calls[0][0].where).toEqual({ tokenId: '7' });
+      expect(Badge.findOrCreate.mock.calls[0][0].defaults.txHash).toBe('0xbatch');
+      expect(job.status).toBe('confirmed');
+      expect(job.badgeRecordId).toBe(99);
+    });
+
+    it('should fail the job of a skipped recipient for good', async () => {
+      const job = createJob({ status: 'submitted', txHash: '0xbatch', batchKey: 'key', batchIndex: 1, badgeId: 10000 });
+
+      const error = await mintQueueService.confirmJob(job).catch(thrown => thrown);
+      await mintQueueService.handleFailure(job, error);
+
+      expect(error.message).toMatch('already claimed');
+      expect(job.status).toBe('failed');
+      expect(job.attempts).toBe(1);
+      expect(Badge.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('should parse the batch receipt once for all of its jobs', async () => {
+      const jobs = [0, 1].map(batchIndex =>
+        createJob({ status: 'submitted', txHash: '0xbatch', batchKey: 'key', batchIndex, badgeId: 10000 }));
+
+      await mintQueueService.confirmJob(jobs[0]);
+      await mintQueueService.confirmJob(jobs[1]).catch(() => {});
+
+      expect(nftService.getBatchMintResult).toHaveBeenCalledTimes(1);
+    });
+  });
+});
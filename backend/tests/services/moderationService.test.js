@@ -0,0 +1,128 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/faissService', () => ({
+  removeVisits: jest.fn(),
+  indexVisit: jest.fn()
+}));
+jest.mock('../../services/ipfsService', () => ({
+  ipfsGateway: 'https://ipfs.io/ipfs/',
+  getVisitData: jest.fn()
+}));
+
+const Visit = require('../../models/Visit');
+const Badge = require('../../models/Badge');
+const AuditLog = require('../../models/AuditLog');
+const faissService = require('../../services/faissService');
+const ipfsService = require('../../services/ipfsService');
+const moderationService = require('../../services/moderationService');
+const { hashUtils } = require('../../utils/hashUtils');
+const { keepModelsInMemory } = require('../helpers/models');
+
+const moderator = { userId: 9, walletAddress: '0xadmin' };
+
+describe('ModerationService', () => {
+  let visits;
+  let auditLog;
+
+  const storeVisit = (fields) => {
+    const visit = Visit.build({ status: 'flagged', isVerified: false, ...fields });
+    visits.push(visit);
+    return visit;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keepModelsInMemory(Visit.sequelize);
+    visits = [];
+    auditLog = [];
+
+    jest.spyOn(Visit, 'findAll').mockImplementation(async ({ where }) => visits.filter(visit => where.id.includes(visit.id)));
+    jest.spyOn(Visit, 'findByPk').mockImplementation(async (id) => visits.find(visit => visit.id === id) || null);
+    jest.spyOn(Badge, 'findAll').mockResolvedValue([]);
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (fields) => {
+      const entry = AuditLog.build({ id: auditLog.length + 1, ...fields });
+      auditLog.push(entry);
+      return entry;
+    });
+    jest.spyOn(AuditLog, 'findAll').mockImplementation(async ({ where }) =>
+      auditLog.filter(entry => entry.targetType === where.targetType && entry.targetId === where.targetId));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should approve visits and record each decision', async () => {
+    const visit = storeVisit({ id: 1 });
+
+    const result = await moderationService.moderateVisits([1, 2], 'approve', moderator, { notes: 'Checked photos' });
+
+    expect(result.updated).toEqual([1]);
+    expect(result.notFound).toEqual([2]);
+    expect(visit.status).toBe('verified');
+    expect(visit.isVerified).toBe(true);
+    expect(visit.adminNotes).toContain('0xadmin approve: Checked photos');
+    expect(auditLog.map(entry => entry.toPublicJSON())).toEqual([expect.objectContaining({
+      actorAddress: '0xadmin',
+      action: 'visit.approve',
+      targetType: 'visit',
+      targetId: '1',
+      changes: {
+        before: { status: 'flagged', isVerified: false },
+        after: { status: 'verified', isVerified: true }
+      },
+      notes: 'Checked photos'
+    })]);
+  });
+
+  it('should remove rejected visits from the semantic index', async () => {
+    storeVisit({ id: 1 });
+    storeVisit({ id: 2, status: 'rejected' });
+
+    const result = await moderationService.moderateVisits([1, 2], 'reject', moderator);
+
+    expect(result.updated).toEqual([1]);
+    expect(result.unchanged).toEqual([2]);
+    expect(faissService.removeVisits).toHaveBeenCalledWith([1]);
+  });
+
+  it('should not reject visits that already have a badge', async () => {
+    const visit = storeVisit({ id: 1, status: 'verified', isVerified: true });
+    Badge.findAll.mockResolvedValue([Badge.build({ visitId: 1 })]);
+
+    const result = await moderationService.moderateVisits([1], 'reject', moderator);
+
+    expect(result.skipped).toEqual([{ id: 1, reason: expect.any(String) }]);
+    expect(visit.status).toBe('verified');
+    expect(auditLog).toEqual([]);
+  });
+
+  it('should put visits back in the index when they leave rejected', async () => {
+    const visit = storeVisit({ id: 1, status: 'rejected' });
+
+    await moderationService.moderateVisits([1], 'flag', moderator);
+
+    expect(faissService.indexVisit).toHaveBeenCalledWith(visit);
+  });
+
+  it('should show a reviewed visit with its intact record and the decisions taken on it', async () => {
+    const record = { userId: 4, nfcTagId: '04A1B2C3', latitude: 45.4642, longitude: 9.19, timestamp: '2024-06-01T12:00:00.000Z' };
+    storeVisit({ id: 1, ...record, visitHash: hashUtils.createVisitHash(record), ipfsCid: 'bafyvisit' });
+    ipfsService.getVisitData.mockResolvedValue(record);
+
+    // Flagged on creation, rejected by one moderator, then approved by another
+    await moderationService.moderateVisits([1], 'reject', moderator, { notes: 'Speed looks wrong' });
+    await moderationService.moderateVisits([1], 'approve', { userId: 10, walletAddress: '0xlead' }, { notes: 'Train ticket attached' });
+
+    const review = await moderationService.getVisit(1);
+
+    expect(review).toMatchObject({ id: 1, status: 'verified', isVerified: true, nfcTagId: '04A1B2C3' });
+    expect(review.ipfsRecord).toMatchObject({ cid: 'bafyvisit', intact: true, error: null });
+    expect(review.auditTrail.map(entry => [entry.actorAddress, entry.action, entry.notes])).toEqual([
+      ['0xadmin', 'visit.reject', 'Speed looks wrong'],
+      ['0xlead', 'visit.approve', 'Train ticket attached']
+    ]);
+    expect(review.adminNotes.split('\n')).toHaveLength(2);
+    expect(faissService.removeVisits).toHaveBeenCalledWith([1]);
+    expect(faissService.indexVisit).toHaveBeenCalledTimes(1);
+  });
+});
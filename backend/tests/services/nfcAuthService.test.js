@@ -0,0 +1,73 @@
+jest.mock('../../models/NfcTag', () => ({
+  scope: jest.fn(),
+  findByUid: jest.fn()
+}));
+
+const NfcTag = require('../../models/NfcTag');
+const nfcAuthService = require('../../services/nfcAuthService');
+const { normalizeTagId } = require('../../utils/nfcUtils');
+
+const ZERO_KEY = '00000000000000000000000000000000';
+
+describe('NFCAuthService', () => {
+  describe('aesCmac', () => {
+    // RFC 4493 test vectors
+    const key = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+
+    it('should compute the CMAC of an empty message', () => {
+      const mac = nfcAuthService.aesCmac(key, Buffer.alloc(0));
+      expect(mac.toString('hex')).toBe('bb1d6929e95937287fa37d129b756746');
+    });
+
+    it('should compute the CMAC of a complete block', () => {
+      const message = Buffer.from('6bc1bee22e409f96e93d7e117393172a', 'hex');
+      expect(nfcAuthService.aesCmac(key, message).toString('hex')).toBe('070a16b46b4d4144f79bdd9dd04a287c');
+    });
+
+    it('should compute the CMAC of a partial last block', () => {
+      const message = Buffer.from('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411', 'hex');
+      expect(nfcAuthService.aesCmac(key, message).toString('hex')).toBe('dfa66747de9ae63030ca32611497c827');
+    });
+  });
+
+  describe('decryptPiccData', () => {
+    it('should recover UID and read counter from encrypted PICC data', () => {
+      const result = nfcAuthService.decryptPiccData('EF963FF7828658A599F3041510671E88', ZERO_KEY);
+      expect(result).toEqual({ uid: '04DE5F1EACC040', counter: 61 });
+    });
+
+    it('should reject data decrypted with the wrong key', () => {
+      expect(() => nfcAuthService.decryptPiccData('EF963FF7828658A599F3041510671E88', 'ff'.repeat(16)))
+        .toThrow('Unexpected PICC data layout');
+    });
+  });
+
+  describe('computeSunMac', () => {
+    it('should match the MAC emitted by a genuine tag', () => {
+      expect(nfcAuthService.computeSunMac(ZERO_KEY, '04DE5F1EACC040', 61)).toBe('94EED9EE65337086');
+    });
+
+    it('should change when the counter changes', () => {
+      expect(nfcAuthService.computeSunMac(ZERO_KEY, '04DE5F1EACC040', 62)).not.toBe('94EED9EE65337086');
+    });
+  });
+
+  describe('tag IDs', () => {
+    it('should give Web NFC serials and registry UIDs the same form', () => {
+      expect(normalizeTagId('04:de:5f:1e:ac:c0:40')).toBe('04DE5F1EACC040');
+      expect(normalizeTagId(' 04de5f1eacc040 ')).toBe('04DE5F1EACC040');
+      expect(normalizeTagId(undefined)).toBe('');
+    });
+
+    it('should verify a plain SUN message whose UID was read with separators', async () => {
+      const findOne = jest.fn().mockResolvedValue({ isActive: true, sdmFileReadKey: ZERO_KEY, lastCounter: 60 });
+      NfcTag.scope.mockReturnValue({ findOne });
+
+      const result = await nfcAuthService.verifySunMessage({ uid: '04:de:5f:1e:ac:c0:40', counter: '61', cmac: '94EED9EE65337086' });
+
+      expect(findOne).toHaveBeenCalledWith({ where: { uid: '04DE5F1EACC040' } });
+      expect(result.valid).toBe(true);
+      expect(result.nfcTagId).toBe('04DE5F1EACC040');
+    });
+  });
+});
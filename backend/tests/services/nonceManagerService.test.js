@@ -0,0 +1,231 @@
+jest.mock('../../models/PendingTransaction', () => ({
+  findByReference: jest.fn(),
+  findByHash: jest.fn(),
+  getHighestPendingNonce: jest.fn()
+}));
+
+// Hardhat's first default account; nothing is ever sent to a real node
+process.env.PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const { ethers } = require('ethers');
+const PendingTransaction = require('../../models/PendingTransaction');
+const nonceManagerService = require('../../services/nonceManagerService');
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+const createRecord = (overrides = {}) => {
+  const record = {
+    status: 'pending',
+    fromAddress: nonceManagerService.address.toLowerCase(),
+    nonce: 7,
+    txHash: '0xlatest',
+    replacedTxHashes: [],
+    maxFeePerGas: gwei(10).toString(),
+    maxPriorityFeePerGas: gwei(1).toString(),
+    ...overrides
+  };
+  record.getAllHashes = () => [record.txHash, ...record.replacedTxHashes];
+  record.update = jest.fn(async (fields) => Object.assign(record, fields));
+  return record;
+};
+
+describe('NonceManagerService', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = {
+      getTransactionCount: jest.fn(),
+      getTransactionReceipt: jest.fn().mockResolvedValue(null)
+    };
+    nonceManagerService.provider = provider;
+  });
+
+  describe('getNextNonce', () => {
+    it('should use the chain count when nothing is pending', async () => {
+      provider.getTransactionCount.mockResolvedValue(12);
+      PendingTransaction.getHighestPendingNonce.mockResolvedValue(null);
+
+      expect(await nonceManagerService.getNextNonce()).toBe(12);
+      expect(provider.getTransactionCount).toHaveBeenCalledWith(nonceManagerService.address, 'pending');
+    });
+
+    it('should go past transactions the node has not seen yet', async () => {
+      provider.getTransactionCount.mockResolvedValue(12);
+      PendingTransaction.getHighestPendingNonce.mockResolvedValue(14);
+
+      expect(await nonceManagerService.getNextNonce()).toBe(15);
+    });
+
+    it('should follow the chain when it is ahead of the pending records', async () => {
+      provider.getTransactionCount.mockResolvedValue(20);
+      PendingTransaction.getHighestPendingNonce.mockResolvedValue(14);
+
+      expect(await nonceManagerService.getNextNonce()).toBe(20);
+    });
+  });
+
+  describe('capFees', () => {
+    it('should clamp both fees to the configured caps', () => {
+      expect(nonceManagerService.capFees({ maxFeePerGas: gwei(500), maxPriorityFeePerGas: gwei(50) }))
+        .toEqual({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(10) });
+    });
+
+    it('should never let the priority fee exceed the max fee', () => {
+      expect(nonceManagerService.capFees({ maxFeePerGas: gwei(2), maxPriorityFeePerGas: gwei(5) }))
+        .toEqual({ maxFeePerGas: gwei(2), maxPriorityFeePerGas: gwei(2) });
+    });
+
+    it('should leave fees under the caps alone', () => {
+      expect(nonceManagerService.capFees({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) }))
+        .toEqual({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+    });
+  });
+
+  describe('getReplacementFees', () => {
+    const quietNetwork = { maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(1) };
+
+    it('should bump both fees by the configured percentage', () => {
+      expect(nonceManagerService.getReplacementFees(createRecord(), quietNetwork))
+        .toEqual({ maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei('1.2') });
+    });
+
+    it('should follow the network when it has risen past the bump', () => {
+      const busyNetwork = { maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(3) };
+
+      expect(nonceManagerService.getReplacementFees(createRecord(), busyNetwork))
+        .toEqual({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(3) });
+    });
+
+    it('should give up when the caps leave no room for a bump nodes accept', () => {
+      const record = createRecord({ maxFeePerGas: gwei(95).toString(), maxPriorityFeePerGas: gwei(5).toString() });
+
+      expect(nonceManagerService.getReplacementFees(record, quietNetwork)).toBeNull();
+    });
+  });
+
+  describe('refresh', () => {
+    it('should leave settled records alone', async () => {
+      const record = createRecord({ status: 'confirmed' });
+
+      await nonceManagerService.refresh(record);
+
+      expect(provider.getTransactionReceipt).not.toHaveBeenCalled();
+      expect(record.update).not.toHaveBeenCalled();
+    });
+
+    it('should confirm a record mined under one of its replaced hashes', async () => {
+      const record = createRecord({ replacedTxHashes: ['0xfirst', '0xsecond'] });
+      provider.getTransactionReceipt.mockImplementation(async (hash) =>
+        hash === '0xsecond' ? { status: 1, blockNumber: 30 } : null);
+
+      await nonceManagerService.refresh(record);
+
+      expect(record.status).toBe('confirmed');
+      expect(record.minedTxHash).toBe('0xsecond');
+      expect(record.blockNumber).toBe(30);
+    });
+
+    it('should mark a failed receipt as reverted', async () => {
+      const record = createRecord();
+      provider.getTransactionReceipt.mockResolvedValue({ status: 0, blockNumber: 31 });
+
+      await nonceManagerService.refresh(record);
+
+      expect(record.status).toBe('reverted');
+    });
+
+    it('should keep waiting while the nonce is unused', async () => {
+      const record = createRecord();
+      provider.getTransactionCount.mockResolvedValue(7);
+
+      await nonceManagerService.refresh(record);
+
+      expect(provider.getTransactionCount).toHaveBeenCalledWith(record.fromAddress, 'latest');
+      expect(record.status).toBe('pending');
+      expect(record.update).not.toHaveBeenCalled();
+    });
+
+    it('should drop a record whose nonce another transaction consumed', async () => {
+      const record = createRecord();
+      provider.getTransactionCount.mockResolvedValue(8);
+
+      await nonceManagerService.refresh(record);
+
+      expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(2);
+      expect(record.status).toBe('dropped');
+      expect(record.lastError).toMatch('Nonce 7 was consumed');
+    });
+
+    it('should not drop a record mined between the two receipt lookups', async () => {
+      const record = createRecord();
+      provider.getTransactionCount.mockResolvedValue(8);
+      provider.getTransactionReceipt
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ status: 1, blockNumber: 32 });
+
+      await nonceManagerService.refresh(record);
+
+      expect(record.status).toBe('confirmed');
+      expect(record.minedTxHash).toBe('0xlatest');
+    });
+  });
+
+  describe('getTransactionState', () => {
+    it('should report the receipt of the replacement that was mined', async () => {
+      const record = createRecord({ replacedTxHashes: ['0xfirst'] });
+      const receipt = { status: 1, blockNumber: 33 };
+      PendingTransaction.findByHash.mockResolvedValue(record);
+      provider.getTransactionReceipt.mockImplementation(async (hash) => (hash === '0xlatest' ? receipt : null));
+
+      expect(await nonceManagerService.getTransactionState('0xfirst')).toEqual({ status: 'confirmed', receipt });
+    });
+
+    it('should report a dropped transaction without a receipt', async () => {
+      PendingTransaction.findByHash.mockResolvedValue(createRecord());
+      provider.getTransactionCount.mockResolvedValue(8);
+
+      expect(await nonceManagerService.getTransactionState('0xlatest')).toEqual({ status: 'dropped', receipt: null });
+    });
+  });
+
+  describe('findByReference', () => {
+    it('should return the transaction already sent for a reference', async () => {
+      const record = createRecord({ reference: 'mint:abc' });
+      PendingTransaction.findByReference.mockResolvedValue(record);
+
+      expect(await nonceManagerService.findByReference('mint:abc')).toBe(record);
+    });
+
+    it('should not send a second transaction for the same reference', async () => {
+      const record = createRecord({ reference: 'mint:abc' });
+      PendingTransaction.findByReference.mockResolvedValue(record);
+
+      const sent = await nonceManagerService.sendTransaction({ to: '0xcontract', data: '0x', gasLimit: 100000n, reference: 'mint:abc' });
+
+      expect(sent).toBe(record);
+      expect(provider.getTransactionCount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forKey', () => {
+    // Hardhat's second default account
+    const revokerKey = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+    it('should give another key nonces of its own', async () => {
+      const revoker = nonceManagerService.forKey(revokerKey);
+      revoker.provider = provider;
+      provider.getTransactionCount.mockResolvedValue(3);
+      PendingTransaction.getHighestPendingNonce.mockResolvedValue(null);
+
+      expect(revoker.address).toBe(new ethers.Wallet(revokerKey).address);
+      expect(await revoker.getNextNonce()).toBe(3);
+      expect(PendingTransaction.getHighestPendingNonce).toHaveBeenCalledWith(revoker.address);
+    });
+
+    it('should reuse one manager per key', () => {
+      expect(nonceManagerService.forKey(revokerKey)).toBe(nonceManagerService.forKey(revokerKey));
+      expect(nonceManagerService.forKey(process.env.PRIVATE_KEY)).toBe(nonceManagerService);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock('../../models/Badge', () => ({
+  findByTokenId: jest.fn(),
+  findWithTransfersAfter: jest.fn()
+}));
+jest.mock('../../models/IndexerCursor', () => ({
+  load: jest.fn()
+}));
+jest.mock('../../services/claimVoucherService', () => ({
+  applyRedemptionEvent: jest.fn()
+}));
+
+process.env.INDEXER_CONFIRMATIONS = '2';
+process.env.INDEXER_BLOCK_RANGE = '10';
+
+const { ethers } = require('ethers');
+const Badge = require('../../models/Badge');
+const IndexerCursor = require('../../models/IndexerCursor');
+const claimVoucherService = require('../../services/claimVoucherService');
+const transferIndexerService = require('../../services/transferIndexerService');
+
+const DEPLOY_BLOCK = 100;
+const alice = '0x00000000000000000000000000000000000a11ce';
+const bob = '0x0000000000000000000000000000000000000b0b';
+
+/**
+ * Chain stand-in: blocks up to head, with a hash that changes once a block is reorganised,
+ * and logs returned for the block range requested, like queryFilter
+ */
+const createChain = (head) => {
+  const chain = { head, logs: [], reorged: new Set() };
+
+  chain.hashOf = (number) => `0x${chain.reorged.has(number) ? 'b' : 'a'}${number}`;
+  chain.provider = {
+    getBlockNumber: jest.fn(async () => chain.head),
+    getBlock: jest.fn(async (number) => (number <= chain.head ? { number, hash: chain.hashOf(number) } : null))
+  };
+  chain.contract = {
+    filters: { Transfer: () => 'Transfer', VoucherRedeemed: () => 'VoucherRedeemed' },
+    queryFilter: jest.fn(async (name, fromBlock, toBlock) =>
+      chain.logs.filter(log => log.name === name && log.blockNumber >= fromBlock && log.blockNumber <= toBlock))
+  };
+  chain.transfer = (from, to, tokenId, blockNumber, index = 0) => {
+    chain.logs.push({ name: 'Transfer', args: { from, to, tokenId: BigInt(tokenId) }, blockNumber, index, transactionHash: `0xtx${blockNumber}` });
+  };
+
+  return chain;
+};
+
+const createCursor = (lastBlock, lastBlockHash = null) => {
+  const cursor = { lastBlock, lastBlockHash };
+  cursor.update = jest.fn(async (fields) => Object.assign(cursor, fields));
+  return cursor;
+};
+
+const createBadge = (overrides = {}) => {
+  const badge = { tokenId: '5', ownerAddress: alice, blockNumber: 101, isBurned: false, transfers: [], ...overrides };
+  badge.update = jest.fn(async (fields) => Object.assign(badge, fields));
+  badge.addTransferEvent = jest.fn(async (from, to, txHash, { blockNumber }) => {
+    badge.transfers.push({ from, to, blockNumber });
+    badge.ownerAddress = to;
+  });
+  badge.removeTransferEventsAfter = jest.fn(async (blockNumber) => {
+    badge.transfers = badge.transfers.filter(transfer => transfer.blockNumber <= blockNumber);
+    badge.ownerAddress = badge.transfers.length > 0 ? badge.transfers[badge.transfers.length - 1].to : alice;
+    badge.isBurned = badge.ownerAddress === ethers.ZeroAddress;
+  });
+  badge.burn = jest.fn(async () => Object.assign(badge, { isBurned: true }));
+  return badge;
+};
+
+describe('TransferIndexerService', () => {
+  let chain;
+  let cursor;
+  let badge;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    chain = createChain(125);
+    cursor = createCursor(DEPLOY_BLOCK - 1);
+    badge = createBadge();
+
+    transferIndexerService.provider = chain.provider;
+    transferIndexerService.contract = chain.contract;
+    transferIndexerService.deployBlock = DEPLOY_BLOCK;
+
+    IndexerCursor.load.mockImplementation(async () => cursor);
+    Badge.findByTokenId.mockImplementation(async (tokenId) => (tokenId === badge.tokenId ? badge : null));
+    Badge.findWithTransfersAfter.mockImplementation(async (blockNumber) =>
+      (badge.transfers.some(transfer => transfer.blockNumber > blockNumber) ? [badge] : []));
+  });
+
+  const transferRanges = () => chain.contract.queryFilter.mock.calls
+    .filter(([name]) => name === 'Transfer')
+    .map(([, fromBlock, toBlock]) => [fromBlock, toBlock]);
+
+  describe('sync', () => {
+    it('should index confirmed blocks in ranges and move the cursor to the last one', async () => {
+      await transferIndexerService.sync();
+
+      // Head 125 with 2 confirmations, 10 blocks per query
+      expect(transferRanges()).toEqual([[100, 109], [110, 119], [120, 123]]);
+      expect(cursor.lastBlock).toBe(123);
+      expect(cursor.lastBlockHash).toBe(chain.hashOf(123));
+    });
+
+    it('should only query blocks confirmed since the last sync', async () => {
+      await transferIndexerService.sync();
+      chain.contract.queryFilter.mockClear();
+
+      chain.head = 130;
+      await transferIndexerService.sync();
+
+      expect(transferRanges()).toEqual([[124, 128]]);
+    });
+
+    it('should apply voucher redemptions before the transfers of the same range', async () => {
+      const order = [];
+      claimVoucherService.applyRedemptionEvent.mockImplementation(async () => order.push('redemption'));
+      badge.update.mockImplementation(async () => order.push('transfer'));
+      badge.ownerAddress = null;
+
+      chain.logs.push({ name: 'VoucherRedeemed', blockNumber: 101 });
+      chain.transfer(ethers.ZeroAddress, alice, 5, 101);
+
+      await transferIndexerService.sync();
+
+      expect(order).toEqual(['redemption', 'transfer']);
+    });
+  });
+
+  describe('applyTransfer', () => {
+    it('should record the holder of a minted badge that has none yet', async () => {
+      badge.ownerAddress = null;
+      chain.transfer(ethers.ZeroAddress, alice, 5, 101);
+
+      expect(await transferIndexerService.sync()).toBe(1);
+
+      expect(badge.ownerAddress).toBe(alice);
+      expect(badge.addTransferEvent).not.toHaveBeenCalled();
+    });
+
+    it('should record a transfer with its position in the chain', async () => {
+      chain.transfer(alice, bob, 5, 104, 3);
+
+      await transferIndexerService.sync();
+
+      expect(badge.addTransferEvent).toHaveBeenCalledWith(alice, bob, '0xtx104', { blockNumber: 104, logIndex: 3 });
+      expect(badge.ownerAddress).toBe(bob);
+    });
+
+    it('should burn the badge on a transfer to the zero address, once', async () => {
+      chain.transfer(alice, ethers.ZeroAddress, 5, 104);
+
+      await transferIndexerService.sync();
+      await transferIndexerService.backfill(104);
+
+      expect(badge.isBurned).toBe(true);
+      expect(badge.burn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip tokens the backend did not mint', async () => {
+      chain.transfer(alice, bob, 99, 104);
+
+      await transferIndexerService.sync();
+
+      expect(badge.addTransferEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reorganisations', () => {
+    it('should roll back a reorganised transfer and index the new chain', async () => {
+      chain.transfer(alice, bob, 5, 121);
+      await transferIndexerService.sync();
+      expect(badge.ownerAddress).toBe(bob);
+
+      // Blocks 120-123 are replaced: the transfer is now a burn in block 122
+      for (let number = 120; number <= 123; number++) chain.reorged.add(number);
+      chain.logs = [];
+      chain.transfer(alice, ethers.ZeroAddress, 5, 122);
+      chain.contract.queryFilter.mockClear();
+
+      await transferIndexerService.sync();
+
+      // Rewound 2 * confirmations blocks behind the mismatching cursor
+      expect(badge.removeTransferEventsAfter).toHaveBeenCalledWith(119);
+      expect(transferRanges()).toEqual([[120, 123]]);
+      expect(badge.transfers).toEqual([{ from: alice, to: ethers.ZeroAddress, blockNumber: 122 }]);
+      expect(badge.burn).toHaveBeenCalledTimes(1);
+      expect(cursor.lastBlockHash).toBe(chain.hashOf(123));
+    });
+
+    it('should keep transfers from blocks before the rewind point', async () => {
+      chain.transfer(alice, bob, 5, 110);
+      await transferIndexerService.sync();
+
+      chain.reorged.add(123);
+      await transferIndexerService.sync();
+
+      expect(badge.removeTransferEventsAfter).not.toHaveBeenCalled();
+      expect(badge.ownerAddress).toBe(bob);
+    });
+
+    it('should start over from the deployment block when the chain was reset', async () => {
+      await transferIndexerService.sync();
+      chain.head = 50;
+      chain.contract.queryFilter.mockClear();
+
+      await transferIndexerService.sync();
+
+      expect(cursor.lastBlock).toBe(DEPLOY_BLOCK - 1);
+      expect(cursor.lastBlockHash).toBeNull();
+      expect(transferRanges()).toEqual([]);
+    });
+  });
+
+  describe('backfill', () => {
+    it('should re-index from the given block, in ranges', async () => {
+      await transferIndexerService.sync();
+      chain.contract.queryFilter.mockClear();
+
+      await transferIndexerService.backfill(105);
+
+      expect(transferRanges()).toEqual([[105, 114], [115, 123]]);
+      expect(cursor.lastBlock).toBe(123);
+    });
+  });
+});
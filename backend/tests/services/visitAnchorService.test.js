@@ -0,0 +1,168 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/nftService', () => ({
+  contractAddress: '0xcontract',
+  submitVisitRoot: jest.fn(),
+  getVisitRootResult: jest.fn()
+}));
+jest.mock('../../services/nonceManagerService', () => ({
+  findByReference: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const Visit = require('../../models/Visit');
+const VisitBatch = require('../../models/VisitBatch');
+const nftService = require('../../services/nftService');
+const nonceManagerService = require('../../services/nonceManagerService');
+const visitAnchorService = require('../../services/visitAnchorService');
+const { hashUtils } = require('../../utils/hashUtils');
+const { keepModelsInMemory } = require('../helpers/models');
+
+const createRecord = (id) => ({
+  userId: id,
+  nfcTagId: '04A1B2C3',
+  latitude: 45.4642,
+  longitude: 9.19,
+  timestamp: new Date(Date.UTC(2024, 5, 1, 12, id)).toISOString()
+});
+
+describe('VisitAnchorService', () => {
+  let visits;
+  let batches;
+
+  const storeVisit = (id, fields = {}) => {
+    const visit = Visit.build({ id, visitHash: hashUtils.createVisitHash(createRecord(id)), status: 'verified', isVerified: true, ...fields });
+    visits.push(visit);
+    return visit;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keepModelsInMemory(Visit.sequelize);
+    visits = [];
+    batches = [];
+    nonceManagerService.findByReference.mockResolvedValue(null);
+
+    jest.spyOn(Visit, 'findAll').mockImplementation(async () => visits
+      .filter(visit => visit.status === 'verified' && visit.isVerified && visit.batchId == null));
+    jest.spyOn(Visit, 'findByPk').mockImplementation(async (id) => {
+      const visit = visits.find(candidate => candidate.id === id);
+      if (visit) {
+        visit.batch = batches.find(batch => batch.id === visit.batchId) || null;
+      }
+      return visit || null;
+    });
+    jest.spyOn(VisitBatch, 'create').mockImplementation(async (fields) => {
+      const batch = VisitBatch.build({ id: batches.length + 1, ...fields });
+      batches.push(batch);
+      return batch;
+    });
+    jest.spyOn(VisitBatch, 'findAll').mockImplementation(async ({ where }) => batches
+      .filter(batch => where.status[Op.in].includes(batch.status)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store a proof for every visit that leads to the batch root', async () => {
+    [1, 2, 3].forEach(id => storeVisit(id));
+
+    const batch = await visitAnchorService.createBatch();
+
+    expect(batch.leafCount).toBe(3);
+    expect(batch.status).toBe('pending');
+    expect(batch.merkleRoot).toBe(hashUtils.createMerkleRoot(visits.map(visit => visit.visitHash)));
+    visits.forEach((visit, index) => {
+      expect(visit.batchId).toBe(batch.id);
+      expect(visit.merkleLeafIndex).toBe(index);
+      expect(hashUtils.verifyMerkleProof(visit.visitHash, visit.merkleProof, index, batch.merkleRoot, batch.leafCount)).toBe(true);
+    });
+  });
+
+  it('should not create a batch when no visits are waiting', async () => {
+    storeVisit(1, { status: 'flagged', isVerified: false });
+
+    expect(await visitAnchorService.createBatch()).toBeNull();
+    expect(VisitBatch.create).not.toHaveBeenCalled();
+  });
+
+  it('should resume the transaction already sent for a batch', async () => {
+    const batch = VisitBatch.build({ id: 1, merkleRoot: 'ab'.repeat(32), leafCount: 2 });
+    nonceManagerService.findByReference.mockResolvedValue({ txHash: '0xprevious' });
+
+    await visitAnchorService.advanceBatch(batch);
+
+    expect(nonceManagerService.findByReference).toHaveBeenCalledWith(`anchor:${'ab'.repeat(32)}`);
+    expect(nftService.submitVisitRoot).not.toHaveBeenCalled();
+    expect(batch.status).toBe('submitted');
+    expect(batch.txHash).toBe('0xprevious');
+  });
+
+  it('should resend after a reverted transaction', async () => {
+    const batch = VisitBatch.build({ id: 1, merkleRoot: 'ab'.repeat(32), leafCount: 2, status: 'submitted', txHash: '0xsent' });
+    nftService.getVisitRootResult.mockResolvedValue({ status: 'reverted', txHash: '0xsent' });
+
+    await visitAnchorService.advanceBatch(batch);
+
+    expect(batch.status).toBe('pending');
+    expect(batch.txHash).toBeNull();
+    expect(batch.attempts).toBe(1);
+    expect(batch.lastError).toBe('Anchoring transaction 0xsent reverted');
+  });
+
+  it('should give up on a batch after the last attempt', async () => {
+    const batch = VisitBatch.build({ id: 1, merkleRoot: 'ab'.repeat(32), leafCount: 2, attempts: visitAnchorService.maxAttempts - 1 });
+    nftService.submitVisitRoot.mockRejectedValue(new Error('insufficient funds'));
+
+    await visitAnchorService.advanceBatch(batch);
+
+    expect(batch.status).toBe('failed');
+    expect(batch.lastError).toBe('insufficient funds');
+  });
+
+  it('should batch, anchor and prove verified visits across polls', async () => {
+    [1, 2, 3, 4, 5].forEach(id => storeVisit(id));
+    storeVisit(6, { status: 'rejected', isVerified: false });
+    nftService.submitVisitRoot.mockResolvedValue({ txHash: '0xsent' });
+    nftService.getVisitRootResult.mockResolvedValueOnce(null).mockResolvedValueOnce({
+      status: 'confirmed',
+      txHash: '0xsent',
+      blockNumber: 123,
+      anchoredAt: new Date('2024-07-18T10:00:00Z')
+    });
+
+    const batch = await visitAnchorService.createBatch();
+    // Submitted, still unmined, then confirmed
+    await visitAnchorService.advanceBatches();
+    expect(batch.status).toBe('submitted');
+    await visitAnchorService.advanceBatches();
+    expect(batch.status).toBe('submitted');
+    await visitAnchorService.advanceBatches();
+
+    expect(nftService.submitVisitRoot).toHaveBeenCalledTimes(1);
+    expect(nftService.submitVisitRoot).toHaveBeenCalledWith(batch.merkleRoot, 5, { reference: `anchor:${batch.merkleRoot}` });
+    expect(batch.toPublicJSON()).toMatchObject({
+      status: 'anchored',
+      contractAddress: '0xcontract',
+      txHash: '0xsent',
+      blockNumber: 123,
+      anchoredAt: new Date('2024-07-18T10:00:00Z')
+    });
+    expect(await VisitBatch.findUnanchored()).toEqual([]);
+    // Every verified visit is in the batch, so the next one has nothing to take
+    expect(await visitAnchorService.createBatch()).toBeNull();
+
+    for (const id of [1, 2, 3, 4, 5]) {
+      const proof = await visitAnchorService.getVisitProof(id);
+
+      expect(proof).toMatchObject({ visitId: id, leafIndex: id - 1, merkleRoot: batch.merkleRoot, anchored: true });
+      expect(proof.batch.txHash).toBe('0xsent');
+      // A verifier holding only the visit record can check it against the anchored root
+      const leaf = hashUtils.createVisitHash(createRecord(id));
+      expect(hashUtils.verifyMerkleProof(leaf, proof.proof, proof.leafIndex, proof.merkleRoot, proof.batch.leafCount)).toBe(true);
+    }
+
+    const rejected = await visitAnchorService.getVisitProof(6);
+    expect(rejected).toMatchObject({ visitId: 6, proof: null, merkleRoot: null, anchored: false, batch: null });
+  });
+});
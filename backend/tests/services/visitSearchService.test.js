@@ -0,0 +1,129 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+jest.mock('../../services/faissService', () => ({
+  createQueryVector: jest.fn(),
+  searchVisitIds: jest.fn()
+}));
+
+const faissService = require('../../services/faissService');
+const Visit = require('../../models/Visit');
+const visitSearchService = require('../../services/visitSearchService');
+
+const createVisit = (fields) => ({
+  userId: 1,
+  ...fields,
+  get: (key) => fields[key],
+  toJSON: () => ({ userId: 1, ...fields }),
+  toPublicJSON: () => ({ id: fields.id })
+});
+
+describe('VisitSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreVisit', () => {
+    it('should combine text, semantic and distance signals', () => {
+      const visit = createVisit({ id: 1, distanceMeters: 5000, textScore: 0.5 });
+
+      const result = visitSearchService.scoreVisit(visit, { lat: 45.46, lng: 9.19, radiusKm: 10 }, 1, {
+        textScore: 0.5,
+        semanticScore: 1
+      });
+
+      // (0.4 * 0.5 + 0.4 * 1 + 0.2 * 0.5) / 1
+      expect(result.score).toBeCloseTo(0.7);
+      expect(result.distanceKm).toBe(5);
+      expect(result.isOwn).toBe(true);
+      expect(result.visit).toEqual({ userId: 1, id: 1 });
+    });
+
+    it('should leave out signals that do not apply', () => {
+      const visit = createVisit({ id: 2, userId: 2 });
+
+      const result = visitSearchService.scoreVisit(visit, {}, 1, { textScore: 0.6, semanticScore: null });
+
+      expect(result.score).toBeCloseTo(0.6);
+      expect(result.distanceKm).toBeNull();
+      expect(result.isOwn).toBe(false);
+    });
+
+    it('should only return the public fields of other users\' visits', () => {
+      const fields = { locationName: 'Duomo', latitude: 45.4642, longitude: 9.19, timestamp: new Date() };
+      const own = Visit.build({ id: 3, userId: 1, nfcTagId: '04A1B2C3', ...fields });
+      const other = Visit.build({ id: 4, userId: 2, nfcTagId: '04D4E5F6', ...fields });
+
+      const ownResult = visitSearchService.scoreVisit(own, {}, 1, { textScore: 1, semanticScore: null });
+      const otherResult = visitSearchService.scoreVisit(other, {}, 1, { textScore: 1, semanticScore: null });
+
+      expect(ownResult.visit).toMatchObject({ userId: 1, nfcTagId: '04A1B2C3' });
+      expect(otherResult.visit).toMatchObject({ id: 4, locationName: 'Duomo' });
+      expect(otherResult.visit).not.toHaveProperty('nfcTagId');
+      expect(otherResult.visit).not.toHaveProperty('userId');
+    });
+  });
+
+  describe('search', () => {
+    const transaction = { id: 'search' };
+
+    beforeEach(() => {
+      jest.spyOn(Visit.sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+      jest.spyOn(Visit.sequelize, 'query').mockResolvedValue([]);
+      jest.spyOn(Visit, 'findAll').mockResolvedValue([]);
+      faissService.createQueryVector.mockRejectedValue(new Error('No index'));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // WHERE clause of the text candidate query, as Postgres receives it
+    const textMatchSql = () => Visit.queryGenerator.whereQuery(Visit.findAll.mock.calls[0][0].where, { model: Visit });
+
+    it('should match text with the operators the trigram indexes serve', async () => {
+      await visitSearchService.search({ q: 'duomo' }, 1);
+
+      const sql = textMatchSql();
+      expect(sql).toContain(`'duomo' <% "Visit"."locationName"`);
+      expect(sql).toContain(`'duomo' <% "Visit"."description"`);
+    });
+
+    it('should apply the text threshold to the same transaction as the query', async () => {
+      await visitSearchService.search({ q: 'duomo' }, 1);
+
+      expect(Visit.sequelize.query).toHaveBeenCalledWith(expect.stringContaining('pg_trgm.word_similarity_threshold'), {
+        replacements: { threshold: String(visitSearchService.textThreshold) },
+        transaction
+      });
+      expect(Visit.findAll.mock.calls[0][0].transaction).toBe(transaction);
+    });
+
+    it('should escape the query in the operator conditions', async () => {
+      await visitSearchService.search({ q: "caffe' OR 1=1 --" }, 1);
+
+      expect(textMatchSql()).toContain(`'caffe'' OR 1=1 --' <% "Visit"."locationName"`);
+    });
+  });
+
+  describe('findSemanticCandidates', () => {
+    it('should map visit IDs to similarity', async () => {
+      faissService.createQueryVector.mockResolvedValue([0.1, 0.2]);
+      faissService.searchVisitIds.mockResolvedValue([
+        { visitId: 7, similarity: 0.9 },
+        { visitId: 3, similarity: 0.4 }
+      ]);
+
+      const hits = await visitSearchService.findSemanticCandidates('cafés');
+
+      expect(faissService.searchVisitIds).toHaveBeenCalledWith([0.1, 0.2], visitSearchService.semanticCandidates);
+      expect([...hits.entries()]).toEqual([[7, 0.9], [3, 0.4]]);
+    });
+
+    it('should fall back to text search when the index is unavailable', async () => {
+      faissService.createQueryVector.mockRejectedValue(new Error('Failed to create query vector'));
+
+      const hits = await visitSearchService.findSemanticCandidates('cafés');
+
+      expect(hits).toBeNull();
+    });
+  });
+});
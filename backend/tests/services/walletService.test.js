@@ -0,0 +1,203 @@
+jest.mock('../../config/db', () => require('../helpers/models').createTestDb());
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.SIWE_URI = 'https://polp.app';
+
+const { ethers } = require('ethers');
+const walletService = require('../../services/walletService');
+const AuthNonce = require('../../models/AuthNonce');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const authController = require('../../controllers/authController');
+const { getCurrentNetwork } = require('../../config/web3');
+const { keepModelsInMemory } = require('../helpers/models');
+const { createRes } = require('../helpers/http');
+
+// Hardhat's first default account
+const wallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const createMessage = (overrides = {}) => walletService.createSiweMessage({
+  domain: 'polp.app',
+  address: wallet.address,
+  statement: 'Sign in to POLP with your wallet.',
+  uri: 'https://polp.app',
+  chainId: getCurrentNetwork().chainId,
+  nonce: 'a1b2c3d4e5f60718',
+  issuedAt: minutesFromNow(0),
+  ...overrides
+});
+
+const expected = (overrides = {}) => ({
+  domain: 'polp.app',
+  uri: 'https://polp.app',
+  chainId: getCurrentNetwork().chainId,
+  walletAddress: wallet.address,
+  maxAgeMs: 10 * 60 * 1000,
+  ...overrides
+});
+
+const validate = (messageOverrides = {}, expectedOverrides = {}) =>
+  walletService.validateSiweMessage(walletService.parseSiweMessage(createMessage(messageOverrides)), expected(expectedOverrides));
+
+describe('WalletService', () => {
+  describe('parseSiweMessage', () => {
+    it('should read back every field of a message it created', () => {
+      const expirationTime = minutesFromNow(5);
+
+      expect(walletService.parseSiweMessage(createMessage({ expirationTime }))).toEqual({
+        domain: 'polp.app',
+        address: wallet.address,
+        statement: 'Sign in to POLP with your wallet.',
+        uri: 'https://polp.app',
+        version: '1',
+        chainId: getCurrentNetwork().chainId,
+        nonce: 'a1b2c3d4e5f60718',
+        issuedAt: expect.any(String),
+        expirationTime
+      });
+    });
+
+    it('should accept a message without a statement', () => {
+      expect(walletService.parseSiweMessage(createMessage({ statement: null })).statement).toBeNull();
+    });
+
+    it('should read optional fields and resources', () => {
+      const message = `${createMessage()}\nNot Before: ${minutesFromNow(0)}\nRequest ID: login-1\nResources:\n- https://polp.app/terms`;
+
+      expect(walletService.parseSiweMessage(message)).toMatchObject({
+        requestId: 'login-1',
+        resources: ['https://polp.app/terms']
+      });
+    });
+
+    it.each([
+      ['an empty message', () => ''],
+      ['a plain-text message', () => 'Please sign this message to log in'],
+      ['a header without the sign-in sentence', () => createMessage().replace('wants you to sign in', 'asks you to log in')],
+      ['a malformed address', () => createMessage().replace(wallet.address, '0x1234')],
+      ['a missing blank line after the address', () => createMessage().replace(`${wallet.address}\n\n`, `${wallet.address}\n`)],
+      ['a statement over two lines', () => createMessage({ statement: 'Sign in\nto POLP' })],
+      ['an unknown field', () => `${createMessage()}\nSession: 42`],
+      ['a repeated field', () => `${createMessage()}\nNonce: ffffffffffffffff`],
+      ['a line without a label', () => `${createMessage()}\njust text`],
+      ['a missing nonce', () => createMessage().replace(/\nNonce: .*/, '')],
+      ['a missing chain ID', () => createMessage().replace(/\nChain ID: .*/, '')]
+    ])('should reject %s', (label, message) => {
+      expect(walletService.parseSiweMessage(message())).toBeNull();
+    });
+  });
+
+  describe('validateSiweMessage', () => {
+    it('should accept a message for this server, chain and wallet', () => {
+      expect(validate()).toBeNull();
+    });
+
+    it('should compare the wallet address case-insensitively', () => {
+      expect(validate({}, { walletAddress: wallet.address.toLowerCase() })).toBeNull();
+    });
+
+    it('should reject a message for another domain', () => {
+      expect(validate({ domain: 'evil.example' })).toBe('Message domain does not match');
+    });
+
+    it('should reject a message for another origin', () => {
+      expect(validate({ uri: 'https://evil.example/login' })).toBe('Message URI does not match');
+      expect(validate({ uri: 'http://polp.app' })).toBe('Message URI does not match');
+    });
+
+    it('should accept another path on the same origin', () => {
+      expect(validate({ uri: 'https://polp.app/login' })).toBeNull();
+    });
+
+    it('should reject a URI that is not a URL', () => {
+      expect(validate({ uri: 'polp' })).toBe('Message URI is invalid');
+    });
+
+    it('should reject a message for another chain', () => {
+      expect(validate({ chainId: 1 })).toBe('Message chain ID does not match');
+    });
+
+    it('should reject a message signed in for another wallet', () => {
+      expect(validate({}, { walletAddress: ethers.Wallet.createRandom().address })).toBe('Message address does not match wallet');
+    });
+
+    it('should reject a message issued too long ago or in the future', () => {
+      expect(validate({ issuedAt: minutesFromNow(-11) })).toBe('Message issued-at time is invalid');
+      expect(validate({ issuedAt: minutesFromNow(2) })).toBe('Message issued-at time is invalid');
+      expect(validate({ issuedAt: 'yesterday' })).toBe('Message issued-at time is invalid');
+    });
+
+    it('should tolerate clock skew on the issued-at time', () => {
+      expect(validate({ issuedAt: minutesFromNow(0.5) })).toBeNull();
+    });
+
+    it('should reject an expired message', () => {
+      expect(validate({ issuedAt: minutesFromNow(-5), expirationTime: minutesFromNow(-1) })).toBe('Message has expired');
+      expect(validate({ expirationTime: 'never' })).toBe('Message has expired');
+    });
+
+    it('should reject a message that is not valid yet', () => {
+      const siwe = { ...walletService.parseSiweMessage(createMessage()), notBefore: minutesFromNow(5) };
+
+      expect(walletService.validateSiweMessage(siwe, expected())).toBe('Message is not yet valid');
+      expect(walletService.validateSiweMessage({ ...siwe, notBefore: minutesFromNow(0) }, expected())).toBeNull();
+    });
+  });
+
+  describe('sign-in', () => {
+    let usedNonces;
+
+    const login = async (message) => {
+      const res = createRes();
+      await authController.login({
+        body: { walletAddress: wallet.address, signature: await wallet.signMessage(message), message },
+        get: () => 'jest',
+        ip: '127.0.0.1'
+      }, res);
+      return res;
+    };
+
+    beforeEach(() => {
+      usedNonces = new Set();
+
+      // Same outcome as the conditional UPDATE: only an unused nonce matches
+      jest.spyOn(AuthNonce, 'update').mockImplementation(async (fields, { where }) => {
+        if (where.usedAt !== null || usedNonces.has(where.nonce)) return [0];
+        usedNonces.add(where.nonce);
+        return [1];
+      });
+      keepModelsInMemory(User.sequelize);
+      jest.spyOn(User, 'findOne').mockImplementation(async () =>
+        User.build({ id: 1, walletAddress: wallet.address.toLowerCase(), role: 'user', isActive: true }));
+      jest.spyOn(Session, 'start').mockResolvedValue({ session: { id: 'session-1' }, refreshToken: 'refresh' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should sign in with a fresh nonce', async () => {
+      expect((await login(createMessage())).status).toHaveBeenCalledWith(200);
+      expect(usedNonces).toEqual(new Set(['a1b2c3d4e5f60718']));
+    });
+
+    it('should reject a second sign-in with the same nonce', async () => {
+      const message = createMessage();
+      await login(message);
+
+      const res = await login(message);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toBe('Nonce is unknown, expired or already used');
+    });
+
+    it('should not burn the nonce of a message it rejects', async () => {
+      await login(createMessage({ chainId: 1 }));
+
+      expect(AuthNonce.update).not.toHaveBeenCalled();
+      expect((await login(createMessage())).status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// Earth radius used by geolib, hence by gpsService.calculateDistance
+const GEOLIB_EARTH_RADIUS = 6378137;
+
+// Sphere radius PostGIS uses for geography calculations with use_spheroid = false
+const POSTGIS_SPHERE_RADIUS = 6371008.7714;
+
+/**
+ * SQL builders for the PostGIS `geog` columns of visits and locations.
+ *
+ * Radius filters run in two steps: ST_DWithin on the GiST index selects candidates on
+ * PostGIS's sphere, then the exact check repeats gpsService.calculateDistance in SQL,
+ * so a point is inside the radius in the database exactly when it is inside it in the app.
+ */
+class GeoUtils {
+
+  /**
+   * Geography point for a coordinate pair
+   * @param {object} sequelize - Sequelize instance (for escaping)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {string} - SQL expression
+   */
+  pointSql(sequelize, lat, lng) {
+    return `ST_SetSRID(ST_MakePoint(${sequelize.escape(Number(lng))}, ${sequelize.escape(Number(lat))}), 4326)::geography`;
+  }
+
+  /**
+   * Distance in meters from a point to each row, computed as gpsService.calculateDistance does
+   * (spherical law of cosines on geolib's earth radius, operands in geolib's order, rounded half up like Math.round)
+   * @param {object} sequelize - Sequelize instance
+   * @param {string} alias - Table alias of the queried model (e.g. "Visit")
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {object} - Sequelize literal
+   */
+  distanceMeters(sequelize, alias, lat, lng) {
+    const fromLat = `radians(${sequelize.escape(Number(lat))})`;
+    const toLat = `radians("${alias}"."latitude")`;
+    const deltaLon = `radians(${sequelize.escape(Number(lng))} - "${alias}"."longitude")`;
+
+    return sequelize.literal(
+      `floor(acos(LEAST(1, GREATEST(-1, ` +
+      `sin(${toLat}) * sin(${fromLat}) + cos(${toLat}) * cos(${fromLat}) * cos(${deltaLon})))) * ${GEOLIB_EARTH_RADIUS} + 0.5)`
+    );
+  }
+
+  /**
+   * Radius searched on the PostGIS sphere so no row within radiusMeters (after rounding) is missed
+   * @param {number} radiusMeters - Radius as measured by gpsService.calculateDistance
+   * @returns {number} - Radius on the PostGIS sphere, in meters
+   */
+  sphereRadius(radiusMeters) {
+    // Both are great-circle distances, so they differ only by the ratio of the radii
+    return (radiusMeters + 1) * POSTGIS_SPHERE_RADIUS / GEOLIB_EARTH_RADIUS;
+  }
+
+  /**
+   * Condition matching rows within radiusMeters of a point
+   * @param {object} sequelize - Sequelize instance
+   * @param {string} alias - Table alias of the queried model
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radiusMeters - Radius in meters
+   * @returns {object} - Sequelize where condition
+   */
+  withinRadius(sequelize, alias, lat, lng, radiusMeters) {
+    const { Op } = sequelize.Sequelize;
+
+    return {
+      [Op.and]: [
+        sequelize.literal(`ST_DWithin("${alias}"."geog", ${this.pointSql(sequelize, lat, lng)}, ${this.sphereRadius(radiusMeters)}, false)`),
+        sequelize.where(this.distanceMeters(sequelize, alias, lat, lng), Op.lte, radiusMeters)
+      ]
+    };
+  }
+
+  /**
+   * Order rows nearest first using the GiST index (KNN)
+   * @param {object} sequelize - Sequelize instance
+   * @param {string} alias - Table alias of the queried model
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Array} - Sequelize order item
+   */
+  nearestFirst(sequelize, alias, lat, lng) {
+    // Sphere distance is proportional to the app's distance, so the order is the same
+    return [sequelize.literal(`"${alias}"."geog" <-> ${this.pointSql(sequelize, lat, lng)}`), 'ASC'];
+  }
+}
+
+module.exports = {
+  geoUtils: new GeoUtils(),
+  GEOLIB_EARTH_RADIUS,
+  POSTGIS_SPHERE_RADIUS
+};
@@ -236,6 +236,115 @@ class HashUtils {
     }
   }
 
+  /**
+   * Build every level of the merkle tree used by createMerkleRoot
+   * @param {Array} hashes - Array of hash strings (the leaves, in order)
+   * @returns {Array} - Levels from the leaves up to [root]
+   */
+  createMerkleTree(hashes) {
+    try {
+      if (!hashes || hashes.length === 0) {
+        throw new Error('No hashes provided');
+      }
+
+      const levels = [[...hashes]];
+
+      while (levels[levels.length - 1].length > 1) {
+        const currentLevel = levels[levels.length - 1];
+        const nextLevel = [];
+
+        for (let i = 0; i < currentLevel.length; i += 2) {
+          const left = currentLevel[i];
+          const right = currentLevel[i + 1] || left; // Duplicate last element if odd number
+
+          nextLevel.push(crypto.createHash('sha256').update(left + right, 'hex').digest('hex'));
+        }
+
+        levels.push(nextLevel);
+      }
+
+      return levels;
+    } catch (error) {
+      throw new Error(`Failed to create merkle tree: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the inclusion proof of one leaf
+   * @param {Array} levels - Tree from createMerkleTree
+   * @param {number} index - Position of the leaf to prove
+   * @returns {Array} - Sibling hashes from the leaf level up to the root
+   */
+  createMerkleProof(levels, index) {
+    try {
+      if (!Number.isInteger(index) || index < 0 || index >= levels[0].length) {
+        throw new Error(`Leaf index ${index} out of range`);
+      }
+
+      const proof = [];
+      let position = index;
+
+      for (const level of levels.slice(0, -1)) {
+        const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+        proof.push(level[siblingIndex] || level[position]);
+        position = Math.floor(position / 2);
+      }
+
+      return proof;
+    } catch (error) {
+      throw new Error(`Failed to create merkle proof: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of levels between the leaves and the root of a tree from createMerkleTree
+   * @param {number} leafCount - Number of leaves
+   * @returns {number} - Length of every proof in that tree
+   */
+  getMerkleDepth(leafCount) {
+    let depth = 0;
+    while (2 ** depth < leafCount) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Verify a leaf against a merkle root, as POLPBadge.verifyVisitProof does. Leaves and
+   * inner nodes hash alike, so the leaf must sit inside the tree and the proof must be
+   * exactly as long as the tree is deep.
+   * @param {string} leaf - Leaf hash
+   * @param {Array} proof - Sibling hashes from createMerkleProof
+   * @param {number} index - Position of the leaf in the tree
+   * @param {string} root - Expected merkle root
+   * @param {number} leafCount - Number of leaves in the tree
+   * @returns {boolean} - True if the proof leads to the root
+   */
+  verifyMerkleProof(leaf, proof, index, root, leafCount) {
+    try {
+      if (!Number.isInteger(index) || index < 0 || index >= leafCount) {
+        return false;
+      }
+      if (!Array.isArray(proof) || proof.length !== this.getMerkleDepth(leafCount)) {
+        return false;
+      }
+
+      let computed = leaf;
+      let position = index;
+
+      // The leaf's position decides, level by level, which side its sibling is on
+      for (const sibling of proof) {
+        const combined = position % 2 === 0 ? computed + sibling : sibling + computed;
+        computed = crypto.createHash('sha256').update(combined, 'hex').digest('hex');
+        position = Math.floor(position / 2);
+      }
+
+      return computed === root;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Create checksum for data validation
    * @param {string|Buffer} data - Data to checksum
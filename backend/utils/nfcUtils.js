@@ -0,0 +1,14 @@
+/**
+ * Canonical form of an NFC tag identifier: uppercase, without separators.
+ *
+ * Web NFC reports serial numbers as colon-separated bytes ("04:a1:b2:..."), while SUN
+ * messages and the secure tag registry carry bare hex ("04A1B2..."). Every tag ID is
+ * normalised before it is stored or looked up, so both forms resolve to the same tag.
+ * @param {string} tagId - Tag identifier as read or entered
+ * @returns {string} - Normalised tag identifier
+ */
+const normalizeTagId = (tagId) => String(tagId || '').trim().replace(/:/g, '').toUpperCase();
+
+module.exports = {
+  normalizeTagId
+};
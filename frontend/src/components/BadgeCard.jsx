@@ -1,11 +1,13 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import { format } from '../lib/format';
 
 const BadgeCard = ({ 
   badge, 
   onClaim, 
   onView, 
+  onTransfer,
   showActions = true, 
   size = 'medium',
   variant = 'default' 
@@ -25,6 +27,9 @@ const BadgeCard = ({
     }
   };
 
+  // Soulbound (ERC-5192 locked) badges stay with the wallet that earned them
+  const canTransfer = !!onTransfer && !badge.isSoulbound;
+
   const sizeClasses = {
     small: 'w-48 h-60',
     medium: 'w-64 h-80',
@@ -89,6 +94,21 @@ const BadgeCard = ({
           )}
         </div>
 
+        {/* Soulbound Indicator */}
+        {badge.isSoulbound && (
+          <div className="absolute bottom-3 right-3">
+            <div
+              className="bg-gray-900 bg-opacity-75 text-white px-2 py-1 rounded-full text-xs font-medium flex items-center"
+              title="This badge is bound to your wallet and cannot be transferred"
+            >
+              <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+              </svg>
+              Soulbound
+            </div>
+          </div>
+        )}
+
         {/* Rarity Indicator */}
         {badge.rarity && (
           <div className="absolute top-3 left-3">
@@ -148,6 +168,18 @@ const BadgeCard = ({
                 </button>
               )}
               
+              {canTransfer && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onTransfer(badge);
+                  }}
+                  className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs py-2 px-3 rounded-lg font-medium transition-colors"
+                >
+                  Transfer
+                </button>
+              )}
+
               <button
                 onClick={(e) => {
                   e.stopPropagation();
@@ -157,6 +189,16 @@ const BadgeCard = ({
               >
                 View
               </button>
+
+              {badge.tokenId != null && (
+                <Link
+                  to={`/verify/${badge.tokenId}`}
+                  onClick={(e) => e.stopPropagation()}
+                  className="flex-1 text-center bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs py-2 px-3 rounded-lg font-medium transition-colors"
+                >
+                  Verify
+                </Link>
+              )}
             </div>
           )}
         </div>
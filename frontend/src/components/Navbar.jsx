@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { Link, useNavigate } from 'react-router-dom';
-import { selectIsAuthenticated, selectWalletAddress, selectUsername, logoutUser } from '../features/user/userSlice';
+import { selectIsAuthenticated, selectWalletAddress, selectUsername, selectHasRole, logoutUser } from '../features/user/userSlice';
 import { formatWalletAddress } from '../lib/format';
 import useWallet from '../hooks/useWallet';
 
@@ -11,6 +11,7 @@ const Navbar = () => {
   const isAuthenticated = useSelector(selectIsAuthenticated);
   const walletAddress = useSelector(selectWalletAddress);
   const username = useSelector(selectUsername);
+  const canModerate = useSelector(selectHasRole('moderator'));
   const { disconnect } = useWallet();
   
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -72,6 +73,14 @@ const Navbar = () => {
                   >
                     Claim Badge
                   </Link>
+                  {canModerate && (
+                    <Link
+                      to="/admin/moderation"
+                      className="text-gray-500 hover:text-gray-900 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                    >
+                      Moderation
+                    </Link>
+                  )}
                 </>
               )}
             </div>
@@ -189,6 +198,15 @@ const Navbar = () => {
                   >
                     Claim Badge
                   </Link>
+                  {canModerate && (
+                    <Link
+                      to="/admin/moderation"
+                      className="text-gray-500 hover:text-gray-900 block px-3 py-2 rounded-md text-base font-medium"
+                      onClick={() => setIsMenuOpen(false)}
+                    >
+                      Moderation
+                    </Link>
+                  )}
                   
                   <div className="border-t border-gray-200 pt-4 pb-3">
                     <div className="flex items-center px-3">
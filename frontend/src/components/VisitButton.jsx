@@ -1,43 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { motion } from 'framer-motion';
-import { useNFC } from '../hooks/useNFC';
-import { useGeolocation } from '../hooks/useGeolocation';
-import { useWallet } from '../hooks/useWallet';
-import { startVisit, setNFCData, setGPSData, submitVisit } from '../features/visits/visitSlice';
+import useNFC from '../hooks/useNFC';
+import useGeolocation from '../hooks/useGeolocation';
+import useWallet from '../hooks/useWallet';
+import { setVisitInProgress, setNFCData, setGPSData, createVisit } from '../features/visits/visitSlice';
 import Loader from './Loader';
 
-const VisitButton = ({ onVisitComplete, disabled = false, className = '' }) => {
+const VisitButton = ({ onVisitComplete, disabled = false, isPublic = false, className = '' }) => {
   const dispatch = useDispatch();
-  const { isConnected } = useWallet();
-  const { visitInProgress, isSubmitting } = useSelector(state => state.visits);
+  const { isConnected, signVisit } = useWallet();
+  const { visitInProgress, createLoading: isSubmitting } = useSelector(state => state.visits);
   
-  const [visitState, setVisitState] = useState('idle'); // idle, nfc, gps, submitting, complete, error
+  const [visitState, setVisitState] = useState('idle'); // idle, nfc, gps, signing, submitting, complete, error
   const [error, setError] = useState(null);
   
-  const { scanNFC, isSupported: nfcSupported, isScanning: nfcScanning } = useNFC({
-    onSuccess: (nfcData) => {
-      dispatch(setNFCData(nfcData));
-      setVisitState('gps');
-      getCurrentLocation();
-    },
-    onError: (error) => {
-      setError(`NFC Error: ${error.message}`);
-      setVisitState('error');
-    }
-  });
-
-  const { getCurrentLocation, isGettingLocation } = useGeolocation({
-    onSuccess: (gpsData) => {
-      dispatch(setGPSData(gpsData));
-      setVisitState('submitting');
-      handleSubmitVisit();
-    },
-    onError: (error) => {
-      setError(`GPS Error: ${error.message}`);
-      setVisitState('error');
-    }
-  });
+  const { startReading, isSupported: nfcSupported, isReading: nfcScanning } = useNFC();
+  const { getCurrentPosition, loading: isGettingLocation } = useGeolocation();
 
   const handleStartVisit = async () => {
     if (!isConnected) {
@@ -47,32 +26,65 @@ const VisitButton = ({ onVisitComplete, disabled = false, className = '' }) => {
 
     setError(null);
     setVisitState('nfc');
-    dispatch(startVisit());
+    dispatch(setVisitInProgress({}));
     
+    let step = 'NFC';
     try {
-      await scanNFC();
+      const nfcData = await startReading();
+      dispatch(setNFCData(nfcData));
+
+      step = 'GPS';
+      setVisitState('gps');
+      const gpsData = await getCurrentPosition();
+      dispatch(setGPSData(gpsData));
+
+      step = 'Submission';
+      await handleSubmitVisit(nfcData, gpsData);
     } catch (error) {
-      setError(`Failed to scan NFC: ${error.message}`);
+      setError(`${step} Error: ${error.message}`);
       setVisitState('error');
     }
   };
 
-  const handleSubmitVisit = async () => {
-    try {
-      const resultAction = await dispatch(submitVisit());
-      
-      if (submitVisit.fulfilled.match(resultAction)) {
-        setVisitState('complete');
-        setTimeout(() => {
-          setVisitState('idle');
-          onVisitComplete && onVisitComplete(resultAction.payload);
-        }, 2000);
-      } else {
-        throw new Error(resultAction.payload?.message || 'Visit submission failed');
+  const handleSubmitVisit = async (nfcData, gpsData) => {
+    const timestamp = new Date().toISOString();
+    const visitPayload = {
+      nfcTagId: nfcData.tagId,
+      latitude: gpsData.latitude,
+      longitude: gpsData.longitude,
+      timestamp
+    };
+
+    // The backend rejects visits whose EIP-712 signature does not recover to the logged-in wallet
+    setVisitState('signing');
+    const signature = await signVisit(visitPayload);
+
+    setVisitState('submitting');
+    const resultAction = await dispatch(createVisit({
+      ...visitPayload,
+      ...(nfcData.sun && { sun: nfcData.sun }),
+      signature,
+      isPublic,
+      // Unsigned context used by the server's anti-fraud checks
+      accuracy: gpsData.accuracy,
+      altitude: gpsData.altitude,
+      speed: gpsData.speed,
+      heading: gpsData.heading,
+      deviceInfo: {
+        platform: navigator.platform,
+        language: navigator.language,
+        positionTimestamp: gpsData.formattedTimestamp
       }
-    } catch (error) {
-      setError(`Submission Error: ${error.message}`);
-      setVisitState('error');
+    }));
+    
+    if (createVisit.fulfilled.match(resultAction)) {
+      setVisitState('complete');
+      setTimeout(() => {
+        setVisitState('idle');
+        onVisitComplete && onVisitComplete(resultAction.payload);
+      }, 2000);
+    } else {
+      throw new Error(resultAction.payload?.message || 'Visit submission failed');
     }
   };
 
@@ -107,6 +119,18 @@ const VisitButton = ({ onVisitComplete, disabled = false, className = '' }) => {
           pulse: false
         };
       
+      case 'signing':
+        return {
+          text: 'Sign Visit in Wallet',
+          icon: (
+            <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+              <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+            </svg>
+          ),
+          loading: false,
+          pulse: true
+        };
+      
       case 'submitting':
         return {
           text: 'Submitting Visit',
@@ -169,6 +193,7 @@ const VisitButton = ({ onVisitComplete, disabled = false, className = '' }) => {
         return 'bg-red-500 hover:bg-red-600 border-red-500';
       case 'nfc':
       case 'gps':
+      case 'signing':
       case 'submitting':
         return 'bg-blue-500 hover:bg-blue-600 border-blue-500';
       default:
@@ -272,7 +297,7 @@ const VisitButton = ({ onVisitComplete, disabled = false, className = '' }) => {
             <div className="flex items-center justify-between">
               <span className="text-sm text-blue-700">GPS Location</span>
               <div className="flex items-center space-x-1">
-                {visitInProgress.coordinates ? (
+                {visitInProgress.latitude !== undefined ? (
                   <>
                     <svg className="w-4 h-4 text-green-500" fill="currentColor" viewBox="0 0 20 20">
                       <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
@@ -0,0 +1,183 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../lib/apiClient';
+
+// Initial state
+const initialState = {
+  // Moderation queue
+  status: 'flagged',
+  visits: [],
+  totalCount: 0,
+  hasMore: false,
+  counts: {
+    pending: 0,
+    flagged: 0,
+    verified: 0,
+    rejected: 0
+  },
+  selectedIds: [],
+
+  // Visit under review
+  reviewVisit: null,
+
+  // Loading states
+  loading: false,
+  reviewLoading: false,
+  moderating: false,
+
+  // Error states
+  error: null,
+  reviewError: null,
+  moderationError: null,
+
+  // Outcome of the last bulk decision
+  lastResult: null
+};
+
+// Async thunks
+
+// Get visits in a moderation status
+export const getModerationQueue = createAsyncThunk(
+  'admin/getQueue',
+  async ({ status = 'flagged', limit = 50, offset = 0 } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.admin.getVisits({ status, limit, offset });
+      return { ...response.data, status, offset };
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
+// Get one visit with its IPFS record and audit trail
+export const getVisitForReview = createAsyncThunk(
+  'admin/getVisit',
+  async (visitId, { rejectWithValue }) => {
+    try {
+      const response = await api.admin.getVisit(visitId);
+      return response.data.visit;
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
+// Approve, reject or flag visits in bulk
+export const moderateVisits = createAsyncThunk(
+  'admin/moderate',
+  async ({ visitIds, action, notes }, { rejectWithValue }) => {
+    try {
+      const response = await api.admin.moderateVisits(visitIds, action, notes || undefined);
+      return response.data;
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
+// Admin slice
+const adminSlice = createSlice({
+  name: 'admin',
+  initialState,
+  reducers: {
+    // Toggle a visit in the bulk selection
+    toggleVisitSelection: (state, action) => {
+      const visitId = action.payload;
+      state.selectedIds = state.selectedIds.includes(visitId)
+        ? state.selectedIds.filter(id => id !== visitId)
+        : [...state.selectedIds, visitId];
+    },
+
+    // Select every visit on the page, or none
+    setVisitSelection: (state, action) => {
+      state.selectedIds = action.payload;
+    },
+
+    // Close the review panel
+    clearReviewVisit: (state) => {
+      state.reviewVisit = null;
+      state.reviewError = null;
+    },
+
+    // Clear errors
+    clearModerationError: (state) => {
+      state.moderationError = null;
+    }
+  },
+  extraReducers: (builder) => {
+    // Get moderation queue
+    builder
+      .addCase(getModerationQueue.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getModerationQueue.fulfilled, (state, action) => {
+        const { visits, totalCount, hasMore, counts, status, offset } = action.payload;
+        state.loading = false;
+        state.status = status;
+        state.visits = offset === 0 ? visits : [...state.visits, ...visits];
+        state.totalCount = totalCount;
+        state.hasMore = hasMore;
+        state.counts = counts;
+        if (offset === 0) state.selectedIds = [];
+      })
+      .addCase(getModerationQueue.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Failed to load moderation queue';
+      });
+
+    // Get visit for review
+    builder
+      .addCase(getVisitForReview.pending, (state) => {
+        state.reviewLoading = true;
+        state.reviewError = null;
+      })
+      .addCase(getVisitForReview.fulfilled, (state, action) => {
+        state.reviewLoading = false;
+        state.reviewVisit = action.payload;
+      })
+      .addCase(getVisitForReview.rejected, (state, action) => {
+        state.reviewLoading = false;
+        state.reviewError = action.payload?.message || 'Failed to load visit';
+      });
+
+    // Moderate visits
+    builder
+      .addCase(moderateVisits.pending, (state) => {
+        state.moderating = true;
+        state.moderationError = null;
+      })
+      .addCase(moderateVisits.fulfilled, (state, action) => {
+        state.moderating = false;
+        state.lastResult = action.payload;
+        // Updated visits leave the current queue
+        const updated = new Set(action.payload.updated);
+        state.visits = state.visits.filter(visit => !updated.has(visit.id));
+        state.totalCount = Math.max(0, state.totalCount - updated.size);
+        state.selectedIds = state.selectedIds.filter(id => !updated.has(id));
+        if (state.reviewVisit && updated.has(state.reviewVisit.id)) {
+          state.reviewVisit = null;
+        }
+      })
+      .addCase(moderateVisits.rejected, (state, action) => {
+        state.moderating = false;
+        state.moderationError = action.payload?.message || 'Failed to moderate visits';
+      });
+  }
+});
+
+// Export actions
+export const {
+  toggleVisitSelection,
+  setVisitSelection,
+  clearReviewVisit,
+  clearModerationError
+} = adminSlice.actions;
+
+// Selectors
+export const selectModerationQueue = (state) => state.admin;
+export const selectReviewVisit = (state) => state.admin.reviewVisit;
+
+export default adminSlice.reducer;
@@ -38,6 +38,11 @@ const initialState = {
   // Leaderboard
   leaderboard: [],
   
+  // Public proof verification
+  verificationReport: null,
+  verificationLoading: false,
+  verificationError: null,
+  
   // Filter and search
   filterType: 'all', // all, location, achievement, special, milestone
   filterRarity: 'all', // all, common, uncommon, rare, epic, legendary
@@ -65,13 +70,79 @@ export const getUserBadges = createAsyncThunk(
   }
 );
 
-// Mint badge
+// Mint job polling
+const MINT_POLL_INTERVAL = 3000;
+const MINT_POLL_TIMEOUT = 5 * 60 * 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Mint badge (queued on the backend, polled until the transaction is confirmed)
 export const mintBadge = createAsyncThunk(
   'badges/mint',
-  async ({ visitId, badgeType = 'location' }, { rejectWithValue }) => {
+  async ({ visitId, badgeType = 'location' }, { dispatch, rejectWithValue }) => {
     try {
       const response = await api.badges.mint(visitId, badgeType);
-      return response.data.badge;
+      let { job } = response.data;
+      dispatch(setMintInProgress(job));
+
+      const deadline = Date.now() + MINT_POLL_TIMEOUT;
+      while (Date.now() < deadline) {
+        await wait(MINT_POLL_INTERVAL);
+
+        const jobResponse = await api.badges.getMintJob(job.id);
+        job = jobResponse.data.job;
+        dispatch(setMintInProgress(job));
+
+        if (job.status === 'confirmed') {
+          return jobResponse.data.badge;
+        }
+        if (job.status === 'failed') {
+          return rejectWithValue({ message: job.lastError || 'Failed to mint badge' });
+        }
+      }
+
+      return rejectWithValue({ message: 'Badge minting is taking longer than expected. Check back later.' });
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
+// Request a signed voucher so the user's wallet can claim the badge itself
+export const requestClaimVoucher = createAsyncThunk(
+  'badges/requestClaimVoucher',
+  async ({ visitId, badgeType = 'location' }, { rejectWithValue }) => {
+    try {
+      const response = await api.badges.requestClaimVoucher(visitId, badgeType);
+      return {
+        ...response.data.voucher,
+        contractAddress: response.data.contractAddress
+      };
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
+// Record a badge claimed on-chain with a voucher (retried until the backend sees the transaction)
+export const redeemClaimVoucher = createAsyncThunk(
+  'badges/redeemClaimVoucher',
+  async ({ voucherId, txHash }, { rejectWithValue }) => {
+    try {
+      const deadline = Date.now() + MINT_POLL_TIMEOUT;
+      while (Date.now() < deadline) {
+        const response = await api.badges.redeemClaimVoucher(voucherId, txHash);
+
+        if (response.status !== 202) {
+          return response.data.badge;
+        }
+
+        await wait(MINT_POLL_INTERVAL);
+      }
+
+      return rejectWithValue({ message: 'Your claim is still being confirmed. Check back later.' });
     } catch (error) {
       const errorData = api.utils.handleError(error);
       return rejectWithValue(errorData);
@@ -163,6 +234,20 @@ export const verifyBadge = createAsyncThunk(
   }
 );
 
+// Full proof report of a badge (public)
+export const getVerificationReport = createAsyncThunk(
+  'badges/getVerificationReport',
+  async (tokenId, { rejectWithValue }) => {
+    try {
+      const response = await api.badges.getVerificationReport(tokenId);
+      return response.data.report;
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
 // Get leaderboard
 export const getLeaderboard = createAsyncThunk(
   'badges/getLeaderboard',
@@ -306,6 +391,33 @@ const badgeSlice = createSlice({
         state.mintError = action.payload?.message || 'Failed to mint badge';
       });
 
+    // Self-claim with a voucher
+    builder
+      .addCase(requestClaimVoucher.pending, (state) => {
+        state.mintError = null;
+      })
+      .addCase(requestClaimVoucher.fulfilled, (state, action) => {
+        state.mintInProgress = action.payload;
+      })
+      .addCase(requestClaimVoucher.rejected, (state, action) => {
+        state.mintError = action.payload?.message || 'Failed to get claim voucher';
+      })
+      .addCase(redeemClaimVoucher.pending, (state) => {
+        state.mintLoading = true;
+      })
+      .addCase(redeemClaimVoucher.fulfilled, (state, action) => {
+        state.mintLoading = false;
+        state.badges.unshift(action.payload);
+        state.totalCount += 1;
+        state.currentBadge = action.payload;
+        state.mintError = null;
+        state.mintInProgress = null;
+      })
+      .addCase(redeemClaimVoucher.rejected, (state, action) => {
+        state.mintLoading = false;
+        state.mintError = action.payload?.message || 'Failed to record claimed badge';
+      });
+
     // Get badge by ID
     builder
       .addCase(getBadgeById.pending, (state) => {
@@ -399,6 +511,22 @@ const badgeSlice = createSlice({
         state.loading = false;
         state.error = action.payload?.message || 'Failed to load leaderboard';
       });
+
+    // Get verification report
+    builder
+      .addCase(getVerificationReport.pending, (state) => {
+        state.verificationLoading = true;
+        state.verificationReport = null;
+        state.verificationError = null;
+      })
+      .addCase(getVerificationReport.fulfilled, (state, action) => {
+        state.verificationLoading = false;
+        state.verificationReport = action.payload;
+      })
+      .addCase(getVerificationReport.rejected, (state, action) => {
+        state.verificationLoading = false;
+        state.verificationError = action.payload?.message || 'Failed to verify badge';
+      });
   }
 });
 
@@ -431,6 +559,11 @@ export const selectTransferError = (state) => state.badges.transferError;
 export const selectMintInProgress = (state) => state.badges.mintInProgress;
 export const selectCollectionStats = (state) => state.badges.collectionStats;
 export const selectLeaderboard = (state) => state.badges.leaderboard;
+export const selectVerification = (state) => ({
+  report: state.badges.verificationReport,
+  loading: state.badges.verificationLoading,
+  error: state.badges.verificationError
+});
 export const selectBadgeFilters = (state) => ({
   filterType: state.badges.filterType,
   filterRarity: state.badges.filterRarity,
@@ -40,8 +40,9 @@ export const loginUser = createAsyncThunk(
     try {
       const response = await api.auth.login(walletAddress, signature, message, userInfo);
       
-      // Set token in API client
+      // Set tokens in API client
       api.utils.setAuthToken(response.data.token);
+      api.utils.setRefreshToken(response.data.refreshToken);
       
       return {
         user: response.data.user,
@@ -61,8 +62,9 @@ export const registerUser = createAsyncThunk(
     try {
       const response = await api.auth.register(walletAddress, signature, message, username, userInfo);
       
-      // Set token in API client
+      // Set tokens in API client
       api.utils.setAuthToken(response.data.token);
+      api.utils.setRefreshToken(response.data.refreshToken);
       
       return {
         user: response.data.user,
@@ -108,10 +110,11 @@ export const refreshToken = createAsyncThunk(
   'user/refreshToken',
   async (_, { rejectWithValue }) => {
     try {
-      const response = await api.auth.refreshToken();
+      const response = await api.auth.refreshToken(api.utils.getRefreshToken());
       
-      // Update token in API client
+      // Refresh tokens rotate on every use, so store the new pair
       api.utils.setAuthToken(response.data.token);
+      api.utils.setRefreshToken(response.data.refreshToken);
       
       return response.data.token;
     } catch (error) {
@@ -124,17 +127,24 @@ export const refreshToken = createAsyncThunk(
 // Logout user
 export const logoutUser = createAsyncThunk(
   'user/logout',
-  async (_, { rejectWithValue }) => {
+  async ({ allDevices = false } = {}, { rejectWithValue }) => {
     try {
-      await api.auth.logout();
+      // Revoke the session server-side so the tokens stop working everywhere
+      if (allDevices) {
+        await api.auth.logoutAll();
+      } else {
+        await api.auth.logout();
+      }
       
-      // Clear token from API client
+      // Clear tokens from API client
       api.utils.setAuthToken(null);
+      api.utils.setRefreshToken(null);
       
       return true;
     } catch (error) {
       // Even if logout fails on backend, clear local state
       api.utils.setAuthToken(null);
+      api.utils.setRefreshToken(null);
       return true;
     }
   }
@@ -308,6 +318,12 @@ export const selectIsAuthenticated = (state) => state.user.isAuthenticated;
 export const selectWalletAddress = (state) => state.user.walletAddress;
 export const selectUsername = (state) => state.user.username;
 export const selectUserProfile = (state) => state.user.profile;
+export const selectUserRole = (state) => state.user.profile?.role || 'user';
+// Admins hold every role, as on the server
+export const selectHasRole = (...roles) => (state) => {
+  const role = selectUserRole(state);
+  return role === 'admin' || roles.includes(role);
+};
 export const selectUserStats = (state) => state.user.stats;
 export const selectUserLoading = (state) => state.user.loginLoading || state.user.loading;
 export const selectUserError = (state) => state.user.error || state.user.loginError;
@@ -33,6 +33,16 @@ const initialState = {
   locationFilter: '',
   semanticSearchResults: [],
   
+  // Hybrid search (area, dates, verification, text and meaning)
+  search: {
+    params: null,
+    results: [],
+    totalCount: 0,
+    hasMore: false,
+    loading: false,
+    error: null
+  },
+  
   // User statistics
   userStats: {
     totalVisits: 0,
@@ -139,9 +149,9 @@ export const getUserVisitStats = createAsyncThunk(
 // Semantic search visits
 export const semanticSearchVisits = createAsyncThunk(
   'visits/semanticSearch',
-  async ({ query, limit = 10 }, { rejectWithValue }) => {
+  async ({ query, limit = 10, includePublic = true }, { rejectWithValue }) => {
     try {
-      const response = await api.visits.semanticSearch(query, limit);
+      const response = await api.visits.semanticSearch(query, limit, includePublic);
       return {
         query,
         results: response.data.results
@@ -153,6 +163,31 @@ export const semanticSearchVisits = createAsyncThunk(
   }
 );
 
+// Hybrid visit search; offset > 0 loads the next page of the same search
+export const searchVisits = createAsyncThunk(
+  'visits/search',
+  async ({ offset = 0, limit = 20, ...filters } = {}, { rejectWithValue }) => {
+    try {
+      // Drop empty filters so the API only sees the ones in use
+      const params = Object.fromEntries(
+        Object.entries({ ...filters, limit, offset }).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      );
+
+      const response = await api.visits.search(params);
+      return {
+        params: { ...filters, limit },
+        results: response.data.results,
+        totalCount: response.data.totalCount,
+        hasMore: response.data.hasMore,
+        offset
+      };
+    } catch (error) {
+      const errorData = api.utils.handleError(error);
+      return rejectWithValue(errorData);
+    }
+  }
+);
+
 // Get visits by location
 export const getVisitsByLocation = createAsyncThunk(
   'visits/getByLocation',
@@ -198,6 +233,10 @@ const visitSlice = createSlice({
       state.nfcData = action.payload;
       if (state.visitInProgress) {
         state.visitInProgress.nfcTagId = action.payload.tagId;
+        // Secure tags must send their SUN message so the backend can verify the read
+        if (action.payload.sun) {
+          state.visitInProgress.sun = action.payload.sun;
+        }
       }
     },
     
@@ -240,6 +279,11 @@ const visitSlice = createSlice({
       state.semanticSearchResults = [];
     },
     
+    // Clear hybrid search results
+    clearSearchResults: (state) => {
+      state.search = initialState.search;
+    },
+    
     // Update visit status
     updateVisitStatus: (state, action) => {
       const { visitId, status, verifiedAt } = action.payload;
@@ -391,6 +435,26 @@ const visitSlice = createSlice({
         state.loading = false;
         state.error = action.payload?.message || 'Search failed';
       });
+
+    // Hybrid visit search
+    builder
+      .addCase(searchVisits.pending, (state) => {
+        state.search.loading = true;
+        state.search.error = null;
+      })
+      .addCase(searchVisits.fulfilled, (state, action) => {
+        const { params, results, totalCount, hasMore, offset } = action.payload;
+        
+        state.search.loading = false;
+        state.search.params = params;
+        state.search.results = offset === 0 ? results : [...state.search.results, ...results];
+        state.search.totalCount = totalCount;
+        state.search.hasMore = hasMore;
+      })
+      .addCase(searchVisits.rejected, (state, action) => {
+        state.search.loading = false;
+        state.search.error = action.payload?.message || 'Search failed';
+      });
   }
 });
 
@@ -407,6 +471,7 @@ export const {
   setSearchQuery,
   setLocationFilter,
   clearSemanticSearchResults,
+  clearSearchResults,
   updateVisitStatus,
   resetVisits
 } = visitSlice.actions;
@@ -423,6 +488,7 @@ export const selectNFCData = (state) => state.visits.nfcData;
 export const selectGPSData = (state) => state.visits.gpsData;
 export const selectUserVisitStats = (state) => state.visits.userStats;
 export const selectSemanticSearchResults = (state) => state.visits.semanticSearchResults;
+export const selectVisitSearch = (state) => state.visits.search;
 export const selectVisitsPagination = (state) => ({
   totalCount: state.visits.totalCount,
   hasMore: state.visits.hasMore,
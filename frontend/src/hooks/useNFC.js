@@ -88,7 +88,8 @@ const useNFC = () => {
               timestamp: new Date().toISOString(),
               rawMessage: message,
               parsedData: nfcData,
-              tagId: serialNumber || generateTagId(message)
+              tagId: serialNumber || generateTagId(message),
+              sun: extractSunMessage(nfcData)
             };
 
             setLastRead(readResult);
@@ -260,6 +261,37 @@ const useNFC = () => {
     }
   };
 
+  // Extract Secure Unique NFC parameters from a dynamic URL record
+  // Supports encrypted mirroring (?picc_data=...&cmac=...) and plain mirroring (?uid=...&ctr=...&cmac=...)
+  const extractSunMessage = (nfcData) => {
+    const urlRecord = nfcData.records?.find(record => record.recordType === 'url');
+    if (!urlRecord) {
+      return null;
+    }
+
+    try {
+      const params = new URL(urlRecord.data).searchParams;
+      const cmac = params.get('cmac') || params.get('c');
+      const piccData = params.get('picc_data') || params.get('e');
+
+      if (cmac && piccData) {
+        return { piccData, cmac };
+      }
+
+      const uid = params.get('uid');
+      const counter = params.get('ctr');
+
+      if (cmac && uid && counter) {
+        // The tag mirrors the counter as 3 bytes of big-endian hex
+        return { uid, counter: parseInt(counter, 16), cmac };
+      }
+    } catch (error) {
+      console.warn('NFC URL record is not a SUN message:', error);
+    }
+
+    return null;
+  };
+
   // Generate tag ID from message if serial number not available
   const generateTagId = (message) => {
     try {
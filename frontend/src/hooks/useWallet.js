@@ -3,6 +3,63 @@ import { useDispatch, useSelector } from 'react-redux';
 import { Web3Auth } from '@web3auth/modal';
 import { CHAIN_NAMESPACES } from '@web3auth/base';
 import { EthereumPrivateKeyProvider } from '@web3auth/ethereum-provider';
+import { ethers } from 'ethers';
+import api from '../lib/apiClient';
+
+// EIP-712 Visit attestation, must match walletService.createTypedData
+const VISIT_DOMAIN = {
+  name: 'POLP',
+  version: '1',
+  chainId: 100 // Gnosis Chain ID
+};
+
+const VISIT_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' }
+  ],
+  Visit: [
+    { name: 'nfcTagId', type: 'string' },
+    { name: 'latitude', type: 'string' },
+    { name: 'longitude', type: 'string' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'userAddress', type: 'address' }
+  ]
+};
+
+// POLPBadge self-claim entry point, must match the contract's ClaimVoucher struct
+const BADGE_CLAIM_ABI = [
+  "function claimWithVoucher((address recipient, uint256 badgeId, string tokenURI, uint256 expiry, uint256 nonce) voucher, bytes signature) external returns (uint256)"
+];
+
+// Build an EIP-4361 message; the backend only accepts this exact layout
+const buildSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    ''
+  ];
+
+  if (statement) {
+    lines.push(statement);
+  }
+
+  lines.push(
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
 
 const useWallet = () => {
   const dispatch = useDispatch();
@@ -125,6 +182,49 @@ const useWallet = () => {
     }
   }, [provider]);
 
+  // Sign EIP-712 typed data
+  const signTypedData = useCallback(async (typedData) => {
+    if (!provider) {
+      throw new Error("Wallet not connected");
+    }
+
+    try {
+      const accounts = await provider.request({ method: "eth_accounts" });
+      const signature = await provider.request({
+        method: "eth_signTypedData_v4",
+        params: [accounts[0], JSON.stringify(typedData)]
+      });
+
+      return signature;
+    } catch (error) {
+      console.error("Typed data signing failed:", error);
+      throw error;
+    }
+  }, [provider]);
+
+  // Sign a visit attestation (mirrors walletService.createTypedData on the backend)
+  const signVisit = useCallback(async ({ nfcTagId, latitude, longitude, timestamp }) => {
+    if (!provider) {
+      throw new Error("Wallet not connected");
+    }
+
+    const accounts = await provider.request({ method: "eth_accounts" });
+    const typedData = {
+      types: VISIT_TYPES,
+      primaryType: 'Visit',
+      domain: VISIT_DOMAIN,
+      message: {
+        nfcTagId: nfcTagId || '',
+        latitude: String(latitude),
+        longitude: String(longitude),
+        timestamp: Math.floor(new Date(timestamp).getTime() / 1000),
+        userAddress: accounts[0]
+      }
+    };
+
+    return signTypedData(typedData);
+  }, [provider, signTypedData]);
+
   // Get wallet address
   const getAddress = useCallback(async () => {
     if (!provider) return null;
@@ -180,6 +280,27 @@ const useWallet = () => {
     }
   }, [provider]);
 
+  // Claim a badge with a backend-signed voucher; the connected wallet sends and pays for the transaction
+  const claimWithVoucher = useCallback(async ({ voucher, signature, contractAddress }) => {
+    if (!provider) {
+      throw new Error("Wallet not connected");
+    }
+
+    try {
+      const browserProvider = new ethers.BrowserProvider(provider);
+      const signer = await browserProvider.getSigner();
+      const contract = new ethers.Contract(contractAddress, BADGE_CLAIM_ABI, signer);
+
+      const tx = await contract.claimWithVoucher(voucher, signature);
+      const receipt = await tx.wait();
+
+      return receipt.hash;
+    } catch (error) {
+      console.error("Voucher claim failed:", error);
+      throw error;
+    }
+  }, [provider]);
+
   // Switch to Gnosis Chain
   const switchToGnosis = useCallback(async () => {
     if (!provider) return;
@@ -217,13 +338,30 @@ const useWallet = () => {
     }
   }, [provider]);
 
-  // Authentication flow
+  // Authentication flow (Sign-In with Ethereum, EIP-4361)
   const authenticate = useCallback(async () => {
     try {
-      const connectionResult = await connect();
-      
-      // Generate challenge message
-      const message = `POLP Authentication Challenge\n\nWallet: ${connectionResult.walletAddress}\nTimestamp: ${Date.now()}\nNonce: ${Math.random().toString(36).substring(7)}`;
+      const connectionResult = provider
+        ? {
+            walletAddress: await getAddress(),
+            userInfo: await web3auth.getUserInfo()
+          }
+        : await connect();
+
+      // Single-use nonce issued by the backend
+      const { data: nonceData } = await api.auth.getNonce();
+
+      const message = buildSiweMessage({
+        domain: window.location.host,
+        // EIP-4361 requires the EIP-55 checksummed address
+        address: ethers.getAddress(connectionResult.walletAddress),
+        statement: 'Sign in to POLP with your wallet.',
+        uri: window.location.origin,
+        chainId: parseInt(chainConfig.chainId, 16),
+        nonce: nonceData.nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: nonceData.expiresAt
+      });
       
       // Sign the message
       const signature = await signMessage(message);
@@ -242,7 +380,7 @@ const useWallet = () => {
       console.error("Authentication failed:", error);
       throw error;
     }
-  }, [connect, signMessage]);
+  }, [provider, web3auth, connect, getAddress, signMessage]);
 
   return {
     // State
@@ -259,9 +397,12 @@ const useWallet = () => {
     disconnect,
     authenticate,
     signMessage,
+    signTypedData,
+    signVisit,
     getAddress,
     getBalance,
     sendTransaction,
+    claimWithVoucher,
     switchToGnosis,
 
     // Utils
@@ -3,6 +3,8 @@ import axios from 'axios';
 // API configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 const API_TIMEOUT = 30000; // 30 seconds
+const TOKEN_KEY = 'polp_token';
+const REFRESH_TOKEN_KEY = 'polp_refresh_token';
 
 // Create axios instance
 const apiClient = axios.create({
@@ -17,7 +19,7 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     // Get token from localStorage
-    const token = localStorage.getItem('polp_token');
+    const token = localStorage.getItem(TOKEN_KEY);
     
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -33,6 +35,31 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Exchange the stored refresh token for a new token pair.
+// Concurrent 401s share one request: the backend treats a second use of a rotated token as theft.
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios.post(
+      `${API_BASE_URL}/auth/refresh`,
+      { refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY) },
+      { timeout: API_TIMEOUT }
+    )
+      .then(({ data }) => {
+        localStorage.setItem(TOKEN_KEY, data.token);
+        localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+        apiClient.defaults.headers.Authorization = `Bearer ${data.token}`;
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor for handling responses and errors
 apiClient.interceptors.response.use(
   (response) => {
@@ -43,20 +70,41 @@ apiClient.interceptors.response.use(
     
     return response;
   },
-  (error) => {
+  async (error) => {
     // Log error
     if (error.config) {
       const endTime = new Date();
       const duration = endTime - error.config.metadata.startTime;
       console.error(`API ${error.config.method.toUpperCase()} ${error.config.url} - ${error.response?.status || 'TIMEOUT'} (${duration}ms)`);
     }
+
+    // Expired or revoked access token: refresh silently once and replay the request
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !originalRequest.url.startsWith('/auth/') &&
+      localStorage.getItem(REFRESH_TOKEN_KEY)
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return apiClient(originalRequest);
+      } catch (refreshError) {
+        console.warn('Session refresh failed:', refreshError.response?.data?.error || refreshError.message);
+      }
+    }
     
     // Handle specific error cases
     if (error.response) {
       switch (error.response.status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('polp_token');
+          // Session could not be refreshed - clear tokens and redirect to login
+          localStorage.removeItem(TOKEN_KEY);
+          localStorage.removeItem(REFRESH_TOKEN_KEY);
           window.location.href = '/login';
           break;
         case 403:
@@ -97,6 +145,9 @@ const apiMethods = {
 
   // Authentication
   auth: {
+    getNonce: () =>
+      apiClient.get('/auth/nonce'),
+    
     login: (walletAddress, signature, message, userInfo) =>
       apiClient.post('/auth/login', { walletAddress, signature, message, userInfo }),
     
@@ -112,11 +163,14 @@ const apiMethods = {
     verifyWallet: (walletAddress, signature, message) =>
       apiClient.post('/auth/verify-wallet', { walletAddress, signature, message }),
     
-    refreshToken: () =>
-      apiClient.post('/auth/refresh'),
+    refreshToken: (refreshToken) =>
+      apiClient.post('/auth/refresh', { refreshToken }),
     
     logout: () =>
-      apiClient.post('/auth/logout')
+      apiClient.post('/auth/logout'),
+    
+    logoutAll: () =>
+      apiClient.post('/auth/logout-all')
   },
 
   // Visits
@@ -142,8 +196,29 @@ const apiMethods = {
     getUserStats: () =>
       apiClient.get('/visits/stats/user'),
     
-    semanticSearch: (query, limit = 10) =>
-      apiClient.post('/visits/semantic-search', { query, limit })
+    semanticSearch: (query, limit = 10, includePublic = true) =>
+      apiClient.post('/visits/semantic-search', { query, limit, includePublic }),
+    
+    search: (params = {}) =>
+      apiClient.get('/visits/search', { params })
+  },
+
+  // Locations
+  locations: {
+    getAll: (params = {}) =>
+      apiClient.get('/locations', { params }),
+
+    getById: (locationId) =>
+      apiClient.get(`/locations/${locationId}`),
+
+    create: (locationData) =>
+      apiClient.post('/locations', locationData),
+
+    update: (locationId, locationData) =>
+      apiClient.put(`/locations/${locationId}`, locationData),
+
+    deactivate: (locationId) =>
+      apiClient.delete(`/locations/${locationId}`)
   },
 
   // Badges
@@ -154,6 +229,15 @@ const apiMethods = {
     mint: (visitId, badgeType = 'location') =>
       apiClient.post('/badges/mint', { visitId, badgeType }),
     
+    getMintJob: (jobId) =>
+      apiClient.get(`/badges/mint/${jobId}`),
+    
+    requestClaimVoucher: (visitId, badgeType = 'location') =>
+      apiClient.post('/badges/vouchers', { visitId, badgeType }),
+    
+    redeemClaimVoucher: (voucherId, txHash) =>
+      apiClient.post(`/badges/vouchers/${voucherId}/redeem`, { txHash }),
+    
     getById: (tokenId) =>
       apiClient.get(`/badges/${tokenId}`),
     
@@ -172,8 +256,47 @@ const apiMethods = {
     verify: (tokenId, walletAddress) =>
       apiClient.post('/badges/verify', { tokenId, walletAddress }),
     
+    getVerificationReport: (tokenId) =>
+      apiClient.get(`/badges/verify/token/${tokenId}`),
+    
     getLeaderboard: (params = {}) =>
       apiClient.get('/badges/leaderboard', { params })
+  },
+
+  // Administration
+  admin: {
+    getVisits: (params = {}) =>
+      apiClient.get('/admin/visits', { params }),
+
+    getVisit: (id) =>
+      apiClient.get(`/admin/visits/${id}`),
+
+    moderateVisits: (visitIds, action, notes) =>
+      apiClient.post('/admin/visits/moderate', { visitIds, action, notes }),
+
+    revokeBadge: (tokenId, reason, notes) =>
+      apiClient.post(`/admin/badges/${tokenId}/revoke`, { reason, notes }),
+
+    getUsers: (params = {}) =>
+      apiClient.get('/admin/users', { params }),
+
+    setUserRole: (userId, role, notes) =>
+      apiClient.put(`/admin/users/${userId}/role`, { role, notes }),
+
+    getBadgeSeries: (params = {}) =>
+      apiClient.get('/admin/series', { params }),
+
+    getBadgeSeriesById: (id) =>
+      apiClient.get(`/admin/series/${id}`),
+
+    createBadgeSeries: (seriesData) =>
+      apiClient.post('/admin/series', seriesData),
+
+    updateBadgeSeries: (id, changes) =>
+      apiClient.put(`/admin/series/${id}`, changes),
+
+    syncBadgeSeries: (id) =>
+      apiClient.post(`/admin/series/${id}/sync`)
   }
 };
 
@@ -182,22 +305,36 @@ const utils = {
   // Set authentication token
   setAuthToken: (token) => {
     if (token) {
-      localStorage.setItem('polp_token', token);
+      localStorage.setItem(TOKEN_KEY, token);
       apiClient.defaults.headers.Authorization = `Bearer ${token}`;
     } else {
-      localStorage.removeItem('polp_token');
+      localStorage.removeItem(TOKEN_KEY);
       delete apiClient.defaults.headers.Authorization;
     }
   },
 
   // Get authentication token
   getAuthToken: () => {
-    return localStorage.getItem('polp_token');
+    return localStorage.getItem(TOKEN_KEY);
+  },
+
+  // Set refresh token
+  setRefreshToken: (refreshToken) => {
+    if (refreshToken) {
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    } else {
+      localStorage.removeItem(REFRESH_TOKEN_KEY);
+    }
+  },
+
+  // Get refresh token
+  getRefreshToken: () => {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
   },
 
   // Check if user is authenticated
   isAuthenticated: () => {
-    return !!localStorage.getItem('polp_token');
+    return !!localStorage.getItem(TOKEN_KEY);
   },
 
   // Handle API errors
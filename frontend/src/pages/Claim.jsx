@@ -2,7 +2,8 @@ import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
-import { fetchUserBadges, claimBadge } from '../features/badges/badgeSlice';
+import { fetchUserBadges, claimBadge, requestClaimVoucher, redeemClaimVoucher } from '../features/badges/badgeSlice';
+import useWallet from '../hooks/useWallet';
 import BadgeCard from '../components/BadgeCard';
 import Loader from '../components/Loader';
 
@@ -11,9 +12,11 @@ const Claim = () => {
   const navigate = useNavigate();
   const { badges, isLoading, claimingBadges } = useSelector(state => state.badges);
   const { user } = useSelector(state => state.user);
+  const { isConnected, claimWithVoucher } = useWallet();
   
   const [selectedBadges, setSelectedBadges] = useState([]);
   const [claimingAll, setClaimingAll] = useState(false);
+  const [payGasFromWallet, setPayGasFromWallet] = useState(false);
 
   useEffect(() => {
     dispatch(fetchUserBadges());
@@ -30,9 +33,29 @@ const Claim = () => {
     );
   };
 
+  // Self-claim: the backend only signs a voucher, the user's wallet submits the mint
+  const claimFromWallet = async (badge) => {
+    const voucher = await dispatch(requestClaimVoucher({
+      visitId: badge.visitId,
+      badgeType: badge.badgeType
+    })).unwrap();
+
+    const txHash = await claimWithVoucher({
+      voucher: voucher.voucher,
+      signature: voucher.signature,
+      contractAddress: voucher.contractAddress
+    });
+
+    await dispatch(redeemClaimVoucher({ voucherId: voucher.id, txHash })).unwrap();
+  };
+
+  const claim = (badge) => (
+    payGasFromWallet ? claimFromWallet(badge) : dispatch(claimBadge(badge.id))
+  );
+
   const handleClaimSingle = async (badge) => {
     try {
-      await dispatch(claimBadge(badge.id));
+      await claim(badge);
     } catch (error) {
       console.error('Failed to claim badge:', error);
     }
@@ -44,7 +67,7 @@ const Claim = () => {
     setClaimingAll(true);
     try {
       for (const badge of selectedBadges) {
-        await dispatch(claimBadge(badge.id));
+        await claim(badge);
       }
       setSelectedBadges([]);
     } catch (error) {
@@ -58,7 +81,7 @@ const Claim = () => {
     setClaimingAll(true);
     try {
       for (const badge of claimableBadges) {
-        await dispatch(claimBadge(badge.id));
+        await claim(badge);
       }
       setSelectedBadges([]);
     } catch (error) {
@@ -177,6 +200,18 @@ const Claim = () => {
               )}
               
               <div className="flex items-center space-x-4">
+                {isConnected && (
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={payGasFromWallet}
+                      onChange={(e) => setPayGasFromWallet(e.target.checked)}
+                      disabled={claimingAll}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>Claim from my wallet (pays gas)</span>
+                  </label>
+                )}
                 <button
                   onClick={() => setSelectedBadges(claimableBadges)}
                   className="text-blue-600 hover:text-blue-700 font-medium transition-colors"
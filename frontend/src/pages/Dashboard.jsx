@@ -3,20 +3,31 @@ import { useDispatch, useSelector } from 'react-redux';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import { fetchUserBadges, setBadgeFilters } from '../features/badges/badgeSlice';
-import { fetchUserVisits } from '../features/visits/visitSlice';
+import { fetchUserVisits, searchVisits, clearSearchResults } from '../features/visits/visitSlice';
 import BadgeCard from '../components/BadgeCard';
 import VisitButton from '../components/VisitButton';
 import Loader from '../components/Loader';
+import useGeolocation from '../hooks/useGeolocation';
 import { format } from '../lib/format';
 
 const Dashboard = () => {
   const dispatch = useDispatch();
   const { user } = useSelector(state => state.user);
   const { badges, isLoading: badgesLoading, filters } = useSelector(state => state.badges);
-  const { visits, isLoading: visitsLoading } = useSelector(state => state.visits);
+  const { visits, isLoading: visitsLoading, search } = useSelector(state => state.visits);
+  const { getCurrentPosition, loading: geoLoading } = useGeolocation();
   
   const [selectedTab, setSelectedTab] = useState('overview');
   const [selectedBadge, setSelectedBadge] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchFilters, setSearchFilters] = useState({
+    radiusKm: '',
+    from: '',
+    to: '',
+    verifiedOnly: false,
+    includePublic: true
+  });
+  const [searchError, setSearchError] = useState(null);
 
   useEffect(() => {
     dispatch(fetchUserBadges());
@@ -96,6 +107,47 @@ const Dashboard = () => {
     dispatch(setBadgeFilters({ filterType }));
   };
 
+  const handleSearchFilterChange = (name, value) => {
+    setSearchFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setSearchError(null);
+
+    const { radiusKm, from, to, verifiedOnly, includePublic } = searchFilters;
+    const params = {
+      q: searchInput.trim(),
+      // Whole days: from midnight of the first day to the end of the last one
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : '',
+      verified: verifiedOnly ? true : '',
+      includePublic
+    };
+
+    if (radiusKm) {
+      try {
+        const { latitude, longitude } = await getCurrentPosition();
+        Object.assign(params, { lat: latitude, lng: longitude, radiusKm });
+      } catch (error) {
+        setSearchError(`Cannot search near you: ${error.message}`);
+        return;
+      }
+    }
+
+    dispatch(searchVisits(params));
+  };
+
+  const handleLoadMoreResults = () => {
+    dispatch(searchVisits({ ...search.params, offset: search.results.length }));
+  };
+
+  const handleClearSearch = () => {
+    setSearchInput('');
+    setSearchError(null);
+    dispatch(clearSearchResults());
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 pt-16">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -313,66 +365,211 @@ const Dashboard = () => {
           )}
 
           {selectedTab === 'visits' && (
-            <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-              <div className="p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Visit History</h3>
-                {visitsLoading ? (
-                  <Loader />
-                ) : visits.length > 0 ? (
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Location
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Date
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Points
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Status
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {visits.map((visit) => (
-                          <tr key={visit.id} className="hover:bg-gray-50">
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <div className="text-sm font-medium text-gray-900">
-                                {visit.location || 'Unknown Location'}
-                              </div>
-                              <div className="text-sm text-gray-500">
-                                {visit.coordinates && `${visit.coordinates.lat.toFixed(4)}, ${visit.coordinates.lng.toFixed(4)}`}
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">Search Visits</h3>
+                  <form onSubmit={handleSearch} className="space-y-3">
+                    <div className="flex flex-col sm:flex-row gap-3">
+                      <input
+                        type="text"
+                        value={searchInput}
+                        onChange={(e) => setSearchInput(e.target.value)}
+                        placeholder="e.g. cafés, museums, sunset by the sea..."
+                        maxLength={500}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <button
+                        type="submit"
+                        disabled={search.loading || geoLoading}
+                        className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium transition-colors"
+                      >
+                        {search.loading || geoLoading ? 'Searching...' : 'Search'}
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                      <label className="flex items-center space-x-2">
+                        <span>Near me</span>
+                        <select
+                          value={searchFilters.radiusKm}
+                          onChange={(e) => handleSearchFilterChange('radiusKm', e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg"
+                        >
+                          <option value="">Anywhere</option>
+                          <option value="1">1 km</option>
+                          <option value="5">5 km</option>
+                          <option value="25">25 km</option>
+                          <option value="100">100 km</option>
+                        </select>
+                      </label>
+                      <label className="flex items-center space-x-2">
+                        <span>From</span>
+                        <input
+                          type="date"
+                          value={searchFilters.from}
+                          onChange={(e) => handleSearchFilterChange('from', e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg"
+                        />
+                      </label>
+                      <label className="flex items-center space-x-2">
+                        <span>To</span>
+                        <input
+                          type="date"
+                          value={searchFilters.to}
+                          onChange={(e) => handleSearchFilterChange('to', e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg"
+                        />
+                      </label>
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={searchFilters.verifiedOnly}
+                          onChange={(e) => handleSearchFilterChange('verifiedOnly', e.target.checked)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>Verified only</span>
+                      </label>
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={searchFilters.includePublic}
+                          onChange={(e) => handleSearchFilterChange('includePublic', e.target.checked)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>Include public visits</span>
+                      </label>
+                    </div>
+                  </form>
+
+                  {(searchError || search.error) && (
+                    <p className="mt-4 text-sm text-red-600">{searchError || search.error}</p>
+                  )}
+
+                  {search.params && (
+                    <div className="mt-6">
+                      <div className="flex items-center justify-between mb-3">
+                        <p className="text-sm text-gray-600">
+                          {search.totalCount} result{search.totalCount !== 1 ? 's' : ''}
+                          {search.params.q && ` for "${search.params.q}"`}
+                        </p>
+                        <button
+                          onClick={handleClearSearch}
+                          className="text-sm text-gray-500 hover:text-gray-700"
+                        >
+                          Clear
+                        </button>
+                      </div>
+                      <ul className="divide-y divide-gray-200">
+                        {search.results.map(({ score, distanceKm, isOwn, visit }, index) => (
+                          <li key={visit.id} className="py-3 flex items-center justify-between">
+                            <div className="flex items-center space-x-3">
+                              <span className="w-6 text-sm font-semibold text-gray-400">#{index + 1}</span>
+                              <div>
+                                <div className="text-sm font-medium text-gray-900">
+                                  {visit.locationName || 'Unknown Location'}
+                                </div>
+                                <div className="text-sm text-gray-500">
+                                  {format.formatDate(visit.timestamp)}
+                                  {distanceKm !== null && ` · ${distanceKm.toFixed(1)} km away`}
+                                  {visit.description && ` · ${visit.description}`}
+                                </div>
                               </div>
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {format.formatDate(visit.createdAt)}
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                              +{visit.points || 10}
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
-                                Verified
+                            </div>
+                            <div className="flex items-center space-x-3">
+                              {visit.isVerified && (
+                                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                                  Verified
+                                </span>
+                              )}
+                              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${isOwn ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}>
+                                {isOwn ? 'Yours' : 'Public'}
                               </span>
-                            </td>
-                          </tr>
+                              {search.params.q && (
+                                <span className="text-sm text-gray-500">
+                                  {Math.round(score * 100)}% match
+                                </span>
+                              )}
+                            </div>
+                          </li>
                         ))}
-                      </tbody>
-                    </table>
-                  </div>
-                ) : (
-                  <div className="text-center py-12">
-                    <svg className="w-16 h-16 text-gray-300 mx-auto mb-4" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clipRule="evenodd" />
-                    </svg>
-                    <p className="text-gray-500 text-lg">No visits yet</p>
-                    <p className="text-gray-400 text-sm mt-2">Start your first visit to see your history here</p>
-                  </div>
-                )}
+                      </ul>
+                      {search.hasMore && (
+                        <div className="mt-4 text-center">
+                          <button
+                            onClick={handleLoadMoreResults}
+                            disabled={search.loading}
+                            className="text-sm font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+                          >
+                            {search.loading ? 'Loading...' : 'Load more'}
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">Visit History</h3>
+                  {visitsLoading ? (
+                    <Loader />
+                  ) : visits.length > 0 ? (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                              Location
+                            </th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                              Date
+                            </th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                              Points
+                            </th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                              Status
+                            </th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {visits.map((visit) => (
+                            <tr key={visit.id} className="hover:bg-gray-50">
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <div className="text-sm font-medium text-gray-900">
+                                  {visit.location || 'Unknown Location'}
+                                </div>
+                                <div className="text-sm text-gray-500">
+                                  {visit.coordinates && `${visit.coordinates.lat.toFixed(4)}, ${visit.coordinates.lng.toFixed(4)}`}
+                                </div>
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                {format.formatDate(visit.createdAt)}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                +{visit.points || 10}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                                  Verified
+                                </span>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <div className="text-center py-12">
+                      <svg className="w-16 h-16 text-gray-300 mx-auto mb-4" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clipRule="evenodd" />
+                      </svg>
+                      <p className="text-gray-500 text-lg">No visits yet</p>
+                      <p className="text-gray-400 text-sm mt-2">Start your first visit to see your history here</p>
+                    </div>
+                  )}
+                </div>
               </div>
             </div>
           )}
@@ -9,7 +9,7 @@ import Loader from '../components/Loader';
 const Login = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
-  const { connect, isConnected, walletAddress, signMessage } = useWallet();
+  const { connect, isConnected, authenticate } = useWallet();
   const { isLoading, error } = useSelector(state => state.user);
   
   const [loginStep, setLoginStep] = useState('connect'); // connect, sign, complete
@@ -33,19 +33,15 @@ const Login = () => {
 
   const handleSignAndLogin = async () => {
     try {
-      const message = `Welcome to POLP!\n\nSign this message to authenticate your wallet.\n\nNonce: ${Date.now()}`;
-      const signature = await signMessage(message);
-      
-      const userInfo = {
-        walletAddress,
-        loginTime: new Date().toISOString()
-      };
+      // Builds and signs an EIP-4361 message around a server-issued nonce
+      const authData = await authenticate();
 
       const resultAction = await dispatch(loginUser({
-        walletAddress,
-        signature,
-        message,
-        userInfo
+        ...authData,
+        userInfo: {
+          walletAddress: authData.walletAddress,
+          loginTime: new Date().toISOString()
+        }
       }));
 
       if (loginUser.fulfilled.match(resultAction)) {
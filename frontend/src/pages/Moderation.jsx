@@ -0,0 +1,331 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+  getModerationQueue,
+  getVisitForReview,
+  moderateVisits,
+  toggleVisitSelection,
+  setVisitSelection,
+  clearReviewVisit,
+  selectModerationQueue
+} from '../features/admin/adminSlice';
+import { formatDateTime, formatVisitStatus, formatWalletAddress, formatIPFSCID } from '../lib/format';
+import Loader from '../components/Loader';
+
+const STATUSES = ['flagged', 'pending', 'verified', 'rejected'];
+const PAGE_SIZE = 50;
+
+const ACTIONS = [
+  { action: 'approve', label: 'Approve', result: 'verified', className: 'bg-green-600 hover:bg-green-700' },
+  { action: 'flag', label: 'Flag', result: 'flagged', className: 'bg-purple-600 hover:bg-purple-700' },
+  { action: 'reject', label: 'Reject', result: 'rejected', className: 'bg-red-600 hover:bg-red-700' }
+];
+
+const RiskBadge = ({ fraud }) => {
+  if (!fraud) {
+    return <span className="text-xs text-gray-400">Not scored</span>;
+  }
+
+  const percent = Math.round(fraud.riskScore * 100);
+  const color = fraud.riskScore >= 0.5 ? 'bg-red-100 text-red-700' : fraud.riskScore > 0 ? 'bg-yellow-100 text-yellow-700' : 'bg-green-100 text-green-700';
+
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs font-medium ${color}`}>
+      Risk {percent}%
+    </span>
+  );
+};
+
+const Moderation = () => {
+  const dispatch = useDispatch();
+  const {
+    status,
+    visits,
+    totalCount,
+    hasMore,
+    counts,
+    selectedIds,
+    reviewVisit,
+    loading,
+    reviewLoading,
+    moderating,
+    error,
+    reviewError
+  } = useSelector(selectModerationQueue);
+
+  const [notes, setNotes] = useState('');
+
+  useEffect(() => {
+    dispatch(getModerationQueue({ status: 'flagged', limit: PAGE_SIZE }));
+  }, [dispatch]);
+
+  const handleStatusChange = (newStatus) => {
+    dispatch(clearReviewVisit());
+    dispatch(getModerationQueue({ status: newStatus, limit: PAGE_SIZE }));
+  };
+
+  const handleLoadMore = () => {
+    dispatch(getModerationQueue({ status, limit: PAGE_SIZE, offset: visits.length }));
+  };
+
+  const handleSelectAll = () => {
+    dispatch(setVisitSelection(selectedIds.length === visits.length ? [] : visits.map(visit => visit.id)));
+  };
+
+  const handleModerate = async (action, visitIds) => {
+    try {
+      const result = await dispatch(moderateVisits({ visitIds, action, notes })).unwrap();
+      setNotes('');
+
+      toast.success(result.message);
+      if (result.skipped.length > 0) {
+        toast.error(`${result.skipped.length} visit(s) skipped: ${result.skipped[0].reason}`);
+      }
+      // Counts per status changed
+      dispatch(getModerationQueue({ status, limit: PAGE_SIZE }));
+    } catch (err) {
+      toast.error(err?.message || 'Moderation failed');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-16">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Visit Moderation</h1>
+          <p className="text-gray-600">
+            Review visits held by the anti-fraud checks and decide which ones count.
+          </p>
+        </motion.div>
+
+        {/* Status tabs */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {STATUSES.map(value => (
+            <button
+              key={value}
+              onClick={() => handleStatusChange(value)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {formatVisitStatus(value).label} ({counts[value] || 0})
+            </button>
+          ))}
+        </div>
+
+        {/* Bulk actions */}
+        <div className="bg-white rounded-xl shadow-lg p-4 mb-6 flex flex-col md:flex-row md:items-center gap-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={visits.length > 0 && selectedIds.length === visits.length}
+              onChange={handleSelectAll}
+              className="mr-2"
+            />
+            {selectedIds.length} of {totalCount} selected
+          </label>
+          <input
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes for the audit trail (optional)"
+            maxLength={2000}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <div className="flex gap-2">
+            {ACTIONS.filter(({ result }) => result !== status).map(({ action, label, className }) => (
+              <button
+                key={action}
+                onClick={() => handleModerate(action, selectedIds)}
+                disabled={moderating || selectedIds.length === 0}
+                className={`${className} disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:cursor-not-allowed`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-6">{error}</div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Queue */}
+          <div className="space-y-3">
+            {visits.length === 0 && !loading && (
+              <div className="bg-white rounded-xl shadow p-8 text-center text-gray-500">
+                No {formatVisitStatus(status).label.toLowerCase()} visits.
+              </div>
+            )}
+
+            {visits.map(visit => (
+              <div
+                key={visit.id}
+                className={`bg-white rounded-xl shadow p-4 flex items-start gap-3 cursor-pointer border-2 ${
+                  reviewVisit?.id === visit.id ? 'border-blue-500' : 'border-transparent'
+                }`}
+                onClick={() => dispatch(getVisitForReview(visit.id))}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(visit.id)}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => dispatch(toggleVisitSelection(visit.id))}
+                  className="mt-1"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <h3 className="font-medium text-gray-900 truncate">
+                      #{visit.id} {visit.locationName}
+                    </h3>
+                    <RiskBadge fraud={visit.fraud} />
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    {formatWalletAddress(visit.user?.walletAddress)} · {formatDateTime(visit.timestamp)}
+                  </p>
+                  {visit.fraud?.reasons?.length > 0 && (
+                    <ul className="mt-2 text-xs text-gray-600 list-disc list-inside">
+                      {visit.fraud.reasons.map(reason => (
+                        <li key={reason.code}>{reason.message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            ))}
+
+            {loading && (
+              <div className="flex justify-center py-4">
+                <Loader size="medium" />
+              </div>
+            )}
+
+            {hasMore && !loading && (
+              <button
+                onClick={handleLoadMore}
+                className="w-full bg-white hover:bg-gray-100 text-gray-700 py-2 rounded-lg text-sm font-medium"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+
+          {/* Review panel */}
+          <div className="bg-white rounded-xl shadow-lg p-6 h-fit lg:sticky lg:top-20">
+            {reviewLoading && (
+              <div className="flex justify-center py-8">
+                <Loader size="medium" />
+              </div>
+            )}
+
+            {reviewError && <p className="text-red-600 text-sm">{reviewError}</p>}
+
+            {!reviewLoading && !reviewVisit && !reviewError && (
+              <p className="text-gray-500 text-center py-8">Select a visit to see its evidence.</p>
+            )}
+
+            {!reviewLoading && reviewVisit && (
+              <div className="space-y-5">
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-900">
+                    #{reviewVisit.id} {reviewVisit.locationName}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {formatVisitStatus(reviewVisit.status).label} · {formatDateTime(reviewVisit.timestamp)}
+                  </p>
+                </div>
+
+                <section>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">Fraud evidence</h3>
+                  <RiskBadge fraud={reviewVisit.fraud} />
+                  <ul className="mt-2 space-y-2">
+                    {(reviewVisit.fraud?.reasons || []).map(reason => (
+                      <li key={reason.code} className="text-sm">
+                        <span className="font-medium">{reason.code}</span>: {reason.message}
+                        <pre className="text-xs text-gray-500 whitespace-pre-wrap">{JSON.stringify(reason.details)}</pre>
+                      </li>
+                    ))}
+                  </ul>
+                  <dl className="grid grid-cols-2 gap-2 mt-3 text-sm">
+                    <dt className="text-gray-500">Coordinates</dt>
+                    <dd>{reviewVisit.latitude}, {reviewVisit.longitude}</dd>
+                    <dt className="text-gray-500">Accuracy</dt>
+                    <dd>{reviewVisit.gps.accuracy ?? '—'} m</dd>
+                    <dt className="text-gray-500">Tag read</dt>
+                    <dd>{reviewVisit.nfcAuthentication?.method || '—'}</dd>
+                    <dt className="text-gray-500">Device</dt>
+                    <dd className="truncate">{reviewVisit.deviceInfo?.userAgent || '—'}</dd>
+                  </dl>
+                </section>
+
+                <section>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">IPFS record</h3>
+                  {reviewVisit.ipfsRecord.cid ? (
+                    <>
+                      <a
+                        href={reviewVisit.ipfsRecord.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:underline text-sm"
+                      >
+                        {formatIPFSCID(reviewVisit.ipfsRecord.cid)}
+                      </a>
+                      <p className={`text-sm mt-1 ${reviewVisit.ipfsRecord.intact ? 'text-green-600' : 'text-red-600'}`}>
+                        {reviewVisit.ipfsRecord.intact
+                          ? 'Matches the stored visit hash'
+                          : reviewVisit.ipfsRecord.error || 'Does not match the stored visit hash'}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-500">{reviewVisit.ipfsRecord.error}</p>
+                  )}
+                </section>
+
+                <section>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">Audit trail</h3>
+                  {reviewVisit.auditTrail.length === 0 ? (
+                    <p className="text-sm text-gray-500">No decisions yet.</p>
+                  ) : (
+                    <ul className="space-y-1 text-sm">
+                      {reviewVisit.auditTrail.map(entry => (
+                        <li key={entry.id}>
+                          <span className="text-gray-500">{formatDateTime(entry.createdAt)}</span>{' '}
+                          {formatWalletAddress(entry.actorAddress)} {entry.action.replace('visit.', '')}
+                          {entry.notes && <span className="text-gray-600">: {entry.notes}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </section>
+
+                <div className="flex gap-2">
+                  {ACTIONS.filter(({ result }) => result !== reviewVisit.status).map(({ action, label, className }) => (
+                    <button
+                      key={action}
+                      onClick={() => handleModerate(action, [reviewVisit.id])}
+                      disabled={moderating}
+                      className={`flex-1 ${className} disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Moderation;
@@ -0,0 +1,147 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { getVerificationReport, selectVerification } from '../features/badges/badgeSlice';
+import { formatDateTime, formatWalletAddress, formatIPFSCID, formatTokenId } from '../lib/format';
+import Loader from '../components/Loader';
+
+const CHECK_LABELS = {
+  token_uri: 'Token metadata',
+  visit_record: 'Visit record on IPFS',
+  visit_hash: 'Visit hash',
+  signature: 'Visitor signature',
+  token_owner: 'Current owner',
+  claim_status: 'Claim on the contract',
+  anchor: 'On-chain timestamp'
+};
+
+const STATUS_STYLES = {
+  pass: { icon: '✓', className: 'bg-green-100 text-green-700' },
+  warn: { icon: '!', className: 'bg-yellow-100 text-yellow-700' },
+  fail: { icon: '✗', className: 'bg-red-100 text-red-700' },
+  skip: { icon: '–', className: 'bg-gray-100 text-gray-500' }
+};
+
+const Verify = () => {
+  const dispatch = useDispatch();
+  const { tokenId } = useParams();
+  const { report, loading, error } = useSelector(selectVerification);
+
+  useEffect(() => {
+    dispatch(getVerificationReport(tokenId));
+  }, [dispatch, tokenId]);
+
+  const passed = report?.result === 'pass';
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-16">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Verify Badge {formatTokenId(tokenId)}
+          </h1>
+          <p className="text-gray-600">
+            Every piece of evidence behind this badge, checked independently against IPFS and the blockchain.
+          </p>
+        </motion.div>
+
+        {loading && (
+          <div className="flex justify-center py-12">
+            <Loader size="large" />
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">{error}</div>
+        )}
+
+        {!loading && report && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.4 }}
+            className="space-y-6"
+          >
+            {/* Verdict */}
+            <div className={`rounded-xl p-6 ${passed ? 'bg-green-600' : 'bg-red-600'} text-white`}>
+              <p className="text-2xl font-bold">{passed ? 'Proof verified' : 'Proof not verified'}</p>
+              <p className="text-sm opacity-90">Checked {formatDateTime(report.checkedAt)}</p>
+            </div>
+
+            {/* Badge and visit */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+                <div>
+                  <dt className="text-gray-500">Location</dt>
+                  <dd className="font-medium text-gray-900">{report.visit?.locationName || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Visited</dt>
+                  <dd className="font-medium text-gray-900">
+                    {report.visit?.timestamp ? formatDateTime(report.visit.timestamp) : '—'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Visitor</dt>
+                  <dd className="font-medium text-gray-900">{formatWalletAddress(report.visit?.visitor) || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Owner</dt>
+                  <dd className="font-medium text-gray-900">{formatWalletAddress(report.token?.owner) || '—'}</dd>
+                </div>
+                <div className="sm:col-span-2">
+                  <dt className="text-gray-500">Visit record</dt>
+                  <dd>
+                    {report.visit?.url ? (
+                      <a
+                        href={report.visit.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:underline"
+                      >
+                        {formatIPFSCID(report.visit.cid)}
+                      </a>
+                    ) : '—'}
+                  </dd>
+                </div>
+              </dl>
+            </div>
+
+            {/* Checks */}
+            <div className="bg-white rounded-xl shadow-lg divide-y divide-gray-100">
+              {report.checks.map(check => {
+                const style = STATUS_STYLES[check.status] || STATUS_STYLES.skip;
+
+                return (
+                  <div key={check.id} className="p-4 flex items-start gap-4">
+                    <span className={`w-8 h-8 flex-shrink-0 rounded-full flex items-center justify-center font-bold ${style.className}`}>
+                      {style.icon}
+                    </span>
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900">{CHECK_LABELS[check.id] || check.id}</p>
+                      <p className="text-sm text-gray-600">{check.message}</p>
+                      {Object.keys(check.details || {}).length > 0 && (
+                        <pre className="mt-1 text-xs text-gray-500 whitespace-pre-wrap break-all">
+                          {JSON.stringify(check.details, null, 2)}
+                        </pre>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Verify;
@@ -7,13 +7,14 @@ import storage from 'redux-persist/lib/storage';
 import userReducer from '../features/user/userSlice';
 import visitReducer from '../features/visits/visitSlice';
 import badgeReducer from '../features/badges/badgeSlice';
+import adminReducer from '../features/admin/adminSlice';
 
 // Redux persist configuration
 const persistConfig = {
   key: 'polp-root',
   storage,
   whitelist: ['user'], // Only persist user state
-  blacklist: ['visits', 'badges'] // Don't persist visits and badges (fresh data on each session)
+  blacklist: ['visits', 'badges', 'admin'] // Don't persist visits and badges (fresh data on each session)
 };
 
 // User-specific persist config
@@ -27,7 +28,8 @@ const userPersistConfig = {
 const rootReducer = combineReducers({
   user: persistReducer(userPersistConfig, userReducer),
   visits: visitReducer,
-  badges: badgeReducer
+  badges: badgeReducer,
+  admin: adminReducer
 });
 
 // Persisted reducer
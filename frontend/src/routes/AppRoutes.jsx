@@ -6,6 +6,9 @@ import Login from '../pages/Login';
 import Dashboard from '../pages/Dashboard';
 import Visit from '../pages/Visit';
 import Claim from '../pages/Claim';
+import Moderation from '../pages/Moderation';
+import Verify from '../pages/Verify';
+import { selectHasRole } from '../features/user/userSlice';
 
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated } = useSelector(state => state.user);
@@ -13,6 +16,17 @@ const ProtectedRoute = ({ children }) => {
   return isAuthenticated ? children : <Navigate to="/login" replace />;
 };
 
+const RoleRoute = ({ roles, children }) => {
+  const { isAuthenticated } = useSelector(state => state.user);
+  const hasRole = useSelector(selectHasRole(...roles));
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return hasRole ? children : <Navigate to="/dashboard" replace />;
+};
+
 const PublicRoute = ({ children }) => {
   const { isAuthenticated } = useSelector(state => state.user);
   
@@ -24,6 +38,7 @@ const AppRoutes = () => {
     <Routes>
       {/* Public Routes */}
       <Route path="/" element={<Home />} />
+      <Route path="/verify/:tokenId" element={<Verify />} />
       <Route 
         path="/login" 
         element={
@@ -59,6 +74,16 @@ const AppRoutes = () => {
         } 
       />
 
+      {/* Role-restricted Routes */}
+      <Route 
+        path="/admin/moderation" 
+        element={
+          <RoleRoute roles={['moderator']}>
+            <Moderation />
+          </RoleRoute>
+        } 
+      />
+
       {/* Fallback route */}
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>